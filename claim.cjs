@@ -1,206 +1,180 @@
 #!/usr/bin/env node
 // Trigger reproduction on a living UTXO organism
 //
-// Usage: node claim.cjs --txid <organism-txid> --address <your-bsv-address>
-
-const fs = require('fs');
-const path = require('path');
-const https = require('https');
-const { Organism } = require('./dist/src/contracts/organism');
-const { bsv, PubKeyHash, toByteString, DefaultProvider, TestWallet } = require('scrypt-ts');
-
-const ARTIFACT_PATH = path.join(__dirname, 'artifacts/organism.json');
-
-// Parse args
-const args = {};
-for (let i = 2; i < process.argv.length; i += 2) {
-  args[process.argv[i].replace(/^--/, '')] = process.argv[i + 1];
-}
-
-const TXID = args.txid;
-const ADDRESS = args.address;
-
-if (!TXID || !ADDRESS) {
-  console.log('Usage: node claim.cjs --txid <organism-txid> --address <your-bsv-address>');
+// Usage: node claim.cjs --txid <organism-txid> --address <your-bsv-address> [--payload <hex|file>]
+//        node claim.cjs --spawn <spawn-txid|name> --address <addr> ...
+//        node claim.cjs --txid <task-organism-txid> --address <addr> --task <file> --result <file>
+//        node claim.cjs --txid <handshake-organism-txid> --address <addr> [--payload <attestation>] [--out <file>]
+//        node claim.cjs --txid <reputation-organism-txid> --address <addr> --interaction <hash|file>
+//        node claim.cjs --txid <plugin-organism-txid> --address <addr> --plugin <file> --fields <json|file>
+//
+// Handshake (Type 2) claims need the co-signer's signature: instead of
+// broadcasting, this writes a request file for them to complete with cosign.cjs.
+//
+// --spawn takes the lineage instead of its current generation: a spawn TXID,
+// or the name of an organism spawned here. It is walked to the live tip from
+// the last generation in the lineage store.
+//
+// If another claimer spends the organism first, the claim is retried on the
+// tip they left, up to --retries times. The outcome is won (exit 0), lost
+// (exit 2, naming the winning txid) or died (exit 3, nothing left to claim);
+// --json prints it as a JSON object on stdout, with the progress on stderr.
+//
+// Without --address the reward goes to a fresh receive address of the HD
+// wallet (--wallet, default ./wallet.json or wallet.<network>.json).
+
+const { parseArgs, readBytesArg, readJsonArg } = require('./lib/args.cjs');
+const { PROVIDER_USAGE } = require('./lib/providers/index.cjs');
+const { networkFromArgs, explorerTxUrl } = require('./lib/network.cjs');
+const { OrganismClient } = require('./lib/client.cjs');
+const { TASK_TYPE, sha256File, encodeTaskPayload } = require('./lib/types/task.cjs');
+const { writeHandshakeRequest } = require('./lib/types/handshake.cjs');
+const { REPUTATION_TYPE, interactionHashArg } = require('./lib/types/reputation.cjs');
+const { formatPayload } = require('./lib/types/index.cjs');
+const { PLUGIN_USAGE } = require('./lib/plugins.cjs');
+
+const args = parseArgs();
+
+if (typeof args.txid !== 'string' && typeof args.spawn !== 'string') {
+  console.log('Usage: node claim.cjs --txid <organism-txid> [--address <your-bsv-address>]');
+  console.log('       node claim.cjs --spawn <spawn-txid|name> [--address <your-bsv-address>]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --address <address>   Reward address (default: a fresh receive address of the wallet)');
+  console.log('  --spawn <txid|name>   Claim the live tip of a lineage (spawn TXID or local organism name)');
+  console.log('  --payload <hex|file>  Data written after the organism tag in the ORG1 output');
+  console.log('  --task <file>         Task description (Type 1; SHA-256 goes in the payload)');
+  console.log('  --result <file>       Result data (Type 1; SHA-256 goes in the payload)');
+  console.log('  --out <file>          Handshake request file (Type 2; default: handshake-<txid>.json)');
+  console.log('  --interaction <hash|file>  Interaction to record (Type 7; a file is hashed with SHA-256)');
+  console.log('  --fields <json|file>  Payload fields for the type\'s codec encoder (e.g. a plugin type)');
+  console.log('  --retries <n>         Retries on the new tip after losing a race (default: 3)');
+  console.log('  --json                Print the outcome as JSON');
+  console.log(PROVIDER_USAGE);
+  console.log(PLUGIN_USAGE);
   process.exit(1);
 }
 
-function wocGet(endpoint) {
-  return new Promise((resolve, reject) => {
-    https.get(`https://api.whatsonchain.com/v1/bsv/main${endpoint}`, {
-      headers: { Accept: 'application/json' }
-    }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        if (res.statusCode === 404) return resolve(null);
-        try { resolve(JSON.parse(d)); }
-        catch { reject(new Error(`Bad JSON: ${d.slice(0, 200)}`)); }
-      });
-    }).on('error', reject);
-  });
-}
-
-function wocGetRaw(endpoint) {
-  return new Promise((resolve, reject) => {
-    https.get(`https://api.whatsonchain.com/v1/bsv/main${endpoint}`, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => resolve(d.trim()));
-    }).on('error', reject);
-  });
-}
-
-function wocBroadcast(txhex) {
-  return new Promise((resolve, reject) => {
-    const postData = JSON.stringify({ txhex });
-    const req = https.request({
-      hostname: 'api.whatsonchain.com',
-      path: '/v1/bsv/main/tx/raw',
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(postData) }
-    }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        if (res.statusCode !== 200) reject(new Error(`Broadcast failed (${res.statusCode}): ${d}`));
-        else resolve(d.replace(/"/g, '').trim());
-      });
-    });
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
-}
+// With --json, stdout carries only the outcome
+const log = args.json ? console.error : console.log;
 
 async function claim() {
-  console.log('🧬 UTXO Organism — Reproduce');
-  console.log(`   Organism: ${TXID.slice(0, 16)}...`);
-  console.log(`   Claimer:  ${ADDRESS}`);
-  console.log();
-
-  // Validate address
-  let addr;
-  try {
-    addr = bsv.Address.fromString(ADDRESS);
-  } catch {
-    console.error('❌ Invalid BSV address');
-    process.exit(1);
+  const net = networkFromArgs(args);
+  const client = OrganismClient.fromArgs(args);
+  const addr = typeof args.address === 'string' ? client.address(args.address) : client.rewardAddress();
+  let payload = readBytesArg(args.payload, 'payload');
+  let fields;
+
+  log('🧬 UTXO Organism — Reproduce');
+  let target = args.txid;
+  if (typeof args.spawn === 'string') {
+    const tip = await client.tipOf(args.spawn);
+    target = tip.txid;
+    log(`   Lineage:  ${tip.spawnTxid.slice(0, 16)}...`);
   }
+  log(`   Organism: ${target.slice(0, 16)}...`);
+  log(`   Claimer:  ${addr.toString()}`);
+  if (payload) log(`   Payload:  ${payload.length / 2} bytes`);
 
-  // Load artifact
-  Organism.loadArtifact(require(ARTIFACT_PATH));
-
-  // Check if UTXO is still unspent
-  const spentInfo = await wocGet(`/tx/${TXID}/0/spent`).catch(() => null);
-  if (spentInfo && spentInfo.txid) {
-    console.error(`❌ This organism UTXO has already been spent.`);
-    console.error(`   Next generation: ${spentInfo.txid}`);
-    console.error(`   Try claiming that one instead.`);
-    process.exit(1);
-  }
+  // What the claim would do; this also fails early on a spent organism
+  const { type, generation: gen, currentBalance, nextBalance, reward, alive } = await client.estimate(target);
 
-  // Fetch organism transaction
-  const txHex = await wocGetRaw(`/tx/${TXID}/hex`);
-  const bsvTx = new bsv.Transaction(txHex);
-
-  // Reconstruct organism from tx
-  const dummyKey = bsv.PrivateKey.fromRandom('mainnet');
-  const provider = new DefaultProvider({ network: bsv.Networks.mainnet });
-  const signer = new TestWallet(dummyKey, provider);
-  await provider.connect();
-
-  const organism = Organism.fromTx(bsvTx, 0);
-  await organism.connect(signer);
-
-  const currentBalance = BigInt(organism.balance);
-  const reward = organism.reward;
-  const fee = organism.fee;
-  const nextBalance = currentBalance - reward - fee;
-  const alive = nextBalance >= organism.dustLimit;
-  const gen = Number(organism.generation);
-
-  console.log(`   Generation: ${gen} → ${gen + 1}`);
-  console.log(`   Balance:    ${currentBalance} → ${Number(nextBalance)} sats`);
-  console.log(`   Reward:     ${Number(reward)} sats`);
-  console.log(`   Survives:   ${alive ? 'yes' : 'no — this is the final generation'}`);
-
-  const claimerPkh = toByteString(addr.hashBuffer.toString('hex'));
-
-  // Build next instance
-  const nextInstance = organism.next();
-  nextInstance.generation = organism.generation + 1n;
-
-  // Custom tx builder
-  organism.bindTxBuilder('claim', (current, options, claimerPkhArg) => {
-    const unsignedTx = new bsv.Transaction();
-    unsignedTx.addInput(current.buildContractInput());
-
-    if (alive) {
-      unsignedTx.addOutput(new bsv.Transaction.Output({
-        script: nextInstance.lockingScript,
-        satoshis: Number(nextBalance),
-      }));
+  if (args.task || args.result) {
+    if (type !== TASK_TYPE) throw new Error(`--task/--result need a Type ${TASK_TYPE} organism; this one is Type ${type}`);
+    if (typeof args.task !== 'string' || typeof args.result !== 'string') {
+      throw new Error('Give both --task <file> and --result <file>');
     }
+    payload = encodeTaskPayload({
+      taskHash: sha256File(args.task),
+      resultHash: sha256File(args.result),
+      claimerPkh: addr.hashBuffer.toString('hex'),
+    });
+    log(`   Task:     ${payload.slice(0, 64)}`);
+    log(`   Result:   ${payload.slice(64, 128)}`);
+  } else if (type === TASK_TYPE && !payload) {
+    throw new Error('Task organisms need --task <file> --result <file>');
+  }
 
-    // OP_RETURN
-    const genBytes = Buffer.alloc(4);
-    genBytes.writeUInt32LE(gen + 1);
-    const typeBytes = Buffer.alloc(1);
-    typeBytes.writeUInt8(Number(organism.organismType));
-    const spawnBytes = Buffer.from(organism.spawnTxid, 'hex');
-
-    const opReturnScript = bsv.Script.buildSafeDataOut([
-      Buffer.from('ORG1'),
-      typeBytes,
-      genBytes,
-      spawnBytes,
-    ]);
-    unsignedTx.addOutput(new bsv.Transaction.Output({
-      script: opReturnScript,
-      satoshis: 0,
-    }));
-
-    // Reward to claimer
-    unsignedTx.addOutput(new bsv.Transaction.Output({
-      script: bsv.Script.buildPublicKeyHashOut(addr),
-      satoshis: Number(reward),
-    }));
-
-    return Promise.resolve({
-      tx: unsignedTx,
-      atInputIndex: 0,
-      nexts: alive
-        ? [{ instance: nextInstance, atOutputIndex: 0, balance: Number(nextBalance) }]
-        : [],
+  if (args.interaction) {
+    if (type !== REPUTATION_TYPE) throw new Error(`--interaction needs a Type ${REPUTATION_TYPE} organism; this one is Type ${type}`);
+    payload = interactionHashArg(String(args.interaction));
+    log(`   Interaction: ${payload}`);
+  } else if (type === REPUTATION_TYPE && !payload) {
+    throw new Error('Reputation organisms need --interaction <hash|file>');
+  }
+  if (args.fields) fields = readJsonArg(args.fields, 'fields');
+  log();
+
+  log(`   Generation: ${gen} → ${gen + 1}`);
+  log(`   Balance:    ${currentBalance} → ${nextBalance} sats`);
+  log(`   Reward:     ${reward} sats`);
+  log(`   Survives:   ${alive ? 'yes' : 'no — this is the final generation'}`);
+
+  log('   Building transaction...');
+
+  const retries = args.retries === undefined ? 3 : Number(args.retries);
+  if (!Number.isInteger(retries) || retries < 0) throw new Error('--retries must be a whole number');
+  const result = await client.race(target, { address: addr, payload, fields, retries, follow: typeof args.spawn === 'string' });
+  for (const lost of result.races) {
+    log(`   🏁 Lost the race for ${lost.txid.slice(0, 16)}...` +
+      (lost.lostTo ? ` to ${lost.lostTo.slice(0, 16)}...${lost.claimer ? ` (${lost.claimer})` : ''}` : ''));
+  }
+  if (args.json) {
+    const { tx, ...outcome } = result;
+    console.log(JSON.stringify(outcome, null, 2));
+  }
+  if (result.outcome === 'lost') {
+    log();
+    log(`   ❌ Lost ${result.attempts} race${result.attempts === 1 ? '' : 's'}; giving up` +
+      (result.lostTo ? ` (last winner: ${result.lostTo})` : ''));
+    process.exitCode = 2;
+    return;
+  }
+  if (result.outcome === 'died') {
+    log();
+    log(`   💀 ${result.reason}`);
+    process.exitCode = 3;
+    return;
+  }
+  if (fields) log(`   Fields:   ${formatPayload(type, result.payload) || `${result.payload.length / 2} bytes`}`);
+  log(`   TX size: ${result.size} bytes`);
+
+  if (result.cosign) {
+    const { cosigner } = result.cosign;
+    const out = typeof args.out === 'string' ? args.out : `handshake-${target.slice(0, 16)}.json`;
+    writeHandshakeRequest(out, {
+      network: net.name,
+      organismTxid: result.organismTxid,
+      claimer: addr.toString(),
+      cosigner,
+      attestation: result.payload,
+      tx: result.tx,
     });
-  });
-
-  console.log('   Building transaction...');
-
-  const callResult = await organism.methods.claim(
-    PubKeyHash(claimerPkh),
-    { autoPayFee: false, partiallySigned: true, estimateFee: false }
-  );
-
-  const txhex = callResult.tx.uncheckedSerialize();
-  console.log(`   TX size: ${txhex.length / 2} bytes`);
-  console.log('   Broadcasting...');
-
-  const txid = await wocBroadcast(txhex);
-
-  console.log();
-  console.log('═══════════════════════════════════════════════');
-  console.log(`   ⚡ Generation ${gen + 1} born!`);
-  console.log(`   TXID:    ${txid}`);
-  console.log(`   Reward:  ${Number(reward)} sats → ${ADDRESS}`);
-  console.log(`   Balance: ${Number(nextBalance)} sats remaining`);
-  if (!alive) console.log(`   💀 Organism has died.`);
-  console.log(`   https://whatsonchain.com/tx/${txid}`);
-  console.log('═══════════════════════════════════════════════');
+
+    log();
+    log('═══════════════════════════════════════════════');
+    log(`   ✍️  Co-signature needed from ${cosigner}`);
+    log(`   Request: ${out}`);
+    log('   Send it to the co-signer; they complete and broadcast with:');
+    log(`   node cosign.cjs --request ${out}${net.name === 'main' ? '' : ` --network ${net.name}`}`);
+    log('═══════════════════════════════════════════════');
+    return;
+  }
+
+  log();
+  log('═══════════════════════════════════════════════');
+  log(`   ⚡ Generation ${result.generation} born!`);
+  log(`   TXID:    ${result.txid}`);
+  log(`   Reward:  ${result.reward} sats → ${addr.toString()}`);
+  log(`   Balance: ${result.balance} sats remaining`);
+  if (!result.alive) log(`   💀 Organism has died.`);
+  const link = explorerTxUrl(net, result.txid);
+  if (link) log(`   ${link}`);
+  log('═══════════════════════════════════════════════');
 }
 
 claim().catch(err => {
   console.error('❌', err.message);
+  if (err.code === 'SPENT') console.error('   Pass --spawn <spawn-txid|name> to follow the lineage to its live tip.');
   process.exit(1);
 });
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// Co-sign a Handshake (Type 2) claim and broadcast it
+//
+// Usage: node cosign.cjs --request <handshake-request.json> [--wallet <path>]
+//
+// The request comes from `claim.cjs` run against a Handshake organism. The
+// wallet must hold the co-signer key the organism was spawned with.
+
+const { bsv } = require('scrypt-ts');
+const { parseArgs } = require('./lib/args.cjs');
+const { providerFromArgs, PROVIDER_USAGE } = require('./lib/providers/index.cjs');
+const { networkFromArgs, defaultWalletPath, explorerTxUrl } = require('./lib/network.cjs');
+const { loadWallet } = require('./lib/wallet.cjs');
+const { cosignClaimTx } = require('./lib/organism.cjs');
+const { readHandshakeRequest } = require('./lib/types/handshake.cjs');
+
+const args = parseArgs();
+
+if (typeof args.request !== 'string') {
+  console.log('Usage: node cosign.cjs --request <handshake-request.json> [--wallet <path>]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --wallet <path>  Co-signer wallet (default: ./wallet.json, or wallet.<network>.json)');
+  console.log('  --dry-run        Print the completed tx instead of broadcasting it');
+  console.log(PROVIDER_USAGE);
+  process.exit(1);
+}
+
+async function cosign() {
+  const net = networkFromArgs(args);
+  const chain = providerFromArgs(args);
+  const request = readHandshakeRequest(args.request);
+  if (request.network !== net.name) {
+    throw new Error(`Request is for ${request.network}, not ${net.name} (pass --network ${request.network})`);
+  }
+  const { privateKey, address } = loadWallet(args.wallet || defaultWalletPath(net), net);
+
+  console.log('🧬 UTXO Organism — Co-sign Handshake');
+  console.log(`   Organism:    ${request.organismTxid.slice(0, 16)}...`);
+  console.log(`   Claimer:     ${request.claimer}`);
+  console.log(`   Co-signer:   ${address.toString()}`);
+  if (request.attestation) console.log(`   Attestation: ${request.attestation.length / 2} bytes`);
+  console.log();
+
+  const spentInfo = await chain.getSpent(request.organismTxid, 0);
+  if (spentInfo) {
+    console.error(`❌ This organism UTXO has already been spent.`);
+    console.error(`   Next generation: ${spentInfo.txid || 'unknown'}`);
+    process.exit(1);
+  }
+
+  const claimer = bsv.Address.fromString(request.claimer, net.bsv);
+  const { tx, generation: gen, reward, nextBalance, alive } = await cosignClaimTx(
+    chain, request.organismTxid, net, claimer,
+    { payload: request.attestation, privateKey, expectTx: request.tx }
+  );
+
+  const txhex = tx.uncheckedSerialize();
+  console.log(`   Generation: ${gen} → ${gen + 1}`);
+  console.log(`   Reward:     ${reward} sats → ${request.claimer}`);
+  console.log(`   TX size: ${txhex.length / 2} bytes`);
+
+  if (args['dry-run']) {
+    console.log();
+    console.log(txhex);
+    return;
+  }
+
+  console.log('   Broadcasting...');
+  const txid = await chain.broadcast(txhex);
+
+  console.log();
+  console.log('═══════════════════════════════════════════════');
+  console.log(`   🤝 Generation ${gen + 1} born!`);
+  console.log(`   TXID:    ${txid}`);
+  console.log(`   Balance: ${nextBalance} sats remaining`);
+  if (!alive) console.log(`   💀 Organism has died.`);
+  const link = explorerTxUrl(net, txid);
+  if (link) console.log(`   ${link}`);
+  console.log('═══════════════════════════════════════════════');
+}
+
+cosign().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Predator/Prey (Type 6) hunt: a predator eats a prey organism
+//
+// Usage:
+//   node hunt.cjs --predator <txid> --prey <txid> --address <your-bsv-address>
+//
+// Both txids may be any generation; each is followed to its live tip. The
+// prey's balance moves into the predator (balance and energy), the prey
+// lineage ends, and the hunter gets the predator's reward.
+// Spawn them with: node spawn.cjs --type 6 --species <prey|predator>
+
+const { bsv } = require('scrypt-ts');
+const { parseArgs } = require('./lib/args.cjs');
+const { providerFromArgs, PROVIDER_USAGE } = require('./lib/providers/index.cjs');
+const { networkFromArgs, explorerTxUrl } = require('./lib/network.cjs');
+const { loadTip, organismType, buildHuntTx } = require('./lib/organism.cjs');
+const { PREDATOR_TYPE, SPECIES } = require('./lib/types/predator.cjs');
+
+const args = parseArgs();
+
+if (typeof args.predator !== 'string' || typeof args.prey !== 'string' || typeof args.address !== 'string') {
+  console.log('Usage: node hunt.cjs --predator <txid> --prey <txid> --address <your-bsv-address>');
+  console.log('');
+  console.log('Options:');
+  console.log(PROVIDER_USAGE);
+  process.exit(1);
+}
+
+// Live Type 6 organism at the tip of the lineage containing `txid`
+async function loadLiving(chain, txid, net) {
+  const organism = await loadTip(chain, txid, net);
+  if (organismType(organism) !== PREDATOR_TYPE) {
+    throw new Error(`${organism.from.tx.id.slice(0, 16)}... is a Type ${organismType(organism)} organism, not Predator/Prey`);
+  }
+  return organism;
+}
+
+async function hunt() {
+  const net = networkFromArgs(args);
+  const chain = providerFromArgs(args);
+
+  let hunter;
+  try {
+    hunter = bsv.Address.fromString(args.address, net.bsv);
+  } catch {
+    throw new Error(`Invalid BSV address for ${net.name}`);
+  }
+
+  const predator = await loadLiving(chain, args.predator, net);
+  const prey = await loadLiving(chain, args.prey, net);
+
+  console.log('🦊 UTXO Organism — Hunt');
+  for (const [label, organism] of [['Predator', predator], ['Prey', prey]]) {
+    console.log(
+      `   ${label.padEnd(9)}${organism.from.tx.id.slice(0, 16)}... (gen ${organism.generation}, ` +
+      `${SPECIES[Number(organism.species)]}) | ${Number(organism.balance)} sats | energy ${organism.energy}`
+    );
+  }
+  console.log(`   Hunter:  ${hunter.toString()}`);
+
+  const { tx, preyBalance, energy, nextBalance, reward, alive } = await buildHuntTx(predator, prey, hunter);
+  const txid = await chain.broadcast(tx.uncheckedSerialize());
+
+  console.log();
+  console.log('═══════════════════════════════════════════════');
+  console.log(`   🍖 Prey eaten: +${preyBalance} sats`);
+  console.log(`   TXID:    ${txid}`);
+  console.log(`   Energy:  ${energy}`);
+  console.log(`   Reward:  ${reward} sats → ${hunter.toString()}`);
+  if (alive) {
+    console.log(`   Balance: ${nextBalance} sats`);
+  } else {
+    console.log(`   💀 The predator has died too (balance exhausted).`);
+  }
+  const link = explorerTxUrl(net, txid);
+  if (link) console.log(`   ${link}`);
+  console.log('═══════════════════════════════════════════════');
+}
+
+hunt().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
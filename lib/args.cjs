@@ -0,0 +1,53 @@
+// Tiny argv parser shared by the CLIs.
+//
+//   --key value   -> args.key = 'value'
+//   --flag        -> args.flag = true (when followed by another --option or nothing)
+//   anything else -> args._ (positional)
+
+const fs = require('fs');
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (!token.startsWith('--')) {
+      args._.push(token);
+      continue;
+    }
+    const key = token.replace(/^--/, '');
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+// Resolve a "<hex|file>" option to lowercase hex: an existing file is read as
+// raw bytes, otherwise the value must be an even-length hex string
+function readBytesArg(value, name) {
+  if (value === undefined || value === true) return '';
+  if (fs.existsSync(value) && fs.statSync(value).isFile()) {
+    return fs.readFileSync(value).toString('hex');
+  }
+  if (!/^([0-9a-fA-F]{2})*$/.test(value)) {
+    throw new Error(`--${name} must be hex or a path to a file`);
+  }
+  return value.toLowerCase();
+}
+
+// Resolve a "<json|file>" option: an existing file is parsed as JSON,
+// otherwise the value itself must be JSON
+function readJsonArg(value, name) {
+  const text = fs.existsSync(value) && fs.statSync(value).isFile() ? fs.readFileSync(value, 'utf-8') : value;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`--${name} must be JSON or a path to a JSON file`);
+  }
+}
+
+module.exports = { parseArgs, readBytesArg, readJsonArg };
@@ -0,0 +1,687 @@
+// JavaScript SDK: spawn, claim, fund and trace organisms from your own code.
+//
+//   const { OrganismClient } = require('utxo-organisms');
+//   const client = new OrganismClient({ network: 'test', wallet: 'wallet.test.json', passphrase: '...' });
+//   const { txid } = await client.spawn({ budget: 20000 });
+//   const gen1 = await client.claim(txid, { address: 'mxyz...' });
+//   const { lineage, summary } = await client.trace(txid);
+//
+// Methods return plain data and throw the typed errors of lib/errors.cjs
+// (re-exported here); nothing prints or exits. The CLIs are thin wrappers
+// around this class.
+
+const path = require('path');
+const { bsv } = require('scrypt-ts');
+const { getNetwork, networkFromArgs, stateDirs, defaultWalletPath } = require('./network.cjs');
+const { createProvider, providerFromArgs } = require('./providers/index.cjs');
+const { readWallet, askPassphrase } = require('./wallet.cjs');
+const { loadPlugins } = require('./plugins.cjs');
+const { decodeORG1Script, decodeAllORG1 } = require('./org1.cjs');
+const {
+  DUST_LIMIT, organismType, generationsLeft, createOrganism, buildSpawnTx, loadFromChain, loadTip, followToTip,
+  claimPlan, buildClaimTx, buildFundTx, p2pkhInput,
+} = require('./organism.cjs');
+const { getRewardAddress, cachedTip, traceLineage, summarizeLineage } = require('./lineage.cjs');
+const { Catalogue, indexChain, indexBlockFiles } = require('./indexer.cjs');
+const { openStore } = require('./store.cjs');
+const { codecFor, decodePayload } = require('./types/index.cjs');
+const {
+  DEFAULT_FEE_RATE, feeForSize, feeRateOf, claimTxSize, checkGenerationFee, feeRateFromArgs,
+} = require('./fees.cjs');
+const {
+  DEFAULT_STRATEGY, CHANGE_OUTPUT_SIZE, outpoint, selectCoins, readReservations, unreserved, reserveCoins, releaseCoins,
+  coinSelectionFromArgs,
+} = require('./coins.cjs');
+const { HANDSHAKE_TYPE } = require('./types/handshake.cjs');
+const { PREDATOR_TYPE, SPECIES } = require('./types/predator.cjs');
+const errors = require('./errors.cjs');
+
+const {
+  InvalidArgumentError, NotFoundError, OrganismSpentError, ClaimConflictError, OrganismDeadError,
+  InsufficientFundsError, DustChangeError, isConflictError,
+} = errors;
+
+const TXID_PATTERN = /^[0-9a-f]{64}$/i;
+
+function delay(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function positiveInt(value, name) {
+  if (!Number.isInteger(value) || value <= 0) throw new InvalidArgumentError(`${name} must be a positive whole number of sats`);
+  return value;
+}
+
+function txidArg(value, name = 'txid') {
+  if (typeof value !== 'string' || !TXID_PATTERN.test(value)) {
+    throw new InvalidArgumentError(`${name} must be a 32-byte hex TXID`);
+  }
+  return value.toLowerCase();
+}
+
+class OrganismClient {
+  // network:  'main' | 'test' | 'regtest' (default: main)
+  // chain:    a provider instance (lib/providers), or
+  // provider: a provider name plus `providerOptions` (default: woc)
+  // privateKey: WIF or bsv.PrivateKey that funds spawns and feeds, or
+  // wallet:   path to a wallet file (default: the network's wallet.json),
+  //           read the first time a key or address is needed
+  // passphrase: of an encrypted wallet file, or an async function asked for
+  //           it by unlock()
+  // dirs:     { organisms, lineage, reservations, store } state dirs, UTXO
+  //           reservation file and lineage store (default: the network's; the
+  //           store defaults to lineage.db in the lineage dir)
+  // feeRate:  sats/kB for spawn and fund txs (default: the provider's quote,
+  //           or DEFAULT_FEE_RATE)
+  // coinSelection: strategy picking the wallet UTXOs they spend (lib/coins.cjs)
+  constructor({
+    network = 'main', chain = null, provider = 'woc', providerOptions = {},
+    privateKey = null, wallet = null, passphrase = null, dirs = null, feeRate = null, coinSelection = null,
+  } = {}) {
+    this.net = getNetwork(network);
+    this.chain = chain || createProvider(provider, { network: this.net.bsv, url: this.net.wocUrl, ...providerOptions });
+    const defaults = stateDirs(this.net);
+    const lineageDir = (dirs && dirs.lineage) || defaults.lineage;
+    this.dirs = { ...defaults, store: path.join(lineageDir, 'lineage.db'), ...dirs };
+    this.db = null;  // the LineageStore, once opened
+    this.walletPath = wallet || defaultWalletPath(this.net);
+    this.key = typeof privateKey === 'string' ? bsv.PrivateKey.fromWIF(privateKey) : privateKey;
+    this.store = this.key ? null : undefined;  // the wallet file's Wallet, once read
+    this.passphrase = passphrase;
+    this.rate = feeRate;
+    this.coinSelection = coinSelection || DEFAULT_STRATEGY;
+  }
+
+  // Client configured from CLI args and environment, with plugins loaded
+  static fromArgs(args, env = process.env) {
+    loadPlugins(args, env);
+    return new OrganismClient({
+      network: networkFromArgs(args, env).name,
+      chain: providerFromArgs(args, env),
+      wallet: typeof args.wallet === 'string' ? args.wallet : null,
+      passphrase: () => askPassphrase('Wallet passphrase: ', { env }),
+      feeRate: feeRateFromArgs(args, env),
+      coinSelection: coinSelectionFromArgs(args, env),
+    });
+  }
+
+  // Fee rate in sats/kB, asked of the provider once if none was set
+  async feeRate() {
+    if (this.rate === null) {
+      let quoted = null;
+      if (this.chain.getFeeRate) {
+        try { quoted = await this.chain.getFeeRate(); } catch {}
+      }
+      this.rate = quoted > 0 ? quoted : DEFAULT_FEE_RATE;
+    }
+    return this.rate;
+  }
+
+  // Per-generation fee of a new organism against the size of its claims
+  // (lib/fees.cjs checkGenerationFee), taking the same options as spawn()
+  async checkFee({ type = 0, reward = 1000, fee = 3000, dustLimit = DUST_LIMIT, ...options } = {}) {
+    const organism = createOrganism({ type, reward, fee, dustLimit, ...this.contractOptions(options) });
+    const claimSize = claimTxSize(organism.lockingScript.toBuffer().length, options.maxPayload || 0);
+    return checkGenerationFee(fee, claimSize, await this.feeRate());
+  }
+
+  // Contract options of spawn(), parsed
+  contractOptions({
+    maxPayload = 0, tag = '', cosigner = null, timeout = 0, subject = null, species = 0, watch = null, window = 0,
+  }) {
+    if (!/^([0-9a-f]{2})*$/i.test(tag)) throw new InvalidArgumentError('Tag must be hex');
+    const options = {
+      maxPayload,
+      tag: tag.toLowerCase(),
+      cosigner: cosigner && this.address(cosigner, 'co-signer'),
+      timeout,
+      subject: subject && this.address(subject, 'subject'),
+      species: typeof species === 'string' ? SPECIES.indexOf(species) : species,
+      watch: watch && txidArg(watch, 'Watched TXID'),
+      window,
+    };
+    if (!SPECIES[options.species]) throw new InvalidArgumentError(`Species must be one of: ${SPECIES.join(', ')}`);
+    return options;
+  }
+
+  // Build and sign a tx with `build(fee, utxos)` until `fee` covers its size
+  // at the fee rate, or once with a `fixed` fee. `amount` is what it spends
+  // from the wallet on top of the fee, from the coins `strategy` selects;
+  // they stay reserved for the broadcast (broadcastFunded). Change at or
+  // below the dust limit throws DustChangeError unless `burnDust`. Returns
+  // { built, fee, size, coins, available, change }.
+  async sized(build, { fixed = null, amount, strategy = this.coinSelection, burnDust = false }) {
+    const { address } = this.signer();
+    const rate = await this.feeRate();
+    const changeCost = feeForSize(CHANGE_OUTPUT_SIZE, rate);
+    const utxos = await this.walletUtxos();
+    const lost = new Set();
+    for (;;) {
+      const pool = unreserved(utxos, this.dirs.reservations).filter(u => !lost.has(outpoint(u)));
+      const available = pool.reduce((s, u) => s + u.value, 0);
+      if (available < amount + (fixed || 1)) throw new InsufficientFundsError(amount + (fixed || 1), available, address.toString());
+      let fee = fixed ?? feeForSize(1000, rate);
+      let built, size, coins;
+      for (let pass = 0; ; pass++) {
+        if (available < amount + fee) throw new InsufficientFundsError(amount + fee, available, address.toString());
+        coins = selectCoins(pool, amount + fee, { strategy, changeCost }).utxos;
+        built = await build(fee, coins);
+        size = built.tx.uncheckedSerialize().length / 2;
+        const needed = feeForSize(size, rate);
+        // A pass can drop or add the change output; settle for any fee that covers the size
+        if (fixed !== null || fee === needed || (pass > 0 && fee > needed) || pass === 2) break;
+        fee = needed;
+      }
+      const change = coins.reduce((s, u) => s + u.value, 0) - amount - fee;
+      if (change > changeCost && change <= DUST_LIMIT && !burnDust) throw new DustChangeError(change, DUST_LIMIT);
+      // Another spawn or feed may have reserved some of the coins since the pool was read
+      const taken = reserveCoins(this.dirs.reservations, coins);
+      if (taken.length === 0) return { built, fee, size, coins, available, change: change > DUST_LIMIT ? change : 0 };
+      for (const o of taken) lost.add(o);
+    }
+  }
+
+  // The wallet file (lib/wallet.cjs Wallet), or null when the client was
+  // given a privateKey
+  keystore() {
+    if (this.store === undefined) this.store = readWallet(this.walletPath, this.net);
+    return this.store;
+  }
+
+  // Unlock an encrypted wallet, asking `passphrase` for it if that's a function
+  async unlock() {
+    const store = this.keystore();
+    if (store && store.locked && typeof this.passphrase === 'function') this.passphrase = await this.passphrase();
+    return this.signer();
+  }
+
+  // The key and address of the wallet address (receive address 0 of an HD wallet)
+  signer() {
+    if (!this.key) {
+      const store = this.keystore();
+      if (store.locked) {
+        if (typeof this.passphrase !== 'string') {
+          throw new InvalidArgumentError(`Wallet ${this.walletPath} is encrypted: pass its passphrase, or await unlock() first`);
+        }
+        store.unlock(this.passphrase);
+      }
+      this.key = store.keyFor(store.address);
+    }
+    return { privateKey: this.key, address: this.key.toAddress(this.net.bsv) };
+  }
+
+  // Every address that may hold the wallet's funds; needs no passphrase
+  walletAddresses() {
+    const store = this.keystore();
+    return store ? store.addresses() : [this.signer().address];
+  }
+
+  // Signing keys for `utxos` of the wallet
+  keysFor(utxos) {
+    const store = this.keystore();
+    if (!store) return [this.signer().privateKey];
+    this.signer();
+    const addresses = [...new Set(utxos.map(u => u.address || store.data.address))];
+    return addresses.map(a => store.keyFor(a));
+  }
+
+  // A fresh `receive` or `change` address of an HD wallet, else the wallet
+  // address; needs no passphrase
+  freshAddress(chain) {
+    const store = this.keystore();
+    return store ? store.freshAddress(chain) : this.signer().address;
+  }
+
+  // The `receive` or `change` address a tx would pay; it is only handed out
+  // by useAddress() once that tx is broadcast, so failed spends and lost
+  // races leave no unused run of addresses behind
+  nextAddress(chain) {
+    const store = this.keystore();
+    return store ? store.nextAddress(chain) : this.signer().address;
+  }
+
+  useAddress(chain, address) {
+    const store = this.keystore();
+    if (store) store.useAddress(chain, address);
+  }
+
+  // Where a claim without an address pays its reward: the next receive
+  // address, handed out once a claim paying it is broadcast
+  rewardAddress() {
+    return this.nextAddress('receive');
+  }
+
+  address(value, name = 'claimer') {
+    if (value instanceof bsv.Address) return value;
+    try {
+      return bsv.Address.fromString(value, this.net.bsv);
+    } catch {
+      throw new InvalidArgumentError(`Invalid ${name} address for ${this.net.name}`);
+    }
+  }
+
+  // The organism at `txid`, or at the tip of its lineage with `follow`
+  async load(txid, { follow = false } = {}) {
+    txid = txidArg(txid);
+    if (follow) return loadTip(this.chain, txid, this.net);
+    const spent = await this.chain.getSpent(txid, 0);
+    if (spent) throw new OrganismSpentError(txid, spent.txid || null);
+    return loadFromChain(this.chain, txid, this.net);
+  }
+
+  // The lineage store (lib/store.cjs), opened the first time it's needed
+  lineageStore() {
+    if (!this.db) this.db = openStore(this.dirs);
+    return this.db;
+  }
+
+  // Spawn states of the organisms spawned here, each with its `file` name
+  localStates() {
+    return this.lineageStore().states();
+  }
+
+  // Spawn txid of a lineage: a spawn txid itself, or an organism spawned here
+  // by its name (spawn --name), state file name or a txid prefix
+  resolveSpawn(ref) {
+    if (typeof ref !== 'string' || !ref) throw new InvalidArgumentError('Give a spawn TXID or organism name');
+    if (TXID_PATTERN.test(ref)) return ref.toLowerCase();
+    const states = this.localStates();
+    const prefix = /^[0-9a-f]{8,}$/i.test(ref) ? ref.toLowerCase() : null;
+    const matches = states.filter(state => state.spawnTxid && (
+      state.name === ref || state.file === ref || (prefix && state.spawnTxid.startsWith(prefix))
+    ));
+    if (matches.length === 0) throw new NotFoundError(`No organism named ${ref} in ${this.dirs.store}`, { name: ref });
+    if (matches.length > 1) {
+      throw new InvalidArgumentError(`${ref} matches ${matches.length} organisms: ${matches.map(m => m.spawnTxid.slice(0, 16)).join(', ')}`);
+    }
+    return matches[0].spawnTxid;
+  }
+
+  // Live tip of the lineage `ref` (see resolveSpawn), followed from the last
+  // generation in the lineage store: { spawnTxid, txid }
+  async tipOf(ref) {
+    const spawnTxid = this.resolveSpawn(ref);
+    return { spawnTxid, txid: await followToTip(this.chain, cachedTip(spawnTxid, this.lineageStore())) };
+  }
+
+  // The UTXOs at every wallet address, each with its `address`
+  async walletUtxos() {
+    const utxos = [];
+    for (const [i, address] of this.walletAddresses().entries()) {
+      // One lookup per address; keep to the provider's rate limit
+      if (i > 0) await delay(this.chain.rateLimitMs);
+      for (const u of await this.chain.listUnspent(address.toString())) utxos.push({ ...u, address: address.toString() });
+    }
+    return utxos;
+  }
+
+  // The wallet's UTXOs, largest first, each with `reserved`: the time its
+  // reservation for a tx in flight expires, or null
+  async utxos() {
+    const reservations = readReservations(this.dirs.reservations);
+    const utxos = await this.walletUtxos();
+    return utxos
+      .map(u => {
+        const until = reservations[outpoint(u)];
+        return { ...u, reserved: until ? new Date(until).toISOString() : null };
+      })
+      .sort((a, b) => b.value - a.value);
+  }
+
+  // Broadcast a tx spending the wallet `coins` reserved by sized(). A failed
+  // broadcast releases them; a sent one keeps them reserved until the
+  // reservation expires, while providers catch up with the spend.
+  async broadcastFunded(txhex, coins) {
+    try {
+      return await this.chain.broadcast(txhex);
+    } catch (err) {
+      releaseCoins(this.dirs.reservations, coins);
+      throw err;
+    }
+  }
+
+  // Lifetime of a new organism ({ budget, reward, fee, dustLimit }), or what
+  // the next claim on a living one (a txid) would do
+  async estimate(target = {}, { follow = false } = {}) {
+    if (typeof target === 'string') {
+      const organism = await this.load(target, { follow });
+      const plan = claimPlan(organism);
+      const fee = Number(organism.fee);
+      return {
+        txid: organism.from.tx.id,
+        type: organismType(organism),
+        ...plan,
+        fee,
+        dustLimit: Number(organism.dustLimit),
+        generationsLeft: generationsLeft(plan.currentBalance, plan.reward, fee, Number(organism.dustLimit)),
+      };
+    }
+    const { budget = 100000, reward = 1000, fee = 3000, dustLimit = DUST_LIMIT } = target;
+    const generations = generationsLeft(budget, reward, fee, dustLimit);
+    return { budget, reward, fee, dustLimit, generations, rewards: generations * reward, fees: generations * fee };
+  }
+
+  // Spawn a new organism funded from the wallet. Unless `save` is false, its
+  // state is kept in the lineage store for the scanner; `name` lets claims
+  // and feeds find it later (tipOf). The spawn tx's own miner fee is sized
+  // to the signed tx unless `spawnFee` is given; `feeCheck` in the result
+  // compares the per-generation `fee` with the size of a claim (checkFee).
+  // `coinSelection` and `burnDust` override the wallet's (see sized).
+  async spawn({
+    type = 0, budget = 100000, reward = 1000, fee = 3000, dustLimit = DUST_LIMIT,
+    spawnFee = null, save = true, name = null, coinSelection = this.coinSelection, burnDust = false, ...rest
+  } = {}) {
+    positiveInt(budget, 'Budget');
+    positiveInt(reward, 'Reward');
+    positiveInt(fee, 'Fee');
+    if (spawnFee !== null) positiveInt(spawnFee, 'Spawn fee');
+    const options = this.contractOptions(rest);
+    const { maxPayload, timeout, window } = options;
+    if (name !== null) {
+      if (!/^[\w.-]+$/.test(name)) throw new InvalidArgumentError('Name may only use letters, digits, "_", "." and "-"');
+      if (this.localStates().some(state => state.name === name)) throw new InvalidArgumentError(`An organism named ${name} already exists`);
+    }
+
+    const { address } = this.signer();
+    const changeAddress = this.nextAddress('change');
+    const { built: { tx, change, organism }, fee: paid, size, coins, available } = await this.sized((minerFee, utxos) => {
+      const built = buildSpawnTx({
+        type, budget, reward, fee, dustLimit, ...options, utxos, address, changeAddress, spawnFee: minerFee,
+      });
+      built.tx.sign(this.keysFor(utxos));
+      return built;
+    }, { fixed: spawnFee, amount: budget, strategy: coinSelection, burnDust });
+    // The coins are reserved from here on; anything that fails before the
+    // broadcast must hand them back
+    let feeCheck, txhex;
+    try {
+      feeCheck = checkGenerationFee(
+        fee, claimTxSize(organism.lockingScript.toBuffer().length, maxPayload), await this.feeRate()
+      );
+      txhex = tx.serialize();
+    } catch (err) {
+      releaseCoins(this.dirs.reservations, coins);
+      throw err;
+    }
+    const txid = await this.broadcastFunded(txhex, coins);
+    if (change > 0) this.useAddress('change', changeAddress);
+
+    const state = {
+      network: this.net.name,
+      ...(name && { name }),
+      spawnTxid: txid,
+      type,
+      reward,
+      fee,
+      dustLimit,
+      maxPayload,
+      tag: options.tag,
+      ...(options.cosigner && { cosigner: options.cosigner.toString() }),
+      ...(timeout && { timeout }),
+      ...(options.subject && { subject: options.subject.toString() }),
+      ...(type === PREDATOR_TYPE && { species: SPECIES[options.species] }),
+      ...(options.watch && { watch: options.watch }),
+      ...(window && { window }),
+      budget,
+      generation: 0,
+      currentTxid: txid,
+      currentOutputIndex: 0,
+      spawnedAt: new Date().toISOString(),
+    };
+    let statePath = null;
+    if (save) {
+      this.lineageStore().saveState(state);
+      statePath = this.dirs.store;
+    }
+
+    return {
+      txid,
+      tx: txhex,
+      size,
+      spawnFee: paid,
+      feeRate: feeRateOf(paid, size),
+      available,
+      inputs: coins.length,
+      change,
+      generations: generationsLeft(budget, reward, fee, dustLimit),
+      feeCheck,
+      state,
+      statePath,
+    };
+  }
+
+  // Reproduce the organism at `txid`, paying the reward to `address`
+  // (default: the next receive address of the wallet, see rewardAddress).
+  // `payload` is hex; `fields` are encoded by the type's codec instead. A
+  // Handshake claim is not broadcast: it comes back with `cosign` set, for
+  // the co-signer to complete (cosign.cjs). Throws ClaimConflictError when
+  // another claimer got there first.
+  async claim(txid, { address = null, payload = '', fields, follow = false, ...extra } = {}) {
+    let claimer = address === null ? null : this.address(address);
+    const organism = await this.load(txid, { follow });
+    const type = organismType(organism);
+
+    if (fields !== undefined) {
+      const codec = codecFor(type);
+      if (!codec || !codec.encode) {
+        throw new InvalidArgumentError(`Type ${type} has no codec with an encoder for fields (load one with a plugin)`);
+      }
+      try {
+        payload = codec.encode(fields);
+      } catch (err) {
+        throw new InvalidArgumentError(err.message);
+      }
+    }
+    if (!/^([0-9a-f]{2})*$/i.test(payload)) throw new InvalidArgumentError('Payload must be hex');
+    payload = payload.toLowerCase();
+
+    if (!claimer) claimer = this.rewardAddress();
+    const { tx, spawnTxid, generation, nextBalance, reward, alive } = await buildClaimTx(organism, claimer, { payload, ...extra });
+    const txhex = tx.uncheckedSerialize();
+    const result = {
+      txid: null,
+      organismTxid: organism.from.tx.id,
+      spawnTxid,
+      type,
+      generation: generation + 1,
+      reward,
+      balance: alive ? nextBalance : 0,
+      alive,
+      claimer: claimer.toString(),
+      payload,
+      tx: txhex,
+      size: txhex.length / 2,
+    };
+
+    if (type === HANDSHAKE_TYPE && !extra.cosignerSig) {
+      const cosigner = bsv.Address.fromPublicKeyHash(Buffer.from(organism.cosignerPkh, 'hex'), this.net.bsv).toString();
+      // The co-signer broadcasts it, paying the address in the request
+      this.useAddress('receive', claimer);
+      return { ...result, cosign: { cosigner } };
+    }
+    try {
+      const sent = await this.chain.broadcast(txhex);
+      this.useAddress('receive', claimer);
+      return { ...result, txid: sent };
+    } catch (err) {
+      if (!isConflictError(err)) throw err;
+      const spent = await this.chain.getSpent(result.organismTxid, 0);
+      throw new ClaimConflictError(result.organismTxid, spent && spent.txid, err.message);
+    }
+  }
+
+  // Claim like claim(), but settle a lost race instead of throwing: retarget
+  // the tip the winner left and try again, up to `retries` times. Returns
+  // the claim result with `outcome`:
+  //   'won'  — this claim was broadcast
+  //   'lost' — every attempt lost; `lostTo` is the last winning txid
+  //   'died' — the organism has no live tip left to claim (`lostTo` is set if
+  //            a rival took the final generation)
+  // plus `attempts` and `races` ({ txid, lostTo, claimer } for each race lost).
+  async race(txid, { retries = 3, ...options } = {}) {
+    // Every attempt pays the same address
+    if (options.address == null) options.address = this.rewardAddress();
+    const races = [];
+    let target = txidArg(txid);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.claim(target, { ...options, follow: options.follow || attempt > 1 });
+        return { outcome: 'won', ...result, attempts: attempt, races };
+      } catch (err) {
+        const lostTo = races.length ? races[races.length - 1].lostTo : null;
+        if (err instanceof OrganismDeadError) {
+          return { outcome: 'died', txid: null, lostTo, reason: err.message, attempts: attempt, races };
+        }
+        if (!(err instanceof ClaimConflictError || err instanceof OrganismSpentError)) throw err;
+        const winner = err.spentBy || err.nextTxid || null;
+        races.push({ txid: err.txid, lostTo: winner, claimer: winner && await this.claimerOf(winner) });
+        if (attempt > retries) return { outcome: 'lost', txid: null, lostTo: winner, attempts: attempt, races };
+        if (winner) target = winner;
+      }
+    }
+  }
+
+  // Address a claim tx paid its reward to, or null if it can't be fetched
+  async claimerOf(txid) {
+    const tx = await this.chain.getTx(txid);
+    return tx ? getRewardAddress(tx) : null;
+  }
+
+  // Feed the organism at `txid` from the wallet without reproducing it. The
+  // miner fee is sized to the signed tx unless `fee` is given.
+  async fund(txid, { amount, fee = null, follow = false, coinSelection = this.coinSelection, burnDust = false } = {}) {
+    positiveInt(amount, 'Amount');
+    if (fee !== null) positiveInt(fee, 'Fee');
+    const organism = await this.load(txid, { follow });
+    const { address } = this.signer();
+    const changeAddress = this.nextAddress('change');
+
+    const before = Number(organism.balance);
+    const after = before + amount;
+    const reward = Number(organism.reward);
+    const perGenFee = Number(organism.fee);
+    const dustLimit = Number(organism.dustLimit);
+
+    const { built: { tx }, fee: paid, size, coins, change } = await this.sized(
+      (minerFee, utxos) => buildFundTx(organism, {
+        amount, fee: minerFee, utxos, privateKey: this.keysFor(utxos), address, changeAddress,
+      }),
+      { fixed: fee, amount, strategy: coinSelection, burnDust }
+    );
+    const txhex = tx.uncheckedSerialize();
+    const sent = await this.broadcastFunded(txhex, coins);
+    if (change > 0) this.useAddress('change', changeAddress);
+    return {
+      txid: sent,
+      organismTxid: organism.from.tx.id,
+      amount,
+      fee: paid,
+      feeRate: feeRateOf(paid, size),
+      inputs: coins.length,
+      change,
+      balance: { before, after },
+      generations: {
+        before: generationsLeft(before, reward, perGenFee, dustLimit),
+        after: generationsLeft(after, reward, perGenFee, dustLimit),
+      },
+      tx: txhex,
+      size,
+    };
+  }
+
+  // Merge the wallet's unreserved UTXOs into one output back to the wallet.
+  // The miner fee is sized to the signed tx unless `fee` is given.
+  async consolidate({ fee = null } = {}) {
+    if (fee !== null) positiveInt(fee, 'Fee');
+    const { address } = this.signer();
+    const count = (await this.utxos()).filter(u => !u.reserved).length;
+    if (count < 2) throw new InvalidArgumentError(`Nothing to consolidate: the wallet has ${count} unreserved UTXO${count === 1 ? '' : 's'}`);
+    const to = this.nextAddress('change');
+
+    const { built: { tx }, fee: paid, size, coins, change } = await this.sized((minerFee, utxos) => {
+      const sum = utxos.reduce((s, u) => s + u.value, 0);
+      if (sum - minerFee <= DUST_LIMIT) throw new InsufficientFundsError(minerFee + DUST_LIMIT + 1, sum, address.toString());
+      const built = { tx: new bsv.Transaction() };
+      for (const utxo of utxos) built.tx.from(p2pkhInput(utxo, address));
+      built.tx.addOutput(new bsv.Transaction.Output({
+        script: bsv.Script.buildPublicKeyHashOut(to),
+        satoshis: sum - minerFee,
+      }));
+      built.tx.sign(this.keysFor(utxos));
+      return built;
+    }, { fixed: fee, amount: 0, strategy: 'consolidate' });
+    const txhex = tx.uncheckedSerialize();
+    const sent = await this.broadcastFunded(txhex, coins);
+    this.useAddress('change', to);
+    return {
+      txid: sent,
+      inputs: coins.length,
+      address: to.toString(),
+      amount: change,
+      fee: paid,
+      feeRate: feeRateOf(paid, size),
+      tx: txhex,
+      size,
+    };
+  }
+
+  // Walk the lineage of `spawnTxid` (see lib/lineage.cjs for the entries and
+  // the onResume / onGeneration callbacks)
+  async trace(spawnTxid, callbacks = {}) {
+    const result = await traceLineage(txidArg(spawnTxid, 'Spawn TXID'), this.chain, {
+      net: this.net, store: this.lineageStore(), ...callbacks,
+    });
+    if (result.lineage.length === 0) throw new NotFoundError(`Transaction not found: ${spawnTxid}`, { txid: spawnTxid });
+    return { ...result, summary: summarizeLineage(result.lineage) };
+  }
+
+  // Index the network's organisms into the lineage store (lib/indexer.cjs):
+  // the provider's blocks `from` / `to` (default: on from the last indexed, to
+  // the tip), or the raw block `files` given. Returns { blocks, changed,
+  // height, summary }.
+  async index({ from = null, to = null, files = null, onBlock } = {}) {
+    const catalogue = new Catalogue(this.lineageStore());
+    const result = files
+      ? await indexBlockFiles(files, catalogue, { chain: this.chain, onBlock })
+      : await indexChain(this.chain, catalogue, { from, to, onBlock });
+    return { ...result, height: catalogue.height, summary: this.lineageStore().summary() };
+  }
+
+  // Every organism known here (spawned, traced or indexed), optionally of one
+  // `type` and `status`, or claimed by `claimer`
+  organisms({ type = null, status = null, claimer = null } = {}) {
+    return this.lineageStore().query({ type, status, claimer: claimer && this.address(claimer).toString() });
+  }
+
+  // Every traced generation `address` claimed, with its reward
+  claims(address) {
+    return this.lineageStore().claims(this.address(address).toString());
+  }
+
+  // Every ORG1 record in a tx: a txid (fetched), raw hex, bsv.Transaction or
+  // provider tx JSON. Records of types with a codec get `name` and `fields`.
+  async decodeORG1(tx) {
+    if (typeof tx === 'string' && TXID_PATTERN.test(tx)) {
+      const raw = await this.chain.getRawTx(tx.toLowerCase());
+      if (!raw) throw new NotFoundError(`Transaction not found: ${tx}`, { txid: tx });
+      tx = raw;
+    }
+    let records;
+    if (typeof tx === 'string' || tx instanceof bsv.Transaction) {
+      let parsed;
+      try {
+        parsed = typeof tx === 'string' ? new bsv.Transaction(tx) : tx;
+      } catch {
+        throw new InvalidArgumentError('Not a transaction: expected a txid or raw tx hex');
+      }
+      records = parsed.outputs.map(out => decodeORG1Script(out.script.toHex())).filter(Boolean);
+    } else {
+      records = decodeAllORG1(tx);
+    }
+    return records.map(record => ({
+      ...record,
+      name: codecFor(record.type)?.name ?? null,
+      fields: record.payload ? decodePayload(record.type, record.payload) : null,
+    }));
+  }
+}
+
+module.exports = { OrganismClient, DEFAULT_FEE_RATE, ...errors };
@@ -0,0 +1,251 @@
+// Coin selection and UTXO reservations for the funding wallet.
+//
+// Spawns, feeds and consolidations spend only the wallet UTXOs a strategy
+// picks for the amount plus fee:
+//   branch-and-bound  a set with no change left over (an excess no bigger
+//                     than a change output would cost), else largest-first
+//   largest-first     the biggest coins until the target is covered
+//   consolidate       every coin, merging them into the change output
+// A selection whose change would fall at or below the dust limit, and so be
+// burned as fee, takes one more coin where that lifts the change over it.
+//
+// Coins picked for a tx are reserved in a per-network file until the
+// reservation expires, so concurrent spawns and feeds, in one process or
+// several, never pick the same coins. A failed broadcast releases them.
+// Every change to the file is made holding an exclusive lockfile beside it
+// (`<file>.lock`); a lock left behind by a crashed process is broken once it
+// is LOCK_STALE ms old.
+//
+// The strategy is --coin-selection (ORG_COIN_SELECTION, or "coinSelection"
+// in the config file), default branch-and-bound.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { readConfig } = require('./config.cjs');
+const { DUST_LIMIT } = require('./organism.cjs');
+
+const STRATEGIES = ['branch-and-bound', 'largest-first', 'consolidate'];
+const DEFAULT_STRATEGY = 'branch-and-bound';
+const ALIASES = { bnb: 'branch-and-bound' };
+
+// A P2PKH change output: value, script length and a 25-byte script
+const CHANGE_OUTPUT_SIZE = 34;
+
+const RESERVATION_TTL = 10 * 60 * 1000;
+const LOCK_STALE = 10 * 1000;
+const LOCK_TIMEOUT = 15 * 1000;
+const LOCK_RETRY = 10;
+
+// Branch-and-bound gives up on finding a changeless set after this many steps
+const MAX_TRIES = 100000;
+
+function outpoint(utxo) {
+  return `${utxo.tx_hash}:${utxo.tx_pos}`;
+}
+
+function total(utxos) {
+  return utxos.reduce((s, u) => s + u.value, 0);
+}
+
+function strategyName(name) {
+  const strategy = ALIASES[name] || name;
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown coin selection "${name}" (expected one of: ${STRATEGIES.join(', ')})`);
+  }
+  return strategy;
+}
+
+function byValue(utxos) {
+  return [...utxos].sort((a, b) => b.value - a.value);
+}
+
+function largestFirst(utxos, target) {
+  const picked = [];
+  let sum = 0;
+  for (const utxo of byValue(utxos)) {
+    if (sum >= target) break;
+    picked.push(utxo);
+    sum += utxo.value;
+  }
+  return picked;
+}
+
+// Depth-first search for the set covering `target` with the least excess, no
+// more than `changeCost`; null if there is none
+function branchAndBound(utxos, target, changeCost) {
+  const coins = byValue(utxos);
+  let best = null;
+  let bestExcess = Infinity;
+  let tries = 0;
+  const picked = [];
+
+  function search(i, sum, remaining) {
+    if (++tries > MAX_TRIES || bestExcess === 0) return;
+    if (sum > target + changeCost) return;
+    if (sum >= target) {
+      if (sum - target < bestExcess) {
+        best = [...picked];
+        bestExcess = sum - target;
+      }
+      return;
+    }
+    if (i === coins.length || sum + remaining < target) return;
+    picked.push(coins[i]);
+    search(i + 1, sum + coins[i].value, remaining - coins[i].value);
+    picked.pop();
+    search(i + 1, sum, remaining - coins[i].value);
+  }
+
+  search(0, 0, total(coins));
+  return best;
+}
+
+// Coins from `utxos` covering `target` sats: { utxos, total, change }, where
+// change = total - target. `changeCost` is what a change output costs at the
+// fee rate; the caller checks `utxos` cover the target first.
+function selectCoins(utxos, target, { strategy = DEFAULT_STRATEGY, changeCost = 0, dustLimit = DUST_LIMIT } = {}) {
+  strategy = strategyName(strategy);
+  let picked;
+  if (strategy === 'consolidate') picked = [...utxos];
+  else if (strategy === 'branch-and-bound') picked = branchAndBound(utxos, target, changeCost);
+  if (!picked) picked = largestFirst(utxos, target);
+
+  const change = total(picked) - target;
+  if (change > changeCost && change <= dustLimit) {
+    const taken = new Set(picked.map(outpoint));
+    const extra = byValue(utxos).reverse().find(u => !taken.has(outpoint(u)) && change + u.value > dustLimit);
+    if (extra) picked = [...picked, extra];
+  }
+  const sum = total(picked);
+  return { utxos: picked, total: sum, change: sum - target };
+}
+
+// Live reservations in `file`: { outpoint: expiry (ms) }
+function readReservations(file, now = Date.now()) {
+  if (!file || !fs.existsSync(file)) return {};
+  let all;
+  try {
+    all = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return {};
+  }
+  return Object.fromEntries(Object.entries(all).filter(([, until]) => until > now));
+}
+
+function writeReservations(file, reservations) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(reservations, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Break the lock `lock` if it is still older than `stale` ms. Renaming it
+// away is atomic, so of the processes that found it stale only one takes it;
+// that one checks its age again, since it may have been released and taken
+// afresh in between, and puts a live lock back.
+function breakStaleLock(lock, stale) {
+  const taken = `${lock}.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+  try {
+    fs.renameSync(lock, taken);
+  } catch {
+    return;  // someone else took it, or it was released
+  }
+  if (Date.now() - fs.statSync(taken).mtimeMs <= stale) {
+    try { fs.linkSync(taken, lock); } catch {}
+  }
+  fs.unlinkSync(taken);
+}
+
+// Run `fn` holding the lock on the reservations `file`
+function withLock(file, fn, { stale = LOCK_STALE, timeout = LOCK_TIMEOUT } = {}) {
+  const lock = `${file}.lock`;
+  const deadline = Date.now() + timeout;
+  let fd;
+  for (;;) {
+    try {
+      fd = fs.openSync(lock, 'wx');
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    let age = 0;
+    try {
+      age = Date.now() - fs.statSync(lock).mtimeMs;
+    } catch {
+      continue;  // released between the open and the stat
+    }
+    if (age > stale) {
+      breakStaleLock(lock, stale);
+      continue;
+    }
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for the reservations lock ${lock}`);
+    sleep(LOCK_RETRY);
+  }
+  try {
+    fs.writeSync(fd, String(process.pid));
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    fs.unlinkSync(lock);
+  }
+}
+
+// The coins of `utxos` nobody has reserved
+function unreserved(utxos, file, now = Date.now()) {
+  const reservations = readReservations(file, now);
+  return utxos.filter(u => !reservations[outpoint(u)]);
+}
+
+// Reserve `utxos` for `ttl` ms. Returns the outpoints someone else reserved
+// first, in which case nothing is reserved.
+function reserveCoins(file, utxos, { ttl = RESERVATION_TTL, now = Date.now() } = {}) {
+  if (!file) return [];
+  return withLock(file, () => {
+    const reservations = readReservations(file, now);
+    const taken = utxos.map(outpoint).filter(o => reservations[o]);
+    if (taken.length) return taken;
+    for (const utxo of utxos) reservations[outpoint(utxo)] = now + ttl;
+    writeReservations(file, reservations);
+    return [];
+  });
+}
+
+function releaseCoins(file, utxos, now = Date.now()) {
+  if (!file) return;
+  withLock(file, () => {
+    const reservations = readReservations(file, now);
+    for (const utxo of utxos) delete reservations[outpoint(utxo)];
+    writeReservations(file, reservations);
+  });
+}
+
+// Coin selection strategy set by CLI args, environment or config file, or null
+// for the default
+function coinSelectionFromArgs(args, env = process.env) {
+  const value = typeof args['coin-selection'] === 'string'
+    ? args['coin-selection']
+    : env.ORG_COIN_SELECTION ?? readConfig(args, env).config.coinSelection;
+  return value ? strategyName(value) : null;
+}
+
+const COIN_USAGE = `  --coin-selection <s> Wallet UTXOs to spend: ${STRATEGIES.join(' | ')} (env: ORG_COIN_SELECTION; default: ${DEFAULT_STRATEGY})
+  --burn-dust          Let change at or below the dust limit go to the miner instead of failing`;
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  CHANGE_OUTPUT_SIZE,
+  RESERVATION_TTL,
+  COIN_USAGE,
+  outpoint,
+  selectCoins,
+  readReservations,
+  unreserved,
+  withLock,
+  reserveCoins,
+  releaseCoins,
+  coinSelectionFromArgs,
+};
@@ -0,0 +1,32 @@
+// The optional JSON config file shared by the CLIs: --config <file>,
+// ORG_CONFIG, or ./organism.config.json when it exists.
+//
+//   {
+//     "plugins": ["./weather.cjs"],            // lib/plugins.cjs
+//     "feeRate": 500,                          // lib/fees.cjs, sats/kB
+//     "coinSelection": "branch-and-bound",     // lib/coins.cjs
+//     "reaper": { "address": "1...", ... }     // reaper.cjs
+//   }
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG = 'organism.config.json';
+
+// { path, config }: the resolved path (null when the default file doesn't
+// exist) and its parsed contents ({} without a file)
+function readConfig(args, env = process.env) {
+  const explicit = typeof args.config === 'string' ? args.config : env.ORG_CONFIG;
+  const configPath = path.resolve(explicit || DEFAULT_CONFIG);
+  if (!fs.existsSync(configPath)) {
+    if (explicit) throw new Error(`Config file not found: ${configPath}`);
+    return { path: null, config: {} };
+  }
+  try {
+    return { path: configPath, config: JSON.parse(fs.readFileSync(configPath, 'utf-8')) };
+  } catch (err) {
+    throw new Error(`Could not read ${configPath}: ${err.message}`);
+  }
+}
+
+module.exports = { DEFAULT_CONFIG, readConfig };
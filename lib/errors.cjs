@@ -0,0 +1,111 @@
+// Typed errors thrown by the SDK (lib/client.cjs) and the organism builders.
+//
+// Every error is an OrganismError with a stable `code`; subclasses carry the
+// details a caller needs to recover (the next generation of a spent organism,
+// the shortfall of an underfunded wallet).
+
+class OrganismError extends Error {
+  constructor(message, code = 'ORGANISM_ERROR', details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// A bad option: malformed address, TXID, payload or amount, or an operation
+// the organism's state doesn't allow (a held lock, a relay that has fired)
+class InvalidArgumentError extends OrganismError {
+  constructor(message, details) {
+    super(message, 'INVALID_ARGUMENT', details);
+  }
+}
+
+// A transaction, wallet or file that doesn't exist
+class NotFoundError extends OrganismError {
+  constructor(message, details) {
+    super(message, 'NOT_FOUND', details);
+  }
+}
+
+// The organism output was already spent; `nextTxid` is the spender if known
+class OrganismSpentError extends OrganismError {
+  constructor(txid, nextTxid = null) {
+    super(
+      `${txid.slice(0, 16)}... has already been spent` +
+        (nextTxid ? `; the next generation is ${nextTxid}` : ''),
+      'SPENT', { txid, nextTxid }
+    );
+  }
+}
+
+// A claim lost the race for the organism output: the broadcast was rejected
+// as a double spend. `spentBy` is the winning tx if the provider knows it.
+class ClaimConflictError extends OrganismError {
+  constructor(txid, spentBy = null, reason = '') {
+    super(
+      `Lost the race for ${txid.slice(0, 16)}...` +
+        (spentBy ? `: it was claimed by ${spentBy}` : `: ${reason || 'the broadcast was rejected as a double spend'}`),
+      'CONFLICT', { txid, spentBy }
+    );
+  }
+}
+
+// The lineage has no live tip: it ran out of balance, or was eaten (`eatenBy`)
+class OrganismDeadError extends OrganismError {
+  constructor(message, details) {
+    super(message, 'DEAD', details);
+  }
+}
+
+// The organism is not of the type an operation needs
+class WrongTypeError extends OrganismError {
+  constructor(message, details) {
+    super(message, 'WRONG_TYPE', details);
+  }
+}
+
+// The wallet can't cover an amount plus fees
+class InsufficientFundsError extends OrganismError {
+  constructor(needed, available, address) {
+    super(
+      available === 0
+        ? `No UTXOs at ${address}; send BSV to this address first`
+        : `Need ${needed} sats, only ${available} available at ${address}`,
+      'INSUFFICIENT_FUNDS', { needed, available, address }
+    );
+  }
+}
+
+// The change left after the amount and fee is too small for an output and
+// would be burned as miner fee
+class DustChangeError extends OrganismError {
+  constructor(change, dustLimit) {
+    super(
+      `${change} sats of change is at or below the ${dustLimit}-sat dust limit and would be burned as fee; ` +
+        `raise the amount by ${change} sats, or allow it with burnDust (--burn-dust)`,
+      'DUST_CHANGE', { change, dustLimit }
+    );
+  }
+}
+
+// Node, ARC and fixture rejections of a tx whose input was spent first
+const CONFLICT_PATTERN = /txn-mempool-conflict|double[-_ ]?spen|missing[- ]inputs|already (been )?spent/i;
+
+function isConflictError(err) {
+  return err instanceof ClaimConflictError || err instanceof OrganismSpentError ||
+    CONFLICT_PATTERN.test((err && err.message) || '');
+}
+
+module.exports = {
+  OrganismError,
+  InvalidArgumentError,
+  NotFoundError,
+  OrganismSpentError,
+  ClaimConflictError,
+  OrganismDeadError,
+  WrongTypeError,
+  InsufficientFundsError,
+  DustChangeError,
+  isConflictError,
+};
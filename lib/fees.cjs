@@ -0,0 +1,69 @@
+// Transaction fees from a fee rate in sats per kB.
+//
+// The rate is --fee-rate (ORG_FEE_RATE, or "feeRate" in the config file), or
+// whatever the provider quotes (getFeeRate, where the backend has one), or
+// DEFAULT_FEE_RATE. Spawn and fund transactions are signed and measured, then
+// pay what their size needs at that rate. A claim pays the per-generation fee
+// fixed in the covenant at spawn, so spawn checks that fee against the size a
+// claim of the organism's script will have.
+
+const { readConfig } = require('./config.cjs');
+
+const DEFAULT_FEE_RATE = 500; // 0.5 sat/byte
+
+// Bytes a claim adds around two copies of the locking script (spent in the
+// input's sighash preimage, recreated in output 0): tx header, outpoint,
+// preimage fields and claim arguments, the ORG1 output and the reward output
+const CLAIM_OVERHEAD = 360;
+
+function feeForSize(size, rate) {
+  return Math.max(1, Math.ceil(size * rate / 1000));
+}
+
+// Sats per kB a tx of `size` bytes paying `fee` sats pays
+function feeRateOf(fee, size) {
+  return size > 0 ? Math.round(fee * 1000 / size) : null;
+}
+
+// Approximate size of a claim on a `scriptSize`-byte locking script carrying
+// a `payloadSize`-byte payload (pushed as an argument and written to ORG1)
+function claimTxSize(scriptSize, payloadSize = 0) {
+  return 2 * scriptSize + CLAIM_OVERHEAD + 2 * payloadSize;
+}
+
+// Check a per-generation fee against a claim of `claimSize` bytes at `rate`:
+// { claimSize, needed, feeRate, warning } with warning null when the fee is
+// between what the claim needs and three times that
+function checkGenerationFee(fee, claimSize, rate) {
+  const needed = feeForSize(claimSize, rate);
+  const feeRate = feeRateOf(fee, claimSize);
+  let warning = null;
+  if (fee < needed) {
+    warning = `A claim is ~${claimSize} bytes, so a ${fee}-sat fee pays ~${feeRate} sats/kB, below the ${rate} sats/kB rate (${needed} sats); miners may not take the claims`;
+  } else if (fee > 3 * needed) {
+    warning = `A claim is ~${claimSize} bytes, so a ${fee}-sat fee pays ~${feeRate} sats/kB, over 3x the ${rate} sats/kB rate (${needed} sats); every generation overpays`;
+  }
+  return { claimSize, needed, feeRate, warning };
+}
+
+// Fee rate set by CLI args, environment or config file, or null to ask the
+// provider
+function feeRateFromArgs(args, env = process.env) {
+  const value = args['fee-rate'] !== undefined ? args['fee-rate'] : env.ORG_FEE_RATE ?? readConfig(args, env).config.feeRate;
+  if (value === undefined || value === null) return null;
+  const rate = Number(value);
+  if (!(rate > 0)) throw new Error('--fee-rate must be a positive number of sats per kB');
+  return rate;
+}
+
+const FEE_USAGE = `  --fee-rate <sats/kB> Fee rate for spawn and fund txs (env: ORG_FEE_RATE; default: the provider's, or ${DEFAULT_FEE_RATE})`;
+
+module.exports = {
+  DEFAULT_FEE_RATE,
+  FEE_USAGE,
+  feeForSize,
+  feeRateOf,
+  claimTxSize,
+  checkGenerationFee,
+  feeRateFromArgs,
+};
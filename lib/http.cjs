@@ -0,0 +1,63 @@
+// Minimal HTTP(S) helpers shared by the chain providers.
+//
+// Every helper resolves with { status, body } so callers decide how to treat
+// non-200 responses (WhatsOnChain uses 404 for "not found", nodes use 500).
+// With a `timeout` (ms), a request that goes that long without any traffic
+// is aborted and rejects.
+
+const http = require('http');
+const https = require('https');
+
+function request(url, { method = 'GET', headers = {}, body, timeout = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const transport = u.protocol === 'http:' ? http : https;
+    const opts = {
+      hostname: u.hostname,
+      port: u.port || undefined,
+      path: u.pathname + u.search,
+      method,
+      headers: { ...headers },
+    };
+    if (u.username) {
+      const auth = `${decodeURIComponent(u.username)}:${decodeURIComponent(u.password)}`;
+      opts.headers.Authorization = `Basic ${Buffer.from(auth).toString('base64')}`;
+    }
+    if (body !== undefined) opts.headers['Content-Length'] = Buffer.byteLength(body);
+
+    const req = transport.request(opts, res => {
+      let d = '';
+      res.on('data', c => d += c);
+      res.on('end', () => resolve({ status: res.statusCode, body: d }));
+    });
+    req.on('error', reject);
+    if (timeout) req.setTimeout(timeout, () => req.destroy(new Error(`${method} ${u.origin}${u.pathname} timed out after ${timeout} ms`)));
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+async function getJson(url) {
+  const res = await request(url, { headers: { Accept: 'application/json' } });
+  if (res.status === 404) return null;
+  try { return JSON.parse(res.body); }
+  catch { throw new Error(`Bad JSON from ${url}: ${res.body.slice(0, 200)}`); }
+}
+
+async function getText(url) {
+  const res = await request(url);
+  if (res.status === 404) return null;
+  if (res.status !== 200) throw new Error(`GET ${url} failed (${res.status}): ${res.body.slice(0, 200)}`);
+  return res.body.trim();
+}
+
+function postJson(url, payload, headers = {}, { timeout = null } = {}) {
+  return request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+    body: JSON.stringify(payload),
+    timeout,
+  });
+}
+
+module.exports = { request, getJson, getText, postJson };
@@ -0,0 +1,281 @@
+// Network-wide discovery: index every ORG1 organism on chain, not only the
+// ones spawned from here.
+//
+// Blocks come from the provider (getBlock) or from raw block files, and are
+// ingested in height order. Each tx is checked for ORG1 outputs and for spends
+// of a known organism's output 0:
+//   - a gen 0 record bound to nothing, on a tx spending no organism, is a spawn
+//   - a spend of a tip by input 0 is the next generation (a claim when the
+//     generation goes up, a feed when it stays), or the organism's death when
+//     the tx leaves no continuation in output 0
+//   - a spend of a tip by any other input is a hunt: the prey was eaten
+//   - a record of a lineage never seen (spawned before indexing started) joins
+//     the catalogue from that generation on, keyed by the spawn TXID it
+//     carries; legacy records of all zeros are walked back to their spawn
+//     over the provider when there is one
+//
+// The catalogue is the organisms table of the lineage store (lib/store.cjs),
+// so indexed lineages and those spawned or traced here are one list. Each
+// entry: spawnTxid, type, generation, balance, status (alive | dead | eaten),
+// tip, spawnHeight, since (first generation seen), height and time of the
+// tip, claims, funds, eatenBy. The last block indexed is kept with it.
+// Only confirmed blocks are indexed; after a reorg, index again --from below
+// the fork.
+
+const fs = require('fs');
+const { bsv } = require('scrypt-ts');
+const { decodeORG1Script } = require('./org1.cjs');
+const { PREDATOR_TYPE } = require('./types/predator.cjs');
+const { InvalidArgumentError } = require('./errors.cjs');
+
+const UNBOUND_TXID = '0'.repeat(64);
+
+// Message start bytes framing each block in a node's blk*.dat files
+const BLOCK_FILE_MAGICS = ['e3e1f3e8', 'f4e5f3f4', 'fbcec4f9', 'dab5bffa'];
+
+function delay(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function records(tx) {
+  return tx.outputs.map(out => decodeORG1Script(out.script.toHex())).filter(Boolean);
+}
+
+// A final generation has no continuation: its output 0 is the ORG1 record
+function isFinal(tx) {
+  return !!decodeORG1Script(tx.outputs[0].script.toHex());
+}
+
+class Catalogue {
+  // store: a LineageStore
+  constructor(store) {
+    this.store = store;
+    this.tips = new Map();  // "txid:0" of each living tip -> spawnTxid
+    for (const [tip, spawnTxid] of store.liveTips()) this.tips.set(`${tip}:0`, spawnTxid);
+  }
+
+  // The last block indexed, or null
+  get height() {
+    const height = this.store.getMeta('index_height');
+    return height === null ? null : Number(height);
+  }
+
+  set height(height) {
+    this.store.setMeta('index_height', height);
+  }
+
+  organism(spawnTxid) {
+    return this.store.organism(spawnTxid);
+  }
+
+  // Move `org` to a new tip, alive or not, and store it
+  advance(org, tx, block, changes) {
+    this.tips.delete(`${org.tip}:0`);
+    org.tip = tx.id;
+    org.height = block.height;
+    org.time = block.time ? new Date(block.time * 1000).toISOString() : null;
+    if (org.status === 'alive') this.tips.set(`${org.tip}:0`, org.spawnTxid);
+    this.store.saveOrganism(org);
+    changes.push(org);
+  }
+
+  // A lineage first seen in `tx`, at the generation of `record`
+  add(spawnTxid, record, tx, block, { status, balance }, changes) {
+    const org = {
+      spawnTxid,
+      type: record.type,
+      generation: record.generation,
+      balance,
+      status,
+      tip: null,
+      spawnHeight: spawnTxid === tx.id ? block.height : null,
+      since: record.generation,
+      height: null,
+      time: null,
+      claims: 0,
+      funds: 0,
+    };
+    this.advance(org, tx, block, changes);
+    return org;
+  }
+
+  // Index one tx (a bsv.Transaction) of `block` ({ height, time }). `chain`,
+  // when given, resolves legacy lineages first seen after their spawn.
+  // Returns the catalogue entries it changed.
+  async ingestTx(tx, block, { chain = null } = {}) {
+    const found = records(tx);
+    const spends = [];
+    tx.inputs.forEach((input, vin) => {
+      const spawnTxid = this.tips.get(`${input.prevTxId.toString('hex')}:${input.outputIndex}`);
+      if (spawnTxid) spends.push({ vin, org: this.organism(spawnTxid) });
+    });
+    if (found.length === 0 && spends.length === 0) return [];
+
+    const changes = [];
+    const owner = spends.find(s => s.vin === 0)?.org || null;
+    // The record output 0 continues; a hunt also carries the prey's last one
+    const primary = owner
+      ? found.find(r => r.spawnTxid === owner.spawnTxid) || found[0] || null
+      : found[0] || null;
+
+    for (const { vin, org } of spends) {
+      if (vin !== 0) {
+        const predator = found.find(r => r.type === PREDATOR_TYPE && r.spawnTxid !== org.spawnTxid && r.spawnTxid !== UNBOUND_TXID);
+        org.status = 'eaten';
+        org.balance = 0;
+        org.eatenBy = owner ? owner.spawnTxid : predator ? predator.spawnTxid : tx.id;
+        this.advance(org, tx, block, changes);
+        continue;
+      }
+      if (!primary || isFinal(tx)) {
+        // The covenant paid out its last reward, or something spent it outside one
+        if (primary) {
+          org.generation = primary.generation;
+          org.claims++;
+        }
+        org.status = 'dead';
+        org.balance = 0;
+      } else {
+        if (primary.generation > org.generation) org.claims++;
+        else org.funds++;
+        org.generation = primary.generation;
+        org.balance = tx.outputs[0].satoshis;
+      }
+      this.advance(org, tx, block, changes);
+    }
+
+    let hunter = owner && owner.spawnTxid;
+    if (primary && !owner) {
+      let spawnTxid = primary.spawnTxid;
+      if (spawnTxid === UNBOUND_TXID) {
+        spawnTxid = primary.generation === 0 ? tx.id : chain ? await findSpawn(chain, tx) : tx.id;
+      }
+      hunter = spawnTxid;
+      // A lineage already indexed only moves through its tip: this is a replay
+      if (!this.organism(spawnTxid)) {
+        const final = isFinal(tx);
+        this.add(spawnTxid, primary, tx, block, {
+          status: final ? 'dead' : 'alive',
+          balance: final ? 0 : tx.outputs[0].satoshis,
+        }, changes);
+      }
+    }
+
+    // Prey eaten before their lineage was ever seen
+    for (const record of found) {
+      if (record === primary || record.spawnTxid === UNBOUND_TXID || this.organism(record.spawnTxid)) continue;
+      const prey = this.add(record.spawnTxid, record, tx, block, { status: 'eaten', balance: 0 }, changes);
+      prey.eatenBy = hunter || tx.id;
+    }
+    return changes;
+  }
+
+  // Index a block ({ height, time, txs: [raw hex | bsv.Transaction] }).
+  // Returns the entries it changed, as they stand after it.
+  async ingestBlock(block, options = {}) {
+    const changes = new Map();
+    for (const raw of block.txs) {
+      const tx = typeof raw === 'string' ? new bsv.Transaction(raw) : raw;
+      for (const org of await this.ingestTx(tx, block, options)) changes.set(org.spawnTxid, org);
+    }
+    if (block.height !== null && (this.height === null || block.height > this.height)) this.height = block.height;
+    return [...changes.values()];
+  }
+}
+
+// Walk a legacy lineage (records of all zeros) back along input 0 from `tx`
+// to the generation whose parent carries no ORG1 record: its spawn
+async function findSpawn(chain, tx) {
+  let current = tx;
+  for (;;) {
+    const parentTxid = current.inputs[0].prevTxId.toString('hex');
+    await delay(chain.rateLimitMs);
+    const hex = await chain.getRawTx(parentTxid);
+    if (!hex) return current.id;
+    const parent = new bsv.Transaction(hex);
+    if (records(parent).length === 0) return current.id;
+    current = parent;
+  }
+}
+
+// Index the provider's blocks `from` (default: the one after the catalogue's
+// last) to `to` (default: the tip). onBlock({ height, txs, changes }) is called as each is ingested.
+async function indexChain(chain, catalogue, { from = null, to = null, onBlock = () => {} } = {}) {
+  if (typeof chain.getBlock !== 'function') {
+    throw new InvalidArgumentError(`The ${chain.name} provider can't fetch blocks; index raw block files instead`);
+  }
+  const start = from ?? (catalogue.height === null ? null : catalogue.height + 1);
+  if (start === null) throw new InvalidArgumentError('Nothing indexed yet: give the height to start from (--from)');
+  const end = to ?? await chain.getBlockHeight();
+
+  let blocks = 0;
+  const changed = new Map();
+  for (let height = start; height <= end; height++) {
+    await delay(chain.rateLimitMs);
+    const block = await chain.getBlock(height);
+    if (!block) break;
+    const changes = await catalogue.ingestBlock(block, { chain });
+    blocks++;
+    for (const org of changes) changed.set(org.spawnTxid, org);
+    onBlock({ height, txs: block.txs.length, changes });
+  }
+  return { from: start, to: start + blocks - 1, blocks, changed: [...changed.values()] };
+}
+
+// BIP34 height from a block's coinbase, or null for blocks from before it
+function coinbaseHeight(block) {
+  const input = block.transactions[0]?.inputs[0];
+  // bsv hides a coinbase's script (its outpoint is null) but keeps the bytes
+  const chunk = input && bsv.Script.fromBuffer(input._scriptBuffer).chunks[0];
+  if (!chunk) return null;
+  if (chunk.buf) return chunk.buf.length > 0 && chunk.buf.length <= 6 ? chunk.buf.readUIntLE(0, chunk.buf.length) : null;
+  return chunk.opcodenum >= bsv.Opcode.OP_1 && chunk.opcodenum <= bsv.Opcode.OP_16 ? chunk.opcodenum - bsv.Opcode.OP_1 + 1 : null;
+}
+
+function blockOf(buf) {
+  const block = bsv.Block.fromBuffer(buf);
+  return { height: coinbaseHeight(block), hash: block.hash, time: block.header.time, txs: block.transactions };
+}
+
+// The blocks in a raw block file, in height order: a node's blk*.dat, one
+// serialized block, or blocks as hex one per line
+function readBlockFile(file) {
+  const buf = fs.readFileSync(file);
+  const blocks = [];
+  const text = buf.toString('latin1').trim();
+  if (/^[0-9a-fA-F\s]+$/.test(text)) {
+    for (const hex of text.split(/\s+/)) blocks.push(blockOf(Buffer.from(hex, 'hex')));
+  } else if (BLOCK_FILE_MAGICS.includes(buf.subarray(0, 4).toString('hex'))) {
+    let pos = 0;
+    // blk*.dat files are preallocated: zeros follow the last block
+    while (pos + 8 <= buf.length && BLOCK_FILE_MAGICS.includes(buf.subarray(pos, pos + 4).toString('hex'))) {
+      const size = buf.readUInt32LE(pos + 4);
+      blocks.push(blockOf(buf.subarray(pos + 8, pos + 8 + size)));
+      pos += 8 + size;
+    }
+  } else {
+    blocks.push(blockOf(buf));
+  }
+  return blocks.sort((a, b) => (a.height ?? 0) - (b.height ?? 0));
+}
+
+// Index the blocks of raw block files, in the order given
+async function indexBlockFiles(files, catalogue, { chain = null, onBlock = () => {} } = {}) {
+  let blocks = 0;
+  const changed = new Map();
+  for (const file of files) {
+    for (const block of readBlockFile(file)) {
+      const changes = await catalogue.ingestBlock(block, { chain });
+      blocks++;
+      for (const org of changes) changed.set(org.spawnTxid, org);
+      onBlock({ height: block.height, txs: block.txs.length, changes });
+    }
+  }
+  return { blocks, changed: [...changed.values()] };
+}
+
+module.exports = {
+  Catalogue,
+  findSpawn,
+  indexChain,
+  readBlockFile,
+  indexBlockFiles,
+};
@@ -0,0 +1,363 @@
+// Lineage tracing: walk an organism from its spawn along output 0 spends and
+// decode every generation.
+//
+// Each spend of output 0 is one entry:
+//   kind, generation, txid, balance, claimer ('spawn' for gen 0), reward,
+//   fee, size, feeRate (sats/kB the fee paid), blockHeight, blockTime, alive,
+//   spentBy, method, org1, spawnCheck
+// plus the decoded record of its type (task, mutex, reputation, predator,
+// relay), `fields` from its payload codec, and `ate` / `eatenBy` for hunts.
+//
+// `kind` is what the spend did:
+//   spawn  gen 0
+//   claim  reproduced: the generation goes up and a reward is paid
+//   fund   fed: same generation, balance raised; `funder` and `amount` say
+//          who paid in how much, and no reward or organism fee is paid
+//   death  the last claim, leaving no continuation in output 0, or a spend
+//          outside the covenant
+//   eaten  spent by a predator's hunt
+// It comes from the contract method input 0 called (`method`, when its
+// unlocking script shows it) and otherwise from the ORG1 generation, which a
+// fund leaves as it was.
+// Each generation is saved to the lineage store (lib/store.cjs) as it is
+// decoded, and tracing resumes from the last spent one stored.
+
+const { bsv } = require('scrypt-ts');
+const { decodeORG1Script, decodeAllORG1 } = require('./org1.cjs');
+const { TASK_TYPE, decodeTaskPayload } = require('./types/task.cjs');
+const { MUTEX_TYPE, decodeMutexPayload, mutexOp } = require('./types/mutex.cjs');
+const { REPUTATION_TYPE, decodeReputationPayload } = require('./types/reputation.cjs');
+const { PREDATOR_TYPE, decodePredatorPayload } = require('./types/predator.cjs');
+const { RELAY_TYPE, decodeRelayPayload } = require('./types/relay.cjs');
+const { decodePayload } = require('./types/index.cjs');
+const { spendMethod, generationsLeft, DUST_LIMIT } = require('./organism.cjs');
+const { feeRateOf } = require('./fees.cjs');
+
+function delay(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+const UNBOUND_TXID = '0'.repeat(64);
+
+// Compare the spawn TXID a generation carries against the traced genesis.
+// Gen 0 always carries zeros; organisms spawned before the covenant bound the
+// genesis txid carry zeros forever ('unbound'), anything else must match.
+function checkSpawnTxid(org1, genesisTxid, isSpawn) {
+  if (!org1) return null;
+  if (isSpawn) return org1.spawnTxid === UNBOUND_TXID ? 'ok' : 'mismatch';
+  if (org1.spawnTxid === genesisTxid) return 'ok';
+  return org1.spawnTxid === UNBOUND_TXID ? 'unbound' : 'mismatch';
+}
+
+// Get reward address from tx outputs
+function getRewardAddress(tx) {
+  // Reward is the last P2PKH output
+  for (let i = tx.vout.length - 1; i >= 0; i--) {
+    const addr = tx.vout[i].scriptPubKey?.addresses?.[0];
+    if (addr) return addr;
+  }
+  return 'unknown';
+}
+
+// Address that paid for a fund: the key signing the first funding input
+// (input 1), else the change output
+function getFunderAddress(tx, net) {
+  try {
+    const chunks = bsv.Script.fromHex(tx.vin[1].scriptSig.hex).chunks;
+    const pubKey = chunks[chunks.length - 1].buf;
+    return bsv.PublicKey.fromBuffer(pubKey).toAddress(net.bsv).toString();
+  } catch {
+    const change = tx.vout[2]?.scriptPubKey?.addresses?.[0];
+    return change || 'unknown';
+  }
+}
+
+// What the spend `tx` of the generation after `previous` did (see the top of
+// this file); `org1` is the record it carries for this lineage
+function classifySpend(tx, org1, previous) {
+  const type = org1 ? org1.type : previous.org1?.type;
+  const method = spendMethod(type, tx.vin[0]?.scriptSig?.hex);
+  if (!org1 || decodeORG1Script(tx.vout[0]?.scriptPubKey?.hex)) return { kind: 'death', method };
+  if (method) return { kind: method === 'fund' ? 'fund' : 'claim', method };
+  const fed = previous.org1 && org1.generation === previous.org1.generation;
+  return { kind: fed ? 'fund' : 'claim', method: null };
+}
+
+// The kind of a stored entry; entries traced before kinds were recorded are
+// told apart by their ORG1 generation
+function entryKind(entry, previous) {
+  if (entry.kind) return entry.kind;
+  if (!previous) return 'spawn';
+  if (entry.eatenBy) return 'eaten';
+  if (entry.org1 && previous.org1 && entry.org1.generation === previous.org1.generation) return 'fund';
+  return 'claim';
+}
+
+// Decode a Type 1 generation's work record; the claimer PKH is rendered as an
+// address and checked against the address the reward was actually paid to
+function decodeTask(org1, rewardAddress, net) {
+  if (!org1 || org1.type !== TASK_TYPE) return null;
+  const task = decodeTaskPayload(org1.payload);
+  if (!task) return null;
+  const claimer = bsv.Address.fromPublicKeyHash(Buffer.from(task.claimerPkh, 'hex'), net.bsv).toString();
+  return { ...task, claimer, paid: claimer === rewardAddress };
+}
+
+// Decode a Type 5 generation's lock state, and which operation produced it
+function decodeMutex(org1, previous, net) {
+  if (!org1 || org1.type !== MUTEX_TYPE) return null;
+  const lock = decodeMutexPayload(org1.payload);
+  if (!lock) return null;
+  const holder = lock.holderPkh
+    ? bsv.Address.fromPublicKeyHash(Buffer.from(lock.holderPkh, 'hex'), net.bsv).toString()
+    : null;
+  return { ...lock, holder, op: mutexOp(previous && previous.mutex, lock) };
+}
+
+// Decode a Type 7 generation's subject, count and interaction hash
+function decodeReputation(org1, net) {
+  if (!org1 || org1.type !== REPUTATION_TYPE) return null;
+  const record = decodeReputationPayload(org1.payload);
+  if (!record) return null;
+  const subject = bsv.Address.fromPublicKeyHash(Buffer.from(record.subjectPkh, 'hex'), net.bsv).toString();
+  return { ...record, subject };
+}
+
+// Decode a Type 6 generation's species and energy
+function decodePredator(org1) {
+  if (!org1 || org1.type !== PREDATOR_TYPE) return null;
+  return decodePredatorPayload(org1.payload);
+}
+
+// Decode a Type 8 generation's watch, and whether this generation fired it
+function decodeRelay(org1, previous) {
+  if (!org1 || org1.type !== RELAY_TYPE) return null;
+  const relay = decodeRelayPayload(org1.payload);
+  if (!relay) return null;
+  return { ...relay, fired: relay.triggered && !(previous && previous.relay && previous.relay.triggered) };
+}
+
+// Value in sats of the output the input `vin` of a fetched tx spends (0 if
+// that tx can't be fetched)
+async function inputValue(chain, vin) {
+  await delay(chain.rateLimitMs);
+  const prev = await chain.getTx(vin.txid);
+  return prev && prev.vout[vin.vout] ? Math.round(prev.vout[vin.vout].value * 1e8) : 0;
+}
+
+// Stored lineage of `spawnTxid` and where tracing picks up again:
+// { lineage, startTxid, resume, last } with resume null (fresh trace),
+// 'spent' (continue after `last`, the last stored generation) or 'recheck'
+// (`last` was alive; trace it again)
+function readCache(store, spawnTxid) {
+  const existing = store.lineage(spawnTxid);
+  if (existing.length > 0) {
+    const last = existing[existing.length - 1];
+    if (last.spentBy) {
+      return { lineage: existing, startTxid: last.spentBy, resume: 'spent', last };
+    } else if (last.alive) {
+      return { lineage: existing.slice(0, -1), startTxid: last.txid, resume: 'recheck', last };
+    }
+  }
+  return { lineage: [], startTxid: spawnTxid, resume: null };
+}
+
+// Trace the lineage of `spawnTxid` to its tip, saving it to `store` (a
+// LineageStore). `onResume({ generation, cached, resume })` is called when
+// tracing picks up from the store (`generation`: the last one stored, or the
+// one rechecked), `onGeneration(entry)` as each spend is decoded. Returns
+// { lineage, path, complete } (path is the store's file; complete is false if
+// a tx couldn't be fetched, with `missing` its txid).
+async function traceLineage(spawnTxid, chain, { net, store, onResume = () => {}, onGeneration = () => {} }) {
+  const { lineage, startTxid, resume, last } = readCache(store, spawnTxid);
+  if (resume) onResume({ generation: last.generation, cached: lineage.length, resume });
+
+  let currentTxid = startTxid;
+  let missing = null;
+
+  while (currentTxid) {
+    await delay(chain.rateLimitMs);
+    const tx = await chain.getTx(currentTxid);
+    if (!tx) {
+      missing = currentTxid;
+      break;
+    }
+
+    // A generation spent by any input but 0 was eaten by a predator: this tx
+    // is the hunt, and its output 0 belongs to the predator
+    const previous = lineage[lineage.length - 1];
+    const isSpawn = !previous;
+    const eaten = !isSpawn && !(tx.vin[0]?.txid === previous.txid && tx.vin[0]?.vout === 0);
+    const blockHeight = tx.blockheight || null;
+    const blockTime = tx.blocktime ? new Date(tx.blocktime * 1000).toISOString() : null;
+
+    // Decode ORG1 data if present; a hunt carries a record for each lineage
+    const records = decodeAllORG1(tx);
+    const org1 = records.find(r => r.spawnTxid === spawnTxid) || records[0] || null;
+    const other = records.find(r => r !== org1 && r.type === PREDATOR_TYPE);
+
+    const { kind, method } = isSpawn ? { kind: 'spawn', method: null }
+      : eaten ? { kind: 'eaten', method: null }
+      : classifySpend(tx, org1, previous);
+    const generation = isSpawn ? 0 : previous.generation + (kind === 'fund' ? 0 : 1);
+    const balance = eaten || kind === 'death' ? 0 : Math.round(tx.vout[0].value * 1e8);
+    const claimer = isSpawn ? 'spawn' : kind === 'claim' || kind === 'death' ? getRewardAddress(tx) : null;
+
+    // Reward: the P2PKH outputs after the organism output. A fund's are the
+    // funder's change. A relay's fire also pays back its proof (input 1),
+    // which never came out of the balance.
+    const relay = decodeRelay(org1, previous);
+    let rewardSats = 0;
+    if (claimer && !isSpawn) {
+      for (let i = 1; i < tx.vout.length; i++) {
+        if (tx.vout[i].value > 0 && tx.vout[i].scriptPubKey?.addresses) {
+          rewardSats += Math.round(tx.vout[i].value * 1e8);
+        }
+      }
+      if (relay && relay.fired && tx.vin[1]) {
+        relay.proofValue = await inputValue(chain, tx.vin[1]);
+        rewardSats -= relay.proofValue;
+      }
+    }
+
+    // A hunt's output 0 holds the prey's value (input 1) on top of the
+    // predator's balance
+    const preyValue = claimer && !eaten && other && tx.vin[1] ? await inputValue(chain, tx.vin[1]) : 0;
+
+    // The covenant's fee comes out of the balance; a fund's miner fee is the funder's
+    const feePaid = claimer && !isSpawn ? previous.balance + preyValue - balance - rewardSats : 0;
+    const size = tx.size || (tx.hex ? tx.hex.length / 2 : null);
+
+    const entry = {
+      kind,
+      generation,
+      txid: currentTxid,
+      balance,
+      claimer,
+      reward: rewardSats,
+      fee: feePaid,
+      size,
+      feeRate: feePaid > 0 && size ? feeRateOf(feePaid, size) : null,
+      blockHeight,
+      blockTime,
+      alive: kind !== 'death',
+      method,
+      org1: org1 || null,
+      spawnCheck: checkSpawnTxid(org1, spawnTxid, isSpawn),
+    };
+    if (kind === 'fund') {
+      entry.funder = getFunderAddress(tx, net);
+      entry.amount = balance - previous.balance;
+    }
+    const task = claimer && !isSpawn ? decodeTask(org1, claimer, net) : null;
+    if (task) entry.task = task;
+    const lock = decodeMutex(org1, previous, net);
+    if (lock) entry.mutex = lock;
+    const reputation = decodeReputation(org1, net);
+    if (reputation) entry.reputation = reputation;
+    if (relay) entry.relay = relay;
+    const predator = decodePredator(org1);
+    if (predator) entry.predator = predator;
+    const fields = org1 && org1.payload ? decodePayload(org1.type, org1.payload) : null;
+    if (fields) entry.fields = fields;
+    if (eaten) {
+      entry.alive = false;
+      entry.eatenBy = other ? other.spawnTxid : tx.vin[0]?.txid;
+    } else if (other) {
+      entry.ate = other.spawnTxid;
+    }
+
+    if (eaten || kind === 'death') {
+      store.saveGeneration(spawnTxid, entry, previous);
+      lineage.push(entry);
+      onGeneration(entry);
+      break;
+    }
+
+    // Check if output 0 has been spent
+    await delay(chain.rateLimitMs);
+    let spentInfo = null;
+    try {
+      spentInfo = await chain.getSpent(currentTxid, 0);
+    } catch {}
+
+    if (spentInfo && spentInfo.txid) {
+      entry.alive = false;
+      entry.spentBy = spentInfo.txid;
+      currentTxid = spentInfo.txid;
+    } else {
+      currentTxid = null;
+    }
+    store.saveGeneration(spawnTxid, entry, previous);
+    lineage.push(entry);
+    onGeneration(entry);
+  }
+
+  return { lineage, path: store.file, complete: !missing, ...(missing && { missing }) };
+}
+
+// The last generation of `spawnTxid` in the lineage store (the spawn itself
+// when nothing is stored): following output 0 from here reaches the tip
+// without re-walking the whole lineage. Its spender is checked again rather
+// than trusted, since a hunt spends the prey from another input.
+function cachedTip(spawnTxid, store) {
+  const { lineage, startTxid, resume } = readCache(store, spawnTxid);
+  return resume === 'spent' ? lineage[lineage.length - 1].txid : startTxid;
+}
+
+// Headline numbers of a traced lineage: food is what funds paid in, rewards
+// what claims paid out
+function summarizeLineage(lineage) {
+  const tip = lineage[lineage.length - 1];
+  const claims = [];
+  let funds = 0;
+  let food = 0;
+  lineage.forEach((e, i) => {
+    const kind = entryKind(e, lineage[i - 1]);
+    if (kind === 'claim' || kind === 'death') claims.push(e);
+    if (kind === 'fund') {
+      funds++;
+      food += e.amount ?? e.balance - lineage[i - 1].balance;
+    }
+  });
+  return {
+    status: tip.alive ? 'alive' : tip.eatenBy ? 'eaten' : 'dead',
+    generation: tip.generation,
+    balance: tip.balance,
+    claims: claims.length,
+    claimers: new Set(claims.map(e => e.claimer)).size,
+    funds,
+    food,
+    rewards: claims.reduce((s, e) => s + e.reward, 0),
+    mismatches: lineage.filter(e => e.spawnCheck === 'mismatch').length,
+    unbound: lineage.some(e => e.spawnCheck === 'unbound'),
+  };
+}
+
+// Claims left before `org` (a lineage store row) dies at its current
+// balance: { generations, reward, fee } from its spawn state or the last
+// claim traced, or null when neither is known
+function lifespan(org, lineage) {
+  let terms = org.state && org.state.reward !== undefined ? org.state : null;
+  for (let i = lineage.length - 1; !terms && i > 0; i--) {
+    const kind = entryKind(lineage[i], lineage[i - 1]);
+    if (kind === 'claim' || kind === 'death') terms = lineage[i];
+  }
+  if (!terms) return null;
+  const dustLimit = (org.state && org.state.dustLimit) || DUST_LIMIT;
+  return {
+    generations: org.status === 'alive' ? generationsLeft(org.balance, terms.reward, terms.fee, dustLimit) : 0,
+    reward: terms.reward,
+    fee: terms.fee,
+  };
+}
+
+module.exports = {
+  checkSpawnTxid,
+  getRewardAddress,
+  getFunderAddress,
+  classifySpend,
+  entryKind,
+  cachedTip,
+  traceLineage,
+  summarizeLineage,
+  lifespan,
+};
@@ -0,0 +1,80 @@
+// Network selection (--network main|test|regtest, or ORG_NETWORK).
+//
+// Each network gets its own WhatsOnChain endpoint, explorer links, default
+// wallet, fixture and UTXO reservation files, and state directories. Mainnet
+// keeps the original top-level organisms/ and lineage/ dirs; test and regtest
+// state lives in organisms/<network>/ and lineage/<network>/ so the lineages
+// never mix. The lineage store (lineage.db) sits in the network's lineage dir.
+
+const path = require('path');
+const { bsv } = require('scrypt-ts');
+
+const ROOT = path.join(__dirname, '..');
+
+const NETWORKS = {
+  main: {
+    name: 'main',
+    bsv: bsv.Networks.mainnet,
+    wocUrl: 'https://api.whatsonchain.com/v1/bsv/main',
+    explorer: 'https://whatsonchain.com',
+  },
+  test: {
+    name: 'test',
+    bsv: bsv.Networks.testnet,
+    wocUrl: 'https://api.whatsonchain.com/v1/bsv/test',
+    explorer: 'https://test.whatsonchain.com',
+  },
+  regtest: {
+    name: 'regtest',
+    // Regtest shares testnet's address and WIF prefixes
+    bsv: bsv.Networks.testnet,
+    wocUrl: null,
+    explorer: null,
+  },
+};
+
+const ALIASES = { mainnet: 'main', livenet: 'main', testnet: 'test' };
+
+function getNetwork(name = 'main') {
+  const key = ALIASES[name] || name;
+  const net = NETWORKS[key];
+  if (!net) {
+    throw new Error(`Unknown network "${name}" (expected one of: ${Object.keys(NETWORKS).join(', ')})`);
+  }
+  return net;
+}
+
+function networkFromArgs(args, env = process.env) {
+  return getNetwork(args.network || env.ORG_NETWORK || 'main');
+}
+
+function stateDirs(net) {
+  const sub = net.name === 'main' ? '' : net.name;
+  return {
+    organisms: path.join(ROOT, 'organisms', sub),
+    lineage: path.join(ROOT, 'lineage', sub),
+    fixtures: path.join(ROOT, net.name === 'main' ? 'fixtures.json' : `fixtures.${net.name}.json`),
+    // Wallet UTXOs held by txs in flight (lib/coins.cjs)
+    reservations: path.join(ROOT, net.name === 'main' ? 'reservations.json' : `reservations.${net.name}.json`),
+    // Every organism spawned, traced or indexed here (lib/store.cjs)
+    store: path.join(ROOT, 'lineage', sub, 'lineage.db'),
+  };
+}
+
+function defaultWalletPath(net) {
+  return path.join(ROOT, net.name === 'main' ? 'wallet.json' : `wallet.${net.name}.json`);
+}
+
+// Explorer link for a txid, or null where no public explorer exists
+function explorerTxUrl(net, txid) {
+  return net.explorer ? `${net.explorer}/tx/${txid}` : null;
+}
+
+module.exports = {
+  NETWORKS,
+  getNetwork,
+  networkFromArgs,
+  stateDirs,
+  defaultWalletPath,
+  explorerTxUrl,
+};
@@ -0,0 +1,83 @@
+// ORG1 OP_RETURN encoding and decoding.
+//
+//   OP_FALSE OP_RETURN "ORG1" <type:1B> <generation:4B LE> <spawnTxid:32B> [<payload>]
+//
+// The optional payload is a single push holding the organism's tag followed
+// by the claimer-supplied bytes; see docs/SCHEMA.md.
+
+const { bsv } = require('scrypt-ts');
+
+const ORG1_PREFIX = '4f524731';
+
+function org1Script({ type, generation, spawnTxid, payload = '' }) {
+  const genBytes = Buffer.alloc(4);
+  genBytes.writeUInt32LE(generation);
+  const typeBytes = Buffer.alloc(1);
+  typeBytes.writeUInt8(type);
+
+  const fields = [
+    Buffer.from('ORG1'),
+    typeBytes,
+    genBytes,
+    Buffer.from(spawnTxid, 'hex'),
+  ];
+  if (payload.length > 0) fields.push(Buffer.from(payload, 'hex'));
+  return bsv.Script.buildSafeDataOut(fields);
+}
+
+// Read one script push at `pos` (hex offset); returns [dataHex, nextPos]
+function readPush(hex, pos) {
+  const op = parseInt(hex.slice(pos, pos + 2), 16);
+  pos += 2;
+  let size = op;
+  if (op === 0x4c) {
+    size = parseInt(hex.slice(pos, pos + 2), 16);
+    pos += 2;
+  } else if (op === 0x4d) {
+    size = Buffer.from(hex.slice(pos, pos + 4), 'hex').readUInt16LE(0);
+    pos += 4;
+  } else if (op > 0x4b) {
+    return [null, pos];
+  }
+  const data = hex.slice(pos, pos + size * 2);
+  if (data.length !== size * 2) return [null, pos];
+  return [data, pos + size * 2];
+}
+
+// Decode the ORG1 fields from an output script hex, or null if it isn't one
+function decodeORG1Script(hex) {
+  // Look for OP_FALSE OP_RETURN followed by push of "ORG1"
+  if (!hex || !hex.startsWith(`006a04${ORG1_PREFIX}`)) return null;
+  let pos = 6 + 8;
+
+  let typeHex, genHex, spawnTxid, payload = '';
+  [typeHex, pos] = readPush(hex, pos);
+  [genHex, pos] = readPush(hex, pos);
+  [spawnTxid, pos] = readPush(hex, pos);
+  if (!typeHex || typeHex.length !== 2 || !genHex || genHex.length !== 8) return null;
+  if (!spawnTxid || spawnTxid.length !== 64) return null;
+  if (pos < hex.length) {
+    [payload, pos] = readPush(hex, pos);
+    if (payload === null) return null;
+  }
+
+  return {
+    type: parseInt(typeHex, 16),
+    generation: Buffer.from(genHex, 'hex').readUInt32LE(0),
+    spawnTxid,
+    payload,
+  };
+}
+
+// Decode ORG1 OP_RETURN from a transaction's outputs (WhatsOnChain tx JSON)
+function decodeORG1(tx) {
+  return decodeAllORG1(tx)[0] || null;
+}
+
+// Every ORG1 record in a transaction, in output order. Most txs carry one; a
+// Type 6 hunt carries the predator's and the prey's.
+function decodeAllORG1(tx) {
+  return tx.vout.map(out => decodeORG1Script(out.scriptPubKey?.hex)).filter(Boolean);
+}
+
+module.exports = { ORG1_PREFIX, org1Script, decodeORG1Script, decodeORG1, decodeAllORG1 };
@@ -0,0 +1,889 @@
+// Organism transaction builders shared by the CLIs and the test suite.
+//
+// Every builder returns an unbroadcast bsv.Transaction; callers decide where
+// to send it (chain provider, simulator, or just print the hex).
+
+const path = require('path');
+const { bsv, PubKey, PubKeyHash, Sig, SmartContract, toByteString, TestWallet } = require('scrypt-ts');
+const { ScryptProviderAdapter } = require('./providers/scrypt-adapter.cjs');
+const { org1Script, decodeORG1Script } = require('./org1.cjs');
+const { TASK_TYPE, validateTaskPayload } = require('./types/task.cjs');
+const {
+  HANDSHAKE_TYPE, PLACEHOLDER_SIG, PLACEHOLDER_PUBKEY,
+} = require('./types/handshake.cjs');
+const { MUTEX_TYPE, NOBODY, MUTEX_OPS, encodeMutexPayload } = require('./types/mutex.cjs');
+const {
+  REPUTATION_TYPE, NO_INTERACTION, encodeReputationPayload, validateInteraction,
+} = require('./types/reputation.cjs');
+const { PREDATOR_TYPE, PREDATOR_MAX_INPUTS, SPECIES, encodePredatorPayload } = require('./types/predator.cjs');
+const {
+  RELAY_TYPE, RELAY_MAX_OUTPUTS, encodeRelayPayload, validateSpend, withinWindow,
+} = require('./types/relay.cjs');
+const { codecFor, validatePayload: validateRecord } = require('./types/index.cjs');
+const {
+  OrganismError, InvalidArgumentError, NotFoundError, OrganismDeadError, WrongTypeError,
+} = require('./errors.cjs');
+
+const DUST_LIMIT = 546;
+const ZERO_TXID = '00'.repeat(32);
+const SIGHASH_ALL_FORKID = 0x41;
+
+// Contract per organism type. Types without their own contract run the base
+// Organism covenant, which carries the type byte and an opaque payload.
+//
+//   options      spawn options the contract takes besides reward/fee/dust
+//   create       instantiate gen 0
+//   tag          ORG1 payload of gen 0 and fund txs (default: the tag prop, if any)
+//   claimRecord  ORG1 payload of a claim, given the claim payload (default: tag + payload)
+//   advance      apply a claim payload to the next generation's state
+//   claimArgs    extra `claim` arguments after claimerPkh and payload
+//   noPayload    `claim` takes no payload argument
+//   validatePayload  JS mirror of the covenant's payload checks
+//   methods      public methods in declaration order (default: claim, fund);
+//                a spend's unlocking script ends with the index of the one it calls
+const CONTRACTS = {
+  0: {
+    source: 'organism',
+    className: 'Organism',
+    options: ['maxPayload', 'tag'],
+    create: (Contract, o) => new Contract(
+      BigInt(o.type),
+      BigInt(o.reward),
+      BigInt(o.fee),
+      BigInt(o.dustLimit),
+      BigInt(o.maxPayload),
+      toByteString(o.tag),
+      toByteString(ZERO_TXID),  // gen 0 doesn't know its own txid
+      0n                        // generation 0
+    ),
+  },
+  [TASK_TYPE]: {
+    source: 'taskOrganism',
+    className: 'TaskOrganism',
+    options: [],
+    create: (Contract, o) => new Contract(
+      BigInt(o.reward),
+      BigInt(o.fee),
+      BigInt(o.dustLimit),
+      toByteString(ZERO_TXID),
+      0n
+    ),
+    validatePayload: (payload, { claimerPkh }) => validateTaskPayload(payload, claimerPkh),
+  },
+  [HANDSHAKE_TYPE]: {
+    source: 'handshakeOrganism',
+    className: 'HandshakeOrganism',
+    options: ['maxPayload', 'cosigner'],
+    create: (Contract, o) => {
+      if (!o.cosigner) throw new InvalidArgumentError(`Type ${HANDSHAKE_TYPE} organisms need a co-signer address`);
+      return new Contract(
+        BigInt(o.reward),
+        BigInt(o.fee),
+        BigInt(o.dustLimit),
+        BigInt(o.maxPayload),
+        PubKeyHash(toByteString(o.cosigner.hashBuffer.toString('hex'))),
+        toByteString(ZERO_TXID),
+        0n
+      );
+    },
+    tag: (organism) => organism.cosignerPkh,
+    // Unsigned requests carry placeholders until the co-signer signs
+    claimArgs: ({ cosignerSig = PLACEHOLDER_SIG, cosignerPubKey = PLACEHOLDER_PUBKEY }) => [
+      Sig(toByteString(cosignerSig)),
+      PubKey(toByteString(cosignerPubKey)),
+    ],
+  },
+  [MUTEX_TYPE]: {
+    source: 'mutexOrganism',
+    className: 'MutexOrganism',
+    options: ['timeout'],
+    methods: ['acquire', 'release', 'steal', 'fund'],
+    create: (Contract, o) => {
+      if (!o.timeout) throw new InvalidArgumentError(`Type ${MUTEX_TYPE} organisms need a timeout (blocks)`);
+      return new Contract(
+        BigInt(o.reward),
+        BigInt(o.fee),
+        BigInt(o.dustLimit),
+        BigInt(o.timeout),
+        toByteString(ZERO_TXID),
+        0n,
+        PubKeyHash(toByteString(NOBODY)),  // free
+        0n
+      );
+    },
+    tag: (organism) => encodeMutexPayload({
+      holderPkh: organism.holderPkh,
+      lockHeight: Number(organism.lockHeight),
+    }),
+  },
+  [REPUTATION_TYPE]: {
+    source: 'reputationOrganism',
+    className: 'ReputationOrganism',
+    options: ['subject'],
+    create: (Contract, o) => {
+      if (!o.subject) throw new InvalidArgumentError(`Type ${REPUTATION_TYPE} organisms need a subject address`);
+      return new Contract(
+        BigInt(o.reward),
+        BigInt(o.fee),
+        BigInt(o.dustLimit),
+        PubKeyHash(toByteString(o.subject.hashBuffer.toString('hex'))),
+        toByteString(ZERO_TXID),
+        0n,
+        toByteString(NO_INTERACTION)
+      );
+    },
+    tag: (organism) => encodeReputationPayload({
+      subjectPkh: organism.subjectPkh,
+      count: Number(organism.generation),
+      interactionHash: organism.lastInteraction,
+    }),
+    // The count is the new generation; the payload is the interaction hash
+    claimRecord: (organism, payload) => encodeReputationPayload({
+      subjectPkh: organism.subjectPkh,
+      count: Number(organism.generation) + 1,
+      interactionHash: payload,
+    }),
+    advance: (next, payload) => { next.lastInteraction = toByteString(payload); },
+    validatePayload: (payload, { organism }) => validateInteraction(payload, organism.lastInteraction),
+  },
+  [PREDATOR_TYPE]: {
+    source: 'predatorPreyOrganism',
+    className: 'PredatorPreyOrganism',
+    options: ['species'],
+    methods: ['claim', 'hunt', 'eaten', 'fund'],
+    create: (Contract, o) => new Contract(
+      BigInt(o.reward),
+      BigInt(o.fee),
+      BigInt(o.dustLimit),
+      BigInt(o.species),
+      0n,                       // no energy yet
+      toByteString(ZERO_TXID),
+      0n
+    ),
+    tag: (organism) => encodePredatorPayload({
+      species: Number(organism.species),
+      energy: organism.energy,
+    }),
+    noPayload: true,
+    validatePayload: (payload) => {
+      if (payload) throw new InvalidArgumentError(`Type ${PREDATOR_TYPE} claims don't take a payload`);
+    },
+  },
+  [RELAY_TYPE]: {
+    source: 'signalRelayOrganism',
+    className: 'SignalRelayOrganism',
+    options: ['watch', 'window'],
+    methods: ['fire', 'claim', 'fund'],
+    create: (Contract, o) => {
+      if (!o.watch) throw new InvalidArgumentError(`Type ${RELAY_TYPE} organisms need a TXID to watch`);
+      if (!o.window) throw new InvalidArgumentError(`Type ${RELAY_TYPE} organisms need a block window`);
+      return new Contract(
+        BigInt(o.reward),
+        BigInt(o.fee),
+        BigInt(o.dustLimit),
+        toByteString(o.watch),
+        BigInt(o.window),
+        toByteString(ZERO_TXID),
+        0n,
+        0n                        // waiting
+      );
+    },
+    tag: (organism) => encodeRelayPayload({
+      watchedTxid: organism.watchedTxid,
+      window: Number(organism.window),
+      triggered: organism.triggered === 1n,
+    }),
+    noPayload: true,
+    validatePayload: (payload, { organism }) => {
+      if (payload) throw new InvalidArgumentError(`Type ${RELAY_TYPE} claims don't take a payload`);
+      if (organism.triggered !== 1n) throw new InvalidArgumentError('This relay has not fired yet; fire it with relay.cjs');
+    },
+  },
+};
+
+function contractFor(type) {
+  return CONTRACTS[type] || CONTRACTS[0];
+}
+
+function artifactPath(type = 0) {
+  return path.join(__dirname, '..', `artifacts/${contractFor(type).source}.json`);
+}
+
+const ARTIFACT_PATH = artifactPath(0);
+
+const DEFAULT_METHODS = ['claim', 'fund'];
+
+// Name of the contract method a spend of a `type` organism called, from the
+// input's unlocking script (hex), or null if it doesn't end with a method index
+function spendMethod(type, unlockingScriptHex) {
+  let chunks;
+  try {
+    chunks = bsv.Script.fromHex(unlockingScriptHex || '').chunks;
+  } catch {
+    return null;
+  }
+  const last = chunks[chunks.length - 1];
+  if (!last) return null;
+  let index = null;
+  if (last.opcodenum === bsv.Opcode.OP_0) index = 0;
+  else if (last.opcodenum >= bsv.Opcode.OP_1 && last.opcodenum <= bsv.Opcode.OP_16) index = last.opcodenum - bsv.Opcode.OP_1 + 1;
+  const methods = contractFor(type).methods || DEFAULT_METHODS;
+  return index === null ? null : methods[index] || null;
+}
+
+const loaded = {};
+
+// Load the compiled contract class for `type` and its artifact (needs `npm run compile`)
+function loadOrganism(type = 0) {
+  const { source, className } = contractFor(type);
+  if (!loaded[source]) {
+    const Contract = require(`../dist/src/contracts/${source}`)[className];
+    Contract.loadArtifact(require(artifactPath(type)));
+    loaded[source] = Contract;
+  }
+  return loaded[source];
+}
+
+// Type byte of a contract instance (type-specific contracts fix it statically)
+function organismType(organism) {
+  return Number(organism.organismType ?? organism.constructor.ORGANISM_TYPE);
+}
+
+// Payload prefix carried by every generation
+function organismTag(organism) {
+  const { tag } = contractFor(organismType(organism));
+  return tag ? tag(organism) : organism.tag ?? '';
+}
+
+// Signature (tx format, hex) by `privateKey` over the organism input (input 0)
+// of `tx`, for contract methods that checkSig against the spending tx
+function signOrganismInput(tx, organism, privateKey) {
+  return bsv.Transaction.Sighash.sign(
+    tx, privateKey, SIGHASH_ALL_FORKID,
+    0, organism.lockingScript, new bsv.crypto.BN(organism.balance)
+  ).toTxFormat().toString('hex');
+}
+
+// Map a provider listUnspent entry to the shape bsv.Transaction#from expects.
+// The UTXO's own `address` (set for HD wallets) wins over `address`.
+function p2pkhInput(utxo, address) {
+  return {
+    txId: utxo.tx_hash,
+    outputIndex: utxo.tx_pos,
+    script: bsv.Script.buildPublicKeyHashOut(utxo.address ? bsv.Address.fromString(utxo.address) : address).toHex(),
+    satoshis: utxo.value,
+  };
+}
+
+// Sign the P2PKH inputs of `tx` from `firstIndex` on (earlier inputs are
+// contracts), each with the key of `privateKey` (one, or an array) it pays to
+function signP2pkhInputs(tx, privateKey, firstIndex) {
+  const keys = [].concat(privateKey);
+  for (let i = firstIndex; i < tx.inputs.length; i++) {
+    const script = tx.inputs[i].output.script;
+    const pkh = script.getPublicKeyHash().toString('hex');
+    const key = keys.find(k => bsv.crypto.Hash.sha256ripemd160(k.toPublicKey().toBuffer()).toString('hex') === pkh) || keys[0];
+    const sig = bsv.Transaction.Sighash.sign(
+      tx, key, SIGHASH_ALL_FORKID,
+      i, script, tx.inputs[i].output.satoshisBN
+    );
+    tx.inputs[i].setScript(
+      bsv.Script.buildPublicKeyHashIn(key.toPublicKey(), sig)
+    );
+  }
+  return tx;
+}
+
+function generationsLeft(balance, reward, fee, dustLimit = DUST_LIMIT) {
+  return Math.max(0, Math.floor((balance - dustLimit) / (reward + fee)));
+}
+
+// A new gen-0 organism of `type`, checking it takes the options given
+function createOrganism({
+  type, reward, fee, dustLimit = DUST_LIMIT,
+  maxPayload = 0, tag = '', cosigner = null, timeout = 0, subject = null, species = 0, watch = null, window = 0,
+}) {
+  const contract = contractFor(type);
+  const options = { maxPayload, tag, cosigner, timeout, subject, species, watch, window };
+  for (const [name, value] of Object.entries(options)) {
+    if (value && !contract.options.includes(name)) {
+      throw new InvalidArgumentError(`Type ${type} organisms don't take a ${name}`);
+    }
+  }
+  // Typed payloads have a fixed layout that a tag prefix would shift
+  if (tag && codecFor(type)) throw new InvalidArgumentError(`Type ${type} (${codecFor(type).name}) organisms don't take a tag`);
+  return contract.create(loadOrganism(type), { type, reward, fee, dustLimit, ...options });
+}
+
+// Spawn: output 0 organism, output 1 ORG1 gen 0, output 2 change (if above
+// dust) to `changeAddress`, by default the funding `address`
+function buildSpawnTx({ type, budget, utxos, address, changeAddress = address, spawnFee, ...options }) {
+  const organism = createOrganism({ type, ...options });
+
+  const totalAvailable = utxos.reduce((s, u) => s + u.value, 0);
+  const tx = new bsv.Transaction();
+  for (const utxo of utxos) tx.from(p2pkhInput(utxo, address));
+
+  tx.addOutput(new bsv.Transaction.Output({
+    script: organism.lockingScript,
+    satoshis: budget,
+  }));
+  tx.addOutput(new bsv.Transaction.Output({
+    script: org1Script({ type, generation: 0, spawnTxid: ZERO_TXID, payload: organismTag(organism) }),
+    satoshis: 0,
+  }));
+
+  const change = totalAvailable - budget - spawnFee;
+  if (change > DUST_LIMIT) {
+    tx.addOutput(new bsv.Transaction.Output({
+      script: bsv.Script.buildPublicKeyHashOut(changeAddress),
+      satoshis: change,
+    }));
+  }
+
+  return { tx, organism, change: change > DUST_LIMIT ? change : 0 };
+}
+
+// Rebuild the organism living in output 0 of `txid` and connect it to the chain
+async function loadFromChain(chain, txid, net) {
+  const txHex = await chain.getRawTx(txid);
+  if (!txHex) throw new NotFoundError(`Transaction not found: ${txid}`, { txid });
+
+  // The ORG1 output names the type, and with it the contract to rebuild
+  const tx = new bsv.Transaction(txHex);
+  const org1 = tx.outputs.map(out => decodeORG1Script(out.script.toHex())).find(Boolean);
+  const organism = loadOrganism(org1 ? org1.type : 0).fromTx(tx, 0);
+
+  const dummyKey = bsv.PrivateKey.fromRandom(net.bsv);
+  const provider = new ScryptProviderAdapter(chain, { network: net.bsv });
+  await provider.connect();
+  await organism.connect(new TestWallet(dummyKey, provider));
+  return organism;
+}
+
+// Follow output 0 spends from `txid` to the generation still unspent. A spend
+// by any input but 0 is a hunt: the organism was eaten and has no live tip.
+async function followToTip(chain, txid) {
+  for (;;) {
+    const spent = await chain.getSpent(txid, 0);
+    if (!spent) return txid;
+    if (!spent.txid) throw new OrganismError(`${txid.slice(0, 16)}... is spent but this provider can't say by what; pass the latest txid`, 'UNKNOWN_SPENDER', { txid });
+    if (spent.vin) throw new OrganismDeadError(`${txid.slice(0, 16)}... was eaten by a predator in ${spent.txid}`, { txid, eatenBy: spent.txid });
+    txid = spent.txid;
+  }
+}
+
+// Follow `txid` to the live tip and load the organism there
+async function loadTip(chain, txid, net) {
+  const tip = await followToTip(chain, txid);
+  const tipHex = await chain.getRawTx(tip);
+  if (!tipHex) throw new NotFoundError(`Transaction not found: ${tip}`, { txid: tip });
+  // A final generation has no continuation: its output 0 is the ORG1 record
+  if (decodeORG1Script(new bsv.Transaction(tipHex).outputs[0].script.toHex())) {
+    throw new OrganismDeadError(`The organism died at ${tip.slice(0, 16)}... (balance exhausted)`, { txid: tip });
+  }
+  return loadFromChain(chain, tip, net);
+}
+
+// The lineage's spawn txid as the next generation will carry it: organisms
+// that have never been spent hold zeros and adopt the txid they live in
+function lineageSpawnTxid(organism) {
+  return organism.spawnTxid === ZERO_TXID ? organism.from.tx.id : organism.spawnTxid;
+}
+
+// What a claim on `organism` would do, without building anything
+function claimPlan(organism) {
+  const currentBalance = BigInt(organism.balance);
+  const nextBalance = currentBalance - organism.reward - organism.fee;
+  return {
+    generation: Number(organism.generation),
+    currentBalance: Number(currentBalance),
+    nextBalance: Number(nextBalance),
+    reward: Number(organism.reward),
+    alive: nextBalance >= organism.dustLimit,
+  };
+}
+
+// Reproduce: output 0 continuation (if alive), output 1 ORG1, output 2 reward.
+// `payload` is the claim payload (hex) — for most types written after the
+// organism's tag in the ORG1 output; other options go to the type's claimArgs
+// (e.g. a Handshake co-signature).
+async function buildClaimTx(organism, claimerAddress, { payload = '', ...extra } = {}) {
+  const type = organismType(organism);
+  const claimerPkh = toByteString(claimerAddress.hashBuffer.toString('hex'));
+  const maxPayload = Number(organism.maxPayload ?? 0n);
+  if (maxPayload > 0 && payload.length / 2 > maxPayload) {
+    throw new InvalidArgumentError(`Payload is ${payload.length / 2} bytes; this organism allows at most ${maxPayload}`);
+  }
+  const { validatePayload, claimArgs, claimRecord, advance, noPayload } = contractFor(type);
+  let record;
+  try {
+    if (validatePayload) validatePayload(payload, { claimerPkh, organism });
+    record = claimRecord ? claimRecord(organism, payload) : organismTag(organism) + payload;
+    validateRecord(type, record);
+  } catch (err) {
+    throw err instanceof OrganismError ? err : new InvalidArgumentError(err.message);
+  }
+
+  const plan = claimPlan(organism);
+  const spawnTxid = lineageSpawnTxid(organism);
+
+  const nextInstance = organism.next();
+  nextInstance.generation = organism.generation + 1n;
+  nextInstance.spawnTxid = toByteString(spawnTxid);
+  if (advance) advance(nextInstance, payload);
+
+  organism.bindTxBuilder('claim', (current) => {
+    const unsignedTx = new bsv.Transaction();
+    unsignedTx.addInput(current.buildContractInput());
+
+    if (plan.alive) {
+      unsignedTx.addOutput(new bsv.Transaction.Output({
+        script: nextInstance.lockingScript,
+        satoshis: plan.nextBalance,
+      }));
+    }
+
+    unsignedTx.addOutput(new bsv.Transaction.Output({
+      script: org1Script({
+        type,
+        generation: plan.generation + 1,
+        spawnTxid,
+        payload: record,
+      }),
+      satoshis: 0,
+    }));
+
+    unsignedTx.addOutput(new bsv.Transaction.Output({
+      script: bsv.Script.buildPublicKeyHashOut(claimerAddress),
+      satoshis: plan.reward,
+    }));
+
+    return Promise.resolve({
+      tx: unsignedTx,
+      atInputIndex: 0,
+      nexts: plan.alive
+        ? [{ instance: nextInstance, atOutputIndex: 0, balance: plan.nextBalance }]
+        : [],
+    });
+  });
+
+  const callResult = await organism.methods.claim(
+    PubKeyHash(claimerPkh),
+    ...(noPayload ? [] : [toByteString(payload)]),
+    ...(claimArgs ? claimArgs(extra) : []),
+    { autoPayFee: false, partiallySigned: true, estimateFee: false }
+  );
+
+  return { tx: callResult.tx, spawnTxid, ...plan };
+}
+
+// Complete a Handshake claim as the co-signer: rebuild the claim on the
+// organism at `txid`, check it is the tx the claimer proposed (`expectTx`, if
+// given), sign its organism input and rebuild it with the signature
+async function cosignClaimTx(chain, txid, net, claimerAddress, { payload = '', privateKey, expectTx }) {
+  const organism = await loadFromChain(chain, txid, net);
+  if (organismType(organism) !== HANDSHAKE_TYPE) {
+    throw new WrongTypeError(`${txid.slice(0, 16)}... is not a Type ${HANDSHAKE_TYPE} (Handshake) organism`);
+  }
+  const pkh = privateKey.toAddress(net.bsv).hashBuffer.toString('hex');
+  if (pkh !== organism.cosignerPkh) {
+    throw new InvalidArgumentError('This key is not the organism\'s co-signer');
+  }
+
+  const { tx: unsigned } = await buildClaimTx(organism, claimerAddress, { payload });
+  if (expectTx && unsigned.uncheckedSerialize() !== expectTx) {
+    throw new InvalidArgumentError('The request does not match this organism\'s claim; ask the claimer for a fresh one');
+  }
+  const cosignerSig = signOrganismInput(unsigned, organism, privateKey);
+
+  // Fresh instance: the first call already bound a tx builder and next state
+  const signer = await loadFromChain(chain, txid, net);
+  return buildClaimTx(signer, claimerAddress, {
+    payload,
+    cosignerSig,
+    cosignerPubKey: privateKey.toPublicKey().toHex(),
+  });
+}
+
+// Mutex operation (acquire | release | steal) signed by `privateKey`, with
+// nLockTime `lockHeight` — the block height recorded as the lock's new height.
+// Output layout matches a claim; the signer gets the reward.
+async function buildMutexTx(organism, op, { privateKey, lockHeight }) {
+  if (organismType(organism) !== MUTEX_TYPE) {
+    throw new WrongTypeError(`Not a Type ${MUTEX_TYPE} (Mutex) organism`);
+  }
+  if (!MUTEX_OPS.includes(op)) throw new InvalidArgumentError(`Unknown mutex operation "${op}"`);
+
+  const pubKey = privateKey.toPublicKey();
+  const signerPkh = bsv.crypto.Hash.sha256ripemd160(pubKey.toBuffer()).toString('hex');
+  const holderPkh = organism.holderPkh === NOBODY ? null : organism.holderPkh;
+  const heldSince = Number(organism.lockHeight);
+  const timeout = Number(organism.timeout);
+
+  // Same checks as the contract, with errors a person can act on
+  if (op === 'acquire' && holderPkh) throw new InvalidArgumentError('Lock is held; wait for a release or steal it after the timeout');
+  if (op === 'release' && holderPkh !== signerPkh) throw new InvalidArgumentError('Only the holder can release the lock');
+  if (op === 'steal' && !holderPkh) throw new InvalidArgumentError('Lock is free; acquire it instead');
+  if (op === 'steal' && lockHeight < heldSince + timeout) {
+    throw new InvalidArgumentError(`Lock can be stolen from block ${heldSince + timeout}`);
+  }
+  if (lockHeight < heldSince) throw new InvalidArgumentError(`Lock height must be at least ${heldSince}`);
+
+  const plan = claimPlan(organism);
+  const spawnTxid = lineageSpawnTxid(organism);
+  const newHolder = op === 'release' ? NOBODY : signerPkh;
+
+  const nextInstance = organism.next();
+  nextInstance.generation = organism.generation + 1n;
+  nextInstance.spawnTxid = toByteString(spawnTxid);
+  nextInstance.holderPkh = PubKeyHash(toByteString(newHolder));
+  nextInstance.lockHeight = BigInt(lockHeight);
+
+  const build = (current) => {
+    const tx = new bsv.Transaction();
+    tx.addInput(current.buildContractInput());
+    if (plan.alive) {
+      tx.addOutput(new bsv.Transaction.Output({
+        script: nextInstance.lockingScript,
+        satoshis: plan.nextBalance,
+      }));
+    }
+    tx.addOutput(new bsv.Transaction.Output({
+      script: org1Script({
+        type: MUTEX_TYPE,
+        generation: plan.generation + 1,
+        spawnTxid,
+        payload: encodeMutexPayload({ holderPkh: newHolder, lockHeight }),
+      }),
+      satoshis: 0,
+    }));
+    tx.addOutput(new bsv.Transaction.Output({
+      script: bsv.Script.buildPublicKeyHashOut(privateKey.toAddress()),
+      satoshis: plan.reward,
+    }));
+    return tx.lockUntilBlockHeight(lockHeight);
+  };
+
+  // The signature covers the unlocking-script-free tx, so sign it up front
+  const sig = signOrganismInput(build(organism), organism, privateKey);
+
+  organism.bindTxBuilder(op, (current) => Promise.resolve({
+    tx: build(current),
+    atInputIndex: 0,
+    nexts: plan.alive
+      ? [{ instance: nextInstance, atOutputIndex: 0, balance: plan.nextBalance }]
+      : [],
+  }));
+
+  const callResult = await organism.methods[op](
+    Sig(toByteString(sig)),
+    PubKey(toByteString(pubKey.toHex())),
+    { autoPayFee: false, partiallySigned: true, estimateFee: false }
+  );
+
+  return {
+    tx: callResult.tx,
+    op,
+    spawnTxid,
+    holderPkh: newHolder === NOBODY ? null : newHolder,
+    lockHeight,
+    ...plan,
+  };
+}
+
+// Hunt: input 0 predator, input 1 prey of the same ecosystem (reward, fee
+// and dust limit). Output 0 predator continuation (if alive) holding both
+// balances less reward and fee, output 1 predator ORG1, output 2 the prey's
+// last ORG1, output 3 reward to the hunter.
+async function buildHuntTx(predator, prey, hunterAddress) {
+  for (const organism of [predator, prey]) {
+    if (organismType(organism) !== PREDATOR_TYPE) {
+      throw new WrongTypeError(`${organism.from.tx.id.slice(0, 16)}... is not a Type ${PREDATOR_TYPE} (Predator/Prey) organism`);
+    }
+  }
+  if (SPECIES[Number(predator.species)] !== 'predator') throw new WrongTypeError('Only predators hunt');
+  if (SPECIES[Number(prey.species)] !== 'prey') throw new WrongTypeError('Predators only eat prey');
+  if (['reward', 'fee', 'dustLimit'].some(prop => predator[prop] !== prey[prop])) {
+    throw new InvalidArgumentError('This prey belongs to another ecosystem (different reward, fee or dust limit)');
+  }
+  // The prey reads the tx holding the predator to check input 0 is one
+  if (predator.from.tx.inputs.length > PREDATOR_MAX_INPUTS) {
+    throw new InvalidArgumentError(
+      `The predator's tx has more than ${PREDATOR_MAX_INPUTS} inputs, too many for the prey to check; claim it first`
+    );
+  }
+
+  const hunterPkh = PubKeyHash(toByteString(hunterAddress.hashBuffer.toString('hex')));
+  const predatorBalance = Number(predator.balance);
+  const preyBalance = Number(prey.balance);
+  const reward = Number(predator.reward);
+  const nextBalance = predatorBalance + preyBalance - reward - Number(predator.fee);
+  const alive = nextBalance >= Number(predator.dustLimit);
+  const spawnTxid = lineageSpawnTxid(predator);
+  const preySpawnTxid = lineageSpawnTxid(prey);
+  const energy = predator.energy + BigInt(preyBalance);
+
+  const nextInstance = predator.next();
+  nextInstance.generation = predator.generation + 1n;
+  nextInstance.spawnTxid = toByteString(spawnTxid);
+  nextInstance.energy = energy;
+
+  predator.bindTxBuilder('hunt', (current) => {
+    const tx = new bsv.Transaction();
+    tx.addInput(current.buildContractInput());
+    tx.addInput(prey.buildContractInput());
+    if (alive) {
+      tx.addOutput(new bsv.Transaction.Output({
+        script: nextInstance.lockingScript,
+        satoshis: nextBalance,
+      }));
+    }
+    tx.addOutput(new bsv.Transaction.Output({
+      script: org1Script({
+        type: PREDATOR_TYPE,
+        generation: Number(nextInstance.generation),
+        spawnTxid,
+        payload: encodePredatorPayload({ species: SPECIES.indexOf('predator'), energy }),
+      }),
+      satoshis: 0,
+    }));
+    tx.addOutput(new bsv.Transaction.Output({
+      script: org1Script({
+        type: PREDATOR_TYPE,
+        generation: Number(prey.generation) + 1,
+        spawnTxid: preySpawnTxid,
+        payload: encodePredatorPayload({ species: SPECIES.indexOf('prey'), energy: 0 }),
+      }),
+      satoshis: 0,
+    }));
+    tx.addOutput(new bsv.Transaction.Output({
+      script: bsv.Script.buildPublicKeyHashOut(hunterAddress),
+      satoshis: reward,
+    }));
+    return Promise.resolve({
+      tx,
+      atInputIndex: 0,
+      nexts: alive ? [{ instance: nextInstance, atOutputIndex: 0, balance: nextBalance }] : [],
+    });
+  });
+  // The prey signs the tx the predator built, as input 1
+  prey.bindTxBuilder('eaten', (current, options) => Promise.resolve({
+    tx: options.partialContractTx.tx,
+    atInputIndex: 1,
+    nexts: [],
+  }));
+
+  const partial = await predator.methods.hunt(
+    hunterPkh,
+    toByteString(preySpawnTxid),
+    prey.generation,
+    BigInt(preyBalance),
+    { multiContractCall: true }
+  );
+  const both = await prey.methods.eaten(
+    hunterPkh,
+    predator.spawnTxid,
+    predator.generation,
+    predator.energy,
+    BigInt(predatorBalance),
+    toByteString(predator.from.tx.uncheckedSerialize()),
+    { multiContractCall: true, partialContractTx: partial }
+  );
+  const { tx } = await SmartContract.multiContractCall(both, predator.signer, {
+    autoPayFee: false, partiallySigned: true,
+  });
+
+  return {
+    tx,
+    spawnTxid,
+    preySpawnTxid,
+    generation: Number(predator.generation),
+    currentBalance: predatorBalance,
+    preyBalance,
+    nextBalance,
+    energy: Number(energy),
+    reward,
+    alive,
+  };
+}
+
+// Fire a Signal Relay: input 0 relay, input 1 the output of `spenderTx` (the
+// tx that spent the watched outpoint) paying `address`, as proof. Output
+// layout matches a claim; the firer gets the reward plus input 1's value.
+// `spendHeight` is the block the spend confirmed in (null: mempool) and
+// `height` the chain tip, for the block window, which only this check
+// enforces.
+async function buildFireTx(relay, { spenderTx, spendHeight = null, height, privateKey, address }) {
+  if (organismType(relay) !== RELAY_TYPE) throw new WrongTypeError(`Not a Type ${RELAY_TYPE} (Signal Relay) organism`);
+  if (relay.triggered === 1n) throw new InvalidArgumentError('This relay has already fired');
+  try {
+    validateSpend(spenderTx, relay.watchedTxid);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+  const window = Number(relay.window);
+  if (!withinWindow({ spendHeight, window, height })) {
+    throw new InvalidArgumentError(`The watched outpoint was spent at block ${spendHeight}; the ${window}-block window closed at ${spendHeight + window}`);
+  }
+
+  const pkh = address.hashBuffer.toString('hex');
+  // The covenant only walks the first RELAY_MAX_OUTPUTS outputs
+  const proofIndex = spenderTx.outputs.slice(0, RELAY_MAX_OUTPUTS).findIndex(out =>
+    out.script.isPublicKeyHashOut() && out.script.getPublicKeyHash().toString('hex') === pkh);
+  if (proofIndex < 0) {
+    throw new InvalidArgumentError(`No output of ${spenderTx.id.slice(0, 16)}... pays ${address.toString()}; one is needed as proof of the spend`);
+  }
+  const proof = spenderTx.outputs[proofIndex];
+
+  const plan = claimPlan(relay);
+  const spawnTxid = lineageSpawnTxid(relay);
+  const nextInstance = relay.next();
+  nextInstance.generation = relay.generation + 1n;
+  nextInstance.spawnTxid = toByteString(spawnTxid);
+  nextInstance.triggered = 1n;
+
+  relay.bindTxBuilder('fire', (current) => {
+    const tx = new bsv.Transaction();
+    tx.addInput(current.buildContractInput());
+    tx.from({
+      txId: spenderTx.id,
+      outputIndex: proofIndex,
+      script: proof.script.toHex(),
+      satoshis: proof.satoshis,
+    });
+    if (plan.alive) {
+      tx.addOutput(new bsv.Transaction.Output({
+        script: nextInstance.lockingScript,
+        satoshis: plan.nextBalance,
+      }));
+    }
+    tx.addOutput(new bsv.Transaction.Output({
+      script: org1Script({
+        type: RELAY_TYPE,
+        generation: plan.generation + 1,
+        spawnTxid,
+        payload: encodeRelayPayload({ watchedTxid: relay.watchedTxid, window, triggered: true }),
+      }),
+      satoshis: 0,
+    }));
+    tx.addOutput(new bsv.Transaction.Output({
+      script: bsv.Script.buildPublicKeyHashOut(address),
+      satoshis: plan.reward + proof.satoshis,
+    }));
+    return Promise.resolve({
+      tx,
+      atInputIndex: 0,
+      nexts: plan.alive
+        ? [{ instance: nextInstance, atOutputIndex: 0, balance: plan.nextBalance }]
+        : [],
+    });
+  });
+
+  const callResult = await relay.methods.fire(
+    PubKeyHash(toByteString(pkh)),
+    toByteString(spenderTx.toString()),
+    { autoPayFee: false, partiallySigned: true, estimateFee: false }
+  );
+
+  return {
+    tx: signP2pkhInputs(callResult.tx, privateKey, 1),
+    spawnTxid,
+    proof: { txid: spenderTx.id, vout: proofIndex, value: proof.satoshis },
+    ...plan,
+  };
+}
+
+// Feed: input 0 organism, inputs 1+ funder P2PKH; output 0 organism with the
+// higher balance, output 1 ORG1 (same generation), output 2 change (if above dust)
+// to `changeAddress`. `privateKey` may be an array: the keys of the UTXOs' addresses.
+async function buildFundTx(organism, { amount, fee, utxos, privateKey, address, changeAddress = address }) {
+  const currentBalance = Number(organism.balance);
+  const newBalance = currentBalance + amount;
+  const gen = Number(organism.generation);
+
+  const totalAvailable = utxos.reduce((s, u) => s + u.value, 0);
+  const totalIn = currentBalance + totalAvailable;
+  const change = totalIn - newBalance - fee;
+  const hasChange = change > DUST_LIMIT;
+
+  // generation stays the same — no increment for fund
+  const spawnTxid = lineageSpawnTxid(organism);
+  const nextInstance = organism.next();
+  nextInstance.spawnTxid = toByteString(spawnTxid);
+
+  organism.bindTxBuilder('fund', (current) => {
+    const unsignedTx = new bsv.Transaction();
+    unsignedTx.addInput(current.buildContractInput());
+    for (const utxo of utxos) unsignedTx.from(p2pkhInput(utxo, address));
+
+    unsignedTx.addOutput(new bsv.Transaction.Output({
+      script: nextInstance.lockingScript,
+      satoshis: newBalance,
+    }));
+
+    unsignedTx.addOutput(new bsv.Transaction.Output({
+      script: org1Script({
+        type: organismType(organism),
+        generation: gen,
+        spawnTxid,
+        payload: organismTag(organism),
+      }),
+      satoshis: 0,
+    }));
+
+    if (hasChange) {
+      unsignedTx.addOutput(new bsv.Transaction.Output({
+        script: bsv.Script.buildPublicKeyHashOut(changeAddress),
+        satoshis: change,
+      }));
+    }
+
+    return Promise.resolve({
+      tx: unsignedTx,
+      atInputIndex: 0,
+      nexts: [{ instance: nextInstance, atOutputIndex: 0, balance: newBalance }],
+    });
+  });
+
+  const changePkh = toByteString(changeAddress.hashBuffer.toString('hex'));
+  const callResult = await organism.methods.fund(
+    BigInt(newBalance),
+    PubKeyHash(changePkh),
+    BigInt(hasChange ? change : 0),
+    { autoPayFee: false, partiallySigned: true, estimateFee: false }
+  );
+
+  // Sign the funding inputs (input 0 is contract, inputs 1+ are P2PKH)
+  const tx = signP2pkhInputs(callResult.tx, privateKey, 1);
+
+  return { tx, spawnTxid, currentBalance, newBalance, change: hasChange ? change : 0 };
+}
+
+module.exports = {
+  ARTIFACT_PATH,
+  DUST_LIMIT,
+  ZERO_TXID,
+  artifactPath,
+  spendMethod,
+  loadOrganism,
+  organismType,
+  org1Script,
+  signOrganismInput,
+  p2pkhInput,
+  signP2pkhInputs,
+  generationsLeft,
+  createOrganism,
+  buildSpawnTx,
+  loadFromChain,
+  followToTip,
+  loadTip,
+  lineageSpawnTxid,
+  claimPlan,
+  buildClaimTx,
+  cosignClaimTx,
+  buildMutexTx,
+  buildHuntTx,
+  buildFireTx,
+  buildFundTx,
+};
@@ -0,0 +1,67 @@
+// Payload codec plugins for types without a built-in codec.
+//
+// A plugin is a CommonJS module exporting one codec, or an array of them:
+//
+//   module.exports = {
+//     type: 42,                       // ORG1 type byte
+//     name: 'Weather Station',
+//     encode: (fields) => hex,        // claim.cjs --fields <json|file>
+//     decode: (hex) => fields | null, // null when malformed
+//     format: (fields) => 'one line', // scanner.cjs (default: fields as JSON)
+//     validate: (hex, fields) => {},  // optional; throw to refuse a claim
+//   };
+//
+// Plugins come from --plugin <path,...>, ORG_PLUGINS, and the "plugins" list
+// of the config file (--config, ORG_CONFIG, default ./organism.config.json).
+// Relative paths resolve from the working directory, or from the config
+// file's directory for paths listed there. Organisms of plugin types run on
+// the base Organism covenant; the payload is the claim payload.
+
+const path = require('path');
+const { readConfig } = require('./config.cjs');
+const { registerCodec } = require('./types/index.cjs');
+
+function splitList(value) {
+  return typeof value === 'string' ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+// Absolute paths of the plugins named by CLI args, environment and config
+function pluginPaths(args, env = process.env) {
+  const paths = [...splitList(args.plugin), ...splitList(env.ORG_PLUGINS)]
+    .map(p => path.resolve(p));
+
+  const { path: configPath, config } = readConfig(args, env);
+  if (!configPath) return paths;
+  const listed = config.plugins || [];
+  if (!Array.isArray(listed)) throw new Error(`"plugins" in ${configPath} must be a list of paths`);
+  for (const p of listed) paths.push(path.resolve(path.dirname(configPath), p));
+  return paths;
+}
+
+// Load every plugin and register its codecs; returns the registered codecs
+function loadPlugins(args, env = process.env) {
+  const codecs = [];
+  for (const file of new Set(pluginPaths(args, env))) {
+    let exported;
+    try {
+      exported = require(file);
+    } catch (err) {
+      throw new Error(`Could not load plugin ${file}: ${err.message}`);
+    }
+    for (const codec of [].concat(exported)) {
+      try {
+        codecs.push(registerCodec(codec));
+      } catch (err) {
+        throw new Error(`Plugin ${file}: ${err.message}`);
+      }
+    }
+  }
+  return codecs;
+}
+
+const PLUGIN_USAGE = [
+  '  --plugin <path,...> Payload codec plugins (env: ORG_PLUGINS; see lib/plugins.cjs)',
+  '  --config <file>    Config file listing "plugins" (env: ORG_CONFIG, default: ./organism.config.json)',
+].join('\n');
+
+module.exports = { PLUGIN_USAGE, pluginPaths, loadPlugins };
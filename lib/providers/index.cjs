@@ -0,0 +1,80 @@
+// Chain provider selection.
+//
+// Every backend implements the same async interface:
+//   getTx(txid)            -> WhatsOnChain-shaped tx JSON, or null
+//   getRawTx(txid)         -> raw hex, or null
+//   listUnspent(address)   -> [{ tx_hash, tx_pos, value, height }]
+//   getSpent(txid, vout)   -> { txid, vin } of the spender, or null if unspent
+//   getBlockHeight()       -> height of the chain tip
+//   broadcast(txhex)       -> txid
+//   getFeeRate()           -> sats/kB miners ask for (optional; see lib/fees.cjs)
+//   getBlock(height)       -> { height, hash, time, txs: [raw hex] } in block
+//                             order, or null past the tip (optional; see
+//                             lib/indexer.cjs)
+//   subscribe(listener)    -> calls listener(txid) for each new tx seen;
+//                             returns an unsubscribe function (optional; see
+//                             lib/watcher.cjs, which polls without it)
+//
+// Backends: woc (default), node (JSON-RPC / ARC), fixture (local JSON file),
+// sim (fixture storage plus full script verification, see simulator.cjs).
+// Pick one with --provider <name> or ORG_PROVIDER. The network comes from
+// --network / ORG_NETWORK (see lib/network.cjs).
+
+const { networkFromArgs, stateDirs } = require('../network.cjs');
+const { WhatsOnChainProvider } = require('./whatsonchain.cjs');
+const { NodeProvider } = require('./node.cjs');
+const { FixtureProvider } = require('./fixture.cjs');
+const { SimulatorProvider } = require('./simulator.cjs');
+const { ScryptProviderAdapter, sumBalance } = require('./scrypt-adapter.cjs');
+
+const PROVIDERS = ['woc', 'node', 'fixture', 'sim'];
+
+function createProvider(name, options = {}) {
+  switch (name) {
+    case 'woc': return new WhatsOnChainProvider(options);
+    case 'node': return new NodeProvider(options);
+    case 'fixture': return new FixtureProvider(options);
+    case 'sim': return new SimulatorProvider(options);
+    default:
+      throw new Error(`Unknown provider "${name}" (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+}
+
+// Build the provider named by CLI args, falling back to environment variables
+function providerFromArgs(args, env = process.env) {
+  const net = networkFromArgs(args, env);
+  const name = args.provider || env.ORG_PROVIDER || 'woc';
+  const url = args['woc-url'] || env.ORG_WOC_URL || net.wocUrl;
+  if (name === 'woc' && !url) {
+    throw new Error(`WhatsOnChain does not serve ${net.name}; use --provider node or --provider fixture`);
+  }
+  return createProvider(name, {
+    network: net.bsv,
+    url,
+    rpcUrl: args['rpc-url'] || env.ORG_RPC_URL,
+    arcUrl: args['arc-url'] || env.ORG_ARC_URL,
+    arcToken: env.ORG_ARC_TOKEN,
+    path: args.fixtures || env.ORG_FIXTURES || stateDirs(net).fixtures,
+  });
+}
+
+const PROVIDER_USAGE = [
+  '  --network <name>   main | test | regtest (env: ORG_NETWORK, default: main)',
+  '  --provider <name>  Chain backend: woc | node | fixture | sim (env: ORG_PROVIDER, default: woc)',
+  '  --rpc-url <url>    JSON-RPC URL for --provider node (env: ORG_RPC_URL)',
+  '  --arc-url <url>    ARC broadcast URL for --provider node (env: ORG_ARC_URL)',
+  '  --fixtures <path>  Fixture file for --provider fixture|sim (env: ORG_FIXTURES, default: ./fixtures[.<network>].json)',
+].join('\n');
+
+module.exports = {
+  PROVIDERS,
+  PROVIDER_USAGE,
+  createProvider,
+  providerFromArgs,
+  WhatsOnChainProvider,
+  NodeProvider,
+  FixtureProvider,
+  SimulatorProvider,
+  ScryptProviderAdapter,
+  sumBalance,
+};
@@ -0,0 +1,139 @@
+// Self-hosted node backend: bitcoind-style JSON-RPC for reads, and either
+// `sendrawtransaction` or an ARC endpoint (POST /v1/tx) for broadcasts.
+//
+// Address lookups go through `listunspent`, so the node wallet must be
+// watching the address (`importaddress <addr> "" false`). A plain node keeps
+// no spent index: getSpent can tell that an output is spent, but the
+// spending txid is reported as null. Data outputs can't be spent and are
+// reported as unspent, so the ORG1 record of a dead organism ends a walk.
+
+const { bsv } = require('scrypt-ts');
+const { request, postJson } = require('../http.cjs');
+const { txToJson } = require('./tx-json.cjs');
+
+class NodeProvider {
+  constructor({ rpcUrl, arcUrl, arcToken, network = 'mainnet' } = {}) {
+    if (!rpcUrl) throw new Error('node provider needs an RPC URL (--rpc-url or ORG_RPC_URL)');
+    this.rateLimitMs = 0;
+    this.name = 'node';
+    this.rpcUrl = rpcUrl;
+    this.arcUrl = arcUrl ? arcUrl.replace(/\/$/, '') : null;
+    this.arcToken = arcToken || null;
+    this.network = network;
+    this._id = 0;
+  }
+
+  async rpc(method, params = []) {
+    const res = await postJson(this.rpcUrl, { jsonrpc: '1.0', id: ++this._id, method, params });
+    let data;
+    try { data = JSON.parse(res.body); }
+    catch { throw new Error(`RPC ${method} failed (${res.status}): ${res.body.slice(0, 200)}`); }
+    if (data.error) {
+      const err = new Error(`RPC ${method}: ${data.error.message}`);
+      err.code = data.error.code;
+      throw err;
+    }
+    return data.result;
+  }
+
+  async getRawTx(txid) {
+    try {
+      return await this.rpc('getrawtransaction', [txid, 0]);
+    } catch (err) {
+      if (err.code === -5) return null; // No such mempool or blockchain transaction
+      throw err;
+    }
+  }
+
+  async getTx(txid) {
+    let verbose;
+    try {
+      verbose = await this.rpc('getrawtransaction', [txid, 1]);
+    } catch (err) {
+      if (err.code === -5) return null;
+      throw err;
+    }
+    let blockheight = null;
+    if (verbose.blockhash) {
+      const header = await this.rpc('getblockheader', [verbose.blockhash]);
+      blockheight = header.height;
+    }
+    return txToJson(verbose.hex, {
+      network: this.network,
+      blockheight,
+      blocktime: verbose.blocktime || null,
+    });
+  }
+
+  async listUnspent(address) {
+    const [utxos, tip] = await Promise.all([
+      this.rpc('listunspent', [0, 9999999, [address]]),
+      this.rpc('getblockcount'),
+    ]);
+    return utxos.map(u => ({
+      tx_hash: u.txid,
+      tx_pos: u.vout,
+      value: Math.round(u.amount * 1e8),
+      height: u.confirmations > 0 ? tip - u.confirmations + 1 : 0,
+    }));
+  }
+
+  async getSpent(txid, vout) {
+    const out = await this.rpc('gettxout', [txid, vout, true]);
+    if (out) return null;
+    // Output is gone from the UTXO set; make sure it existed at all, and
+    // could be spent: a data output, such as the ORG1 record a dead organism
+    // leaves in output 0, never enters the UTXO set
+    const hex = await this.getRawTx(txid);
+    if (!hex) return null;
+    const output = new bsv.Transaction(hex).outputs[vout];
+    if (!output || output.script.isDataOut() || output.script.isSafeDataOut()) return null;
+    return { txid: null, vin: null };
+  }
+
+  getBlockHeight() {
+    return this.rpc('getblockcount');
+  }
+
+  async getBlock(height) {
+    let hash;
+    try {
+      hash = await this.rpc('getblockhash', [height]);
+    } catch (err) {
+      if (err.code === -8) return null; // Block height out of range
+      throw err;
+    }
+    const block = bsv.Block.fromBuffer(Buffer.from(await this.rpc('getblock', [hash, 0]), 'hex'));
+    return { height, hash, time: block.header.time, txs: block.transactions.map(tx => tx.uncheckedSerialize()) };
+  }
+
+  // Mining fee in sats/kB: ARC's policy quote if broadcasting through ARC,
+  // otherwise the node's relay fee
+  async getFeeRate() {
+    if (this.arcUrl) {
+      const headers = { Accept: 'application/json', ...(this.arcToken && { Authorization: `Bearer ${this.arcToken}` }) };
+      const res = await request(`${this.arcUrl}/v1/policy`, { headers });
+      let fee = null;
+      try { fee = JSON.parse(res.body).policy.miningFee; } catch {}
+      if (res.status !== 200 || !fee || !fee.bytes) throw new Error(`ARC policy failed (${res.status}): ${res.body.slice(0, 200)}`);
+      return fee.satoshis * 1000 / fee.bytes;
+    }
+    const info = await this.rpc('getnetworkinfo');
+    return Math.round(info.relayfee * 1e8);
+  }
+
+  async broadcast(txhex) {
+    if (!this.arcUrl) return this.rpc('sendrawtransaction', [txhex]);
+
+    const headers = this.arcToken ? { Authorization: `Bearer ${this.arcToken}` } : {};
+    const res = await postJson(`${this.arcUrl}/v1/tx`, { rawTx: txhex }, headers);
+    let data = {};
+    try { data = JSON.parse(res.body); } catch {}
+    if (res.status !== 200 || !data.txid) {
+      throw new Error(`Broadcast failed (${res.status}): ${data.detail || data.title || res.body}`);
+    }
+    return data.txid;
+  }
+}
+
+module.exports = { NodeProvider };
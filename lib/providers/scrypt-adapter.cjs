@@ -0,0 +1,55 @@
+// Wrap a chain provider as a scrypt-ts Provider so contract calls
+// (TestWallet, organism.connect) go through the selected backend instead of
+// scrypt-ts's built-in DefaultProvider.
+
+const { bsv, Provider } = require('scrypt-ts');
+
+// Split a listUnspent result into confirmed / unconfirmed totals
+function sumBalance(utxos) {
+  let confirmed = 0;
+  let unconfirmed = 0;
+  for (const u of utxos) {
+    if (u.height > 0) confirmed += u.value;
+    else unconfirmed += u.value;
+  }
+  return { confirmed, unconfirmed };
+}
+
+class ScryptProviderAdapter extends Provider {
+  constructor(chain, { network = bsv.Networks.mainnet, feePerKb = 1 } = {}) {
+    super();
+    this.chain = chain;
+    this.network = network;
+    this.feePerKb = feePerKb;
+  }
+
+  isConnected() { return true; }
+
+  connect() { return Promise.resolve(this); }
+
+  updateNetwork(network) { this.network = network; }
+
+  getNetwork() { return this.network; }
+
+  getFeePerKb() { return Promise.resolve(this.feePerKb); }
+
+  sendRawTransaction(rawTxHex) { return this.chain.broadcast(rawTxHex); }
+
+  async getTransaction(txHash) {
+    const hex = await this.chain.getRawTx(txHash);
+    if (!hex) throw new Error(`Transaction not found: ${txHash}`);
+    return new bsv.Transaction(hex);
+  }
+
+  async listUnspent(address) {
+    const utxos = await this.chain.listUnspent(address.toString());
+    const script = bsv.Script.buildPublicKeyHashOut(address).toHex();
+    return utxos.map(u => ({ txId: u.tx_hash, outputIndex: u.tx_pos, script, satoshis: u.value }));
+  }
+
+  async getBalance(address) {
+    return sumBalance(await this.chain.listUnspent(address.toString()));
+  }
+}
+
+module.exports = { ScryptProviderAdapter, sumBalance };
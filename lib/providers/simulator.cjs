@@ -0,0 +1,87 @@
+// In-process chain simulator.
+//
+// Same storage and provider interface as the fixture backend, but every
+// broadcast is checked like a miner would: each input's unlocking script is
+// run against the locking script it spends (so sCrypt covenants, including
+// their hashOutputs assertions, are really enforced), and outputs may not
+// exceed inputs, and nLockTime must have been reached. Transactions sit in the
+// "mempool" until mine() confirms them.
+
+const crypto = require('crypto');
+const { bsv } = require('scrypt-ts');
+const { FixtureProvider } = require('./fixture.cjs');
+
+class SimulatorProvider extends FixtureProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'sim';
+    this.height = 0;
+    for (const meta of this.txs.values()) {
+      if (meta.blockheight > this.height) this.height = meta.blockheight;
+    }
+  }
+
+  // Create a spendable P2PKH output out of thin air, like a coinbase
+  faucet(address, satoshis) {
+    const tx = new bsv.Transaction();
+    tx.uncheckedAddInput(new bsv.Transaction.Input({
+      prevTxId: crypto.randomBytes(32).toString('hex'),
+      outputIndex: 0xffffffff,
+      script: bsv.Script.empty(),
+    }));
+    tx.addOutput(new bsv.Transaction.Output({
+      script: bsv.Script.buildPublicKeyHashOut(address),
+      satoshis,
+    }));
+    const txid = this.addTx(tx.uncheckedSerialize(), { blockheight: ++this.height, blocktime: now() });
+    return { tx_hash: txid, tx_pos: 0, value: satoshis, height: this.height };
+  }
+
+  // Confirm every mempool transaction in a new block
+  mine() {
+    this.height++;
+    const blocktime = now();
+    let count = 0;
+    for (const meta of this.txs.values()) {
+      if (meta.blockheight) continue;
+      meta.blockheight = this.height;
+      meta.blocktime = blocktime;
+      count++;
+    }
+    this._save();
+    return count;
+  }
+
+  async getBlockHeight() {
+    return this.height;
+  }
+
+  verify(tx) {
+    // Like a node's mempool: a time-locked tx is final once it can go in the next block
+    const timeLocked = tx.inputs.some(input => input.sequenceNumber !== 0xffffffff);
+    if (timeLocked && tx.nLockTime > this.height && tx.nLockTime < 500000000) {
+      throw new Error(`Broadcast failed: non-final (nLockTime ${tx.nLockTime}, height ${this.height})`);
+    }
+
+    let totalIn = 0;
+    tx.inputs.forEach((input, vin) => {
+      const prev = this.parsed.get(input.prevTxId.toString('hex')).outputs[input.outputIndex];
+      input.output = prev;
+      totalIn += prev.satoshis;
+      const result = tx.verifyScript(vin);
+      if (!result.success) {
+        throw new Error(`Broadcast failed: mandatory-script-verify-flag-failed (input ${vin}: ${result.error})`);
+      }
+    });
+    const totalOut = tx.outputs.reduce((s, o) => s + o.satoshis, 0);
+    if (totalOut > totalIn) {
+      throw new Error(`Broadcast failed: bad-txns-in-belowout (${totalIn} in, ${totalOut} out)`);
+    }
+  }
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+module.exports = { SimulatorProvider };
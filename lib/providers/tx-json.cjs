@@ -0,0 +1,31 @@
+// Convert a raw transaction into the JSON shape WhatsOnChain returns from
+// /tx/<txid>, so every provider hands the CLIs the same structure.
+
+const { bsv } = require('scrypt-ts');
+
+function txToJson(txOrHex, { network = 'mainnet', blockheight = null, blocktime = null } = {}) {
+  const tx = typeof txOrHex === 'string' ? new bsv.Transaction(txOrHex) : txOrHex;
+  const hex = tx.toString();
+  return {
+    txid: tx.id,
+    hex,
+    size: hex.length / 2,
+    vin: tx.inputs.map(input => ({
+      txid: input.prevTxId.toString('hex'),
+      vout: input.outputIndex,
+      scriptSig: { hex: input.script.toHex() },
+      sequence: input.sequenceNumber,
+    })),
+    vout: tx.outputs.map((output, n) => {
+      const scriptPubKey = { hex: output.script.toHex() };
+      if (output.script.isPublicKeyHashOut()) {
+        scriptPubKey.addresses = [output.script.toAddress(network).toString()];
+      }
+      return { value: output.satoshis / 1e8, n, scriptPubKey };
+    }),
+    blockheight,
+    blocktime,
+  };
+}
+
+module.exports = { txToJson };
@@ -0,0 +1,69 @@
+// WhatsOnChain REST backend (https://developers.whatsonchain.com)
+
+const { getJson, getText, postJson } = require('../http.cjs');
+
+const DEFAULT_URL = 'https://api.whatsonchain.com/v1/bsv/main';
+
+class WhatsOnChainProvider {
+  constructor({ url = DEFAULT_URL, network } = {}) {
+    this.name = 'woc';
+    this.url = url.replace(/\/$/, '');
+    this.network = network;
+    // Free-tier API allows ~3 requests/sec; crawlers wait this long between calls
+    this.rateLimitMs = 300;
+  }
+
+  getTx(txid) {
+    return getJson(`${this.url}/tx/${txid}`);
+  }
+
+  getRawTx(txid) {
+    return getText(`${this.url}/tx/${txid}/hex`);
+  }
+
+  async listUnspent(address) {
+    return (await getJson(`${this.url}/address/${address}/unspent`)) || [];
+  }
+
+  async getSpent(txid, vout) {
+    const info = await getJson(`${this.url}/tx/${txid}/${vout}/spent`);
+    return info && info.txid ? { txid: info.txid, vin: info.vin } : null;
+  }
+
+  async getBlockHeight() {
+    return (await getJson(`${this.url}/chain/info`)).blocks;
+  }
+
+  // Block txids come with the block (later pages for big blocks); their raw
+  // hex is fetched in batches of 20, the most /txs/hex takes
+  async getBlock(height) {
+    const block = await getJson(`${this.url}/block/height/${height}`);
+    if (!block) return null;
+    let txids = block.tx || [];
+    for (const uri of (block.pages && block.pages.uri) || []) {
+      txids = txids.concat(await getJson(`${this.url}${uri}`));
+    }
+    const txs = [];
+    for (let i = 0; i < txids.length; i += 20) {
+      const batch = txids.slice(i, i + 20);
+      const res = await postJson(`${this.url}/txs/hex`, { txids: batch });
+      let found = [];
+      try { found = JSON.parse(res.body); } catch {}
+      if (res.status !== 200 || !Array.isArray(found)) throw new Error(`Block ${height} txs failed (${res.status}): ${res.body.slice(0, 200)}`);
+      const hexes = new Map(found.map(t => [t.txid, t.hex]));
+      for (const txid of batch) {
+        if (!hexes.get(txid)) throw new Error(`Block ${height}: no hex for ${txid}`);
+        txs.push(hexes.get(txid));
+      }
+    }
+    return { height, hash: block.hash, time: block.time, txs };
+  }
+
+  async broadcast(txhex) {
+    const res = await postJson(`${this.url}/tx/raw`, { txhex });
+    if (res.status !== 200) throw new Error(`Broadcast failed (${res.status}): ${res.body}`);
+    return res.body.replace(/"/g, '').trim();
+  }
+}
+
+module.exports = { WhatsOnChainProvider, DEFAULT_URL };
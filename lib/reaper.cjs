@@ -0,0 +1,143 @@
+// Claimer daemon (reaper.cjs): keep a set of lineages reproducing and collect
+// their rewards.
+//
+// Each round, every watched lineage is followed to its live tip and claimed
+// to one address with an empty payload, unless:
+//   - it was claimed less than `every` seconds ago (schedule),
+//   - its reward is below `minReward` sats (not worth it),
+//   - its type can't be claimed blind (work records, co-signatures, relays
+//     that haven't fired) — skipped until a round where the claim builds.
+// A claim that loses a race to another claimer is retried on the new tip up
+// to `retries` times (OrganismClient.race). Lineages that die are dropped
+// from the watch list.
+
+const fs = require('fs');
+const { OrganismDeadError } = require('./errors.cjs');
+
+const TXID_PATTERN = /^[0-9a-f]{64}$/i;
+
+// Lineages to watch, as [{ spawnTxid, tip }]: `txids` if given, else the
+// config's `lineages`, else every organism spawned here (`states`, from the
+// lineage store; starting from the last txid its state recorded)
+function watchList({ txids = [], lineages = [], states = [] }) {
+  const listed = txids.length ? txids : lineages;
+  if (listed.length) {
+    for (const txid of listed) {
+      if (!TXID_PATTERN.test(txid)) throw new Error(`Not a TXID: ${txid}`);
+    }
+    return [...new Set(listed.map(t => t.toLowerCase()))].map(spawnTxid => ({ spawnTxid, tip: spawnTxid }));
+  }
+  return states
+    .filter(state => state.spawnTxid)
+    .map(state => ({ spawnTxid: state.spawnTxid, tip: state.currentTxid || state.spawnTxid }));
+}
+
+class Reaper {
+  // client:    an OrganismClient
+  // address:   where rewards are paid
+  // every:     seconds between claims of one lineage (0: every round)
+  // minReward: smallest reward worth claiming, in sats
+  // retries:   re-claims on the new tip after losing a race
+  // log:       JSONL file each claim is appended to (null: none)
+  constructor(client, { address, every = 0, minReward = 0, retries = 3, log = null, now = Date.now } = {}) {
+    this.client = client;
+    this.address = client.address(address);
+    this.every = every;
+    this.minReward = minReward;
+    this.retries = retries;
+    this.log = log;
+    this.now = now;
+    this.lineages = new Map();  // spawnTxid -> { spawnTxid, tip, lastClaim }
+    this.totals = { claims: 0, rewards: 0 };
+  }
+
+  watch(spawnTxid, tip = spawnTxid) {
+    if (!this.lineages.has(spawnTxid)) this.lineages.set(spawnTxid, { spawnTxid, tip, lastClaim: 0 });
+  }
+
+  // Check every lineage once; returns one outcome per lineage:
+  //   { spawnTxid, status, ... } with status claimed | lost | scheduled
+  //   | unprofitable | skipped | dead | error
+  async round() {
+    const outcomes = [];
+    for (const lineage of [...this.lineages.values()]) {
+      const outcome = await this.reap(lineage);
+      if (outcome.status === 'dead' || (outcome.status === 'claimed' && !outcome.alive)) {
+        this.lineages.delete(lineage.spawnTxid);
+      }
+      outcomes.push(outcome);
+    }
+    return outcomes;
+  }
+
+  async reap(lineage) {
+    const base = { spawnTxid: lineage.spawnTxid };
+    if (this.every && this.now() - lineage.lastClaim < this.every * 1000) {
+      return { ...base, status: 'scheduled', next: new Date(lineage.lastClaim + this.every * 1000).toISOString() };
+    }
+
+    let plan;
+    try {
+      plan = await this.client.estimate(lineage.tip, { follow: true });
+    } catch (err) {
+      if (err instanceof OrganismDeadError) return { ...base, status: 'dead', reason: err.message };
+      return { ...base, status: 'error', reason: err.message };
+    }
+    lineage.tip = plan.txid;
+    if (plan.reward < this.minReward) {
+      return { ...base, status: 'unprofitable', tip: plan.txid, reward: plan.reward };
+    }
+
+    let result;
+    try {
+      result = await this.client.race(lineage.tip, { address: this.address, follow: true, retries: this.retries });
+    } catch (err) {
+      if (err.code === 'INVALID_ARGUMENT' || err.code === 'WRONG_TYPE') {
+        return { ...base, status: 'skipped', tip: lineage.tip, reason: err.message };
+      }
+      return { ...base, status: 'error', tip: lineage.tip, reason: err.message };
+    }
+    if (result.outcome === 'died') return { ...base, status: 'dead', reason: result.reason, lostTo: result.lostTo };
+    if (result.outcome === 'lost') {
+      if (result.lostTo) lineage.tip = result.lostTo;
+      return { ...base, status: 'lost', lostTo: result.lostTo, attempts: result.attempts };
+    }
+    if (result.cosign) {
+      return { ...base, status: 'skipped', tip: result.organismTxid, reason: `Claims need a co-signature from ${result.cosign.cosigner}` };
+    }
+
+    lineage.tip = result.txid;
+    lineage.lastClaim = this.now();
+    this.totals.claims++;
+    this.totals.rewards += result.reward;
+    const outcome = {
+      ...base,
+      status: 'claimed',
+      txid: result.txid,
+      generation: result.generation,
+      reward: result.reward,
+      balance: result.balance,
+      alive: result.alive,
+      attempts: result.attempts,
+    };
+    this.record(outcome);
+    return outcome;
+  }
+
+  // Append a claim to the rewards log
+  record(outcome) {
+    if (!this.log) return;
+    const line = {
+      time: new Date(this.now()).toISOString(),
+      network: this.client.net.name,
+      spawnTxid: outcome.spawnTxid,
+      txid: outcome.txid,
+      generation: outcome.generation,
+      reward: outcome.reward,
+      address: this.address.toString(),
+    };
+    fs.appendFileSync(this.log, JSON.stringify(line) + '\n');
+  }
+}
+
+module.exports = { watchList, Reaper };
@@ -0,0 +1,190 @@
+// Read-only HTTP API and dashboard (server.cjs) over the lineage store.
+//
+// JSON routes, GET only:
+//   /organisms                         every organism known here, most recently
+//                                      active first (?type, ?status, ?claimer)
+//   /organisms/:spawnTxid              one organism, with the summary of its
+//                                      traced lineage and its lifespan
+//   /organisms/:spawnTxid/generations  its traced spends (lib/lineage.cjs)
+//   /claimers/:address                 every generation an address claimed
+//   /status                            the trace interval, and when the last
+//                                      round of traces ended and how it failed
+//   /events                            server-sent events: `generation` for
+//                                      each new spend traced
+// and the dashboard (dashboard/index.html) at /.
+//
+// Every `interval` seconds the living lineages traced or spawned here are
+// traced again, which stores what they did since; each new spend is sent to
+// the /events clients. Nothing is written through the API itself.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { summarizeLineage, lifespan } = require('./lineage.cjs');
+const { InvalidArgumentError, NotFoundError } = require('./errors.cjs');
+
+const DASHBOARD = path.join(__dirname, '..', 'dashboard', 'index.html');
+const TXID_PATTERN = /^[0-9a-f]{64}$/i;
+const STATUS_CODES = { INVALID_ARGUMENT: 400, NOT_FOUND: 404 };
+
+class ApiServer {
+  // client:   an OrganismClient, for its lineage store and to trace lineages
+  // interval: seconds between traces of the living lineages (0: never)
+  constructor(client, { interval = 30 } = {}) {
+    this.client = client;
+    this.store = client.lineageStore();
+    this.interval = interval;
+    this.clients = new Set();  // open /events responses
+    this.timer = null;
+    this.lastPoll = null;  // { at, error } of the last scheduled poll
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  // Listen on `port` (0: any free one) and start tracing; resolves with the
+  // address bound
+  listen(port = 8080, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        if (this.interval > 0) this.schedule();
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.interval = 0;
+    for (const res of this.clients) res.end();
+    this.clients.clear();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  schedule() {
+    this.timer = setTimeout(async () => {
+      // A failed round is reported and the next one still runs
+      try {
+        await this.poll();
+        this.lastPoll = { at: new Date().toISOString(), error: null };
+      } catch (err) {
+        this.lastPoll = { at: new Date().toISOString(), error: err.message };
+        this.send('error', { message: err.message });
+      }
+      if (this.interval > 0) this.schedule();
+    }, this.interval * 1000);
+  }
+
+  // Trace every living lineage traced or spawned here once, sending each new
+  // spend as a `generation` event. Returns the new spends.
+  async poll() {
+    const found = [];
+    for (const org of this.store.query({ status: 'alive' })) {
+      const known = new Set(this.store.lineage(org.spawnTxid).map(e => e.txid));
+      if (known.size === 0 && !org.state) continue;
+      try {
+        await this.client.trace(org.spawnTxid, {
+          onGeneration: (entry) => {
+            if (known.has(entry.txid)) return;
+            const event = { spawnTxid: org.spawnTxid, ...entry };
+            found.push(event);
+            this.send('generation', event);
+          },
+        });
+      } catch (err) {
+        this.send('error', { spawnTxid: org.spawnTxid, message: err.message });
+      }
+    }
+    return found;
+  }
+
+  send(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of this.clients) res.write(message);
+  }
+
+  handle(req, res) {
+    try {
+      let url, parts;
+      try {
+        url = new URL(req.url, 'http://localhost');
+        parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      } catch {
+        throw new InvalidArgumentError(`Malformed path: ${req.url}`);
+      }
+      if (req.method !== 'GET') {
+        res.writeHead(405, { Allow: 'GET', 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `${req.method} is not allowed: the API is read-only` }));
+        return;
+      }
+      if (parts.length === 0) return this.dashboard(res);
+      if (parts[0] === 'events' && parts.length === 1) return this.events(req, res);
+      json(res, 200, this.route(parts, url.searchParams));
+    } catch (err) {
+      json(res, STATUS_CODES[err.code] || 500, { error: err.message, ...(err.code && { code: err.code }) });
+    }
+  }
+
+  route(parts, query) {
+    const [resource, id, sub] = parts;
+    if (resource === 'organisms' && parts.length === 1) return this.organisms(query);
+    if (resource === 'organisms' && parts.length === 2) return this.organism(id);
+    if (resource === 'organisms' && parts.length === 3 && sub === 'generations') {
+      this.organism(id);
+      return { spawnTxid: id.toLowerCase(), generations: this.store.lineage(id.toLowerCase()) };
+    }
+    if (resource === 'status' && parts.length === 1) return { interval: this.interval, lastPoll: this.lastPoll };
+    if (resource === 'claimers' && parts.length === 2) {
+      const claims = this.client.claims(id);
+      return {
+        address: this.client.address(id).toString(),
+        claims,
+        rewards: claims.reduce((s, c) => s + c.reward, 0),
+        organisms: new Set(claims.map(c => c.spawnTxid)).size,
+      };
+    }
+    throw new NotFoundError(`No route for /${parts.join('/')}`);
+  }
+
+  organisms(query) {
+    const type = query.get('type');
+    if (type !== null && !/^\d+$/.test(type)) throw new InvalidArgumentError('type must be a whole number');
+    const organisms = this.client.organisms({
+      type: type === null ? null : Number(type),
+      status: query.get('status'),
+      claimer: query.get('claimer'),
+    });
+    return {
+      organisms: organisms.map(org => ({ ...org, lifespan: lifespan(org, this.store.lineage(org.spawnTxid)) })),
+      summary: this.store.summary(),
+    };
+  }
+
+  organism(spawnTxid) {
+    if (!TXID_PATTERN.test(spawnTxid)) throw new InvalidArgumentError(`Not a TXID: ${spawnTxid}`);
+    const org = this.store.organism(spawnTxid.toLowerCase());
+    if (!org) throw new NotFoundError(`No organism ${spawnTxid} in ${this.store.file}`, { txid: spawnTxid });
+    const lineage = this.store.lineage(org.spawnTxid);
+    return { ...org, lifespan: lifespan(org, lineage), summary: lineage.length ? summarizeLineage(lineage) : null };
+  }
+
+  dashboard(res) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(fs.readFileSync(DASHBOARD));
+  }
+
+  events(req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.write(': connected\n\n');
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+}
+
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { ApiServer };
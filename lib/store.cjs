@@ -0,0 +1,345 @@
+// The lineage store: one SQLite database per network (lineage/lineage.db,
+// lineage/<network>/lineage.db) holding every organism known here, keyed by
+// full txids:
+//   organisms    one row per lineage: the spawn state of those spawned here,
+//                and the latest type, generation, balance, status and tip
+//                from tracing (lib/lineage.cjs) or indexing (lib/indexer.cjs)
+//   generations  each traced spend of output 0 (claim, fund, death, ...) in
+//                order, the full entry as JSON
+//   claimers     who claimed each generation and the reward paid
+//   fund_events  feeds: who paid in how much, the generation unchanged
+//   meta         the schema version, the block the indexer reached, and when
+//                JSON was migrated
+// Tracing writes each generation as it is decoded, so a trace resumes from
+// the last one stored and nothing is rewritten whole.
+//
+// The first open imports the JSON state of earlier versions: spawn states in
+// organisms/ and lineage caches in lineage/. They are left in place; `scanner.cjs migrate` imports them again.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { InvalidArgumentError } = require('./errors.cjs');
+const { entryKind } = require('./lineage.cjs');
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  CREATE TABLE IF NOT EXISTS organisms (
+    spawn_txid TEXT PRIMARY KEY,
+    type INTEGER,
+    name TEXT UNIQUE,
+    file TEXT,
+    state TEXT,
+    generation INTEGER,
+    balance INTEGER,
+    status TEXT,
+    tip TEXT,
+    spawn_height INTEGER,
+    since INTEGER,
+    height INTEGER,
+    time TEXT,
+    claims INTEGER NOT NULL DEFAULT 0,
+    funds INTEGER NOT NULL DEFAULT 0,
+    eaten_by TEXT,
+    rewards INTEGER NOT NULL DEFAULT 0,
+    food INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS organisms_type ON organisms (type, status);
+  CREATE INDEX IF NOT EXISTS organisms_tip ON organisms (tip);
+  CREATE TABLE IF NOT EXISTS generations (
+    spawn_txid TEXT NOT NULL,
+    step INTEGER NOT NULL,
+    generation INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    txid TEXT NOT NULL,
+    balance INTEGER,
+    block_height INTEGER,
+    entry TEXT NOT NULL,
+    PRIMARY KEY (spawn_txid, step)
+  );
+  CREATE INDEX IF NOT EXISTS generations_txid ON generations (txid);
+  CREATE TABLE IF NOT EXISTS claimers (
+    spawn_txid TEXT NOT NULL,
+    generation INTEGER NOT NULL,
+    txid TEXT NOT NULL,
+    address TEXT NOT NULL,
+    reward INTEGER NOT NULL,
+    block_height INTEGER,
+    PRIMARY KEY (spawn_txid, generation)
+  );
+  CREATE INDEX IF NOT EXISTS claimers_address ON claimers (address);
+  CREATE TABLE IF NOT EXISTS fund_events (
+    spawn_txid TEXT NOT NULL,
+    generation INTEGER NOT NULL,
+    txid TEXT NOT NULL,
+    funder TEXT,
+    amount INTEGER NOT NULL,
+    balance INTEGER NOT NULL,
+    block_height INTEGER,
+    PRIMARY KEY (spawn_txid, txid)
+  );
+  CREATE INDEX IF NOT EXISTS fund_events_funder ON fund_events (funder);
+`;
+
+// Catalogue fields and their columns
+const COLUMNS = {
+  spawnTxid: 'spawn_txid',
+  type: 'type',
+  generation: 'generation',
+  balance: 'balance',
+  status: 'status',
+  tip: 'tip',
+  spawnHeight: 'spawn_height',
+  since: 'since',
+  height: 'height',
+  time: 'time',
+  claims: 'claims',
+  funds: 'funds',
+  eatenBy: 'eaten_by',
+};
+
+// Columns a catalogue update must not set back: the spawn height once known,
+// and the earliest generation seen
+const KEEP = {
+  spawnHeight: 'COALESCE(excluded.spawn_height, spawn_height)',
+  since: 'MIN(COALESCE(since, excluded.since), COALESCE(excluded.since, since))',
+};
+
+const STATUSES = ['alive', 'dead', 'eaten'];
+
+function organismOf(row) {
+  if (!row) return null;
+  const org = Object.fromEntries(Object.entries(COLUMNS).map(([field, column]) => [field, row[column]]));
+  if (org.eatenBy === null) delete org.eatenBy;
+  return { ...org, rewards: row.rewards, food: row.food, name: row.name, state: row.state ? JSON.parse(row.state) : null };
+}
+
+class LineageStore {
+  constructor(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.file = file;
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+    this.setMeta('schema', SCHEMA_VERSION);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+      .run(key, String(value));
+  }
+
+  organism(spawnTxid) {
+    return organismOf(this.db.prepare('SELECT * FROM organisms WHERE spawn_txid = ?').get(spawnTxid));
+  }
+
+  // Record the state of an organism spawned here (`file`: the state file it
+  // was imported from). A new lineage starts alive at its spawn.
+  saveState(state, file = null) {
+    this.db.prepare(`
+      INSERT INTO organisms (spawn_txid, type, name, file, state, generation, balance, status, tip, since)
+      VALUES (@spawnTxid, @type, @name, @file, @state, 0, @budget, 'alive', @spawnTxid, 0)
+      ON CONFLICT (spawn_txid) DO UPDATE SET
+        name = excluded.name, file = COALESCE(excluded.file, file), state = excluded.state, type = COALESCE(type, excluded.type)
+    `).run({
+      spawnTxid: state.spawnTxid, type: state.type ?? null, name: state.name ?? null, file,
+      state: JSON.stringify(state), budget: state.budget ?? null,
+    });
+  }
+
+  // Spawn states of the organisms spawned here, each with its `file` name
+  // (the txid prefix the JSON state files were named by)
+  states() {
+    return this.db.prepare('SELECT spawn_txid, file, state FROM organisms WHERE state IS NOT NULL ORDER BY rowid').all()
+      .map(row => ({ file: row.file || row.spawn_txid.slice(0, 16), ...JSON.parse(row.state) }));
+  }
+
+  // Insert or update a catalogue entry ({ spawnTxid, type, generation, ... })
+  saveOrganism(org) {
+    const fields = Object.keys(COLUMNS);
+    const params = Object.fromEntries(fields.map(f => [f, org[f] ?? null]));
+    params.claims = org.claims || 0;
+    params.funds = org.funds || 0;
+    this.db.prepare(`
+      INSERT INTO organisms (${fields.map(f => COLUMNS[f]).join(', ')})
+      VALUES (${fields.map(f => `@${f}`).join(', ')})
+      ON CONFLICT (spawn_txid) DO UPDATE SET
+        ${fields.filter(f => f !== 'spawnTxid').map(f => `${COLUMNS[f]} = ${KEEP[f] || `excluded.${COLUMNS[f]}`}`).join(', ')}
+    `).run(params);
+  }
+
+  // Living tips: Map of tip txid -> spawnTxid
+  liveTips() {
+    const rows = this.db.prepare("SELECT spawn_txid, tip FROM organisms WHERE status = 'alive' AND tip IS NOT NULL").all();
+    return new Map(rows.map(row => [row.tip, row.spawn_txid]));
+  }
+
+  // The traced generations of `spawnTxid`, in order
+  lineage(spawnTxid) {
+    return this.db.prepare('SELECT entry FROM generations WHERE spawn_txid = ? ORDER BY step').all(spawnTxid)
+      .map(row => JSON.parse(row.entry));
+  }
+
+  // Store one traced generation (after `previous`), with its claim or feed,
+  // and bring the organism's row up to it
+  saveGeneration(spawnTxid, entry, previous = null) {
+    const key = { spawnTxid, generation: entry.generation, txid: entry.txid };
+    const kind = entryKind(entry, previous);
+    const status = entry.eatenBy ? 'eaten' : entry.alive || entry.spentBy ? 'alive' : 'dead';
+    this.db.transaction(() => {
+      const after = previous && this.db.prepare('SELECT step FROM generations WHERE spawn_txid = ? AND txid = ?')
+        .get(spawnTxid, previous.txid);
+      const step = !previous ? 0 : after ? after.step + 1
+        : this.db.prepare('SELECT COUNT(*) AS n FROM generations WHERE spawn_txid = ?').get(spawnTxid).n;
+      this.db.prepare(`
+        INSERT OR REPLACE INTO generations (spawn_txid, step, generation, kind, txid, balance, block_height, entry)
+        VALUES (@spawnTxid, @step, @generation, @kind, @txid, @balance, @blockHeight, @entry)
+      `).run({ ...key, step, kind, balance: entry.balance, blockHeight: entry.blockHeight, entry: JSON.stringify(entry) });
+      this.db.prepare('DELETE FROM claimers WHERE spawn_txid = @spawnTxid AND txid = @txid').run(key);
+      this.db.prepare('DELETE FROM fund_events WHERE spawn_txid = @spawnTxid AND txid = @txid').run(key);
+      if (kind === 'claim' || kind === 'death') {
+        this.db.prepare(`
+          INSERT OR REPLACE INTO claimers (spawn_txid, generation, txid, address, reward, block_height)
+          VALUES (@spawnTxid, @generation, @txid, @address, @reward, @blockHeight)
+        `).run({ ...key, address: entry.claimer, reward: entry.reward, blockHeight: entry.blockHeight });
+      } else if (kind === 'fund') {
+        this.db.prepare(`
+          INSERT INTO fund_events (spawn_txid, generation, txid, funder, amount, balance, block_height)
+          VALUES (@spawnTxid, @generation, @txid, @funder, @amount, @balance, @blockHeight)
+        `).run({
+          ...key, funder: entry.funder ?? null, amount: entry.amount ?? entry.balance - previous.balance,
+          balance: entry.balance, blockHeight: entry.blockHeight,
+        });
+      }
+      this.db.prepare(`
+        INSERT INTO organisms (spawn_txid, type, generation, balance, status, tip, spawn_height, since, height, time, eaten_by)
+        VALUES (@spawnTxid, @type, @org1Generation, @balance, @status, @txid, @spawnHeight, 0, @height, @time, @eatenBy)
+        ON CONFLICT (spawn_txid) DO UPDATE SET
+          type = COALESCE(excluded.type, type), generation = excluded.generation, balance = excluded.balance,
+          status = excluded.status, tip = excluded.tip, spawn_height = COALESCE(excluded.spawn_height, spawn_height),
+          since = 0, height = excluded.height, time = excluded.time, eaten_by = excluded.eaten_by
+      `).run({
+        spawnTxid,
+        type: entry.org1 ? entry.org1.type : null,
+        org1Generation: entry.org1 ? entry.org1.generation : entry.generation,
+        balance: entry.balance,
+        status,
+        txid: entry.txid,
+        spawnHeight: kind === 'spawn' ? entry.blockHeight : null,
+        height: entry.blockHeight,
+        time: entry.blockTime,
+        eatenBy: entry.eatenBy || null,
+      });
+      this.db.prepare(`
+        UPDATE organisms SET
+          claims = (SELECT COUNT(*) FROM claimers WHERE spawn_txid = @spawnTxid),
+          rewards = (SELECT COALESCE(SUM(reward), 0) FROM claimers WHERE spawn_txid = @spawnTxid),
+          funds = (SELECT COUNT(*) FROM fund_events WHERE spawn_txid = @spawnTxid),
+          food = (SELECT COALESCE(SUM(amount), 0) FROM fund_events WHERE spawn_txid = @spawnTxid)
+        WHERE spawn_txid = @spawnTxid
+      `).run({ spawnTxid });
+    })();
+  }
+
+  // Organisms of one `type` and `status`, or claimed by `claimer`, most
+  // recently active first
+  query({ type = null, status = null, claimer = null } = {}) {
+    if (status !== null && !STATUSES.includes(status)) throw new InvalidArgumentError(`Unknown status "${status}" (expected one of: ${STATUSES.join(', ')})`);
+    const where = [];
+    if (type !== null) where.push('type = @type');
+    if (status !== null) where.push('status = @status');
+    if (claimer !== null) where.push('spawn_txid IN (SELECT spawn_txid FROM claimers WHERE address = @claimer)');
+    return this.db.prepare(`
+      SELECT * FROM organisms ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY height IS NULL, height DESC, spawn_txid
+    `).all({ type, status, claimer }).map(organismOf);
+  }
+
+  // Every generation `address` claimed: { spawnTxid, generation, txid, reward, blockHeight }
+  claims(address) {
+    return this.db.prepare(`
+      SELECT spawn_txid AS spawnTxid, generation, txid, reward, block_height AS blockHeight
+      FROM claimers WHERE address = ? ORDER BY block_height IS NULL, block_height, spawn_txid, generation
+    `).all(address);
+  }
+
+  // Counts per status
+  summary() {
+    const counts = { organisms: 0, alive: 0, dead: 0, eaten: 0 };
+    for (const row of this.db.prepare('SELECT status, COUNT(*) AS n FROM organisms GROUP BY status').all()) {
+      counts.organisms += row.n;
+      if (row.status in counts) counts[row.status] = row.n;
+    }
+    return counts;
+  }
+
+  // Import the JSON state of earlier versions from `dirs` ({ organisms,
+  // lineage }); what the store already holds is kept. Returns how many
+  // states and lineages were imported.
+  migrate({ organisms = null, lineage = null } = {}) {
+    const imported = { states: 0, lineages: 0 };
+    const jsonFiles = (dir) => dir && fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => path.join(dir, f))
+      : [];
+    const read = (file) => {
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+      } catch {
+        return null;
+      }
+    };
+
+    this.db.transaction(() => {
+      for (const file of jsonFiles(organisms)) {
+        const state = read(file);
+        if (!state || !state.spawnTxid) continue;
+        const known = this.organism(state.spawnTxid);
+        if (known && known.state) continue;
+        this.saveState(state, path.basename(file, '.json'));
+        imported.states++;
+      }
+      for (const file of jsonFiles(lineage)) {
+        const entries = read(file);
+        if (!Array.isArray(entries) || entries.length === 0 || entries[0].generation !== 0) continue;
+        const spawnTxid = entries[0].txid;
+        if (this.lineage(spawnTxid).length > 0) continue;
+        // Earlier versions counted every spend as a generation, funds
+        // included; renumber so a fund keeps its predecessor's generation
+        let previous = null;
+        for (const entry of entries) {
+          const generation = previous ? previous.generation + (entryKind(entry, previous) === 'fund' ? 0 : 1) : 0;
+          const renumbered = { ...entry, generation };
+          this.saveGeneration(spawnTxid, renumbered, previous);
+          previous = renumbered;
+        }
+        imported.lineages++;
+      }
+      this.setMeta('migrated', new Date().toISOString());
+    })();
+    return imported;
+  }
+}
+
+// The store at `dirs.store`, importing the JSON state in `dirs` the first
+// time it is opened
+function openStore(dirs) {
+  const store = new LineageStore(dirs.store);
+  if (store.getMeta('migrated') === null) store.migrate(dirs);
+  return store;
+}
+
+module.exports = { STATUSES, LineageStore, openStore };
@@ -0,0 +1,51 @@
+// Type 3 (Chain Crawler) payload codec.
+//
+//   <targetTxid:32B> <digest:variable>
+//
+// Each generation references one transaction and records a digest of it —
+// by default the SHA-256 of its raw bytes. Step by step the crawler walks
+// back through the ancestry of its first target: the next target is the tx
+// that funded input 0 of the previous one (step.cjs crawl). Runs on the base
+// Organism covenant; the payload is the claim payload.
+
+const crypto = require('crypto');
+
+const CRAWLER_TYPE = 3;
+
+function encodeCrawlerPayload({ targetTxid, digest }) {
+  if (!/^[0-9a-f]{64}$/i.test(targetTxid)) throw new Error('Target TXID must be 32 bytes of hex');
+  if (!/^([0-9a-f]{2})+$/i.test(digest)) throw new Error('Digest must be non-empty hex');
+  return (targetTxid + digest).toLowerCase();
+}
+
+// Split a Type 3 payload into its fields, or null if it is too short
+function decodeCrawlerPayload(hex) {
+  if (!hex || hex.length <= 64) return null;
+  return { targetTxid: hex.slice(0, 64), digest: hex.slice(64) };
+}
+
+function validateCrawlerPayload(hex) {
+  if (!decodeCrawlerPayload(hex)) throw new Error('Crawler payload must be a 32-byte target TXID followed by a digest');
+}
+
+// Default digest: SHA-256 of the target's raw transaction
+function txDigest(rawHex) {
+  return crypto.createHash('sha256').update(Buffer.from(rawHex, 'hex')).digest('hex');
+}
+
+// Where the crawler goes after `targetTx` (a bsv.Transaction): the tx that
+// funded its first input, or null at a coinbase
+function nextTarget(targetTx) {
+  const input = targetTx.inputs[0];
+  const txid = input && input.prevTxId.toString('hex');
+  return txid && txid !== '00'.repeat(32) ? txid : null;
+}
+
+module.exports = {
+  CRAWLER_TYPE,
+  encodeCrawlerPayload,
+  decodeCrawlerPayload,
+  validateCrawlerPayload,
+  txDigest,
+  nextTarget,
+};
@@ -0,0 +1,56 @@
+// Type 2 (Handshake) co-signing.
+//
+// A Handshake claim is only valid with the co-signer's signature over the
+// claim tx. The claimer builds the tx with a placeholder signature and key and
+// saves it as a request file; the co-signer rebuilds the same tx from the
+// chain, checks it matches the request, signs input 0 and broadcasts the
+// completed claim (cosign.cjs). The signature commits to every output, so the
+// co-signer approves the claimer, the reward and the attestation together.
+
+const fs = require('fs');
+
+const HANDSHAKE_TYPE = 2;
+const PLACEHOLDER_SIG = '00'.repeat(72);
+const PLACEHOLDER_PUBKEY = '00'.repeat(33);
+
+// ORG1 payload of a Handshake generation: the co-signer PKH, then the
+// attestation (empty at spawn and in fund txs)
+function decodeHandshakePayload(hex) {
+  if (!hex || hex.length < 40) return null;
+  return { cosignerPkh: hex.slice(0, 40), attestation: hex.slice(40) };
+}
+
+function writeHandshakeRequest(file, { network, organismTxid, claimer, cosigner, attestation, tx }) {
+  const request = {
+    type: HANDSHAKE_TYPE,
+    network,
+    organismTxid,
+    claimer,
+    cosigner,
+    attestation,
+    tx,
+    createdAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(file, JSON.stringify(request, null, 2));
+  return request;
+}
+
+function readHandshakeRequest(file) {
+  if (!fs.existsSync(file)) throw new Error(`Request not found: ${file}`);
+  const request = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (request.type !== HANDSHAKE_TYPE) throw new Error(`${file} is not a handshake request`);
+  for (const field of ['network', 'organismTxid', 'claimer', 'cosigner', 'tx']) {
+    if (typeof request[field] !== 'string') throw new Error(`${file} is missing ${field}`);
+  }
+  request.attestation = request.attestation || '';
+  return request;
+}
+
+module.exports = {
+  HANDSHAKE_TYPE,
+  PLACEHOLDER_SIG,
+  PLACEHOLDER_PUBKEY,
+  decodeHandshakePayload,
+  writeHandshakeRequest,
+  readHandshakeRequest,
+};
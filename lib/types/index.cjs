@@ -0,0 +1,140 @@
+// Payload codecs by ORG1 type byte.
+//
+//   name      type name
+//   decode    ORG1 payload hex -> fields, or null if malformed
+//   encode    fields -> payload hex
+//   validate  throw if a payload is malformed (default: decode must succeed)
+//   format    decoded fields -> one-line summary for scanner.cjs
+//
+// A codec describes the ORG1 payload the covenant writes. For some types that
+// is more than the claim payload (Type 7 claims pass only the interaction
+// hash); claim builders validate the full record. Type 0 payloads are opaque.
+// Types without a built-in codec can get one from a plugin (lib/plugins.cjs).
+
+const { TASK_TYPE, encodeTaskPayload, decodeTaskPayload } = require('./task.cjs');
+const { HANDSHAKE_TYPE, decodeHandshakePayload } = require('./handshake.cjs');
+const {
+  CRAWLER_TYPE, encodeCrawlerPayload, decodeCrawlerPayload, validateCrawlerPayload,
+} = require('./crawler.cjs');
+const {
+  SWARM_TYPE, encodeSwarmPayload, decodeSwarmPayload, validateSwarmPayload,
+} = require('./swarm.cjs');
+const { MUTEX_TYPE, encodeMutexPayload, decodeMutexPayload } = require('./mutex.cjs');
+const { PREDATOR_TYPE, encodePredatorPayload, decodePredatorPayload } = require('./predator.cjs');
+const { REPUTATION_TYPE, encodeReputationPayload, decodeReputationPayload } = require('./reputation.cjs');
+const { RELAY_TYPE, encodeRelayPayload, decodeRelayPayload } = require('./relay.cjs');
+
+const short = (hex) => `${hex.slice(0, 16)}...`;
+const vector = (values) => `(${values.map(v => Number(v.toFixed(4))).join(', ')})`;
+
+const CODECS = {
+  [TASK_TYPE]: {
+    name: 'Task',
+    encode: encodeTaskPayload,
+    decode: decodeTaskPayload,
+    format: (f) => `task ${short(f.taskHash)} → result ${short(f.resultHash)} by ${f.claimerPkh}`,
+  },
+  [HANDSHAKE_TYPE]: {
+    name: 'Handshake',
+    encode: ({ cosignerPkh, attestation = '' }) => cosignerPkh + attestation,
+    decode: decodeHandshakePayload,
+    format: (f) => `co-signer ${f.cosignerPkh}` +
+      (f.attestation ? `, attestation ${f.attestation.length / 2} bytes` : ''),
+  },
+  [CRAWLER_TYPE]: {
+    name: 'Chain Crawler',
+    encode: encodeCrawlerPayload,
+    decode: decodeCrawlerPayload,
+    validate: validateCrawlerPayload,
+    format: (f) => `target ${short(f.targetTxid)} digest ${short(f.digest)}`,
+  },
+  [SWARM_TYPE]: {
+    name: 'Particle Swarm',
+    encode: encodeSwarmPayload,
+    decode: decodeSwarmPayload,
+    validate: validateSwarmPayload,
+    format: (f) => `x ${vector(f.position)} v ${vector(f.velocity)} best ${vector(f.personalBest)}` +
+      (f.globalBestRef ? ` | global ${short(f.globalBestRef)}` : ''),
+  },
+  [MUTEX_TYPE]: {
+    name: 'Mutex',
+    encode: encodeMutexPayload,
+    decode: decodeMutexPayload,
+    format: (f) => f.holderPkh
+      ? `held by ${f.holderPkh} since block ${f.lockHeight}`
+      : `free since block ${f.lockHeight}`,
+  },
+  [PREDATOR_TYPE]: {
+    name: 'Predator/Prey',
+    encode: ({ species, energy }) => encodePredatorPayload({ species: species === 'predator' ? 1 : 0, energy }),
+    decode: decodePredatorPayload,
+    format: (f) => `${f.species}, energy ${f.energy}`,
+  },
+  [REPUTATION_TYPE]: {
+    name: 'Reputation',
+    encode: encodeReputationPayload,
+    decode: decodeReputationPayload,
+    format: (f) => `subject ${f.subjectPkh} #${f.count}` + (f.interactionHash ? ` ${short(f.interactionHash)}` : ''),
+  },
+  [RELAY_TYPE]: {
+    name: 'Signal Relay',
+    encode: encodeRelayPayload,
+    decode: decodeRelayPayload,
+    format: (f) => `watching ${short(f.watchedTxid)}:0, ${f.window}-block window, ${f.triggered ? 'fired' : 'waiting'}`,
+  },
+};
+
+function codecFor(type) {
+  return CODECS[type] || null;
+}
+
+// Add the codec for a type that has none. `decode` is required; `format`
+// defaults to the decoded fields as JSON.
+function registerCodec(codec) {
+  const { type, name, decode } = codec || {};
+  if (!Number.isInteger(type) || type < 0 || type > 255) throw new Error('A codec needs a type byte (0-255)');
+  if (type === 0) throw new Error('Type 0 payloads are opaque and take no codec');
+  if (CODECS[type]) throw new Error(`Type ${type} already has a codec (${CODECS[type].name})`);
+  if (typeof name !== 'string' || !name) throw new Error(`The Type ${type} codec needs a name`);
+  if (typeof decode !== 'function') throw new Error(`The Type ${type} (${name}) codec needs a decode function`);
+  for (const fn of ['encode', 'validate', 'format']) {
+    if (codec[fn] !== undefined && typeof codec[fn] !== 'function') {
+      throw new Error(`The Type ${type} (${name}) codec's ${fn} must be a function`);
+    }
+  }
+  CODECS[type] = { format: (fields) => JSON.stringify(fields), ...codec };
+  return CODECS[type];
+}
+
+// Decoded fields of a `type` payload; null for malformed payloads and for
+// types without a codec
+function decodePayload(type, hex) {
+  const codec = codecFor(type);
+  return codec ? codec.decode(hex) : null;
+}
+
+// Throw if `hex` is not a well-formed `type` payload (types without a codec
+// accept anything). A codec's validate gets the decoded fields too, and can
+// add checks of its own; the payload must decode either way.
+function validatePayload(type, hex) {
+  const codec = codecFor(type);
+  if (!codec) return;
+  const fields = codec.decode(hex);
+  if (codec.validate) codec.validate(hex, fields);
+  if (!fields) throw new Error(`Not a valid Type ${type} (${codec.name}) payload`);
+}
+
+// One-line summary of a `type` payload, or null when there is nothing to show
+function formatPayload(type, hex) {
+  const fields = decodePayload(type, hex);
+  return fields ? codecFor(type).format(fields) : null;
+}
+
+module.exports = {
+  CODECS,
+  codecFor,
+  registerCodec,
+  decodePayload,
+  validatePayload,
+  formatPayload,
+};
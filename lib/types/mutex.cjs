@@ -0,0 +1,46 @@
+// Type 5 (Mutex) payload codec.
+//
+//   <holderPkh:20B> <lockHeight:4B LE>
+//
+// A zero PKH means the lock is free; lockHeight is the block height (the
+// spending tx's nLockTime) of the last acquire, release or steal. See
+// src/contracts/mutexOrganism.ts.
+
+const MUTEX_TYPE = 5;
+const MUTEX_PAYLOAD_BYTES = 24;
+const NOBODY = '00'.repeat(20);
+const MUTEX_OPS = ['acquire', 'release', 'steal'];
+
+function encodeMutexPayload({ holderPkh, lockHeight }) {
+  const height = Buffer.alloc(4);
+  height.writeUInt32LE(lockHeight);
+  return holderPkh + height.toString('hex');
+}
+
+// Split a Type 5 payload into its fields, or null if it has the wrong size
+function decodeMutexPayload(hex) {
+  if (!hex || hex.length !== MUTEX_PAYLOAD_BYTES * 2) return null;
+  const holderPkh = hex.slice(0, 40);
+  return {
+    holderPkh: holderPkh === NOBODY ? null : holderPkh,
+    lockHeight: Buffer.from(hex.slice(40), 'hex').readUInt32LE(0),
+  };
+}
+
+// Which operation moved the lock from `before` to `after` (decoded payloads)
+function mutexOp(before, after) {
+  if (!before || !after) return null;
+  if (!after.holderPkh) return before.holderPkh ? 'release' : null;
+  if (!before.holderPkh) return 'acquire';
+  return before.holderPkh === after.holderPkh ? null : 'steal';
+}
+
+module.exports = {
+  MUTEX_TYPE,
+  MUTEX_PAYLOAD_BYTES,
+  NOBODY,
+  MUTEX_OPS,
+  encodeMutexPayload,
+  decodeMutexPayload,
+  mutexOp,
+};
@@ -0,0 +1,64 @@
+// Type 6 (Predator/Prey) payload codec.
+//
+//   <species:1B> <energy:8B LE>
+//
+// Species 0 is prey, 1 a predator. Energy counts the satoshis a predator has
+// absorbed from prey; prey always carry zero. A hunt writes two ORG1 outputs,
+// the predator's new record and the prey's last. See
+// src/contracts/predatorPreyOrganism.ts.
+
+const PREDATOR_TYPE = 6;
+const PREDATOR_PAYLOAD_BYTES = 9;
+const SPECIES = ['prey', 'predator'];
+// Most inputs the tx holding a hunting predator may have (MAX_INPUTS in the
+// covenant, which reads that tx to check input 0 is the predator)
+const PREDATOR_MAX_INPUTS = 6;
+
+function speciesArg(value) {
+  const species = SPECIES.indexOf(value);
+  if (species < 0) throw new Error(`--species must be one of: ${SPECIES.join(', ')}`);
+  return species;
+}
+
+function encodePredatorPayload({ species, energy }) {
+  const energyBytes = Buffer.alloc(8);
+  energyBytes.writeBigInt64LE(BigInt(energy));
+  return Buffer.from([species]).toString('hex') + energyBytes.toString('hex');
+}
+
+// Split a Type 6 payload into its fields, or null if it has the wrong size
+// or an unknown species
+function decodePredatorPayload(hex) {
+  if (!hex || hex.length !== PREDATOR_PAYLOAD_BYTES * 2) return null;
+  const species = SPECIES[parseInt(hex.slice(0, 2), 16)];
+  if (!species) return null;
+  return {
+    species,
+    energy: Number(Buffer.from(hex.slice(2), 'hex').readBigInt64LE(0)),
+  };
+}
+
+// Living and dead lineages per species, from the last entry of each traced
+// lineage (scanner entries carrying a decoded `predator` record)
+function countPopulation(tips) {
+  const population = Object.fromEntries(SPECIES.map(s => [s, { alive: 0, eaten: 0, starved: 0 }]));
+  for (const tip of tips) {
+    if (!tip || !tip.predator) continue;
+    const counts = population[tip.predator.species];
+    if (tip.alive) counts.alive++;
+    else if (tip.eatenBy) counts.eaten++;
+    else counts.starved++;
+  }
+  return population;
+}
+
+module.exports = {
+  PREDATOR_TYPE,
+  PREDATOR_PAYLOAD_BYTES,
+  PREDATOR_MAX_INPUTS,
+  SPECIES,
+  speciesArg,
+  encodePredatorPayload,
+  decodePredatorPayload,
+  countPopulation,
+};
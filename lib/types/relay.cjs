@@ -0,0 +1,59 @@
+// Type 8 (Signal Relay) payload codec and spend proof.
+//
+//   <watchedTxid:32B> <window:4B LE> <triggered:1B>
+//
+// A relay fires once output 0 of the watched TXID is spent. The fire tx
+// carries the spending tx as proof and spends one of its outputs as input 1;
+// the spending tx must have the watched outpoint as its first input. The
+// block window is advisory: no script can see when a tx is mined, so only the
+// tooling checks it (withinWindow). See src/contracts/signalRelayOrganism.ts.
+
+const RELAY_TYPE = 8;
+const RELAY_PAYLOAD_BYTES = 37;
+// Bounds of the covenant's walk through the spending tx
+const RELAY_MAX_INPUTS = 6;
+const RELAY_MAX_OUTPUTS = 8;
+
+function encodeRelayPayload({ watchedTxid, window, triggered }) {
+  const windowBytes = Buffer.alloc(4);
+  windowBytes.writeUInt32LE(window);
+  return watchedTxid + windowBytes.toString('hex') + (triggered ? '01' : '00');
+}
+
+// Split a Type 8 payload into its fields, or null if it has the wrong size
+function decodeRelayPayload(hex) {
+  if (!hex || hex.length !== RELAY_PAYLOAD_BYTES * 2) return null;
+  return {
+    watchedTxid: hex.slice(0, 64),
+    window: Buffer.from(hex.slice(64, 72), 'hex').readUInt32LE(0),
+    triggered: hex.slice(72) !== '00',
+  };
+}
+
+// Mirror of the covenant's check on the spending tx (a bsv.Transaction)
+function validateSpend(spenderTx, watchedTxid) {
+  const first = spenderTx.inputs[0];
+  if (spenderTx.inputs.length > RELAY_MAX_INPUTS) {
+    throw new Error(`The spending tx has more than ${RELAY_MAX_INPUTS} inputs, too many to serve as proof`);
+  }
+  if (!first || first.prevTxId.toString('hex') !== watchedTxid || first.outputIndex !== 0) {
+    throw new Error(`${spenderTx.id.slice(0, 16)}... does not spend ${watchedTxid.slice(0, 16)}...:0 as its first input`);
+  }
+}
+
+// Whether a spend confirmed at `spendHeight` (null: in the mempool) can still
+// fire a relay with `window` blocks at chain height `height`
+function withinWindow({ spendHeight, window, height }) {
+  return spendHeight === null || height - spendHeight <= window;
+}
+
+module.exports = {
+  RELAY_TYPE,
+  RELAY_PAYLOAD_BYTES,
+  RELAY_MAX_INPUTS,
+  RELAY_MAX_OUTPUTS,
+  encodeRelayPayload,
+  decodeRelayPayload,
+  validateSpend,
+  withinWindow,
+};
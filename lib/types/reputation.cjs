@@ -0,0 +1,58 @@
+// Type 7 (Reputation) payload codec.
+//
+//   <subjectPkh:20B> <count:4B LE> <interactionHash:32B>
+//
+// The claim payload is the interaction hash alone; the covenant adds the
+// subject and count. See src/contracts/reputationOrganism.ts.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const REPUTATION_TYPE = 7;
+const REPUTATION_PAYLOAD_BYTES = 56;
+const NO_INTERACTION = '00'.repeat(32);
+
+function encodeReputationPayload({ subjectPkh, count, interactionHash }) {
+  const countBytes = Buffer.alloc(4);
+  countBytes.writeUInt32LE(count);
+  return subjectPkh + countBytes.toString('hex') + interactionHash;
+}
+
+// Split a Type 7 payload into its fields, or null if it has the wrong size
+function decodeReputationPayload(hex) {
+  if (!hex || hex.length !== REPUTATION_PAYLOAD_BYTES * 2) return null;
+  const interactionHash = hex.slice(48);
+  return {
+    subjectPkh: hex.slice(0, 40),
+    count: Buffer.from(hex.slice(40, 48), 'hex').readUInt32LE(0),
+    interactionHash: interactionHash === NO_INTERACTION ? null : interactionHash,
+  };
+}
+
+// An interaction given as a 32-byte hex hash, or a file whose SHA-256 is used
+function interactionHashArg(value) {
+  if (fs.existsSync(value) && fs.statSync(value).isFile()) {
+    return crypto.createHash('sha256').update(fs.readFileSync(value)).digest('hex');
+  }
+  if (!/^[0-9a-fA-F]{64}$/.test(value)) {
+    throw new Error('--interaction must be a 32-byte hex hash or a path to a file');
+  }
+  return value.toLowerCase();
+}
+
+// Mirror of the covenant's checks, so a bad claim fails before it is built.
+// Like the covenant, it only refuses a repeat of the latest hash.
+function validateInteraction(hex, lastInteraction) {
+  if (!/^[0-9a-f]{64}$/.test(hex)) throw new Error('Interaction hash must be 32 bytes');
+  if (hex === lastInteraction) throw new Error('This interaction is already the latest one recorded');
+}
+
+module.exports = {
+  REPUTATION_TYPE,
+  REPUTATION_PAYLOAD_BYTES,
+  NO_INTERACTION,
+  encodeReputationPayload,
+  decodeReputationPayload,
+  interactionHashArg,
+  validateInteraction,
+};
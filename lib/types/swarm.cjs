@@ -0,0 +1,137 @@
+// Type 4 (Particle Swarm) payload codec and update rule.
+//
+//   <dims:1B> <position> <velocity> <personalBest> <globalBestRef:32B>
+//
+// Each vector is `dims` signed Q16.16 fixed-point values, 4 bytes LE each.
+// The global best ref is the txid of the swarm generation whose personal best
+// was the best known when this step was taken (zeros: none yet). Every
+// particle is its own lineage on the base Organism covenant; one claim is one
+// step (step.cjs swarm), and the payload is the claim payload.
+
+const SWARM_TYPE = 4;
+const FIXED_ONE = 65536;
+const MAX_DIMS = 255;
+const NO_REF = '00'.repeat(32);
+
+// Search space is [-BOUND, BOUND] in every dimension
+const BOUND = 5;
+const INERTIA = 0.7;
+const COGNITIVE = 1.5;
+const SOCIAL = 1.5;
+
+const OBJECTIVES = {
+  sphere: (x) => x.reduce((s, v) => s + v * v, 0),
+  rastrigin: (x) => 10 * x.length + x.reduce((s, v) => s + v * v - 10 * Math.cos(2 * Math.PI * v), 0),
+};
+
+function toFixed(value) {
+  const fixed = Math.round(value * FIXED_ONE);
+  if (fixed < -0x80000000 || fixed > 0x7fffffff) throw new Error(`${value} is out of Q16.16 range`);
+  return fixed;
+}
+
+function encodeVector(values) {
+  const buf = Buffer.alloc(values.length * 4);
+  values.forEach((v, i) => buf.writeInt32LE(toFixed(v), i * 4));
+  return buf.toString('hex');
+}
+
+function decodeVector(hex) {
+  const buf = Buffer.from(hex, 'hex');
+  const values = [];
+  for (let i = 0; i < buf.length; i += 4) values.push(buf.readInt32LE(i) / FIXED_ONE);
+  return values;
+}
+
+function encodeSwarmPayload({ position, velocity, personalBest, globalBestRef = NO_REF }) {
+  const dims = position.length;
+  if (dims < 1 || dims > MAX_DIMS) throw new Error(`A particle needs 1 to ${MAX_DIMS} dimensions`);
+  if (velocity.length !== dims || personalBest.length !== dims) {
+    throw new Error('Position, velocity and personal best must have the same dimensions');
+  }
+  if (!/^[0-9a-f]{64}$/i.test(globalBestRef)) throw new Error('Global best ref must be a 32-byte TXID');
+  return Buffer.from([dims]).toString('hex') +
+    encodeVector(position) + encodeVector(velocity) + encodeVector(personalBest) +
+    globalBestRef.toLowerCase();
+}
+
+// Split a Type 4 payload into its fields, or null if the size doesn't match
+// its dimension count
+function decodeSwarmPayload(hex) {
+  if (!hex || hex.length < 2) return null;
+  const dims = parseInt(hex.slice(0, 2), 16);
+  const vec = dims * 8;
+  if (dims === 0 || hex.length !== 2 + 3 * vec + 64) return null;
+  const globalBestRef = hex.slice(2 + 3 * vec);
+  return {
+    dims,
+    position: decodeVector(hex.slice(2, 2 + vec)),
+    velocity: decodeVector(hex.slice(2 + vec, 2 + 2 * vec)),
+    personalBest: decodeVector(hex.slice(2 + 2 * vec, 2 + 3 * vec)),
+    globalBestRef: globalBestRef === NO_REF ? null : globalBestRef,
+  };
+}
+
+function validateSwarmPayload(hex) {
+  if (!decodeSwarmPayload(hex)) {
+    throw new Error('Swarm payload must be a dimension count, three vectors of that size and a 32-byte ref');
+  }
+}
+
+function objectiveArg(name) {
+  const objective = OBJECTIVES[name];
+  if (!objective) throw new Error(`--objective must be one of: ${Object.keys(OBJECTIVES).join(', ')}`);
+  return objective;
+}
+
+const clamp = (v) => Math.max(-BOUND, Math.min(BOUND, v));
+
+// The best personal best among `members` ([{ txid, particle }]), or null
+function globalBest(members, objective) {
+  let best = null;
+  for (const member of members) {
+    if (!member.particle) continue;
+    const score = objective(member.particle.personalBest);
+    if (!best || score < best.score) best = { ...member, score };
+  }
+  return best;
+}
+
+// One PSO step. `particle` is the decoded current state (null before the
+// first step, which places the particle at random); `best` is the swarm's
+// global best from globalBest(). Values are rounded through Q16.16 so the
+// result is exactly what the payload will carry.
+function swarmStep(particle, { best, objective, dims = 2, random = Math.random }) {
+  const quantize = (values) => decodeVector(encodeVector(values));
+  if (!particle) {
+    const position = quantize(Array.from({ length: dims }, () => (random() * 2 - 1) * BOUND));
+    return {
+      position,
+      velocity: new Array(dims).fill(0),
+      personalBest: position,
+      globalBestRef: best ? best.txid : NO_REF,
+    };
+  }
+
+  const target = best ? best.particle.personalBest : particle.personalBest;
+  const velocity = quantize(particle.velocity.map((v, i) => clamp(
+    INERTIA * v +
+    COGNITIVE * random() * (particle.personalBest[i] - particle.position[i]) +
+    SOCIAL * random() * (target[i] - particle.position[i])
+  )));
+  const position = quantize(particle.position.map((x, i) => clamp(x + velocity[i])));
+  const personalBest = objective(position) < objective(particle.personalBest) ? position : particle.personalBest;
+  return { position, velocity, personalBest, globalBestRef: best ? best.txid : NO_REF };
+}
+
+module.exports = {
+  SWARM_TYPE,
+  FIXED_ONE,
+  OBJECTIVES,
+  encodeSwarmPayload,
+  decodeSwarmPayload,
+  validateSwarmPayload,
+  objectiveArg,
+  globalBest,
+  swarmStep,
+};
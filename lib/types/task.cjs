@@ -0,0 +1,54 @@
+// Type 1 (Task) payload codec.
+//
+//   <taskHash:32B> <resultHash:32B> <claimerPkh:20B>
+//
+// Hashes are SHA-256 of the off-chain task description and result data; the
+// PKH is the claimer the covenant pays. See src/contracts/taskOrganism.ts.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const TASK_TYPE = 1;
+const TASK_PAYLOAD_BYTES = 84;
+
+function sha256File(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function encodeTaskPayload({ taskHash, resultHash, claimerPkh }) {
+  if (!/^[0-9a-f]{64}$/i.test(taskHash)) throw new Error('Task hash must be 32 bytes of hex');
+  if (!/^[0-9a-f]{64}$/i.test(resultHash)) throw new Error('Result hash must be 32 bytes of hex');
+  if (!/^[0-9a-f]{40}$/i.test(claimerPkh)) throw new Error('Claimer PKH must be 20 bytes of hex');
+  return (taskHash + resultHash + claimerPkh).toLowerCase();
+}
+
+// Split a Type 1 payload into its fields, or null if it has the wrong size
+function decodeTaskPayload(hex) {
+  if (!hex || hex.length !== TASK_PAYLOAD_BYTES * 2) return null;
+  return {
+    taskHash: hex.slice(0, 64),
+    resultHash: hex.slice(64, 128),
+    claimerPkh: hex.slice(128, 168),
+  };
+}
+
+// Mirror of the covenant's checks, so a bad claim fails before it is built
+function validateTaskPayload(hex, claimerPkh) {
+  const task = decodeTaskPayload(hex);
+  if (!task) {
+    throw new Error(`Task payload must be ${TASK_PAYLOAD_BYTES} bytes (task hash, result hash, claimer PKH)`);
+  }
+  if (task.claimerPkh !== claimerPkh) {
+    throw new Error('Task payload PKH does not match the claimer address');
+  }
+  return task;
+}
+
+module.exports = {
+  TASK_TYPE,
+  TASK_PAYLOAD_BYTES,
+  sha256File,
+  encodeTaskPayload,
+  decodeTaskPayload,
+  validateTaskPayload,
+};
@@ -0,0 +1,298 @@
+// Load the funding wallet written by wallet.cjs.
+//
+// An HD wallet (wallet.cjs create, or import of a mnemonic) keeps its BIP39
+// mnemonic encrypted under the owner's passphrase, and the BIP44 account
+// xpub (m/44'/236'/0', coin type 1 off mainnet) in the clear, so addresses
+// and balances need no passphrase:
+//
+//   { "network": "test", "version": 2, "type": "hd", "path": "m/44'/1'/0'",
+//     "xpub": "tpub...", "next": { "receive": 1, "change": 0 },
+//     "address": "<receive/0>", "keystore": { ... } }
+//
+// Funds arrive at receive addresses (chain 0): the wallet address is index 0,
+// and claims without --address pay their reward to a fresh one. Spawn, fund
+// and consolidate send change to a fresh change address (chain 1). Both are
+// handed out only once a tx paying them is broadcast. `next` counts the
+// addresses handed out on each chain; those are the ones scanned for UTXOs.
+//
+// An imported WIF is kept encrypted the same way ("type": "wif"). Wallets
+// from before version 2 hold a plaintext "wif" and still load.
+//
+// The keystore is AES-256-GCM under a key stretched from the passphrase with
+// scrypt. The CLIs take the passphrase from ORG_WALLET_PASSPHRASE, or ask for
+// it on the terminal (askPassphrase).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+const { bsv } = require('scrypt-ts');
+const { InvalidArgumentError, NotFoundError } = require('./errors.cjs');
+
+const COIN_TYPES = { main: 236, test: 1, regtest: 1 };
+const CHAINS = { receive: 0, change: 1 };
+
+// scrypt cost: 32 MiB and a fraction of a second per unlock
+const KDF = { N: 1 << 15, r: 8, p: 1 };
+
+function accountPath(net) {
+  return `m/44'/${COIN_TYPES[net.name]}'/0'`;
+}
+
+function kdfKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+// Encrypt `secret` (a string) under `passphrase`
+function encryptSecret(secret, passphrase, kdf = KDF) {
+  if (!passphrase) throw new InvalidArgumentError('The wallet passphrase must not be empty');
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', kdfKey(passphrase, salt, kdf), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf-8'), cipher.final()]);
+  return {
+    kdf: 'scrypt', ...kdf, salt: salt.toString('hex'),
+    cipher: 'aes-256-gcm', iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex'),
+    data: data.toString('hex'),
+  };
+}
+
+function decryptSecret(keystore, passphrase) {
+  const key = kdfKey(passphrase || '', Buffer.from(keystore.salt, 'hex'), keystore);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(keystore.tag, 'hex'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(keystore.data, 'hex')), decipher.final()]).toString('utf-8');
+  } catch {
+    throw new InvalidArgumentError('Wrong wallet passphrase');
+  }
+}
+
+class Wallet {
+  // data: the parsed wallet file; file: where freshAddress() saves it
+  constructor(data, net, file = null) {
+    this.data = data;
+    this.net = net;
+    this.file = file;
+    this.account = null;   // HD account key and its mnemonic, once unlocked
+    this.mnemonic = null;
+    this.key = null;       // WIF key, once unlocked
+    this.paths = new Map();  // address -> [chain, index]
+    // Wallets from before version 2: a plaintext WIF
+    if (data.wif) this.key = bsv.PrivateKey.fromWIF(data.wif);
+  }
+
+  // A new wallet for `mnemonic` or `wif`, encrypted under `passphrase`
+  static create(net, passphrase, { mnemonic = null, wif = null, kdf = KDF } = {}) {
+    const base = { network: net.name, version: 2, createdAt: new Date().toISOString() };
+    if (mnemonic !== null) {
+      mnemonic = mnemonic.trim().split(/\s+/).join(' ');
+      if (!bsv.Mnemonic.isValid(mnemonic)) throw new InvalidArgumentError('Not a valid BIP39 mnemonic');
+      const path = accountPath(net);
+      const account = new bsv.Mnemonic(mnemonic).toHDPrivateKey('', net.bsv).deriveChild(path);
+      const wallet = new Wallet({
+        ...base, type: 'hd', path, xpub: account.hdPublicKey.toString(), next: { receive: 1, change: 0 },
+      }, net);
+      wallet.data.address = wallet.derive(CHAINS.receive, 0).toString();
+      wallet.data.keystore = encryptSecret(JSON.stringify({ mnemonic }), passphrase, kdf);
+      wallet.account = account;
+      wallet.mnemonic = mnemonic;
+      return wallet;
+    }
+    let key;
+    try {
+      key = bsv.PrivateKey.fromWIF(wif);
+    } catch {
+      throw new InvalidArgumentError('Not a valid WIF private key');
+    }
+    if (key.network.name !== net.bsv.name) throw new InvalidArgumentError(`That key is for ${key.network.name}, not ${net.name}`);
+    const wallet = new Wallet({
+      ...base, type: 'wif', address: key.toAddress(net.bsv).toString(),
+      keystore: encryptSecret(JSON.stringify({ wif: key.toWIF() }), passphrase, kdf),
+    }, net);
+    wallet.key = key;
+    return wallet;
+  }
+
+  get hd() {
+    return this.data.type === 'hd';
+  }
+
+  get encrypted() {
+    return !!this.data.keystore;
+  }
+
+  get locked() {
+    return !this.account && !this.key;
+  }
+
+  // The wallet address: receive address 0 of an HD wallet
+  get address() {
+    return bsv.Address.fromString(this.data.address, this.net.bsv);
+  }
+
+  derive(chain, index) {
+    const address = new bsv.HDPublicKey(this.data.xpub).deriveChild(chain).deriveChild(index).publicKey.toAddress(this.net.bsv);
+    this.paths.set(address.toString(), [chain, index]);
+    return address;
+  }
+
+  // Every address that may hold the wallet's funds
+  addresses() {
+    if (!this.hd) return [this.address];
+    const addresses = [];
+    for (const [name, chain] of Object.entries(CHAINS)) {
+      for (let index = 0; index < this.data.next[name]; index++) addresses.push(this.derive(chain, index));
+    }
+    return addresses;
+  }
+
+  // Hand out the next address on the `receive` or `change` chain, saving the
+  // wallet file so it isn't handed out again. Other wallets have one address.
+  freshAddress(chain) {
+    const address = this.nextAddress(chain);
+    this.useAddress(chain, address);
+    return address;
+  }
+
+  // The address freshAddress() would hand out, without handing it out
+  nextAddress(chain) {
+    if (!this.hd) return this.address;
+    return this.derive(CHAINS[chain], this.data.next[chain]);
+  }
+
+  // Hand out `address` from nextAddress() once it is actually used, so that
+  // failed or changeless spends leave no unused run of addresses behind for
+  // scanAddresses() to skip. An address handed out meanwhile is left alone.
+  useAddress(chain, address) {
+    if (!this.hd) return;
+    const index = this.data.next[chain];
+    if (this.derive(CHAINS[chain], index).toString() !== address.toString()) return;
+    this.data.next[chain] = index + 1;
+    this.save();
+  }
+
+  unlock(passphrase) {
+    if (!this.locked) return this;
+    const secret = JSON.parse(decryptSecret(this.data.keystore, passphrase));
+    if (this.hd) {
+      const account = new bsv.Mnemonic(secret.mnemonic).toHDPrivateKey('', this.net.bsv).deriveChild(this.data.path);
+      if (account.hdPublicKey.toString() !== this.data.xpub) {
+        throw new InvalidArgumentError(`The keystore of ${this.file || 'the wallet'} doesn't match its xpub`);
+      }
+      this.account = account;
+      this.mnemonic = secret.mnemonic;
+    } else {
+      this.key = bsv.PrivateKey.fromWIF(secret.wif);
+    }
+    return this;
+  }
+
+  // The mnemonic or WIF, for export
+  secret() {
+    this.assertUnlocked();
+    return this.hd ? this.mnemonic : this.key.toWIF();
+  }
+
+  // Private key of one of the wallet's addresses
+  keyFor(address) {
+    this.assertUnlocked();
+    if (!this.hd) return this.key;
+    if (!this.paths.has(address.toString())) this.addresses();
+    const where = this.paths.get(address.toString());
+    if (!where) throw new InvalidArgumentError(`${address} is not an address of this wallet`);
+    return this.account.deriveChild(where[0]).deriveChild(where[1]).privateKey;
+  }
+
+  assertUnlocked() {
+    if (this.locked) throw new InvalidArgumentError(`Wallet ${this.file || this.data.address} is encrypted: unlock it with its passphrase first`);
+  }
+
+  save(file = this.file) {
+    if (!file) return;
+    this.file = file;
+    fs.writeFileSync(file, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+  }
+}
+
+// The wallet file at `walletPath`, still locked if it's encrypted
+function readWallet(walletPath, net) {
+  if (!fs.existsSync(walletPath)) {
+    const flag = net.name === 'main' ? '' : ` --network ${net.name}`;
+    throw new NotFoundError(`Wallet not found: ${walletPath}\n   Run: node wallet.cjs create${flag}`, { path: walletPath });
+  }
+  const data = JSON.parse(fs.readFileSync(walletPath, 'utf-8'));
+  // Wallets created before network support carry no network field: mainnet
+  const walletNet = data.network || 'main';
+  if (walletNet !== net.name) {
+    throw new Error(`Wallet ${walletPath} is for ${walletNet}, not ${net.name}`);
+  }
+  return new Wallet(data, net, walletPath);
+}
+
+// The wallet unlocked with `passphrase` (default: ORG_WALLET_PASSPHRASE):
+// { wallet (the file's contents), privateKey, address, keys (the Wallet) }
+function loadWallet(walletPath, net, { passphrase = process.env.ORG_WALLET_PASSPHRASE } = {}) {
+  const keys = readWallet(walletPath, net);
+  if (keys.locked) {
+    if (!passphrase) throw new InvalidArgumentError(`Wallet ${walletPath} is encrypted: set ORG_WALLET_PASSPHRASE`);
+    keys.unlock(passphrase);
+  }
+  const address = keys.address;
+  return { wallet: keys.data, privateKey: keys.keyFor(address), address, keys };
+}
+
+// Find how far each chain of the HD `wallet` has been used (an imported
+// mnemonic starts from scratch): look for UTXOs on its addresses until `gap`
+// in a row hold none. Returns how many addresses on each chain hold funds.
+async function scanAddresses(wallet, provider, { gap = 20 } = {}) {
+  const found = {};
+  for (const [name, chain] of Object.entries(CHAINS)) {
+    found[name] = 0;
+    let last = -1;
+    for (let index = 0; index - last <= gap; index++) {
+      const utxos = await provider.listUnspent(wallet.derive(chain, index).toString());
+      if (utxos.length) {
+        last = index;
+        found[name]++;
+      }
+    }
+    wallet.data.next[name] = Math.max(wallet.data.next[name], last + 1);
+  }
+  return found;
+}
+
+// Read a line from the terminal without echoing it
+function readHidden(prompt) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    rl._writeToOutput = (s) => { if (s.startsWith(prompt)) rl.output.write(prompt); };
+    rl.question(prompt, (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+// The wallet passphrase: ORG_WALLET_PASSPHRASE, else asked on the terminal
+// (twice with `confirm`, for a new one)
+async function askPassphrase(prompt = 'Wallet passphrase: ', { confirm = false, env = process.env } = {}) {
+  if (env.ORG_WALLET_PASSPHRASE) return env.ORG_WALLET_PASSPHRASE;
+  if (!process.stdin.isTTY) throw new InvalidArgumentError('The wallet is encrypted: set ORG_WALLET_PASSPHRASE (no terminal to ask on)');
+  const passphrase = await readHidden(prompt);
+  if (confirm && await readHidden('Repeat it: ') !== passphrase) throw new InvalidArgumentError('The passphrases differ');
+  return passphrase;
+}
+
+module.exports = {
+  CHAINS,
+  accountPath,
+  encryptSecret,
+  decryptSecret,
+  Wallet,
+  readWallet,
+  loadWallet,
+  scanAddresses,
+  readHidden,
+  askPassphrase,
+};
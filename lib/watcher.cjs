@@ -0,0 +1,183 @@
+// Lifecycle event watcher (watcher.cjs): follow lineages as they are spent
+// and deliver what happens to them.
+//
+// Each round, every watched lineage is traced from the last spend stored
+// (lib/lineage.cjs) and each new spend becomes one event:
+//   spawned      gen 0 appeared                        type, name (if
+//                                                      spawned here with one)
+//   reproduced   a claim                               claimer, reward
+//   fed          a fund                                funder, amount
+//   died         the last claim, or a predator's hunt  cause ('exhausted' |
+//                                                      'eaten'), claimer,
+//                                                      reward, eatenBy
+//   low-balance  fewer than `threshold` claims left    generationsLeft,
+//                                                      threshold, reward, fee
+// Every event also carries { event, time, network, spawnTxid, txid,
+// generation, balance, blockHeight }. low-balance is sent once when a
+// lineage drops below the threshold, and again only after a feed lifts it
+// back up and it drops once more.
+//
+// Events go to each webhook as a JSON POST, to a JSONL log, and to stdout
+// as JSON lines. A webhook gets `timeout` ms to answer; a failed delivery is
+// reported to `onError` and skipped, not retried.
+// Between rounds, providers that can subscribe() to new txs end the wait
+// early; the others are polled every `interval`.
+
+const fs = require('fs');
+const { postJson } = require('./http.cjs');
+const { entryKind, lifespan } = require('./lineage.cjs');
+
+const EVENTS = ['spawned', 'reproduced', 'fed', 'died', 'low-balance'];
+const TXID_PATTERN = /^[0-9a-f]{64}$/i;
+const WEBHOOK_TIMEOUT = 10000;
+
+// The event for one traced spend of the lineage `name`d in the store (if any)
+function spendEvent(entry, previous, name = null) {
+  const base = { txid: entry.txid, generation: entry.generation, balance: entry.balance, blockHeight: entry.blockHeight };
+  switch (entryKind(entry, previous)) {
+    case 'spawn':
+      return { event: 'spawned', ...base, type: entry.org1 ? entry.org1.type : null, name };
+    case 'claim':
+      return { event: 'reproduced', ...base, claimer: entry.claimer, reward: entry.reward };
+    case 'fund':
+      return { event: 'fed', ...base, funder: entry.funder || null, amount: entry.amount ?? entry.balance - previous.balance };
+    case 'eaten':
+      return { event: 'died', ...base, cause: 'eaten', eatenBy: entry.eatenBy };
+    default:
+      return { event: 'died', ...base, cause: 'exhausted', claimer: entry.claimer, reward: entry.reward };
+  }
+}
+
+// Resolve after `ms`, or as soon as `chain` reports a new tx
+function nextRound(chain, ms) {
+  return new Promise(resolve => {
+    let unsubscribe = null;
+    const done = () => {
+      clearTimeout(timer);
+      if (unsubscribe) unsubscribe();
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (typeof chain.subscribe === 'function') unsubscribe = chain.subscribe(done);
+  });
+}
+
+class Watcher {
+  // client:    an OrganismClient
+  // threshold: send low-balance below this many claims left (0: never)
+  // webhooks:  URLs each event is POSTed to
+  // log:       JSONL file each event is appended to (null: none)
+  // stdout:    write each event to stdout as a JSON line
+  // events:    the events to deliver (default: all of EVENTS)
+  // timeout:   ms each webhook gets to answer
+  // onError:   called with (err, event) when a delivery fails
+  constructor(client, {
+    threshold = 0, webhooks = [], log = null, stdout = false, events = EVENTS, timeout = WEBHOOK_TIMEOUT,
+    onError = () => {}, now = Date.now,
+  } = {}) {
+    const unknown = events.filter(name => !EVENTS.includes(name));
+    if (unknown.length) throw new Error(`Unknown event ${unknown[0]} (expected one of: ${EVENTS.join(', ')})`);
+    this.client = client;
+    this.store = client.lineageStore();
+    this.threshold = threshold;
+    this.webhooks = webhooks;
+    this.log = log;
+    this.stdout = stdout;
+    this.events = new Set(events);
+    this.timeout = timeout;
+    this.onError = onError;
+    this.now = now;
+    this.lineages = new Map();  // spawnTxid -> { spawnTxid, low }
+    this.listed = false;        // watching a fixed list rather than the store
+  }
+
+  watch(spawnTxid) {
+    if (!TXID_PATTERN.test(spawnTxid)) throw new Error(`Not a TXID: ${spawnTxid}`);
+    const id = spawnTxid.toLowerCase();
+    this.listed = true;
+    if (!this.lineages.has(id)) this.lineages.set(id, { spawnTxid: id, low: false });
+  }
+
+  // Without a fixed list, watch every living lineage traced or spawned here,
+  // picking up new spawns as they are stored
+  discover() {
+    if (this.listed) return;
+    for (const org of this.store.query({ status: 'alive' })) {
+      if (this.lineages.has(org.spawnTxid)) continue;
+      if (!org.state && this.store.lineage(org.spawnTxid).length === 0) continue;
+      this.lineages.set(org.spawnTxid, { spawnTxid: org.spawnTxid, low: false });
+    }
+  }
+
+  // Trace every lineage once and deliver what changed; returns the events.
+  // With `history` false the spends traced this round are stored but not
+  // sent, to catch up on a lineage without replaying its past.
+  async round({ history = true } = {}) {
+    this.discover();
+    const events = [];
+    for (const lineage of [...this.lineages.values()]) {
+      let found;
+      try {
+        found = await this.check(lineage);
+      } catch (err) {
+        this.onError(err, { event: 'error', spawnTxid: lineage.spawnTxid });
+        continue;
+      }
+      for (const event of found) {
+        if (!this.events.has(event.event)) continue;
+        if (!history && event.event !== 'low-balance') continue;
+        events.push(await this.deliver({ spawnTxid: lineage.spawnTxid, ...event }));
+      }
+    }
+    return events;
+  }
+
+  async check(lineage) {
+    const stored = this.store.lineage(lineage.spawnTxid);
+    const known = new Set(stored.map(e => e.txid));
+    const found = [];
+    let previous = stored[stored.length - 1] || null;
+    const named = this.store.organism(lineage.spawnTxid);
+    await this.client.trace(lineage.spawnTxid, {
+      onGeneration: (entry) => {
+        if (!known.has(entry.txid)) found.push(spendEvent(entry, previous, named ? named.name : null));
+        previous = entry;
+      },
+    });
+
+    const org = this.store.organism(lineage.spawnTxid);
+    if (!org || org.status !== 'alive') {
+      this.lineages.delete(lineage.spawnTxid);
+      return found;
+    }
+    const life = this.threshold ? lifespan(org, this.store.lineage(lineage.spawnTxid)) : null;
+    const low = !!life && life.generations < this.threshold;
+    if (low && !lineage.low) {
+      found.push({
+        event: 'low-balance', txid: org.tip, generation: org.generation, balance: org.balance, blockHeight: org.height,
+        generationsLeft: life.generations, threshold: this.threshold, reward: life.reward, fee: life.fee,
+      });
+    }
+    lineage.low = low;
+    return found;
+  }
+
+  // Send one event everywhere it is configured to go
+  async deliver(event) {
+    const { event: name, ...rest } = event;
+    const line = { event: name, time: new Date(this.now()).toISOString(), network: this.client.net.name, ...rest };
+    if (this.stdout) process.stdout.write(JSON.stringify(line) + '\n');
+    if (this.log) fs.appendFileSync(this.log, JSON.stringify(line) + '\n');
+    for (const url of this.webhooks) {
+      try {
+        const res = await postJson(url, line, { 'X-Organism-Event': name }, { timeout: this.timeout });
+        if (res.status < 200 || res.status >= 300) throw new Error(`Webhook ${url} answered ${res.status}`);
+      } catch (err) {
+        this.onError(err, line);
+      }
+    }
+    return line;
+  }
+}
+
+module.exports = { EVENTS, spendEvent, nextRound, Watcher };
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// Mutex (Type 5) lock operations
+//
+// Usage:
+//   node mutex.cjs status  --txid <organism-txid>
+//   node mutex.cjs acquire --txid <organism-txid> [--wallet <path>]
+//   node mutex.cjs release --txid <organism-txid> [--wallet <path>]
+//   node mutex.cjs steal   --txid <organism-txid> [--wallet <path>]
+//
+// --txid may be any generation of the lock; it is followed to the live tip.
+// Operations are stamped with the current block height (nLockTime).
+// Spawn a lock with: node spawn.cjs --type 5 --timeout <blocks>
+
+const { bsv } = require('scrypt-ts');
+const { parseArgs } = require('./lib/args.cjs');
+const { providerFromArgs, PROVIDER_USAGE } = require('./lib/providers/index.cjs');
+const { networkFromArgs, defaultWalletPath, explorerTxUrl } = require('./lib/network.cjs');
+const { loadWallet } = require('./lib/wallet.cjs');
+const { loadTip, organismType, buildMutexTx } = require('./lib/organism.cjs');
+const { MUTEX_TYPE, MUTEX_OPS, NOBODY } = require('./lib/types/mutex.cjs');
+
+const args = parseArgs();
+const cmd = args._[0];
+
+if (!['status', ...MUTEX_OPS].includes(cmd) || typeof args.txid !== 'string') {
+  console.log('Usage: node mutex.cjs <status|acquire|release|steal> --txid <organism-txid>');
+  console.log('');
+  console.log('Options:');
+  console.log('  --wallet <path>  Signing wallet (default: ./wallet.json, or wallet.<network>.json)');
+  console.log(PROVIDER_USAGE);
+  process.exit(1);
+}
+
+function pkhAddress(pkh, net) {
+  return bsv.Address.fromPublicKeyHash(Buffer.from(pkh, 'hex'), net.bsv).toString();
+}
+
+async function mutex() {
+  const net = networkFromArgs(args);
+  const chain = providerFromArgs(args);
+
+  const organism = await loadTip(chain, args.txid, net);
+  const tip = organism.from.tx.id;
+  if (organismType(organism) !== MUTEX_TYPE) {
+    throw new Error(`${tip.slice(0, 16)}... is a Type ${organismType(organism)} organism, not a Mutex`);
+  }
+
+  const height = await chain.getBlockHeight();
+  const lockHeight = Number(organism.lockHeight);
+  const timeout = Number(organism.timeout);
+  const holder = organism.holderPkh === NOBODY ? null : pkhAddress(organism.holderPkh, net);
+
+  console.log('🔒 UTXO Organism — Mutex');
+  console.log(`   Lock:    ${tip.slice(0, 16)}... (gen ${organism.generation})`);
+  console.log(`   Height:  ${height}`);
+  if (holder) {
+    console.log(`   Holder:  ${holder}`);
+    console.log(`   Held:    since block ${lockHeight} (${Math.max(0, height - lockHeight)} blocks)`);
+    console.log(`   Timeout: ${timeout} blocks — stealable ${height >= lockHeight + timeout ? 'now' : `from block ${lockHeight + timeout}`}`);
+  } else {
+    console.log(`   Holder:  nobody — free since block ${lockHeight}`);
+  }
+  console.log(`   Balance: ${Number(organism.balance)} sats`);
+
+  if (cmd === 'status') return;
+
+  const { privateKey, address } = loadWallet(args.wallet || defaultWalletPath(net), net);
+  console.log();
+  console.log(`   ${cmd[0].toUpperCase()}${cmd.slice(1)} as ${address.toString()}...`);
+
+  const { tx, alive, reward } = await buildMutexTx(organism, cmd, { privateKey, lockHeight: height });
+  const txid = await chain.broadcast(tx.uncheckedSerialize());
+
+  console.log();
+  console.log('═══════════════════════════════════════════════');
+  console.log(cmd === 'release' ? '   🔓 Lock released' : `   🔒 Lock held by ${address.toString()}`);
+  console.log(`   TXID:   ${txid}`);
+  console.log(`   Reward: ${reward} sats → ${address.toString()}`);
+  if (!alive) console.log(`   💀 The lock has died (balance exhausted).`);
+  const link = explorerTxUrl(net, txid);
+  if (link) console.log(`   ${link}`);
+  console.log('═══════════════════════════════════════════════');
+}
+
+mutex().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
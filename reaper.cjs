@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// Claimer daemon: keep organisms reproducing and collect their rewards
+//
+// Usage:
+//   node reaper.cjs --address <your-bsv-address> [--txid <spawn-txid,...>]
+//                   [--interval <seconds>] [--every <seconds>] [--min-reward <sats>]
+//                   [--retries <n>] [--log <file>] [--once] [--dry-run]
+//
+// Watches --txid, or the "lineages" of the config file's "reaper" section,
+// or every organism spawned here. Each round it follows every lineage to its
+// live tip and claims it to --address (see lib/reaper.cjs for when a lineage
+// is passed over). Every claim is appended to the rewards log as JSON.
+// --dry-run claims against the fixture file in memory, with every claim
+// script-verified, and leaves both the file and the log untouched.
+//
+// The config file's "reaper" section takes the same settings:
+//   { "reaper": { "address": "1...", "lineages": ["<txid>"], "interval": 60,
+//                 "every": 0, "minReward": 0, "retries": 3, "log": "reaper.log" } }
+
+const { parseArgs } = require('./lib/args.cjs');
+const { providerFromArgs, createProvider, PROVIDER_USAGE } = require('./lib/providers/index.cjs');
+const { networkFromArgs, stateDirs, explorerTxUrl } = require('./lib/network.cjs');
+const { readConfig } = require('./lib/config.cjs');
+const { loadPlugins, PLUGIN_USAGE } = require('./lib/plugins.cjs');
+const { OrganismClient } = require('./lib/client.cjs');
+const { cachedTip } = require('./lib/lineage.cjs');
+const { watchList, Reaper } = require('./lib/reaper.cjs');
+
+const args = parseArgs();
+const settings = readConfig(args).config.reaper || {};
+
+function setting(flag, key, fallback) {
+  const value = args[flag] !== undefined ? args[flag] : settings[key];
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`--${flag} must be a whole number`);
+  return n;
+}
+
+const ADDRESS = typeof args.address === 'string' ? args.address : settings.address;
+
+if (!ADDRESS) {
+  console.log('Usage: node reaper.cjs --address <your-bsv-address>');
+  console.log('');
+  console.log('Options:');
+  console.log('  --txid <txid,...>     Lineages to watch (default: config "reaper.lineages", or those spawned here)');
+  console.log('  --interval <seconds>  Time between rounds (default: 60)');
+  console.log('  --every <seconds>     Claim each lineage at most this often (default: every round)');
+  console.log('  --min-reward <sats>   Pass over organisms paying less (default: 0)');
+  console.log('  --retries <n>         Retries on the new tip after losing a race (default: 3)');
+  console.log('  --log <file>          Rewards log, one JSON line per claim (default: ./reaper.log)');
+  console.log('  --once                Run one round and exit');
+  console.log('  --dry-run             Claim against the fixture file in memory; nothing is broadcast or logged');
+  console.log(PROVIDER_USAGE);
+  console.log(PLUGIN_USAGE);
+  process.exit(1);
+}
+
+function delay(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function printOutcome(net, outcome) {
+  const id = `${outcome.spawnTxid.slice(0, 16)}...`;
+  switch (outcome.status) {
+    case 'claimed': {
+      const retried = outcome.attempts > 1 ? ` after ${outcome.attempts - 1} lost race${outcome.attempts > 2 ? 's' : ''}` : '';
+      console.log(`   ⚡ ${id} gen ${outcome.generation}: +${outcome.reward} sats${retried} (${outcome.txid.slice(0, 16)}...)`);
+      if (!outcome.alive) console.log(`   💀 ${id} died with this claim`);
+      const link = explorerTxUrl(net, outcome.txid);
+      if (link) console.log(`      ${link}`);
+      break;
+    }
+    case 'lost':
+      console.log(`   🏁 ${id} lost ${outcome.attempts} race${outcome.attempts === 1 ? '' : 's'}${outcome.lostTo ? `, last to ${outcome.lostTo.slice(0, 16)}...` : ''}`);
+      break;
+    case 'scheduled':
+      console.log(`   ⏳ ${id} next claim at ${outcome.next}`);
+      break;
+    case 'unprofitable':
+      console.log(`   💤 ${id} reward ${outcome.reward} sats is below --min-reward`);
+      break;
+    case 'skipped':
+      console.log(`   ⏭️  ${id} ${outcome.reason}`);
+      break;
+    case 'dead':
+      console.log(`   💀 ${id} ${outcome.reason}; no longer watched`);
+      break;
+    default:
+      console.log(`   ⚠️  ${id} ${outcome.reason}`);
+  }
+}
+
+async function reap() {
+  const net = networkFromArgs(args);
+  const dryRun = !!args['dry-run'];
+  loadPlugins(args);
+
+  // A dry run reads the fixture file into a simulator that never writes back
+  const chain = dryRun
+    ? createProvider('sim', { network: net.bsv, path: args.fixtures || process.env.ORG_FIXTURES || stateDirs(net).fixtures, persist: false })
+    : providerFromArgs(args);
+  const client = new OrganismClient({ network: net.name, chain });
+
+  const reaper = new Reaper(client, {
+    address: ADDRESS,
+    every: setting('every', 'every', 0),
+    minReward: setting('min-reward', 'minReward', 0),
+    retries: setting('retries', 'retries', 3),
+    log: dryRun ? null : (typeof args.log === 'string' ? args.log : settings.log || 'reaper.log'),
+  });
+  const interval = setting('interval', 'interval', 60);
+
+  const txids = typeof args.txid === 'string' ? args.txid.split(',').map(s => s.trim()).filter(Boolean) : [];
+  for (const { spawnTxid, tip } of watchList({ txids, lineages: settings.lineages, states: client.localStates() })) {
+    // Start from the scanner's lineage store rather than walking from the spawn
+    reaper.watch(spawnTxid, tip === spawnTxid ? cachedTip(spawnTxid, client.lineageStore()) : tip);
+  }
+
+  console.log(`🌾 UTXO Organism — Reaper${dryRun ? ' (dry run)' : ''}`);
+  console.log(`   Claimer:   ${reaper.address.toString()}`);
+  console.log(`   Watching:  ${reaper.lineages.size} lineage${reaper.lineages.size === 1 ? '' : 's'}`);
+  if (reaper.log) console.log(`   Log:       ${reaper.log}`);
+  if (reaper.lineages.size === 0) {
+    throw new Error('Nothing to watch: pass --txid, list "lineages" in the config\'s "reaper" section, or spawn an organism');
+  }
+
+  while (reaper.lineages.size > 0) {
+    console.log();
+    console.log(`── ${new Date().toISOString()}`);
+    for (const outcome of await reaper.round()) printOutcome(net, outcome);
+    console.log(`   Earned:    ${reaper.totals.rewards} sats from ${reaper.totals.claims} claim${reaper.totals.claims === 1 ? '' : 's'}`);
+    if (args.once) return;
+    if (reaper.lineages.size > 0) await delay(interval * 1000);
+  }
+  console.log();
+  console.log('   No living lineages left to watch.');
+}
+
+reap().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
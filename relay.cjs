@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// Signal Relay (Type 8) daemon: fire the relay when its watched outpoint is spent
+//
+// Usage:
+//   node relay.cjs --txid <relay-txid> [--wallet <path>] [--interval <seconds>] [--once]
+//
+// --txid may be any generation of the relay; it is followed to the live tip.
+// Polls output 0 of the watched TXID through the provider. Once it is spent,
+// the relay is fired with the spending tx as proof, which must include an
+// output paying the wallet (the fire tx spends it as input 1 and pays it
+// back with the reward). The block window is only checked here: once it has
+// passed since the spend's block, the relay isn't fired. Exits once the relay
+// has fired, or with an error if the spend can't fire it (no output for the
+// wallet, window closed).
+// Spawn a relay with: node spawn.cjs --type 8 --watch <txid> --window <blocks>
+
+const { bsv } = require('scrypt-ts');
+const { parseArgs } = require('./lib/args.cjs');
+const { providerFromArgs, PROVIDER_USAGE } = require('./lib/providers/index.cjs');
+const { networkFromArgs, defaultWalletPath, explorerTxUrl } = require('./lib/network.cjs');
+const { loadWallet } = require('./lib/wallet.cjs');
+const { loadTip, organismType, buildFireTx } = require('./lib/organism.cjs');
+const { RELAY_TYPE } = require('./lib/types/relay.cjs');
+
+const args = parseArgs();
+const INTERVAL = parseInt(args.interval || '60');
+
+if (typeof args.txid !== 'string') {
+  console.log('Usage: node relay.cjs --txid <relay-txid>');
+  console.log('');
+  console.log('Options:');
+  console.log('  --wallet <path>      Firing wallet (default: ./wallet.json, or wallet.<network>.json)');
+  console.log('  --interval <seconds> Time between checks (default: 60)');
+  console.log('  --once               Check once and exit');
+  console.log(PROVIDER_USAGE);
+  process.exit(1);
+}
+
+function delay(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// One check of the relay; true once it has fired
+async function check(chain, net, wallet) {
+  const relay = await loadTip(chain, args.txid, net);
+  const tip = relay.from.tx.id;
+  if (organismType(relay) !== RELAY_TYPE) {
+    throw new Error(`${tip.slice(0, 16)}... is a Type ${organismType(relay)} organism, not a Signal Relay`);
+  }
+  if (relay.triggered === 1n) {
+    console.log(`🔔 Relay has fired (now at ${tip.slice(0, 16)}..., gen ${relay.generation})`);
+    return true;
+  }
+
+  const height = await chain.getBlockHeight();
+  const spent = await chain.getSpent(relay.watchedTxid, 0);
+  if (!spent) {
+    console.log(`   ⏳ Block ${height}: ${relay.watchedTxid.slice(0, 16)}...:0 unspent`);
+    return false;
+  }
+  if (!spent.txid) throw new Error('The watched outpoint is spent but this provider can\'t say by what');
+
+  const spenderHex = await chain.getRawTx(spent.txid);
+  const spender = await chain.getTx(spent.txid);
+  const spendHeight = spender && spender.blockheight ? spender.blockheight : null;
+  console.log(`   👀 Spent by ${spent.txid.slice(0, 16)}... ${spendHeight ? `at block ${spendHeight}` : 'in the mempool'}`);
+
+  const { tx, reward, proof, alive } = await buildFireTx(relay, {
+    spenderTx: new bsv.Transaction(spenderHex),
+    spendHeight,
+    height,
+    privateKey: wallet.privateKey,
+    address: wallet.address,
+  });
+  const txid = await chain.broadcast(tx.uncheckedSerialize());
+
+  console.log();
+  console.log('═══════════════════════════════════════════════');
+  console.log('   🔔 Relay fired');
+  console.log(`   TXID:   ${txid}`);
+  console.log(`   Proof:  ${proof.txid.slice(0, 16)}...:${proof.vout}`);
+  console.log(`   Reward: ${reward} sats (+${proof.value} proof) → ${wallet.address.toString()}`);
+  if (!alive) console.log('   💀 The relay has died (balance exhausted).');
+  const link = explorerTxUrl(net, txid);
+  if (link) console.log(`   ${link}`);
+  console.log('═══════════════════════════════════════════════');
+  return true;
+}
+
+async function relay() {
+  const net = networkFromArgs(args);
+  const chain = providerFromArgs(args);
+  const wallet = loadWallet(args.wallet || defaultWalletPath(net), net);
+
+  console.log('📡 UTXO Organism — Signal Relay');
+  console.log(`   Relay:  ${args.txid.slice(0, 16)}...`);
+  console.log(`   Firer:  ${wallet.address.toString()}`);
+  console.log();
+
+  while (!(await check(chain, net, wallet))) {
+    if (args.once) return;
+    await delay(INTERVAL * 1000);
+  }
+}
+
+relay().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
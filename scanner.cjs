@@ -3,232 +3,313 @@
 //
 // Usage:
 //   node scanner.cjs --txid <spawn-txid>       Trace one organism lineage
-//   node scanner.cjs --scan                     Scan known organisms from organisms/ dir
+//   node scanner.cjs --scan                     Scan the organisms spawned here
+//                                               (with population counts for Type 6)
+//   node scanner.cjs --subject <address>        Interactions recorded for an address (Type 7)
+//   node scanner.cjs index [--from <h>]         Index every organism on the network (lib/indexer.cjs)
+//   node scanner.cjs query [--type <n>] [--alive] [--claimer <addr>]
+//                                               Organisms in the lineage store (lib/store.cjs)
+//   node scanner.cjs migrate                    Import organisms/ and lineage/ JSON into the store
+//   --provider <name>                           Chain backend: woc | node | fixture
+//   --network <name>                            main | test | regtest (separate state dirs)
+//   --plugin <path,...>                         Payload codecs for more types (lib/plugins.cjs)
 //
 // Reads OP_RETURN with ORG1 prefix, decodes common fields, traces lineage via output 0 spends.
+// Payloads of types with a codec (lib/types/index.cjs) are shown decoded.
 
-const fs = require('fs');
-const path = require('path');
-const https = require('https');
-
-const ORGANISMS_DIR = path.join(__dirname, 'organisms');
-const LINEAGE_DIR = path.join(__dirname, 'lineage');
-
-function wocGet(endpoint) {
-  return new Promise((resolve, reject) => {
-    https.get(`https://api.whatsonchain.com/v1/bsv/main${endpoint}`, {
-      headers: { Accept: 'application/json' }
-    }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        if (res.statusCode === 404) return resolve(null);
-        try { resolve(JSON.parse(d)); }
-        catch { reject(new Error(`Bad JSON from ${endpoint}: ${d.slice(0, 200)}`)); }
-      });
-    }).on('error', reject);
-  });
-}
+const { parseArgs } = require('./lib/args.cjs');
+const { PROVIDER_USAGE } = require('./lib/providers/index.cjs');
+const { REPUTATION_TYPE } = require('./lib/types/reputation.cjs');
+const { SPECIES, countPopulation } = require('./lib/types/predator.cjs');
+const { codecFor, formatPayload } = require('./lib/types/index.cjs');
+const { OrganismClient } = require('./lib/client.cjs');
+const { PLUGIN_USAGE } = require('./lib/plugins.cjs');
+const { STATUSES } = require('./lib/store.cjs');
 
-function delay(ms) { return new Promise(r => setTimeout(r, ms)); }
-
-// Decode ORG1 OP_RETURN from a transaction's outputs
-function decodeORG1(tx) {
-  for (const out of tx.vout) {
-    const hex = out.scriptPubKey?.hex;
-    if (!hex) continue;
-    // Look for OP_FALSE OP_RETURN followed by push of "ORG1" (4f524731)
-    // Pattern: 006a04 4f524731 ...
-    const idx = hex.indexOf('4f524731');
-    if (idx === -1) continue;
-    const after = hex.slice(idx + 8); // after "ORG1"
-    if (after.length < 2 + 2 + 8 + 2 + 64) continue; // minimum remaining
-
-    // <01><type:1B> <04><gen:4B> <20><spawnTxid:32B>
-    let pos = 0;
-    // type
-    const typePushLen = parseInt(after.slice(pos, pos + 2), 16); pos += 2;
-    const type = parseInt(after.slice(pos, pos + typePushLen * 2), 16); pos += typePushLen * 2;
-    // generation
-    const genPushLen = parseInt(after.slice(pos, pos + 2), 16); pos += 2;
-    const genHex = after.slice(pos, pos + genPushLen * 2); pos += genPushLen * 2;
-    const genBuf = Buffer.from(genHex, 'hex');
-    const generation = genBuf.readUInt32LE(0);
-    // spawn txid
-    const spawnPushLen = parseInt(after.slice(pos, pos + 2), 16); pos += 2;
-    const spawnTxid = after.slice(pos, pos + spawnPushLen * 2); pos += spawnPushLen * 2;
-    // remaining = type-specific payload
-    const payload = after.slice(pos);
-
-    return { type, generation, spawnTxid, payload };
+// Current holder of a Type 5 lineage and how long they have held the lock
+function printLockState(lineage, height) {
+  const last = lineage[lineage.length - 1];
+  if (!last.mutex) return;
+  const blocks = Math.max(0, height - last.mutex.lockHeight);
+  if (last.mutex.holder) {
+    console.log(`  🔒 Held by ${last.mutex.holder} since block ${last.mutex.lockHeight} (${blocks} blocks)`);
+  } else {
+    console.log(`  🔓 Free since block ${last.mutex.lockHeight} (${blocks} blocks)`);
   }
-  return null;
 }
 
-// Get reward address from tx outputs
-function getRewardAddress(tx, hasOrgOutput) {
-  // Reward is the last P2PKH output
-  for (let i = tx.vout.length - 1; i >= 0; i--) {
-    const addr = tx.vout[i].scriptPubKey?.addresses?.[0];
-    if (addr) return addr;
+// Living and dead lineages per species across the scanned Type 6 organisms
+function printPopulation(lineages) {
+  const tips = lineages.map(lineage => lineage[lineage.length - 1]).filter(tip => tip.predator);
+  if (tips.length === 0) return;
+  const population = countPopulation(tips);
+  const icons = { prey: '🐇', predator: '🦊' };
+  console.log('🌿 Population (Type 6):');
+  for (const species of SPECIES) {
+    const { alive, eaten, starved } = population[species];
+    console.log(`   ${icons[species]} ${species.padEnd(9)} ${alive} alive | ${eaten} eaten | ${starved} starved`);
   }
-  return 'unknown';
 }
 
-async function traceLineage(spawnTxid) {
-  console.log(`🧬 Tracing organism: ${spawnTxid.slice(0, 16)}...`);
-
-  // Check for cached lineage
-  fs.mkdirSync(LINEAGE_DIR, { recursive: true });
-  const lineagePath = path.join(LINEAGE_DIR, `${spawnTxid.slice(0, 16)}.json`);
-  let lineage = [];
-  let startTxid = spawnTxid;
-  let startGen = 0;
-
-  try {
-    const existing = JSON.parse(fs.readFileSync(lineagePath, 'utf-8'));
-    if (existing.length > 0) {
-      const last = existing[existing.length - 1];
-      if (last.spentBy) {
-        lineage = existing;
-        startTxid = last.spentBy;
-        startGen = last.generation + 1;
-        console.log(`  📂 Resuming from Gen ${startGen} (${lineage.length} cached)`);
-      } else if (last.alive) {
-        lineage = existing.slice(0, -1);
-        startTxid = last.txid;
-        startGen = last.generation;
-        console.log(`  📂 Re-checking Gen ${startGen}`);
-      }
-    }
-  } catch {}
-
-  let currentTxid = startTxid;
-  let generation = startGen;
-
-  while (currentTxid) {
-    await delay(300);
-    const tx = await wocGet(`/tx/${currentTxid}`);
-    if (!tx) {
-      console.error(`  ❌ Could not fetch tx ${currentTxid}`);
-      break;
-    }
-
-    const isSpawn = generation === 0;
-    const organismOutput = tx.vout[0];
-    const balance = Math.round(organismOutput.value * 1e8);
-    const blockHeight = tx.blockheight || null;
-    const blockTime = tx.blocktime ? new Date(tx.blocktime * 1000).toISOString() : null;
-    const claimer = isSpawn ? 'spawn' : getRewardAddress(tx);
-
-    // Decode ORG1 data if present
-    const org1 = decodeORG1(tx);
-
-    // Calculate reward (sum of P2PKH outputs after organism output)
-    let rewardSats = 0;
-    if (!isSpawn) {
-      for (let i = 1; i < tx.vout.length; i++) {
-        if (tx.vout[i].value > 0 && tx.vout[i].scriptPubKey?.addresses) {
-          rewardSats += Math.round(tx.vout[i].value * 1e8);
-        }
-      }
-    }
-
-    const prevBalance = generation > 0 && lineage[generation - 1]
-      ? lineage[generation - 1].balance : null;
-    const feePaid = prevBalance !== null ? prevBalance - balance - rewardSats : 0;
-
-    const entry = {
-      generation,
-      txid: currentTxid,
-      balance,
-      claimer,
-      reward: rewardSats,
-      fee: feePaid,
-      blockHeight,
-      blockTime,
-      alive: true,
-      org1: org1 || null,
-    };
-
-    const tag = isSpawn ? '🥚 spawn' : `⚡ ${claimer.slice(0, 16)}...`;
-    const typeStr = org1 ? ` [type:${org1.type}]` : '';
+// Print the task/result log of a Type 1 lineage, one line per completed task
+function printWorkLog(lineage) {
+  const work = lineage.filter(e => e.task);
+  if (work.length === 0) return;
+  console.log(`  📋 Work log (${work.length} task${work.length === 1 ? '' : 's'}):`);
+  for (const e of work) {
     console.log(
-      `  Gen ${String(generation).padStart(3)}: ` +
-      `${currentTxid.slice(0, 16)}... | ` +
-      `${String(balance).padStart(7)} sats | ` +
-      `${tag}${typeStr}` +
-      (rewardSats ? ` | +${rewardSats}` : '') +
-      ` | ${blockTime ? blockTime.slice(0, 19) : 'mempool'}`
+      `    Gen ${String(e.generation).padStart(3)}: ` +
+      `task ${e.task.taskHash.slice(0, 16)}... → result ${e.task.resultHash.slice(0, 16)}... ` +
+      `by ${e.task.claimer}` +
+      (e.task.paid ? '' : ' ⚠️  not the paid address')
     );
+  }
+}
 
-    // Check if output 0 has been spent
-    await delay(300);
-    let spentInfo = null;
-    try {
-      spentInfo = await wocGet(`/tx/${currentTxid}/0/spent`);
-    } catch {}
-
-    if (spentInfo && spentInfo.txid) {
-      entry.alive = false;
-      entry.spentBy = spentInfo.txid;
-      lineage.push(entry);
-      currentTxid = spentInfo.txid;
-      generation++;
-    } else {
-      lineage.push(entry);
-      currentTxid = null;
-    }
+// What a spend did, by kind (see lib/lineage.cjs)
+function spendTag(entry) {
+  switch (entry.kind) {
+    case 'spawn': return '🥚 spawn';
+    case 'fund': return `🍽️  fed ${entry.amount} by ${entry.funder.slice(0, 16)}...`;
+    case 'death': return `💀 ${entry.claimer.slice(0, 16)}...`;
+    case 'eaten': return '🍖 eaten';
+    default: return entry.generation === 0 ? '🥚 spawn' : `⚡ ${entry.claimer.slice(0, 16)}...`;
   }
+}
 
-  // Save lineage
-  fs.writeFileSync(lineagePath, JSON.stringify(lineage, null, 2));
+// One line per spend of output 0, and its decoded payload below it
+function printGeneration(entry) {
+  const { org1 } = entry;
+  const tag = spendTag(entry);
+  const typeStr = org1 ? ` [type:${org1.type}]` : '';
+  console.log(
+    `  Gen ${String(entry.generation).padStart(3)}: ` +
+    `${entry.txid.slice(0, 16)}... | ` +
+    `${String(entry.balance).padStart(7)} sats | ` +
+    `${tag}${typeStr}` +
+    (entry.mutex && entry.mutex.op ? ` | ${entry.mutex.op}` : '') +
+    (entry.relay && entry.relay.fired ? ' | 🔔 fired' : '') +
+    (entry.ate ? ` | 🍖 ate ${entry.ate.slice(0, 16)}...` : '') +
+    (entry.eatenBy ? ` | by ${entry.eatenBy.slice(0, 16)}...` : '') +
+    (entry.reward ? ` | +${entry.reward}` : '') +
+    (entry.feeRate ? ` | fee ${entry.fee} (${entry.feeRate} sats/kB)` : '') +
+    ` | ${entry.blockTime ? entry.blockTime.slice(0, 19) : 'mempool'}` +
+    (entry.spawnCheck === 'mismatch' ? ` | ⚠️  spawn TXID ${org1.spawnTxid.slice(0, 16)}...` : '')
+  );
+  if (entry.fields) {
+    console.log(`            ↳ ${formatPayload(org1.type, org1.payload)}`);
+  } else if (org1 && org1.payload && codecFor(org1.type)) {
+    console.log(`            ↳ ⚠️  malformed ${codecFor(org1.type).name} payload (${org1.payload.length / 2} bytes)`);
+  }
+}
+
+// Trace one lineage, printing each generation as it is decoded and a summary
+async function traceLineage(spawnTxid, client) {
+  console.log(`🧬 Tracing organism: ${spawnTxid.slice(0, 16)}...`);
+
+  const { lineage, path: lineagePath, missing, summary } = await client.trace(spawnTxid, {
+    onResume: ({ generation, cached, resume }) => console.log(resume === 'spent'
+      ? `  📂 Resuming after Gen ${generation} (${cached} cached)`
+      : `  📂 Re-checking Gen ${generation}`),
+    onGeneration: printGeneration,
+  });
+  if (missing) console.error(`  ❌ Could not fetch tx ${missing}`);
 
   // Summary
   const living = lineage[lineage.length - 1];
-  const totalClaims = lineage.filter(e => e.generation > 0).length;
-  const uniqueClaimers = new Set(lineage.filter(e => e.claimer !== 'spawn').map(e => e.claimer));
 
   console.log();
   console.log('═══════════════════════════════════════════════');
-  if (living.alive) {
+  if (summary.status === 'alive') {
     console.log(`  🧬 ALIVE at Gen ${living.generation} | ${living.balance} sats`);
+  } else if (summary.status === 'eaten') {
+    console.log(`  🍖 EATEN at Gen ${living.generation} by ${living.eatenBy.slice(0, 16)}...`);
   } else {
     console.log(`  💀 DEAD at Gen ${living.generation}`);
   }
-  console.log(`  📊 ${totalClaims} claims | ${uniqueClaimers.size} unique participants`);
+  console.log(`  📊 ${summary.claims} claims | ${summary.claimers} unique participants | ${summary.funds} feeds`);
+  console.log(`  🍽️  ${summary.food} sats of food received | ⚡ ${summary.rewards} sats of rewards paid`);
+  if (summary.mismatches > 0) {
+    console.log(`  ⚠️  ${summary.mismatches} generation(s) carry a spawn TXID that is not ${spawnTxid.slice(0, 16)}...`);
+  } else if (summary.unbound) {
+    console.log(`  ℹ️  Legacy organism: spawn TXID never bound (all zeros)`);
+  }
+  printWorkLog(lineage);
+  if (living.relay) {
+    const watched = `${living.relay.watchedTxid.slice(0, 16)}...:0`;
+    const fired = lineage.find(e => e.relay && e.relay.fired);
+    console.log(fired
+      ? `  🔔 Fired at Gen ${fired.generation} on the spend of ${watched}`
+      : `  ⏳ Waiting for ${watched} to be spent (window ${living.relay.window} blocks)`);
+  }
+  if (living.alive && living.mutex) printLockState(lineage, await client.chain.getBlockHeight());
   console.log(`  📄 ${lineagePath}`);
   console.log('═══════════════════════════════════════════════');
 
   return lineage;
 }
 
-async function scanAll() {
-  fs.mkdirSync(ORGANISMS_DIR, { recursive: true });
-  const files = fs.readdirSync(ORGANISMS_DIR).filter(f => f.endsWith('.json'));
-  if (files.length === 0) {
+async function scanAll(client) {
+  const states = client.localStates();
+  if (states.length === 0) {
     console.log('No organisms found. Spawn one first: node spawn.cjs');
     return;
   }
 
-  console.log(`🔍 Scanning ${files.length} organism(s)...\n`);
+  console.log(`🔍 Scanning ${states.length} organism(s)...\n`);
 
-  for (const file of files) {
-    const state = JSON.parse(fs.readFileSync(path.join(ORGANISMS_DIR, file), 'utf-8'));
-    await traceLineage(state.spawnTxid);
+  const lineages = [];
+  for (const state of states) {
+    lineages.push(await traceLineage(state.spawnTxid, client));
     console.log();
   }
+  printPopulation(lineages);
+}
+
+// Every interaction recorded for `subject` by the known Type 7 organisms
+async function subjectReport(subject, client) {
+  const states = client.localStates()
+    .filter(state => state.type === REPUTATION_TYPE && (!state.subject || state.subject === subject));
+
+  const interactions = [];
+  for (const state of states) {
+    const lineage = await traceLineage(state.spawnTxid, client);
+    console.log();
+    let previous = null;
+    for (const entry of lineage) {
+      const record = entry.reputation;
+      if (record?.subject !== subject) continue;
+      // Fund txs repeat the latest interaction; only count each hash once
+      if (record.interactionHash && record.interactionHash !== previous) {
+        interactions.push({ spawnTxid: state.spawnTxid, ...entry });
+      }
+      previous = record.interactionHash;
+    }
+  }
+
+  // The covenant only refuses a repeat of the latest hash, so an earlier
+  // one can come back to raise the count; those are marked and not counted
+  const lineages = new Set(interactions.map(i => i.spawnTxid));
+  const seen = new Set();
+  for (const i of interactions) {
+    i.repeat = seen.has(i.reputation.interactionHash);
+    seen.add(i.reputation.interactionHash);
+  }
+  console.log(`📇 ${subject}: ${interactions.length} interaction(s), ${seen.size} distinct, across ${lineages.size} lineage(s)`);
+  for (const i of interactions) {
+    console.log(
+      `  ${i.spawnTxid.slice(0, 16)}... #${String(i.reputation.count).padEnd(4)} ` +
+      `${i.reputation.interactionHash} | ${i.claimer} | ${i.blockTime ? i.blockTime.slice(0, 19) : 'mempool'}` +
+      (i.repeat ? ' | repeat' : '')
+    );
+  }
+  return interactions;
+}
+
+// A whole-number option, or null when it isn't given
+function wholeArg(name) {
+  if (args[name] === undefined) return null;
+  const n = Number(args[name]);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`--${name} must be a whole number`);
+  return n;
+}
+
+function printOrganism(org) {
+  const icons = { alive: '🧬', dead: '💀', eaten: '🍖' };
+  console.log(
+    `  ${icons[org.status]} ${org.spawnTxid.slice(0, 16)}... ` +
+    `[type:${org.type}] Gen ${String(org.generation).padStart(3)} | ` +
+    `${String(org.balance).padStart(9)} sats | ${org.status.padEnd(5)} | ` +
+    `${org.claims} claims, ${org.funds} feeds | ` +
+    (org.food || org.rewards ? `food ${org.food}, rewards ${org.rewards} | ` : '') +
+    (org.height === null ? 'height unknown' : `block ${org.height}`) +
+    (org.since > 0 ? ` | seen from Gen ${org.since}` : '') +
+    (org.eatenBy ? ` | eaten by ${org.eatenBy.slice(0, 16)}...` : '')
+  );
+}
+
+// Ingest blocks from the provider or --blocks files into the catalogue
+async function indexNetwork(client) {
+  const files = typeof args.blocks === 'string' ? args.blocks.split(',') : null;
+  console.log(files
+    ? `🔍 Indexing ${files.length} block file(s)...`
+    : `🔍 Indexing ${client.net.name} blocks from the ${client.chain.name} provider...`);
+  const { blocks, changed, height, summary } = await client.index({
+    from: wholeArg('from'),
+    to: wholeArg('to'),
+    files,
+    onBlock: ({ height, txs, changes }) => {
+      if (changes.length > 0) console.log(`  Block ${height}: ${txs} txs, ${changes.length} organism(s) changed`);
+    },
+  });
+  console.log();
+  console.log(`✅ ${blocks} block(s) indexed, ${changed.length} organism(s) changed; indexed to block ${height}`);
+  console.log(`   ${summary.organisms} organisms: ${summary.alive} alive | ${summary.dead} dead | ${summary.eaten} eaten`);
+  console.log(`   📄 ${client.dirs.store}`);
+}
+
+// Organisms in the lineage store by type, status and claimer
+function query(client) {
+  const status = typeof args.status === 'string' ? args.status : STATUSES.find(s => args[s]) || null;
+  if (status && !STATUSES.includes(status)) throw new Error(`--status must be one of: ${STATUSES.join(', ')}`);
+  const claimer = typeof args.claimer === 'string' ? args.claimer : null;
+  const organisms = client.organisms({ type: wholeArg('type'), status, claimer });
+  console.log(`📚 ${organisms.length} organism(s) in ${client.dirs.store}`);
+  organisms.forEach(printOrganism);
+  if (!claimer) return;
+
+  const claims = client.claims(claimer);
+  const total = claims.reduce((s, c) => s + c.reward, 0);
+  console.log();
+  console.log(`⚡ ${claimer}: ${claims.length} claim(s), ${total} sats in rewards`);
+  for (const c of claims) {
+    console.log(
+      `  ${c.spawnTxid.slice(0, 16)}... Gen ${String(c.generation).padStart(3)} | ` +
+      `+${c.reward} | ${c.txid.slice(0, 16)}... | ${c.blockHeight === null ? 'mempool' : `block ${c.blockHeight}`}`
+    );
+  }
+}
+
+function migrate(client) {
+  const { states, lineages } = client.lineageStore().migrate(client.dirs);
+  console.log(`✅ Imported ${states} spawn state(s) and ${lineages} lineage(s) into ${client.dirs.store}`);
+  console.log('   The JSON files are left in place; remove them once you no longer need them.');
 }
 
 // CLI
-const cmd = process.argv[2];
-if (cmd === '--txid' && process.argv[3]) {
-  traceLineage(process.argv[3]).catch(err => {
+const args = parseArgs();
+let client;
+try {
+  client = OrganismClient.fromArgs(args);
+} catch (err) {
+  console.error('❌', err.message);
+  process.exit(1);
+}
+
+if (args._[0] === 'index') {
+  indexNetwork(client).catch(err => {
+    console.error('❌', err.message);
+    process.exit(1);
+  });
+} else if (args._[0] === 'query' || args._[0] === 'migrate') {
+  try {
+    (args._[0] === 'query' ? query : migrate)(client);
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exit(1);
+  }
+} else if (typeof args.txid === 'string') {
+  traceLineage(args.txid, client).catch(err => {
+    console.error('❌', err.message);
+    process.exit(1);
+  });
+} else if (typeof args.subject === 'string') {
+  subjectReport(args.subject, client).catch(err => {
     console.error('❌', err.message);
     process.exit(1);
   });
-} else if (cmd === '--scan' || !cmd) {
-  scanAll().catch(err => {
+} else if (args.scan || (!args.txid && args._.length === 0)) {
+  scanAll(client).catch(err => {
     console.error('❌', err.message);
     process.exit(1);
   });
@@ -236,4 +317,15 @@ if (cmd === '--txid' && process.argv[3]) {
   console.log('Usage:');
   console.log('  node scanner.cjs                     Scan all known organisms');
   console.log('  node scanner.cjs --txid <spawn-txid>  Trace one organism');
+  console.log('  node scanner.cjs --subject <address>  Interactions recorded for an address (Type 7)');
+  console.log('  node scanner.cjs index                Index every organism on the network into the lineage store:');
+  console.log('                                        --from <height> (needed the first time) and --to <height>,');
+  console.log('                                        or --blocks <file,...> of raw blocks (blk*.dat, binary or hex)');
+  console.log('  node scanner.cjs query                Organisms spawned, traced or indexed here: --type <n>,');
+  console.log('                                        --alive | --dead | --eaten, --claimer <address> (with its claims)');
+  console.log('  node scanner.cjs migrate              Import organisms/ and lineage/ JSON from earlier versions');
+  console.log('');
+  console.log('Options:');
+  console.log(PROVIDER_USAGE);
+  console.log(PLUGIN_USAGE);
 }
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// Read-only HTTP API and live dashboard over the lineage store
+//
+// Usage:
+//   node server.cjs [--port <n>] [--host <address>] [--interval <seconds>]
+//
+// Serves the organisms spawned, traced or indexed here as JSON and a
+// dashboard at http://<host>:<port>/ (see lib/server.cjs for the routes).
+// Every --interval seconds the living lineages traced or spawned here are
+// traced again and each new generation is pushed to /events.
+
+const { parseArgs } = require('./lib/args.cjs');
+const { PROVIDER_USAGE } = require('./lib/providers/index.cjs');
+const { PLUGIN_USAGE } = require('./lib/plugins.cjs');
+const { OrganismClient } = require('./lib/client.cjs');
+const { ApiServer } = require('./lib/server.cjs');
+
+const args = parseArgs();
+
+function whole(flag, fallback) {
+  if (args[flag] === undefined) return fallback;
+  const n = Number(args[flag]);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`--${flag} must be a whole number`);
+  return n;
+}
+
+if (args.help) {
+  console.log('Usage: node server.cjs [--network main|test|regtest]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --port <n>            Port to listen on (default: 8080)');
+  console.log('  --host <address>      Address to bind (default: 127.0.0.1, this machine only)');
+  console.log('  --interval <seconds>  Time between traces of the living lineages (default: 30; 0: never)');
+  console.log(PROVIDER_USAGE);
+  console.log(PLUGIN_USAGE);
+  process.exit(0);
+}
+
+async function serve() {
+  const client = OrganismClient.fromArgs(args);
+  const server = new ApiServer(client, { interval: whole('interval', 30) });
+  const host = typeof args.host === 'string' ? args.host : '127.0.0.1';
+  const { port } = await server.listen(whole('port', 8080), host);
+
+  console.log('🔭 UTXO Organism — API server');
+  console.log(`   Dashboard: http://${host}:${port}/`);
+  console.log(`   Store:     ${client.dirs.store}`);
+  console.log(`   Tracing:   ${server.interval ? `every ${server.interval}s` : 'off'}`);
+
+  const stop = () => server.close().then(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+serve().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
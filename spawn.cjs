@@ -1,182 +1,110 @@
 #!/usr/bin/env node
-// Spawn a new UTXO organism on BSV mainnet
+// Spawn a new UTXO organism on BSV
 //
-// Usage: node spawn.cjs [options]
-//   --type <n>      Organism type (default: 0 = heartbeat)
-//   --budget <sats> Initial funding in satoshis (default: 100000)
-//   --reward <sats> Reward per generation (default: 1000)
-//   --fee <sats>    Miner fee per generation (default: 3000)
-//   --wallet <path> Path to wallet.json (default: ./wallet.json)
-
-const fs = require('fs');
-const path = require('path');
-const https = require('https');
-const { Organism } = require('./dist/src/contracts/organism');
-const { bsv, toByteString } = require('scrypt-ts');
-
-// Parse args
-const args = {};
-for (let i = 2; i < process.argv.length; i += 2) {
-  args[process.argv[i].replace(/^--/, '')] = process.argv[i + 1];
+// Usage: node spawn.cjs [--type <n>] [--budget <sats>] [--reward <sats>] [--fee <sats>] [options]
+//
+// --help lists the options. An encrypted wallet is unlocked with
+// ORG_WALLET_PASSPHRASE, or asks for it.
+
+const { parseArgs, readBytesArg } = require('./lib/args.cjs');
+const { networkFromArgs, explorerTxUrl } = require('./lib/network.cjs');
+const { OrganismClient } = require('./lib/client.cjs');
+const { DUST_LIMIT } = require('./lib/organism.cjs');
+const { SPECIES, speciesArg } = require('./lib/types/predator.cjs');
+const { codecFor } = require('./lib/types/index.cjs');
+const { PROVIDER_USAGE } = require('./lib/providers/index.cjs');
+const { FEE_USAGE } = require('./lib/fees.cjs');
+const { COIN_USAGE } = require('./lib/coins.cjs');
+const { PLUGIN_USAGE } = require('./lib/plugins.cjs');
+
+const args = parseArgs();
+
+if (args.help) {
+  console.log('Usage: node spawn.cjs [--type <n>] [--budget <sats>] [--reward <sats>] [--fee <sats>] [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --type <n>            Organism type (default: 0 = heartbeat; 1 = task; 2 = handshake; 3 = chain crawler;');
+  console.log('                        4 = particle swarm; 5 = mutex; 6 = predator/prey; 7 = reputation; 8 = signal relay)');
+  console.log('  --budget <sats>       Initial funding in satoshis (default: 100000)');
+  console.log('  --reward <sats>       Reward per generation (default: 1000)');
+  console.log('  --fee <sats>          Miner fee per generation (default: 3000); checked against the size of a claim at the fee rate');
+  console.log('  --tag <hex|file>      Payload prefix carried unchanged by every generation');
+  console.log('  --max-payload <bytes> Max per-claim payload size (default: 0 = unlimited)');
+  console.log('  --cosigner <address>  Key whose signature every claim needs (Type 2)');
+  console.log('  --timeout <blocks>    Blocks a holder keeps the lock before it can be stolen (Type 5)');
+  console.log('  --species <name>      prey | predator (Type 6, default: prey)');
+  console.log('  --subject <address>   Address whose interactions are counted (Type 7)');
+  console.log('  --watch <txid>        TXID whose output 0 the relay watches (Type 8)');
+  console.log('  --window <blocks>     Blocks after the watched spend within which to fire (Type 8)');
+  console.log('  --name <name>         Local name, for claim.cjs / fund.cjs --spawn <name>');
+  console.log('  --wallet <path>       Path to wallet.json (default: ./wallet.json, or wallet.<network>.json)');
+  console.log(FEE_USAGE);
+  console.log(COIN_USAGE);
+  console.log(PROVIDER_USAGE);
+  console.log(PLUGIN_USAGE);
+  process.exit(0);
 }
 
 const TYPE = parseInt(args.type || '0');
 const BUDGET = parseInt(args.budget || '100000');
 const REWARD = parseInt(args.reward || '1000');
 const FEE = parseInt(args.fee || '3000');
-const DUST_LIMIT = 546;
-const WALLET_PATH = args.wallet || path.join(__dirname, 'wallet.json');
-const ARTIFACT_PATH = path.join(__dirname, 'artifacts/organism.json');
+const MAX_PAYLOAD = parseInt(args['max-payload'] || '0');
+const TIMEOUT = parseInt(args.timeout || '0');
+const WINDOW = parseInt(args.window || '0');
 
-function wocGet(endpoint) {
-  return new Promise((resolve, reject) => {
-    https.get(`https://api.whatsonchain.com/v1/bsv/main${endpoint}`, {
-      headers: { Accept: 'application/json' }
-    }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        if (res.statusCode === 404) return resolve(null);
-        try { resolve(JSON.parse(d)); }
-        catch { reject(new Error(`Bad JSON: ${d.slice(0, 200)}`)); }
-      });
-    }).on('error', reject);
-  });
-}
+async function spawn() {
+  const net = networkFromArgs(args);
+  const client = OrganismClient.fromArgs(args);
+  const tag = readBytesArg(args.tag, 'tag');
+  const cosigner = typeof args.cosigner === 'string' ? client.address(args.cosigner, 'co-signer') : null;
+  const subject = typeof args.subject === 'string' ? client.address(args.subject, 'subject') : null;
+  const species = typeof args.species === 'string' ? speciesArg(args.species) : 0;
+  const watch = typeof args.watch === 'string' ? args.watch.toLowerCase() : null;
+  if (watch && !/^[0-9a-f]{64}$/.test(watch)) throw new Error('--watch must be a 32-byte hex TXID');
 
-function wocBroadcast(txhex) {
-  return new Promise((resolve, reject) => {
-    const postData = JSON.stringify({ txhex });
-    const req = https.request({
-      hostname: 'api.whatsonchain.com',
-      path: '/v1/bsv/main/tx/raw',
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(postData) }
-    }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        if (res.statusCode !== 200) reject(new Error(`Broadcast failed (${res.statusCode}): ${d}`));
-        else resolve(d.replace(/"/g, '').trim());
-      });
-    });
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
-}
+  const name = typeof args.name === 'string' ? args.name : null;
 
-async function spawn() {
   console.log('🧬 UTXO Organism Spawner');
-  console.log(`   Type:   ${TYPE}`);
+  console.log(`   Network: ${net.name}`);
+  if (name) console.log(`   Name:   ${name}`);
+  console.log(`   Type:   ${TYPE}${codecFor(TYPE) ? ` (${codecFor(TYPE).name})` : ''}`);
   console.log(`   Budget: ${BUDGET} sats`);
   console.log(`   Reward: ${REWARD} sats/gen`);
   console.log(`   Fee:    ${FEE} sats/gen`);
-  const maxGens = Math.floor((BUDGET - DUST_LIMIT) / (REWARD + FEE));
-  console.log(`   ~${maxGens} generations possible`);
+  if (tag) console.log(`   Tag:    ${tag.length / 2} bytes`);
+  if (MAX_PAYLOAD) console.log(`   Max payload: ${MAX_PAYLOAD} bytes/claim`);
+  if (cosigner) console.log(`   Co-signer: ${cosigner.toString()}`);
+  if (TIMEOUT) console.log(`   Timeout: ${TIMEOUT} blocks`);
+  if (subject) console.log(`   Subject: ${subject.toString()}`);
+  if (species) console.log(`   Species: ${SPECIES[species]}`);
+  if (watch) console.log(`   Watch:  ${watch}:0`);
+  if (WINDOW) console.log(`   Window: ${WINDOW} blocks`);
+  const { generations } = await client.estimate({ budget: BUDGET, reward: REWARD, fee: FEE, dustLimit: DUST_LIMIT });
+  console.log(`   ~${generations} generations possible`);
+
+  const contractOptions = {
+    maxPayload: MAX_PAYLOAD, tag, cosigner, timeout: TIMEOUT, subject, species, watch, window: WINDOW,
+  };
+  const check = await client.checkFee({ type: TYPE, reward: REWARD, fee: FEE, ...contractOptions });
+  console.log(`   Claims: ~${check.claimSize} bytes, ${check.feeRate} sats/kB at this fee (rate: ${await client.feeRate()} sats/kB)`);
+  if (check.warning) console.log(`   ⚠️  ${check.warning}; consider --fee ${check.needed}`);
   console.log();
+  console.log(`   Funding: ${(await client.unlock()).address.toString()}`);
+  console.log('   Building transaction...');
 
-  // Load wallet
-  if (!fs.existsSync(WALLET_PATH)) {
-    console.error(`❌ Wallet not found: ${WALLET_PATH}`);
-    console.error('   Run: node wallet.cjs create');
-    process.exit(1);
-  }
-  const wallet = JSON.parse(fs.readFileSync(WALLET_PATH, 'utf-8'));
-  const privateKey = bsv.PrivateKey.fromWIF(wallet.wif);
-  const fundingAddress = privateKey.toAddress();
-  console.log(`   Funding: ${fundingAddress.toString()}`);
-
-  // Load artifact
-  Organism.loadArtifact(require(ARTIFACT_PATH));
-
-  // Placeholder spawnTxid (32 zero bytes) — gen 0 doesn't know its own txid
-  const zeroTxid = toByteString('0000000000000000000000000000000000000000000000000000000000000000');
-
-  // Create organism instance
-  const organism = new Organism(
-    BigInt(TYPE),
-    BigInt(REWARD),
-    BigInt(FEE),
-    BigInt(DUST_LIMIT),
-    zeroTxid,
-    0n  // generation 0
-  );
-
-  // Fetch UTXOs from funding address
-  console.log('   Fetching UTXOs...');
-  const utxos = await wocGet(`/address/${fundingAddress.toString()}/unspent`);
-  if (!utxos || utxos.length === 0) {
-    console.error(`❌ No UTXOs at ${fundingAddress.toString()}`);
-    console.error('   Send BSV to this address first.');
-    process.exit(1);
-  }
-
-  const totalAvailable = utxos.reduce((s, u) => s + u.value, 0);
-  console.log(`   Available: ${totalAvailable} sats (${utxos.length} UTXOs)`);
-
-  // Need budget + spawn tx fee
-  const SPAWN_FEE = 3000; // fee for the spawn tx itself
-  const needed = BUDGET + SPAWN_FEE;
-  if (totalAvailable < needed) {
-    console.error(`❌ Need ${needed} sats, only ${totalAvailable} available`);
-    process.exit(1);
-  }
-
-  // Build spawn transaction manually
-  const tx = new bsv.Transaction();
-
-  // Add inputs
-  for (const utxo of utxos) {
-    tx.from({
-      txId: utxo.tx_hash,
-      outputIndex: utxo.tx_pos,
-      script: bsv.Script.buildPublicKeyHashOut(fundingAddress).toHex(),
-      satoshis: utxo.value,
-    });
-  }
-
-  // Output 0: organism UTXO
-  tx.addOutput(new bsv.Transaction.Output({
-    script: organism.lockingScript,
-    satoshis: BUDGET,
-  }));
-
-  // Output 1: OP_RETURN with ORG1 data (gen 0)
-  const genBytes = Buffer.alloc(4);
-  genBytes.writeUInt32LE(0);
-  const typeBytes = Buffer.alloc(1);
-  typeBytes.writeUInt8(TYPE);
-  const spawnTxidBytes = Buffer.alloc(32, 0); // zeros at gen 0
-
-  const opReturnScript = bsv.Script.buildSafeDataOut([
-    Buffer.from('ORG1'),
-    typeBytes,
-    genBytes,
-    spawnTxidBytes,
-  ]);
-  tx.addOutput(new bsv.Transaction.Output({
-    script: opReturnScript,
-    satoshis: 0,
-  }));
-
-  // Change output
-  const change = totalAvailable - BUDGET - SPAWN_FEE;
-  if (change > DUST_LIMIT) {
-    tx.addOutput(new bsv.Transaction.Output({
-      script: bsv.Script.buildPublicKeyHashOut(fundingAddress),
-      satoshis: change,
-    }));
-  }
-
-  // Sign
-  tx.sign(privateKey);
-
-  const txhex = tx.serialize();
-  console.log(`   TX size: ${txhex.length / 2} bytes`);
-  console.log('   Broadcasting...');
-
-  const txid = await wocBroadcast(txhex);
+  const { txid, size, spawnFee, feeRate, available, inputs, change, statePath } = await client.spawn({
+    type: TYPE,
+    budget: BUDGET,
+    reward: REWARD,
+    fee: FEE,
+    ...contractOptions,
+    name,
+    burnDust: !!args['burn-dust'],
+  });
+  console.log(`   Inputs: ${inputs} of the wallet's UTXOs (${available} sats unreserved)`);
+  if (change) console.log(`   Change: ${change} sats`);
+  console.log(`   TX size: ${size} bytes, fee ${spawnFee} sats (${feeRate} sats/kB)`);
 
   console.log();
   console.log('═══════════════════════════════════════════════');
@@ -184,27 +112,12 @@ async function spawn() {
   console.log(`   TXID: ${txid}`);
   console.log(`   Type: ${TYPE}`);
   console.log(`   Budget: ${BUDGET} sats`);
-  console.log(`   ~${maxGens} generations`);
-  console.log(`   https://whatsonchain.com/tx/${txid}`);
+  console.log(`   ~${generations} generations`);
+  const link = explorerTxUrl(net, txid);
+  if (link) console.log(`   ${link}`);
   console.log('═══════════════════════════════════════════════');
-
-  // Save state
-  const statePath = path.join(__dirname, 'organisms', `${txid.slice(0, 16)}.json`);
-  fs.mkdirSync(path.join(__dirname, 'organisms'), { recursive: true });
-  const state = {
-    spawnTxid: txid,
-    type: TYPE,
-    reward: REWARD,
-    fee: FEE,
-    dustLimit: DUST_LIMIT,
-    budget: BUDGET,
-    generation: 0,
-    currentTxid: txid,
-    currentOutputIndex: 0,
-    spawnedAt: new Date().toISOString(),
-  };
-  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
   console.log(`   State: ${statePath}`);
+  if (name) console.log(`   Claim it with: node claim.cjs --spawn ${name} --address <addr>`);
 }
 
 spawn().catch(err => {
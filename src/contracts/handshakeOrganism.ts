@@ -0,0 +1,129 @@
+import {
+    assert,
+    ByteString,
+    hash160,
+    hash256,
+    len,
+    method,
+    prop,
+    PubKey,
+    PubKeyHash,
+    Sig,
+    SmartContract,
+    toByteString,
+    Utils,
+} from 'scrypt-ts'
+import { ORG1 } from './org1'
+
+/**
+ * Handshake Organism — ORG1 Type 2
+ *
+ * Same lifecycle as the base Organism, but a reproduction needs a second
+ * party: the co-signer fixed at spawn must sign the claim transaction. Each
+ * generation is therefore proof that the claimer and the co-signer interacted.
+ *
+ * ORG1 payload: <cosignerPkh:20B> <attestation>
+ *
+ * The attestation is supplied by the claimer (bounded by maxPayload) and is
+ * covered by the co-signer's signature like every other output. Fund
+ * transactions write the co-signer PKH only.
+ */
+export class HandshakeOrganism extends SmartContract {
+    @prop()
+    static readonly ORGANISM_TYPE: bigint = 2n
+
+    // Reward in satoshis paid to claimer per generation
+    @prop()
+    reward: bigint
+
+    // Fixed miner fee deducted from balance per generation
+    @prop()
+    fee: bigint
+
+    // Minimum balance to stay alive
+    @prop()
+    dustLimit: bigint
+
+    // Max bytes of attestation per claim (0 = unlimited)
+    @prop()
+    maxPayload: bigint
+
+    // Key hash whose signature every reproduction needs
+    @prop()
+    cosignerPkh: PubKeyHash
+
+    // Spawn transaction ID (32 bytes, display byte order), bound on the first spend
+    @prop(true)
+    spawnTxid: ByteString
+
+    // Generation counter (stateful — increments each reproduction)
+    @prop(true)
+    generation: bigint
+
+    constructor(
+        reward: bigint,
+        fee: bigint,
+        dustLimit: bigint,
+        maxPayload: bigint,
+        cosignerPkh: PubKeyHash,
+        spawnTxid: ByteString,
+        generation: bigint
+    ) {
+        super(...arguments)
+        this.reward = reward
+        this.fee = fee
+        this.dustLimit = dustLimit
+        this.maxPayload = maxPayload
+        this.cosignerPkh = cosignerPkh
+        this.spawnTxid = spawnTxid
+        this.generation = generation
+    }
+
+    @method()
+    public claim(claimerPkh: PubKeyHash, attestation: ByteString, cosignerSig: Sig, cosignerPubKey: PubKey) {
+        assert(hash160(cosignerPubKey) == this.cosignerPkh, 'co-signer key does not match')
+        assert(this.checkSig(cosignerSig, cosignerPubKey), 'co-signer signature invalid')
+        if (this.maxPayload > 0n) {
+            assert(len(attestation) <= this.maxPayload, 'payload too long')
+        }
+
+        const currentBalance: bigint = this.ctx.utxo.value
+        const nextBalance: bigint = currentBalance - this.reward - this.fee
+
+        this.generation++
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        let outputs: ByteString = toByteString('')
+
+        if (nextBalance >= this.dustLimit) {
+            outputs = this.buildStateOutput(nextBalance)
+        }
+
+        outputs += ORG1.output(HandshakeOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, this.cosignerPkh + attestation)
+        outputs += Utils.buildPublicKeyHashOutput(claimerPkh, this.reward)
+
+        assert(
+            this.ctx.hashOutputs == hash256(outputs),
+            'hashOutputs mismatch'
+        )
+    }
+
+    @method()
+    public fund(newBalance: bigint, changePkh: PubKeyHash, changeAmount: bigint) {
+        assert(newBalance > this.ctx.utxo.value, 'must increase balance')
+
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        let outputs: ByteString = this.buildStateOutput(newBalance)
+        outputs += ORG1.output(HandshakeOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, this.cosignerPkh)
+
+        if (changeAmount > 0n) {
+            outputs += Utils.buildPublicKeyHashOutput(changePkh, changeAmount)
+        }
+
+        assert(
+            this.ctx.hashOutputs == hash256(outputs),
+            'hashOutputs mismatch'
+        )
+    }
+}
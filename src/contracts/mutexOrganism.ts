@@ -0,0 +1,176 @@
+import {
+    assert,
+    ByteString,
+    hash160,
+    hash256,
+    int2ByteString,
+    method,
+    prop,
+    PubKey,
+    PubKeyHash,
+    Sig,
+    SmartContract,
+    toByteString,
+    Utils,
+} from 'scrypt-ts'
+import { ORG1 } from './org1'
+
+/**
+ * Mutex Organism — ORG1 Type 5
+ *
+ * An on-chain lock. Every spend is one lock operation and one generation:
+ *   - acquire: a free lock is taken by the signer
+ *   - release: the holder frees the lock
+ *   - steal:   anyone takes a lock that has been held for `timeout` blocks
+ *
+ * The operation's block height comes from the spending tx's nLockTime (the
+ * tx cannot be mined before it), so lockHeight only ever moves forward and a
+ * steal cannot be mined until the timeout has really passed.
+ *
+ * ORG1 payload: <holderPkh:20B> <lockHeight:4B LE> (zero PKH = free)
+ *
+ * The operation's signer receives the reward; the fee is paid from the
+ * balance like any reproduction. Fund keeps the lock state unchanged.
+ */
+export class MutexOrganism extends SmartContract {
+    @prop()
+    static readonly ORGANISM_TYPE: bigint = 5n
+
+    // Holder of a free lock
+    @prop()
+    static readonly NOBODY: PubKeyHash = PubKeyHash(toByteString('0000000000000000000000000000000000000000'))
+
+    // Reward in satoshis paid to the signer of each operation
+    @prop()
+    reward: bigint
+
+    // Fixed miner fee deducted from balance per operation
+    @prop()
+    fee: bigint
+
+    // Minimum balance to stay alive
+    @prop()
+    dustLimit: bigint
+
+    // Blocks a holder keeps the lock before it can be stolen
+    @prop()
+    timeout: bigint
+
+    // Spawn transaction ID (32 bytes, display byte order), bound on the first spend
+    @prop(true)
+    spawnTxid: ByteString
+
+    // Generation counter (stateful — increments each operation)
+    @prop(true)
+    generation: bigint
+
+    // Current holder (NOBODY when free)
+    @prop(true)
+    holderPkh: PubKeyHash
+
+    // Block height of the last acquire, release or steal
+    @prop(true)
+    lockHeight: bigint
+
+    constructor(
+        reward: bigint,
+        fee: bigint,
+        dustLimit: bigint,
+        timeout: bigint,
+        spawnTxid: ByteString,
+        generation: bigint,
+        holderPkh: PubKeyHash,
+        lockHeight: bigint
+    ) {
+        super(...arguments)
+        this.reward = reward
+        this.fee = fee
+        this.dustLimit = dustLimit
+        this.timeout = timeout
+        this.spawnTxid = spawnTxid
+        this.generation = generation
+        this.holderPkh = holderPkh
+        this.lockHeight = lockHeight
+    }
+
+    @method()
+    public acquire(sig: Sig, pubKey: PubKey) {
+        assert(this.holderPkh == MutexOrganism.NOBODY, 'lock is held')
+        assert(this.checkSig(sig, pubKey), 'signature invalid')
+        assert(this.timeLock(this.lockHeight), 'nLockTime before last operation')
+
+        this.holderPkh = hash160(pubKey)
+        this.lockHeight = this.ctx.locktime
+        this.reproduce(this.holderPkh)
+    }
+
+    @method()
+    public release(sig: Sig, pubKey: PubKey) {
+        assert(hash160(pubKey) == this.holderPkh, 'not the holder')
+        assert(this.checkSig(sig, pubKey), 'signature invalid')
+        assert(this.timeLock(this.lockHeight), 'nLockTime before last operation')
+
+        const holder: PubKeyHash = this.holderPkh
+        this.holderPkh = MutexOrganism.NOBODY
+        this.lockHeight = this.ctx.locktime
+        this.reproduce(holder)
+    }
+
+    @method()
+    public steal(sig: Sig, pubKey: PubKey) {
+        assert(this.holderPkh != MutexOrganism.NOBODY, 'lock is free')
+        assert(this.checkSig(sig, pubKey), 'signature invalid')
+        assert(this.timeLock(this.lockHeight + this.timeout), 'lock has not timed out')
+
+        this.holderPkh = hash160(pubKey)
+        this.lockHeight = this.ctx.locktime
+        this.reproduce(this.holderPkh)
+    }
+
+    // Next generation with the updated lock state, ORG1 record and reward
+    @method()
+    reproduce(rewardPkh: PubKeyHash): void {
+        const nextBalance: bigint = this.ctx.utxo.value - this.reward - this.fee
+
+        this.generation++
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        let outputs: ByteString = toByteString('')
+
+        if (nextBalance >= this.dustLimit) {
+            outputs = this.buildStateOutput(nextBalance)
+        }
+
+        outputs += ORG1.output(MutexOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, this.lockPayload())
+        outputs += Utils.buildPublicKeyHashOutput(rewardPkh, this.reward)
+
+        assert(
+            this.ctx.hashOutputs == hash256(outputs),
+            'hashOutputs mismatch'
+        )
+    }
+
+    @method()
+    lockPayload(): ByteString {
+        return this.holderPkh + int2ByteString(this.lockHeight, 4n)
+    }
+
+    @method()
+    public fund(newBalance: bigint, changePkh: PubKeyHash, changeAmount: bigint) {
+        assert(newBalance > this.ctx.utxo.value, 'must increase balance')
+
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        let outputs: ByteString = this.buildStateOutput(newBalance)
+        outputs += ORG1.output(MutexOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, this.lockPayload())
+
+        if (changeAmount > 0n) {
+            outputs += Utils.buildPublicKeyHashOutput(changePkh, changeAmount)
+        }
+
+        assert(
+            this.ctx.hashOutputs == hash256(outputs),
+            'hashOutputs mismatch'
+        )
+    }
+}
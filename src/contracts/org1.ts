@@ -0,0 +1,78 @@
+import {
+    assert,
+    ByteString,
+    int2ByteString,
+    len,
+    method,
+    prop,
+    reverseByteString,
+    slice,
+    SmartContractLib,
+    toByteString,
+    Utils,
+} from 'scrypt-ts'
+
+/**
+ * ORG1 protocol helpers shared by every organism contract.
+ *
+ * OP_RETURN schema:
+ *   OP_FALSE OP_RETURN "ORG1" <type:1B> <generation:4B LE> <spawnTxid:32B> [<payload>]
+ */
+export class ORG1 extends SmartContractLib {
+    // Zero spawnTxid marks an organism that has never been spent
+    @prop()
+    static readonly UNBOUND_TXID: ByteString = toByteString(
+        '0000000000000000000000000000000000000000000000000000000000000000'
+    )
+
+    // The spawn txid after spending `outpointTxid`: an unbound organism adopts
+    // the txid it lives in (the spawn tx), a bound one keeps its own
+    @method()
+    static bindSpawnTxid(spawnTxid: ByteString, outpointTxid: ByteString): ByteString {
+        let bound: ByteString = spawnTxid
+        if (spawnTxid == ORG1.UNBOUND_TXID) {
+            // Outpoint txids are in internal (little-endian) order
+            bound = reverseByteString(outpointTxid, 32n)
+        }
+        return bound
+    }
+
+    // Minimal script push of `data` (at most 65535 bytes)
+    @method()
+    static pushData(data: ByteString): ByteString {
+        const n: bigint = len(data)
+        let header: ByteString = toByteString('')
+        if (n < 76n) {
+            header = int2ByteString(n, 1n)
+        } else if (n < 256n) {
+            // OP_PUSHDATA1; encode via 2 bytes so n >= 128 keeps no sign byte
+            header = toByteString('4c') + slice(int2ByteString(n, 2n), 0n, 1n)
+        } else {
+            assert(n < 65536n, 'payload too large')
+            header = toByteString('4d') + slice(int2ByteString(n, 3n), 0n, 2n)
+        }
+        return header + data
+    }
+
+    // Zero-value OP_RETURN output carrying the common fields and `payload`
+    // (the payload push is omitted when empty)
+    @method()
+    static output(organismType: bigint, generation: bigint, spawnTxid: ByteString, payload: ByteString): ByteString {
+        let opReturnScript: ByteString =
+            toByteString('006a') +              // OP_FALSE OP_RETURN
+            toByteString('04') +                // pushdata 4 bytes
+            toByteString('4f524731') +           // "ORG1" in hex
+            toByteString('01') +                // pushdata 1 byte
+            int2ByteString(organismType, 1n) +
+            toByteString('04') +                // pushdata 4 bytes
+            int2ByteString(generation, 4n) +    // generation LE
+            toByteString('20') +                // pushdata 32 bytes
+            spawnTxid                           // spawn txid
+
+        if (len(payload) > 0n) {
+            opReturnScript += ORG1.pushData(payload)
+        }
+
+        return Utils.buildOutput(opReturnScript, 0n)
+    }
+}
@@ -2,7 +2,7 @@ import {
     assert,
     ByteString,
     hash256,
-    int2ByteString,
+    len,
     method,
     prop,
     PubKeyHash,
@@ -10,6 +10,7 @@ import {
     toByteString,
     Utils,
 } from 'scrypt-ts'
+import { ORG1 } from './org1'
 
 /**
  * UTXO Organism — Base Covenant Template (ORG1 Protocol)
@@ -27,7 +28,15 @@ import {
  * without triggering reproduction. Generation stays the same.
  *
  * OP_RETURN schema:
- *   OP_FALSE OP_RETURN "ORG1" <type:1B> <generation:4B LE> <spawnTxid:32B>
+ *   OP_FALSE OP_RETURN "ORG1" <type:1B> <generation:4B LE> <spawnTxid:32B> [<payload>]
+ *
+ * The payload push is <tag><claim payload>: the tag is fixed at spawn and
+ * carried forward unchanged, the claim payload is supplied by each claimer
+ * (bounded by maxPayload). The push is omitted when both are empty.
+ *
+ * The spawn tx cannot contain its own txid, so gen 0 carries 32 zero bytes.
+ * The first spend (claim or fund) adopts the txid of the outpoint it spends —
+ * the spawn tx — and every later generation carries it forward unchanged.
  */
 export class Organism extends SmartContract {
     // Organism type identifier (0 = heartbeat, 1 = task, etc.)
@@ -46,8 +55,17 @@ export class Organism extends SmartContract {
     @prop()
     dustLimit: bigint
 
-    // Spawn transaction ID (32 bytes) — links all generations of one lineage
+    // Max bytes of per-claim payload (0 = unlimited)
     @prop()
+    maxPayload: bigint
+
+    // Payload prefix written by every generation (stateful, never changes)
+    @prop(true)
+    tag: ByteString
+
+    // Spawn transaction ID (32 bytes, display byte order) — links all
+    // generations of one lineage. Stateful so it can be bound on the first spend.
+    @prop(true)
     spawnTxid: ByteString
 
     // Generation counter (stateful — increments each reproduction)
@@ -59,6 +77,8 @@ export class Organism extends SmartContract {
         reward: bigint,
         fee: bigint,
         dustLimit: bigint,
+        maxPayload: bigint,
+        tag: ByteString,
         spawnTxid: ByteString,
         generation: bigint
     ) {
@@ -67,18 +87,33 @@ export class Organism extends SmartContract {
         this.reward = reward
         this.fee = fee
         this.dustLimit = dustLimit
+        this.maxPayload = maxPayload
+        this.tag = tag
         this.spawnTxid = spawnTxid
         this.generation = generation
     }
 
+    // OP_RETURN output with ORG1 protocol data for the current state
     @method()
-    public claim(claimerPkh: PubKeyHash) {
+    buildOrg1Output(payload: ByteString): ByteString {
+        return ORG1.output(this.organismType, this.generation, this.spawnTxid, this.tag + payload)
+    }
+
+    @method()
+    public claim(claimerPkh: PubKeyHash, payload: ByteString) {
+        if (this.maxPayload > 0n) {
+            assert(len(payload) <= this.maxPayload, 'payload too long')
+        }
+
         const currentBalance: bigint = this.ctx.utxo.value
         const nextBalance: bigint = currentBalance - this.reward - this.fee
 
         // Increment generation
         this.generation++
 
+        // Adopt the genesis txid on the first spend
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
         let outputs: ByteString = toByteString('')
 
         const alive: boolean = nextBalance >= this.dustLimit
@@ -88,20 +123,8 @@ export class Organism extends SmartContract {
             outputs = this.buildStateOutput(nextBalance)
         }
 
-        // OP_RETURN: ORG1 protocol data
-        // Format: OP_FALSE OP_RETURN <4:"ORG1"> <1:type> <4:generation LE> <32:spawnTxid>
-        const opReturnScript: ByteString =
-            toByteString('006a') +              // OP_FALSE OP_RETURN
-            toByteString('04') +                // pushdata 4 bytes
-            toByteString('4f524731') +           // "ORG1" in hex
-            toByteString('01') +                // pushdata 1 byte
-            int2ByteString(this.organismType, 1n) +
-            toByteString('04') +                // pushdata 4 bytes
-            int2ByteString(this.generation, 4n) +  // generation LE
-            toByteString('20') +                // pushdata 32 bytes
-            this.spawnTxid                       // spawn txid
-
-        outputs += Utils.buildOutput(opReturnScript, 0n)
+        // OP_RETURN: ORG1 protocol data with the claimer's payload
+        outputs += this.buildOrg1Output(payload)
 
         // Reward output to claimer
         outputs += Utils.buildPublicKeyHashOutput(claimerPkh, this.reward)
@@ -121,22 +144,14 @@ export class Organism extends SmartContract {
         // New balance must be greater than current
         assert(newBalance > this.ctx.utxo.value, 'must increase balance')
 
+        // Adopt the genesis txid if this is the organism's first spend
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
         // Output 0: organism with higher balance, same state
         let outputs: ByteString = this.buildStateOutput(newBalance)
 
-        // Output 1: OP_RETURN (same gen, no increment)
-        const opReturnScript: ByteString =
-            toByteString('006a') +
-            toByteString('04') +
-            toByteString('4f524731') +
-            toByteString('01') +
-            int2ByteString(this.organismType, 1n) +
-            toByteString('04') +
-            int2ByteString(this.generation, 4n) +
-            toByteString('20') +
-            this.spawnTxid
-
-        outputs += Utils.buildOutput(opReturnScript, 0n)
+        // Output 1: OP_RETURN (same gen, no increment, tag only)
+        outputs += this.buildOrg1Output(toByteString(''))
 
         // Output 2: change back to funder (if any)
         if (changeAmount > 0n) {
@@ -0,0 +1,316 @@
+import {
+    assert,
+    ByteString,
+    byteString2Int,
+    hash256,
+    int2ByteString,
+    len,
+    method,
+    prop,
+    PubKeyHash,
+    slice,
+    SmartContract,
+    toByteString,
+    Utils,
+} from 'scrypt-ts'
+import { ORG1 } from './org1'
+
+/**
+ * Predator/Prey Organism — ORG1 Type 6
+ *
+ * Two species of one contract. Both reproduce through `claim` like any
+ * organism; a predator can also hunt, spending a prey UTXO in the same tx:
+ *   - input 0 is the predator (`hunt`), input 1 the prey (`eaten`), nothing else
+ *   - the prey's whole balance goes to the predator's balance and energy
+ *   - the prey lineage ends: no continuation, a final ORG1 record
+ *
+ * Each side rebuilds the full hunt outputs and checks them against
+ * hashOutputs. The prey is also given the tx input 0 spends, checks it
+ * against input 0's outpoint, and rebuilds that output's locking script
+ * from its own code and the predator state it is given: input 0 must be a
+ * predator of the same ecosystem — same reward, fee and dust limit — in
+ * exactly that state and balance, so its own `hunt` runs too, and the
+ * prey's sats can only move into it. That tx may have up to MAX_INPUTS
+ * inputs; a predator spawned or fed from more coins hunts after a claim.
+ *
+ * ORG1 payload: <species:1B> <energy:8B LE> (species 0 = prey, 1 = predator)
+ *
+ * Hunt outputs: predator continuation (if alive), predator ORG1, prey ORG1
+ * (next generation, energy 0), reward to the hunter. One fee is paid from
+ * the combined balance.
+ */
+export class PredatorPreyOrganism extends SmartContract {
+    @prop()
+    static readonly ORGANISM_TYPE: bigint = 6n
+
+    @prop()
+    static readonly PREY: bigint = 0n
+
+    @prop()
+    static readonly PREDATOR: bigint = 1n
+
+    // Most inputs the tx holding the predator may have
+    @prop()
+    static readonly MAX_INPUTS: bigint = 6n
+
+    // Reward in satoshis paid to claimer per generation
+    @prop()
+    reward: bigint
+
+    // Fixed miner fee deducted from balance per generation
+    @prop()
+    fee: bigint
+
+    // Minimum balance to stay alive
+    @prop()
+    dustLimit: bigint
+
+    // PREY or PREDATOR; stateful so both species share one code part, but no
+    // spend changes it
+    @prop(true)
+    species: bigint
+
+    // Satoshis absorbed from prey
+    @prop(true)
+    energy: bigint
+
+    // Spawn transaction ID (32 bytes, display byte order), bound on the first spend
+    @prop(true)
+    spawnTxid: ByteString
+
+    // Generation counter
+    @prop(true)
+    generation: bigint
+
+    constructor(
+        reward: bigint,
+        fee: bigint,
+        dustLimit: bigint,
+        species: bigint,
+        energy: bigint,
+        spawnTxid: ByteString,
+        generation: bigint
+    ) {
+        super(...arguments)
+        this.reward = reward
+        this.fee = fee
+        this.dustLimit = dustLimit
+        this.species = species
+        this.energy = energy
+        this.spawnTxid = spawnTxid
+        this.generation = generation
+    }
+
+    @method()
+    public claim(claimerPkh: PubKeyHash) {
+        const currentBalance: bigint = this.ctx.utxo.value
+        const nextBalance: bigint = currentBalance - this.reward - this.fee
+
+        this.generation++
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        let outputs: ByteString = toByteString('')
+
+        if (nextBalance >= this.dustLimit) {
+            outputs = this.buildStateOutput(nextBalance)
+        }
+
+        outputs += ORG1.output(PredatorPreyOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, this.record())
+        outputs += Utils.buildPublicKeyHashOutput(claimerPkh, this.reward)
+
+        assert(
+            this.ctx.hashOutputs == hash256(outputs),
+            'hashOutputs mismatch'
+        )
+    }
+
+    // Spent as input 0 of a hunt; the prey's state comes from its own `eaten` call
+    @method()
+    public hunt(claimerPkh: PubKeyHash, preySpawnTxid: ByteString, preyGeneration: bigint, preyBalance: bigint) {
+        assert(this.species == PredatorPreyOrganism.PREDATOR, 'only predators hunt')
+        assert(len(this.prevouts) == 72n, 'a hunt spends exactly two inputs')
+        assert(
+            slice(this.prevouts, 0n, 36n) == this.outpoint(),
+            'the predator must be input 0'
+        )
+
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        assert(
+            this.ctx.hashOutputs == hash256(
+                this.huntOutputs(claimerPkh, this.ctx.utxo.value, preySpawnTxid, preyGeneration, preyBalance)
+            ),
+            'hashOutputs mismatch'
+        )
+    }
+
+    // Spent as input 1 of a hunt. Takes on the predator's state to rebuild
+    // the outputs its `hunt` call checks; `predatorTx` is the tx input 0
+    // spends output 0 of, which must hold that predator.
+    @method()
+    public eaten(
+        claimerPkh: PubKeyHash,
+        predatorSpawnTxid: ByteString,
+        predatorGeneration: bigint,
+        predatorEnergy: bigint,
+        predatorBalance: bigint,
+        predatorTx: ByteString
+    ) {
+        assert(this.species == PredatorPreyOrganism.PREY, 'only prey are eaten')
+        assert(len(this.prevouts) == 72n, 'a hunt spends exactly two inputs')
+        assert(
+            slice(this.prevouts, 36n, 72n) == this.outpoint(),
+            'the prey must be input 1'
+        )
+        assert(
+            slice(this.prevouts, 0n, 36n) == hash256(predatorTx) + toByteString('00000000'),
+            'input 0 must spend output 0 of the predator tx'
+        )
+
+        const preySpawnTxid: ByteString = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+        const preyGeneration: bigint = this.generation
+
+        this.species = PredatorPreyOrganism.PREDATOR
+        this.energy = predatorEnergy
+        this.generation = predatorGeneration
+        this.spawnTxid = predatorSpawnTxid
+        assert(
+            PredatorPreyOrganism.firstOutput(predatorTx) ==
+                int2ByteString(predatorBalance, 8n) + PredatorPreyOrganism.scriptBytes(this.getStateScript()),
+            'input 0 must be a predator of this ecosystem'
+        )
+        this.spawnTxid = ORG1.bindSpawnTxid(predatorSpawnTxid, slice(this.prevouts, 0n, 32n))
+
+        assert(
+            this.ctx.hashOutputs == hash256(
+                this.huntOutputs(claimerPkh, predatorBalance, preySpawnTxid, preyGeneration, this.ctx.utxo.value)
+            ),
+            'hashOutputs mismatch'
+        )
+    }
+
+    // Outputs of a hunt, with `this` holding the predator's state before it
+    @method()
+    huntOutputs(
+        claimerPkh: PubKeyHash,
+        predatorBalance: bigint,
+        preySpawnTxid: ByteString,
+        preyGeneration: bigint,
+        preyBalance: bigint
+    ): ByteString {
+        const nextBalance: bigint = predatorBalance + preyBalance - this.reward - this.fee
+
+        this.generation++
+        this.energy += preyBalance
+
+        let outputs: ByteString = toByteString('')
+
+        if (nextBalance >= this.dustLimit) {
+            outputs = this.buildStateOutput(nextBalance)
+        }
+
+        outputs += ORG1.output(PredatorPreyOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, this.record())
+        outputs += ORG1.output(
+            PredatorPreyOrganism.ORGANISM_TYPE,
+            preyGeneration + 1n,
+            preySpawnTxid,
+            int2ByteString(PredatorPreyOrganism.PREY, 1n) + int2ByteString(0n, 8n)
+        )
+        outputs += Utils.buildPublicKeyHashOutput(claimerPkh, this.reward)
+        return outputs
+    }
+
+    // Output 0 of `tx` as serialized: 8-byte value, then its script with a
+    // VarInt length
+    @method()
+    static firstOutput(tx: ByteString): ByteString {
+        // Version (4 bytes), then a one-byte input count
+        const inputs: bigint = byteString2Int(slice(tx, 4n, 5n) + toByteString('00'))
+        assert(inputs <= PredatorPreyOrganism.MAX_INPUTS, 'too many inputs in the predator tx')
+
+        // Skip the inputs (outpoint, script, nSequence) and the output count
+        let pos: bigint = 5n
+        for (let i = 0n; i < PredatorPreyOrganism.MAX_INPUTS; i++) {
+            if (i < inputs) {
+                pos += 36n
+                pos += PredatorPreyOrganism.varIntSize(tx, pos) + PredatorPreyOrganism.varInt(tx, pos) + 4n
+            }
+        }
+        pos += PredatorPreyOrganism.varIntSize(tx, pos)
+
+        const scriptPos: bigint = pos + 8n
+        const end: bigint = scriptPos + PredatorPreyOrganism.varIntSize(tx, scriptPos) + PredatorPreyOrganism.varInt(tx, scriptPos)
+        return slice(tx, pos, end)
+    }
+
+    // `script` with its VarInt length, as in a serialized output
+    @method()
+    static scriptBytes(script: ByteString): ByteString {
+        // Five bytes leave room for the sign bit; the prefix takes the low ones
+        const size: bigint = len(script)
+        const bytes: ByteString = int2ByteString(size, 5n)
+        let prefix: ByteString = slice(bytes, 0n, 1n)
+        if (size >= 0x10000n) {
+            prefix = toByteString('fe') + slice(bytes, 0n, 4n)
+        } else if (size >= 0xfdn) {
+            prefix = toByteString('fd') + slice(bytes, 0n, 2n)
+        }
+        return prefix + script
+    }
+
+    // Bytes taken by the VarInt at `pos` of `tx`
+    @method()
+    static varIntSize(tx: ByteString, pos: bigint): bigint {
+        const first: ByteString = slice(tx, pos, pos + 1n)
+        let size: bigint = 1n
+        if (first == toByteString('fd')) {
+            size = 3n
+        } else if (first == toByteString('fe')) {
+            size = 5n
+        } else if (first == toByteString('ff')) {
+            size = 9n
+        }
+        return size
+    }
+
+    // Value of the VarInt at `pos` of `tx`
+    @method()
+    static varInt(tx: ByteString, pos: bigint): bigint {
+        const size: bigint = PredatorPreyOrganism.varIntSize(tx, pos)
+        let bytes: ByteString = slice(tx, pos, pos + 1n)
+        if (size > 1n) {
+            bytes = slice(tx, pos + 1n, pos + size)
+        }
+        return byteString2Int(bytes + toByteString('00'))
+    }
+
+    // This input's outpoint as serialized in prevouts
+    @method()
+    outpoint(): ByteString {
+        return this.ctx.utxo.outpoint.txid + int2ByteString(this.ctx.utxo.outpoint.outputIndex, 4n)
+    }
+
+    @method()
+    record(): ByteString {
+        return int2ByteString(this.species, 1n) + int2ByteString(this.energy, 8n)
+    }
+
+    @method()
+    public fund(newBalance: bigint, changePkh: PubKeyHash, changeAmount: bigint) {
+        assert(newBalance > this.ctx.utxo.value, 'must increase balance')
+
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        let outputs: ByteString = this.buildStateOutput(newBalance)
+        outputs += ORG1.output(PredatorPreyOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, this.record())
+
+        if (changeAmount > 0n) {
+            outputs += Utils.buildPublicKeyHashOutput(changePkh, changeAmount)
+        }
+
+        assert(
+            this.ctx.hashOutputs == hash256(outputs),
+            'hashOutputs mismatch'
+        )
+    }
+}
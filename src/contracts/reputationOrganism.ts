@@ -0,0 +1,134 @@
+import {
+    assert,
+    ByteString,
+    hash256,
+    int2ByteString,
+    len,
+    method,
+    prop,
+    PubKeyHash,
+    SmartContract,
+    toByteString,
+    Utils,
+} from 'scrypt-ts'
+import { ORG1 } from './org1'
+
+/**
+ * Reputation Organism — ORG1 Type 7
+ *
+ * A counter of interactions with one subject address. Each reproduction
+ * records one interaction:
+ *   - the subject PKH is fixed at spawn (not stateful, so no spend can change it)
+ *   - the count is the generation, which the covenant raises by exactly one
+ *   - the interaction hash must be 32 bytes and differ from the previous one
+ *
+ * Only the latest hash is kept, so an earlier one can be recorded again:
+ * alternating two hashes raises the count with every claim. The count is
+ * the number of claims; readers count distinct hashes (scanner.cjs --subject).
+ *
+ * ORG1 payload: <subjectPkh:20B> <count:4B LE> <interactionHash:32B>
+ *
+ * Fund transactions repeat the current count and interaction hash.
+ */
+export class ReputationOrganism extends SmartContract {
+    @prop()
+    static readonly ORGANISM_TYPE: bigint = 7n
+
+    // Reward in satoshis paid to claimer per generation
+    @prop()
+    reward: bigint
+
+    // Fixed miner fee deducted from balance per generation
+    @prop()
+    fee: bigint
+
+    // Minimum balance to stay alive
+    @prop()
+    dustLimit: bigint
+
+    // Address whose interactions are counted
+    @prop()
+    subjectPkh: PubKeyHash
+
+    // Spawn transaction ID (32 bytes, display byte order), bound on the first spend
+    @prop(true)
+    spawnTxid: ByteString
+
+    // Generation counter, doubling as the interaction count
+    @prop(true)
+    generation: bigint
+
+    // Hash of the most recent interaction (zeros before the first)
+    @prop(true)
+    lastInteraction: ByteString
+
+    constructor(
+        reward: bigint,
+        fee: bigint,
+        dustLimit: bigint,
+        subjectPkh: PubKeyHash,
+        spawnTxid: ByteString,
+        generation: bigint,
+        lastInteraction: ByteString
+    ) {
+        super(...arguments)
+        this.reward = reward
+        this.fee = fee
+        this.dustLimit = dustLimit
+        this.subjectPkh = subjectPkh
+        this.spawnTxid = spawnTxid
+        this.generation = generation
+        this.lastInteraction = lastInteraction
+    }
+
+    @method()
+    public claim(claimerPkh: PubKeyHash, interactionHash: ByteString) {
+        assert(len(interactionHash) == 32n, 'interaction hash must be 32 bytes')
+        assert(interactionHash != this.lastInteraction, 'interaction already recorded')
+
+        const currentBalance: bigint = this.ctx.utxo.value
+        const nextBalance: bigint = currentBalance - this.reward - this.fee
+
+        this.generation++
+        this.lastInteraction = interactionHash
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        let outputs: ByteString = toByteString('')
+
+        if (nextBalance >= this.dustLimit) {
+            outputs = this.buildStateOutput(nextBalance)
+        }
+
+        outputs += ORG1.output(ReputationOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, this.record())
+        outputs += Utils.buildPublicKeyHashOutput(claimerPkh, this.reward)
+
+        assert(
+            this.ctx.hashOutputs == hash256(outputs),
+            'hashOutputs mismatch'
+        )
+    }
+
+    @method()
+    record(): ByteString {
+        return this.subjectPkh + int2ByteString(this.generation, 4n) + this.lastInteraction
+    }
+
+    @method()
+    public fund(newBalance: bigint, changePkh: PubKeyHash, changeAmount: bigint) {
+        assert(newBalance > this.ctx.utxo.value, 'must increase balance')
+
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        let outputs: ByteString = this.buildStateOutput(newBalance)
+        outputs += ORG1.output(ReputationOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, this.record())
+
+        if (changeAmount > 0n) {
+            outputs += Utils.buildPublicKeyHashOutput(changePkh, changeAmount)
+        }
+
+        assert(
+            this.ctx.hashOutputs == hash256(outputs),
+            'hashOutputs mismatch'
+        )
+    }
+}
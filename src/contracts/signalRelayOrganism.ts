@@ -0,0 +1,244 @@
+import {
+    assert,
+    ByteString,
+    byteString2Int,
+    hash256,
+    int2ByteString,
+    len,
+    method,
+    prop,
+    PubKeyHash,
+    reverseByteString,
+    slice,
+    SmartContract,
+    toByteString,
+    Utils,
+} from 'scrypt-ts'
+import { ORG1 } from './org1'
+
+/**
+ * Signal Relay Organism — ORG1 Type 8
+ *
+ * Fires once, after output 0 of the watched TXID is spent. Only output 0 can
+ * be watched: the outpoint an organism lives in, so relays chain onto other
+ * organisms. The proof is the spending tx itself:
+ *   - its first input must be the watched outpoint
+ *   - the fire tx spends one of its outputs as input 1, so it must exist —
+ *     a tx made up to look like the spend has no outputs on chain to spend
+ *
+ * Input 1's value, read from the spending tx, goes back to the firer with the
+ * reward, so the fire pays exactly `fee` to miners. The spending tx may have
+ * up to MAX_INPUTS inputs, and input 1 must spend one of its first
+ * MAX_OUTPUTS outputs.
+ *
+ * The block window is advisory: it is recorded in the state and the ORG1
+ * record, but script can't see the height a tx is mined at, so nothing here
+ * enforces it. The tooling (lib/organism.cjs buildFireTx, relay.cjs) refuses
+ * to fire once `window` blocks have passed since the spend's block.
+ *
+ * Firing flips the triggered flag; from then on the relay reproduces through
+ * `claim` like a heartbeat until its balance runs out, and its own spends can
+ * be watched by the next relay in a chain.
+ *
+ * ORG1 payload: <watchedTxid:32B> <window:4B LE> <triggered:1B>
+ */
+export class SignalRelayOrganism extends SmartContract {
+    @prop()
+    static readonly ORGANISM_TYPE: bigint = 8n
+
+    // Most inputs the spending tx may have
+    @prop()
+    static readonly MAX_INPUTS: bigint = 6n
+
+    // Input 1 must spend one of the spending tx's first MAX_OUTPUTS outputs
+    @prop()
+    static readonly MAX_OUTPUTS: bigint = 8n
+
+    // Reward in satoshis paid to the firer and to each later claimer
+    @prop()
+    reward: bigint
+
+    // Fixed miner fee deducted from balance per generation
+    @prop()
+    fee: bigint
+
+    // Minimum balance to stay alive
+    @prop()
+    dustLimit: bigint
+
+    // TXID (display byte order) whose output 0 this relay watches
+    @prop()
+    watchedTxid: ByteString
+
+    // Blocks after the watched spend within which the relay may fire
+    @prop()
+    window: bigint
+
+    // Spawn transaction ID (32 bytes, display byte order), bound on the first spend
+    @prop(true)
+    spawnTxid: ByteString
+
+    // Generation counter
+    @prop(true)
+    generation: bigint
+
+    // 0 = waiting, 1 = fired
+    @prop(true)
+    triggered: bigint
+
+    constructor(
+        reward: bigint,
+        fee: bigint,
+        dustLimit: bigint,
+        watchedTxid: ByteString,
+        window: bigint,
+        spawnTxid: ByteString,
+        generation: bigint,
+        triggered: bigint
+    ) {
+        super(...arguments)
+        this.reward = reward
+        this.fee = fee
+        this.dustLimit = dustLimit
+        this.watchedTxid = watchedTxid
+        this.window = window
+        this.spawnTxid = spawnTxid
+        this.generation = generation
+        this.triggered = triggered
+    }
+
+    // `spenderTx` is the raw tx that spent the watched outpoint; input 1 of
+    // this tx spends one of its outputs
+    @method()
+    public fire(claimerPkh: PubKeyHash, spenderTx: ByteString) {
+        assert(this.triggered == 0n, 'relay already fired')
+        assert(len(this.prevouts) == 72n, 'fire spends the relay and one output of the spending tx')
+        assert(
+            slice(this.prevouts, 36n, 68n) == hash256(spenderTx),
+            'input 1 must spend an output of the spending tx'
+        )
+        // Version (4 bytes), then a one-byte input count, then input 0's outpoint
+        const inputs: bigint = byteString2Int(slice(spenderTx, 4n, 5n) + toByteString('00'))
+        assert(inputs <= SignalRelayOrganism.MAX_INPUTS, 'too many inputs')
+        assert(
+            slice(spenderTx, 5n, 41n) == reverseByteString(this.watchedTxid, 32n) + toByteString('00000000'),
+            'the spending tx must spend the watched outpoint as input 0'
+        )
+
+        this.triggered = 1n
+        this.reproduce(claimerPkh, this.reward + this.proofValue(spenderTx, inputs))
+    }
+
+    // Value of the output of `spenderTx` (with `inputs` inputs) that input 1
+    // spends
+    @method()
+    proofValue(spenderTx: ByteString, inputs: bigint): bigint {
+        const vout: bigint = byteString2Int(slice(this.prevouts, 68n, 72n) + toByteString('00'))
+
+        // Skip the inputs: outpoint, script and nSequence
+        let pos: bigint = 5n
+        for (let i = 0n; i < SignalRelayOrganism.MAX_INPUTS; i++) {
+            if (i < inputs) {
+                pos += 36n
+                pos += SignalRelayOrganism.varIntSize(spenderTx, pos) + SignalRelayOrganism.varInt(spenderTx, pos) + 4n
+            }
+        }
+
+        const outputs: bigint = SignalRelayOrganism.varInt(spenderTx, pos)
+        assert(vout < outputs && vout < SignalRelayOrganism.MAX_OUTPUTS, 'input 1 spends no output of the spending tx')
+        pos += SignalRelayOrganism.varIntSize(spenderTx, pos)
+
+        // Walk the outputs up to the one spent: 8-byte value, then its script
+        let value: bigint = 0n
+        for (let i = 0n; i < SignalRelayOrganism.MAX_OUTPUTS; i++) {
+            if (i <= vout) {
+                if (i == vout) {
+                    value = byteString2Int(slice(spenderTx, pos, pos + 8n) + toByteString('00'))
+                }
+                pos += 8n
+                pos += SignalRelayOrganism.varIntSize(spenderTx, pos) + SignalRelayOrganism.varInt(spenderTx, pos)
+            }
+        }
+        return value
+    }
+
+    // Bytes taken by the VarInt at `pos` of `tx`
+    @method()
+    static varIntSize(tx: ByteString, pos: bigint): bigint {
+        const first: ByteString = slice(tx, pos, pos + 1n)
+        let size: bigint = 1n
+        if (first == toByteString('fd')) {
+            size = 3n
+        } else if (first == toByteString('fe')) {
+            size = 5n
+        } else if (first == toByteString('ff')) {
+            size = 9n
+        }
+        return size
+    }
+
+    // Value of the VarInt at `pos` of `tx`
+    @method()
+    static varInt(tx: ByteString, pos: bigint): bigint {
+        const size: bigint = SignalRelayOrganism.varIntSize(tx, pos)
+        let bytes: ByteString = slice(tx, pos, pos + 1n)
+        if (size > 1n) {
+            bytes = slice(tx, pos + 1n, pos + size)
+        }
+        return byteString2Int(bytes + toByteString('00'))
+    }
+
+    // A fired relay reproduces like a heartbeat
+    @method()
+    public claim(claimerPkh: PubKeyHash) {
+        assert(this.triggered == 1n, 'relay has not fired')
+        this.reproduce(claimerPkh, this.reward)
+    }
+
+    @method()
+    reproduce(claimerPkh: PubKeyHash, payout: bigint): void {
+        const currentBalance: bigint = this.ctx.utxo.value
+        const nextBalance: bigint = currentBalance - this.reward - this.fee
+
+        this.generation++
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        let outputs: ByteString = toByteString('')
+
+        if (nextBalance >= this.dustLimit) {
+            outputs = this.buildStateOutput(nextBalance)
+        }
+
+        outputs += ORG1.output(SignalRelayOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, this.record())
+        outputs += Utils.buildPublicKeyHashOutput(claimerPkh, payout)
+
+        assert(
+            this.ctx.hashOutputs == hash256(outputs),
+            'hashOutputs mismatch'
+        )
+    }
+
+    @method()
+    record(): ByteString {
+        return this.watchedTxid + int2ByteString(this.window, 4n) + int2ByteString(this.triggered, 1n)
+    }
+
+    @method()
+    public fund(newBalance: bigint, changePkh: PubKeyHash, changeAmount: bigint) {
+        assert(newBalance > this.ctx.utxo.value, 'must increase balance')
+
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        let outputs: ByteString = this.buildStateOutput(newBalance)
+        outputs += ORG1.output(SignalRelayOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, this.record())
+
+        if (changeAmount > 0n) {
+            outputs += Utils.buildPublicKeyHashOutput(changePkh, changeAmount)
+        }
+
+        assert(
+            this.ctx.hashOutputs == hash256(outputs),
+            'hashOutputs mismatch'
+        )
+    }
+}
@@ -0,0 +1,117 @@
+import {
+    assert,
+    ByteString,
+    hash256,
+    len,
+    method,
+    prop,
+    PubKeyHash,
+    slice,
+    SmartContract,
+    toByteString,
+    Utils,
+} from 'scrypt-ts'
+import { ORG1 } from './org1'
+
+/**
+ * Task Organism — ORG1 Type 1
+ *
+ * Same lifecycle as the base Organism (reproduce, feed, die), but every
+ * reproduction records one unit of work. The claim payload must be exactly
+ *
+ *   <taskHash:32B> <resultHash:32B> <claimerPkh:20B>
+ *
+ * and the PKH must be the one the reward is paid to, so each generation is a
+ * task/result pair signed off by whoever was paid for it. The chain of
+ * payloads is the lineage's work log.
+ *
+ * Fund transactions write the common ORG1 fields only.
+ */
+export class TaskOrganism extends SmartContract {
+    @prop()
+    static readonly ORGANISM_TYPE: bigint = 1n
+
+    // taskHash + resultHash + claimerPkh
+    @prop()
+    static readonly PAYLOAD_LEN: bigint = 84n
+
+    // Reward in satoshis paid to claimer per generation
+    @prop()
+    reward: bigint
+
+    // Fixed miner fee deducted from balance per generation
+    @prop()
+    fee: bigint
+
+    // Minimum balance to stay alive
+    @prop()
+    dustLimit: bigint
+
+    // Spawn transaction ID (32 bytes, display byte order), bound on the first spend
+    @prop(true)
+    spawnTxid: ByteString
+
+    // Generation counter (stateful — increments each reproduction)
+    @prop(true)
+    generation: bigint
+
+    constructor(
+        reward: bigint,
+        fee: bigint,
+        dustLimit: bigint,
+        spawnTxid: ByteString,
+        generation: bigint
+    ) {
+        super(...arguments)
+        this.reward = reward
+        this.fee = fee
+        this.dustLimit = dustLimit
+        this.spawnTxid = spawnTxid
+        this.generation = generation
+    }
+
+    @method()
+    public claim(claimerPkh: PubKeyHash, payload: ByteString) {
+        assert(len(payload) == TaskOrganism.PAYLOAD_LEN, 'task payload must be 84 bytes')
+        assert(slice(payload, 64n, 84n) == claimerPkh, 'payload PKH must match reward output')
+
+        const currentBalance: bigint = this.ctx.utxo.value
+        const nextBalance: bigint = currentBalance - this.reward - this.fee
+
+        this.generation++
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        let outputs: ByteString = toByteString('')
+
+        if (nextBalance >= this.dustLimit) {
+            outputs = this.buildStateOutput(nextBalance)
+        }
+
+        outputs += ORG1.output(TaskOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, payload)
+        outputs += Utils.buildPublicKeyHashOutput(claimerPkh, this.reward)
+
+        assert(
+            this.ctx.hashOutputs == hash256(outputs),
+            'hashOutputs mismatch'
+        )
+    }
+
+    @method()
+    public fund(newBalance: bigint, changePkh: PubKeyHash, changeAmount: bigint) {
+        assert(newBalance > this.ctx.utxo.value, 'must increase balance')
+
+        this.spawnTxid = ORG1.bindSpawnTxid(this.spawnTxid, this.ctx.utxo.outpoint.txid)
+
+        let outputs: ByteString = this.buildStateOutput(newBalance)
+        outputs += ORG1.output(TaskOrganism.ORGANISM_TYPE, this.generation, this.spawnTxid, toByteString(''))
+
+        if (changeAmount > 0n) {
+            outputs += Utils.buildPublicKeyHashOutput(changePkh, changeAmount)
+        }
+
+        assert(
+            this.ctx.hashOutputs == hash256(outputs),
+            'hashOutputs mismatch'
+        )
+    }
+}
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+// Drive one step of a Chain Crawler (Type 3) or Particle Swarm (Type 4)
+//
+// Usage:
+//   node step.cjs crawl --txid <crawler-txid> --address <addr> [--target <txid>] [--digest <hex|file>]
+//   node step.cjs swarm --txid <particle-txid> --address <addr> [--objective sphere|rastrigin]
+//                       [--swarm <txid,txid,...>] [--dims <n>]
+//
+// --txid may be any generation; it is followed to the live tip and the step is
+// claimed there, paying the reward to --address.
+// crawl: records --target, or else the tx that funded input 0 of the previous
+//        target; the digest defaults to SHA-256 of the target's raw tx.
+// swarm: moves the particle toward its personal best and the swarm's global
+//        best. The swarm is --swarm, or every Type 4 organism spawned here.
+// Spawn them with: node spawn.cjs --type 3|4
+
+const { bsv } = require('scrypt-ts');
+const { parseArgs, readBytesArg } = require('./lib/args.cjs');
+const { providerFromArgs, PROVIDER_USAGE } = require('./lib/providers/index.cjs');
+const { networkFromArgs, stateDirs, explorerTxUrl } = require('./lib/network.cjs');
+const {
+  loadTip, followToTip, lineageSpawnTxid, organismType, buildClaimTx,
+} = require('./lib/organism.cjs');
+const { decodeAllORG1 } = require('./lib/org1.cjs');
+const { openStore } = require('./lib/store.cjs');
+const { formatPayload } = require('./lib/types/index.cjs');
+const {
+  CRAWLER_TYPE, encodeCrawlerPayload, decodeCrawlerPayload, txDigest, nextTarget,
+} = require('./lib/types/crawler.cjs');
+const {
+  SWARM_TYPE, encodeSwarmPayload, decodeSwarmPayload, objectiveArg, globalBest, swarmStep,
+} = require('./lib/types/swarm.cjs');
+
+const args = parseArgs();
+const cmd = args._[0];
+
+if (!['crawl', 'swarm'].includes(cmd) || typeof args.txid !== 'string' || typeof args.address !== 'string') {
+  console.log('Usage: node step.cjs <crawl|swarm> --txid <organism-txid> --address <your-bsv-address>');
+  console.log('');
+  console.log('Options:');
+  console.log('  --target <txid>         Transaction to crawl (crawl; required for the first step)');
+  console.log('  --digest <hex|file>     Digest to record (crawl; default: SHA-256 of the target tx)');
+  console.log('  --objective <name>      sphere | rastrigin (swarm; default: sphere)');
+  console.log('  --swarm <txid,...>      Particles sharing a global best (swarm; default: Type 4 organisms spawned here)');
+  console.log('  --dims <n>              Dimensions of a particle\'s first step (swarm; default: 2)');
+  console.log(PROVIDER_USAGE);
+  process.exit(1);
+}
+
+// Latest claim payload in the lineage of `spawnTxid` at or before `txid`. Gen 0
+// and fund txs carry none, so walk back through input 0 until one does ('' if
+// the lineage has never been claimed with a payload).
+async function latestPayload(chain, txid, spawnTxid) {
+  for (;;) {
+    const info = await chain.getTx(txid);
+    if (!info) throw new Error(`Transaction not found: ${txid}`);
+    const records = decodeAllORG1(info);
+    const org1 = records.find(r => r.spawnTxid === spawnTxid) || records[0];
+    if (!org1 || org1.generation === 0) return '';
+    if (org1.payload) return org1.payload;
+    txid = info.vin[0].txid;
+  }
+}
+
+// Type 3: the next target and its digest
+async function crawl(chain, organism, spawnTxid) {
+  const tip = organism.from.tx.id;
+  let target = typeof args.target === 'string' ? args.target.toLowerCase() : null;
+  if (target && !/^[0-9a-f]{64}$/.test(target)) throw new Error('--target must be a 32-byte hex TXID');
+
+  if (!target) {
+    const previous = decodeCrawlerPayload(await latestPayload(chain, tip, spawnTxid));
+    if (!previous) throw new Error('The crawler has no target yet; give the first one with --target <txid>');
+    const previousHex = await chain.getRawTx(previous.targetTxid);
+    if (!previousHex) throw new Error(`Transaction not found: ${previous.targetTxid}`);
+    target = nextTarget(new bsv.Transaction(previousHex));
+    if (!target) throw new Error(`${previous.targetTxid.slice(0, 16)}... is a coinbase; the crawl is complete`);
+  }
+
+  let digest = readBytesArg(args.digest, 'digest');
+  if (!digest) {
+    const targetHex = await chain.getRawTx(target);
+    if (!targetHex) throw new Error(`Transaction not found: ${target}`);
+    digest = txDigest(targetHex);
+  }
+  return encodeCrawlerPayload({ targetTxid: target, digest });
+}
+
+// Txids of the Type 4 organisms spawned here
+function knownParticles(net) {
+  const store = openStore(stateDirs(net));
+  const states = store.states();
+  store.close();
+  return states
+    .filter(state => state.type === SWARM_TYPE)
+    .map(state => state.spawnTxid);
+}
+
+// Type 4: one PSO step against the swarm's global best
+async function swarm(chain, net, organism, spawnTxid) {
+  const objective = objectiveArg(typeof args.objective === 'string' ? args.objective : 'sphere');
+  const particle = decodeSwarmPayload(await latestPayload(chain, organism.from.tx.id, spawnTxid));
+  const dims = particle ? particle.dims : parseInt(args.dims || '2');
+
+  const ids = typeof args.swarm === 'string'
+    ? args.swarm.split(',').map(s => s.trim()).filter(Boolean)
+    : knownParticles(net);
+  const members = [];
+  for (const id of new Set([spawnTxid, ...ids])) {
+    let tip;
+    try {
+      tip = await followToTip(chain, id);
+    } catch (err) {
+      console.log(`   ⚠️  Skipping ${id.slice(0, 16)}...: ${err.message}`);
+      continue;
+    }
+    const member = decodeSwarmPayload(await latestPayload(chain, tip, id));
+    // Particles of another dimension count can't share a best
+    if (member && member.dims === dims) members.push({ txid: tip, particle: member });
+  }
+
+  const best = globalBest(members, objective);
+  console.log(`   Swarm:      ${members.length} particle${members.length === 1 ? '' : 's'} with a position`);
+  if (best) console.log(`   Global best: ${best.score.toFixed(6)} (${best.txid.slice(0, 16)}...)`);
+
+  const next = swarmStep(particle, { best, objective, dims });
+  console.log(`   Fitness:    ${particle ? objective(particle.position).toFixed(6) : '-'} → ${objective(next.position).toFixed(6)}`);
+  return encodeSwarmPayload(next);
+}
+
+async function step() {
+  const net = networkFromArgs(args);
+  const chain = providerFromArgs(args);
+
+  let claimer;
+  try {
+    claimer = bsv.Address.fromString(args.address, net.bsv);
+  } catch {
+    throw new Error(`Invalid BSV address for ${net.name}`);
+  }
+
+  const type = cmd === 'crawl' ? CRAWLER_TYPE : SWARM_TYPE;
+  const organism = await loadTip(chain, args.txid, net);
+  if (organismType(organism) !== type) {
+    throw new Error(`${organism.from.tx.id.slice(0, 16)}... is a Type ${organismType(organism)} organism, not Type ${type}`);
+  }
+  const spawnTxid = lineageSpawnTxid(organism);
+
+  console.log(cmd === 'crawl' ? '🕷️  UTXO Organism — Crawl' : '🐝 UTXO Organism — Swarm step');
+  console.log(`   Organism:   ${organism.from.tx.id.slice(0, 16)}... (gen ${organism.generation})`);
+  console.log(`   Claimer:    ${claimer.toString()}`);
+
+  const payload = cmd === 'crawl'
+    ? await crawl(chain, organism, spawnTxid)
+    : await swarm(chain, net, organism, spawnTxid);
+  console.log(`   Payload:    ${formatPayload(type, payload)}`);
+
+  const { tx, generation, reward, nextBalance, alive } = await buildClaimTx(organism, claimer, { payload });
+  const txid = await chain.broadcast(tx.uncheckedSerialize());
+
+  console.log();
+  console.log('═══════════════════════════════════════════════');
+  console.log(`   ⚡ Generation ${generation + 1} born!`);
+  console.log(`   TXID:    ${txid}`);
+  console.log(`   Reward:  ${reward} sats → ${claimer.toString()}`);
+  if (alive) {
+    console.log(`   Balance: ${nextBalance} sats remaining`);
+  } else {
+    console.log('   💀 Organism has died.');
+  }
+  const link = explorerTxUrl(net, txid);
+  if (link) console.log(`   ${link}`);
+  console.log('═══════════════════════════════════════════════');
+}
+
+step().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
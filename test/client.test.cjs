@@ -0,0 +1,292 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bsv } = require('scrypt-ts');
+const { FixtureProvider } = require('../lib/providers/fixture.cjs');
+const { getNetwork } = require('../lib/network.cjs');
+const { org1Script } = require('../lib/org1.cjs');
+const { encodeCrawlerPayload } = require('../lib/types/crawler.cjs');
+const { RELAY_TYPE, encodeRelayPayload } = require('../lib/types/relay.cjs');
+const { PREDATOR_TYPE, encodePredatorPayload } = require('../lib/types/predator.cjs');
+const { cachedTip } = require('../lib/lineage.cjs');
+const {
+  OrganismClient,
+  OrganismError,
+  InvalidArgumentError,
+  NotFoundError,
+  OrganismSpentError,
+  ClaimConflictError,
+  OrganismDeadError,
+  InsufficientFundsError,
+  isConflictError,
+} = require('../lib/client.cjs');
+
+const net = getNetwork('regtest');
+const key = bsv.PrivateKey.fromRandom(net.bsv);
+const claimer = bsv.PrivateKey.fromRandom(net.bsv).toAddress(net.bsv);
+
+// A transaction spending `prev` (random if omitted) into `outputs`; the fixture
+// backend doesn't check scripts, so the organism output is a stand-in P2PKH
+function fakeTx(prev, outputs) {
+  const tx = new bsv.Transaction();
+  tx.uncheckedAddInput(new bsv.Transaction.Input({
+    prevTxId: prev || crypto.randomBytes(32).toString('hex'),
+    outputIndex: 0,
+    script: bsv.Script.empty(),
+  }));
+  for (const [script, satoshis] of outputs) tx.addOutput(new bsv.Transaction.Output({ script, satoshis }));
+  return tx.uncheckedSerialize();
+}
+
+describe('OrganismClient', () => {
+  let dir, chain, client, spawnTxid, gen1Txid;
+  const step = encodeCrawlerPayload({ targetTxid: 'ab'.repeat(32), digest: 'cd'.repeat(32) });
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-client-'));
+    chain = new FixtureProvider({ network: net.bsv });
+    const holder = bsv.Script.buildPublicKeyHashOut(bsv.PrivateKey.fromRandom(net.bsv).toAddress(net.bsv));
+    spawnTxid = chain.addTx(fakeTx(null, [
+      [holder, 10000],
+      [org1Script({ type: 3, generation: 0, spawnTxid: '00'.repeat(32) }), 0],
+    ]), { blockheight: 1, blocktime: 1700000000 });
+    gen1Txid = chain.addTx(fakeTx(spawnTxid, [
+      [holder, 7500],
+      [org1Script({ type: 3, generation: 1, spawnTxid, payload: step }), 0],
+      [bsv.Script.buildPublicKeyHashOut(claimer), 1000],
+    ]));
+    client = new OrganismClient({
+      network: 'regtest', chain, privateKey: key.toWIF(), dirs: { organisms: dir, lineage: dir, reservations: path.join(dir, 'reservations.json') },
+    });
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('estimates the lifetime of a new organism', async () => {
+    assert.deepEqual(await client.estimate({ budget: 10000, reward: 1000, fee: 1500 }), {
+      budget: 10000, reward: 1000, fee: 1500, dustLimit: 546, generations: 3, rewards: 3000, fees: 4500,
+    });
+  });
+
+  it('traces a lineage into structured entries and a summary', async () => {
+    const seen = [];
+    const { lineage, summary, complete } = await client.trace(spawnTxid, { onGeneration: e => seen.push(e.generation) });
+
+    assert.equal(complete, true);
+    assert.deepEqual(seen, [0, 1]);
+    assert.equal(lineage[0].spentBy, gen1Txid);
+    assert.equal(lineage[1].claimer, claimer.toString());
+    assert.equal(lineage[1].reward, 1000);
+    assert.equal(lineage[1].fee, 1500);
+    const gen1Size = (await chain.getRawTx(gen1Txid)).length / 2;
+    assert.equal(lineage[1].size, gen1Size);
+    assert.equal(lineage[1].feeRate, Math.round(1500 * 1000 / gen1Size));
+    assert.equal(lineage[0].feeRate, null);
+    assert.deepEqual(lineage[1].fields, { targetTxid: 'ab'.repeat(32), digest: 'cd'.repeat(32) });
+    assert.deepEqual(summary, {
+      status: 'alive', generation: 1, balance: 7500, claims: 1, claimers: 1, funds: 0, food: 0, rewards: 1000,
+      mismatches: 0, unbound: false,
+    });
+    assert.deepEqual(lineage.map(e => e.kind), ['spawn', 'claim']);
+    assert.deepEqual(client.lineageStore().lineage(spawnTxid).map(e => e.txid), [spawnTxid, gen1Txid]);
+  });
+
+  it('tells claims, feeds and deaths apart', async () => {
+    const holder = bsv.Script.buildPublicKeyHashOut(claimer);
+    const record = (generation, spawn) => org1Script({ type: 0, generation, spawnTxid: spawn || '00'.repeat(32) });
+    const spend = (prev, method, outputs, funder = null) => {
+      const tx = new bsv.Transaction();
+      // The covenant's unlocking script ends with the index of the method called
+      tx.uncheckedAddInput(new bsv.Transaction.Input({ prevTxId: prev, outputIndex: 0, script: method ? bsv.Script.fromASM(method) : bsv.Script.empty() }));
+      if (funder) {
+        tx.uncheckedAddInput(new bsv.Transaction.Input({
+          prevTxId: 'ee'.repeat(32), outputIndex: 1, script: new bsv.Script().add(Buffer.alloc(71)).add(funder.publicKey.toBuffer()),
+        }));
+      }
+      for (const [script, satoshis] of outputs) tx.addOutput(new bsv.Transaction.Output({ script, satoshis }));
+      return chain.addTx(tx.uncheckedSerialize());
+    };
+    const funder = bsv.PrivateKey.fromRandom(net.bsv);
+    const change = bsv.Script.buildPublicKeyHashOut(bsv.PrivateKey.fromRandom(net.bsv).toAddress(net.bsv));
+
+    const spawn = chain.addTx(fakeTx(null, [[holder, 5000], [record(0), 0]]));
+    const claimTxid = spend(spawn, 'OP_0', [[holder, 3500], [record(1, spawn), 0], [holder, 1000]]);
+    const fundTxid = spend(claimTxid, 'OP_1', [[holder, 9500], [record(1, spawn), 0], [change, 4200]], funder);
+    // A fund without a method index is told by its unchanged ORG1 generation
+    const feedTxid = spend(fundTxid, '', [[holder, 10000], [record(1, spawn), 0]]);
+    spend(feedTxid, 'OP_0', [[record(2, spawn), 0], [holder, 9000]]);
+
+    const { lineage, summary } = await client.trace(spawn);
+    assert.deepEqual(lineage.map(e => [e.kind, e.generation, e.method]),
+      [['spawn', 0, null], ['claim', 1, 'claim'], ['fund', 1, 'fund'], ['fund', 1, null], ['death', 2, 'claim']]);
+    assert.deepEqual([lineage[2].funder, lineage[2].amount, lineage[2].claimer, lineage[2].reward, lineage[2].fee],
+      [funder.toAddress(net.bsv).toString(), 6000, null, 0, 0]);
+    assert.equal(lineage[1].fee, 500);
+    assert.deepEqual([lineage[4].claimer, lineage[4].reward, lineage[4].fee, lineage[4].alive], [claimer.toString(), 9000, 1000, false]);
+    assert.deepEqual(summary, {
+      status: 'dead', generation: 2, balance: 0, claims: 2, claimers: 1, funds: 2, food: 6500, rewards: 10000,
+      mismatches: 0, unbound: false,
+    });
+
+    const stored = client.organisms({ status: 'dead' }).find(o => o.spawnTxid === spawn);
+    assert.deepEqual([stored.claims, stored.funds, stored.food, stored.rewards], [2, 2, 6500, 10000]);
+  });
+
+  it('leaves the proof a relay fire pays back out of its reward and fee', async () => {
+    const holder = bsv.Script.buildPublicKeyHashOut(claimer);
+    const watchedTxid = 'ab'.repeat(32);
+    const record = (generation, spawn, triggered) => org1Script({
+      type: RELAY_TYPE, generation, spawnTxid: spawn, payload: encodeRelayPayload({ watchedTxid, window: 6, triggered }),
+    });
+    const spawn = chain.addTx(fakeTx(null, [[holder, 20000], [record(0, '00'.repeat(32), false), 0]]));
+    const proof = chain.addTx(fakeTx(watchedTxid, [[holder, 1200]]));
+    const fire = new bsv.Transaction();
+    for (const prevTxId of [spawn, proof]) {
+      fire.uncheckedAddInput(new bsv.Transaction.Input({ prevTxId, outputIndex: 0, script: bsv.Script.empty() }));
+    }
+    fire.addOutput(new bsv.Transaction.Output({ script: holder, satoshis: 17500 }));
+    fire.addOutput(new bsv.Transaction.Output({ script: record(1, spawn, true), satoshis: 0 }));
+    fire.addOutput(new bsv.Transaction.Output({ script: holder, satoshis: 1000 + 1200 }));
+    chain.addTx(fire.uncheckedSerialize());
+
+    const { lineage, summary } = await client.trace(spawn);
+    const fired = lineage[1];
+    assert.deepEqual([fired.kind, fired.relay.fired, fired.relay.proofValue], ['claim', true, 1200]);
+    assert.deepEqual([fired.reward, fired.fee], [1000, 1500]);
+    assert.equal(summary.rewards, 1000);
+  });
+
+  it('leaves the prey a hunt takes in out of the predator fee', async () => {
+    const holder = bsv.Script.buildPublicKeyHashOut(claimer);
+    const record = (generation, spawn, species, energy) => org1Script({
+      type: PREDATOR_TYPE, generation, spawnTxid: spawn, payload: encodePredatorPayload({ species, energy }),
+    });
+    const predator = chain.addTx(fakeTx(null, [[holder, 20000], [record(0, '00'.repeat(32), 1, 0), 0]]));
+    const prey = chain.addTx(fakeTx(null, [[holder, 6000], [record(0, '00'.repeat(32), 0, 0), 0]]));
+    const hunt = new bsv.Transaction();
+    for (const prevTxId of [predator, prey]) {
+      hunt.uncheckedAddInput(new bsv.Transaction.Input({ prevTxId, outputIndex: 0, script: bsv.Script.empty() }));
+    }
+    hunt.addOutput(new bsv.Transaction.Output({ script: holder, satoshis: 20000 + 6000 - 1000 - 1500 }));
+    hunt.addOutput(new bsv.Transaction.Output({ script: record(1, predator, 1, 1), satoshis: 0 }));
+    hunt.addOutput(new bsv.Transaction.Output({ script: record(1, prey, 0, 0), satoshis: 0 }));
+    hunt.addOutput(new bsv.Transaction.Output({ script: holder, satoshis: 1000 }));
+    chain.addTx(hunt.uncheckedSerialize());
+
+    const { lineage } = await client.trace(predator);
+    assert.deepEqual([lineage[1].kind, lineage[1].ate, lineage[1].balance], ['claim', prey, 23500]);
+    assert.deepEqual([lineage[1].reward, lineage[1].fee], [1000, 1500]);
+  });
+
+  it('decodes ORG1 records from a txid or raw hex', async () => {
+    const [record] = await client.decodeORG1(gen1Txid);
+    assert.equal(record.type, 3);
+    assert.equal(record.name, 'Chain Crawler');
+    assert.equal(record.spawnTxid, spawnTxid);
+    assert.deepEqual(record.fields, { targetTxid: 'ab'.repeat(32), digest: 'cd'.repeat(32) });
+    assert.deepEqual(await client.decodeORG1(await chain.getRawTx(gen1Txid)), [record]);
+    assert.equal((await client.decodeORG1(spawnTxid))[0].fields, null);
+    await assert.rejects(client.decodeORG1('ee'.repeat(32)), NotFoundError);
+    await assert.rejects(client.decodeORG1('zz'), InvalidArgumentError);
+  });
+
+  it('finds the live tip of a lineage by spawn TXID, name or prefix', async () => {
+    const organisms = path.join(dir, 'organisms');
+    const lineageDir = path.join(dir, 'lineage');
+    fs.mkdirSync(organisms);
+    fs.writeFileSync(path.join(organisms, `${spawnTxid.slice(0, 16)}.json`), JSON.stringify({ name: 'alpha', spawnTxid }));
+    const local = new OrganismClient({ network: 'regtest', chain, dirs: { organisms, lineage: lineageDir } });
+
+    assert.equal(local.resolveSpawn('alpha'), spawnTxid);
+    assert.equal(local.resolveSpawn(spawnTxid.slice(0, 10)), spawnTxid);
+    assert.equal(local.resolveSpawn(spawnTxid.slice(0, 16)), spawnTxid);
+    assert.equal(local.resolveSpawn('ee'.repeat(32)), 'ee'.repeat(32));
+    assert.throws(() => local.resolveSpawn('beta'), NotFoundError);
+    assert.deepEqual(await local.tipOf('alpha'), { spawnTxid, txid: gen1Txid });
+
+    // Followed from the store once the lineage has been traced; another
+    // lineage with the same prefix is kept apart
+    const store = local.lineageStore();
+    assert.equal(cachedTip(spawnTxid, store), spawnTxid);
+    await local.trace(spawnTxid);
+    assert.equal(cachedTip(spawnTxid, store), gen1Txid);
+    const other = spawnTxid.slice(0, 16) + 'ee'.repeat(24);
+    assert.equal(cachedTip(other, store), other);
+  });
+
+  it('throws typed errors', async () => {
+    await assert.rejects(client.claim(spawnTxid, { address: claimer }), (err) => {
+      assert.ok(err instanceof OrganismSpentError && err instanceof OrganismError);
+      assert.equal(err.code, 'SPENT');
+      assert.equal(err.nextTxid, gen1Txid);
+      return true;
+    });
+    await assert.rejects(client.claim(gen1Txid, { address: 'not-an-address' }), InvalidArgumentError);
+    await assert.rejects(client.fund('1234', { amount: 1000 }), InvalidArgumentError);
+    await assert.rejects(client.fund(gen1Txid, { amount: -5 }), { code: 'INVALID_ARGUMENT' });
+    await assert.rejects(client.trace('ee'.repeat(32)), NotFoundError);
+
+    await assert.rejects(client.spawn({ budget: 1000000 }), (err) => {
+      assert.ok(err instanceof InsufficientFundsError);
+      assert.equal(err.needed, 1000001);
+      assert.equal(err.available, 0);
+      return true;
+    });
+    const walletless = new OrganismClient({ network: 'regtest', chain, wallet: path.join(dir, 'missing.json') });
+    await assert.rejects(walletless.spawn({ budget: 1000 }), { code: 'NOT_FOUND' });
+  });
+
+  it('recognizes lost races among broadcast errors', () => {
+    assert.equal(isConflictError(new Error('Broadcast failed: txn-mempool-conflict (input 0 already spent by ab)')), true);
+    assert.equal(isConflictError(new Error('ARC: DOUBLE_SPEND_ATTEMPTED')), true);
+    assert.equal(isConflictError(new Error('Missing inputs')), true);
+    assert.equal(isConflictError(new ClaimConflictError(gen1Txid)), true);
+    assert.equal(isConflictError(new Error('mandatory-script-verify-flag-failed')), false);
+  });
+
+  // race() over a stubbed claim(): each call takes the next scripted result
+  function scripted(results) {
+    const racer = new OrganismClient({ network: 'regtest', chain, dirs: { organisms: dir, lineage: dir } });
+    racer.targets = [];
+    racer.claim = async (txid, options) => {
+      racer.targets.push([txid, options.follow]);
+      const next = results.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    };
+    return racer;
+  }
+
+  it('retargets the winner\'s tip after losing a race', async () => {
+    const racer = scripted([new ClaimConflictError(spawnTxid, gen1Txid), { txid: 'ff'.repeat(32), generation: 2 }]);
+    const result = await racer.race(spawnTxid, { address: claimer });
+    assert.equal(result.outcome, 'won');
+    assert.equal(result.txid, 'ff'.repeat(32));
+    assert.equal(result.attempts, 2);
+    assert.deepEqual(result.races, [{ txid: spawnTxid, lostTo: gen1Txid, claimer: claimer.toString() }]);
+    assert.deepEqual(racer.targets, [[spawnTxid, false], [gen1Txid, true]]);
+  });
+
+  it('reports a race lost on every attempt, or an organism that died', async () => {
+    const lost = await scripted([
+      new OrganismSpentError(spawnTxid, gen1Txid),
+      new ClaimConflictError(gen1Txid, null, 'txn-mempool-conflict'),
+    ]).race(spawnTxid, { address: claimer, retries: 1 });
+    assert.equal(lost.outcome, 'lost');
+    assert.equal(lost.lostTo, null);
+    assert.equal(lost.attempts, 2);
+    assert.equal(lost.races.length, 2);
+
+    const died = await scripted([
+      new ClaimConflictError(spawnTxid, gen1Txid),
+      new OrganismDeadError('The organism died'),
+    ]).race(spawnTxid, { address: claimer });
+    assert.equal(died.outcome, 'died');
+    assert.equal(died.lostTo, gen1Txid);
+
+    await assert.rejects(scripted([new InvalidArgumentError('Payload must be hex')]).race(spawnTxid, { address: claimer }), InvalidArgumentError);
+  });
+});
@@ -0,0 +1,189 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bsv } = require('scrypt-ts');
+const { getNetwork } = require('../lib/network.cjs');
+const { SimulatorProvider } = require('../lib/providers/simulator.cjs');
+const {
+  selectCoins, readReservations, unreserved, withLock, reserveCoins, releaseCoins, coinSelectionFromArgs,
+} = require('../lib/coins.cjs');
+const { OrganismClient, DustChangeError, InsufficientFundsError } = require('../lib/client.cjs');
+
+const net = getNetwork('regtest');
+const coin = (n, value) => ({ tx_hash: n.toString(16).padStart(64, '0'), tx_pos: 0, value, height: 1 });
+const values = (selection) => selection.utxos.map(u => u.value).sort((a, b) => a - b);
+
+describe('coin selection', () => {
+  const wallet = [coin(1, 50000), coin(2, 20000), coin(3, 12000), coin(4, 8000), coin(5, 3000)];
+
+  it('finds a set with no change, else takes the largest coins', () => {
+    const exact = selectCoins(wallet, 23000, { changeCost: 20 });
+    assert.deepEqual(values(exact), [3000, 20000]);
+    assert.equal(exact.change, 0);
+    assert.deepEqual(values(selectCoins(wallet, 22990, { changeCost: 20 })), [3000, 20000]);
+
+    const largest = selectCoins(wallet, 23000, { strategy: 'largest-first' });
+    assert.deepEqual(values(largest), [50000]);
+    assert.equal(largest.change, 27000);
+    // No changeless set for 60000: branch-and-bound falls back
+    assert.deepEqual(values(selectCoins(wallet, 60000, { changeCost: 20 })), [20000, 50000]);
+    assert.equal(selectCoins(wallet, 1000, { strategy: 'consolidate' }).utxos.length, 5);
+    assert.throws(() => selectCoins(wallet, 1000, { strategy: 'smallest' }), /Unknown coin selection/);
+  });
+
+  it('adds a coin rather than leave dust change', () => {
+    const selection = selectCoins(wallet, 49700, { strategy: 'largest-first', changeCost: 20 });
+    assert.deepEqual(values(selection), [3000, 50000]);
+    assert.equal(selection.change, 3300);
+    // Nothing left to add: the dust is the caller's to refuse
+    assert.equal(selectCoins([coin(1, 1000)], 700, { changeCost: 20 }).change, 300);
+  });
+
+  it('reads the strategy from args, environment or config', () => {
+    assert.equal(coinSelectionFromArgs({ 'coin-selection': 'bnb' }, {}), 'branch-and-bound');
+    assert.equal(coinSelectionFromArgs({}, { ORG_COIN_SELECTION: 'largest-first' }), 'largest-first');
+    assert.equal(coinSelectionFromArgs({}, {}), null);
+  });
+});
+
+describe('UTXO reservations', () => {
+  let dir, file;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-coins-'));
+    file = path.join(dir, 'reservations.json');
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('keeps reserved coins from other spends until released or expired', () => {
+    const [a, b, c] = [coin(1, 1000), coin(2, 2000), coin(3, 3000)];
+    assert.deepEqual(reserveCoins(file, [a, b], { ttl: 1000, now: 0 }), []);
+    assert.deepEqual(unreserved([a, b, c], file, 500), [c]);
+    assert.deepEqual(reserveCoins(file, [b, c], { now: 500 }), [`${b.tx_hash}:0`]);
+    assert.deepEqual(unreserved([a, b, c], file, 500), [c]);
+
+    releaseCoins(file, [a], 500);
+    assert.deepEqual(unreserved([a, b, c], file, 500), [a, c]);
+    assert.deepEqual(Object.keys(readReservations(file, 1000)), []);
+  });
+
+  it('keeps concurrent reservers in separate processes from losing or sharing coins', async () => {
+    const shared = path.join(dir, 'shared.json');
+    // Each process reserves 40 coins of its own one at a time, then the same contested coin
+    const script = `
+      const { reserveCoins } = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'coins.cjs'))});
+      const [file, base, start] = process.argv.slice(1);
+      const coin = (n) => ({ tx_hash: n.toString(16).padStart(64, '0'), tx_pos: 0, value: 1000 });
+      while (Date.now() < Number(start)) {}
+      for (let i = 0; i < 40; i++) reserveCoins(file, [coin(Number(base) + i)]);
+      console.log(JSON.stringify(reserveCoins(file, [coin(999)])));
+    `;
+    const start = Date.now() + 500;
+    const run = (base) => new Promise((resolve, reject) => {
+      execFile(process.execPath, ['-e', script, shared, String(base), String(start)], { timeout: 60000 }, (err, stdout) => {
+        if (err) reject(err);
+        else resolve(JSON.parse(stdout));
+      });
+    });
+    const results = await Promise.all([run(1000), run(2000)]);
+
+    assert.equal(Object.keys(readReservations(shared)).length, 81);
+    assert.deepEqual(results.map(taken => taken.length).sort(), [0, 1]);
+    assert.equal(fs.existsSync(`${shared}.lock`), false);
+  });
+
+  it('breaks a stale lock and waits out a live one', () => {
+    const locked = path.join(dir, 'locked.json');
+    fs.writeFileSync(`${locked}.lock`, '12345');
+    assert.throws(() => withLock(locked, () => {}, { timeout: 50 }), /Timed out waiting/);
+
+    const old = (Date.now() - 60 * 1000) / 1000;
+    fs.utimesSync(`${locked}.lock`, old, old);
+    assert.deepEqual(reserveCoins(locked, [coin(1, 1000)]), []);
+    assert.equal(fs.existsSync(`${locked}.lock`), false);
+    // The broken lock was moved aside before it was deleted
+    assert.deepEqual(fs.readdirSync(dir).filter(f => f.startsWith('locked.json.lock')), []);
+  });
+});
+
+describe('OrganismClient coins', () => {
+  let dir, sim;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-wallet-'));
+    sim = new SimulatorProvider({ network: net.bsv });
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // A client on a fresh wallet holding `coins`, sharing one reservations file
+  function walletWith(coins) {
+    const key = bsv.PrivateKey.fromRandom(net.bsv);
+    const client = new OrganismClient({
+      network: 'regtest', chain: sim, privateKey: key, feeRate: 500,
+      dirs: { organisms: dir, lineage: dir, reservations: path.join(dir, 'reservations.json') },
+    });
+    for (const value of coins) sim.faucet(client.signer().address, value);
+    return client;
+  }
+
+  // build(fee, utxos) for a P2PKH payment of `amount`, like spawn and fund
+  function payment(client, amount) {
+    const to = bsv.PrivateKey.fromRandom(net.bsv).toAddress(net.bsv);
+    const { privateKey, address } = client.signer();
+    return (fee, utxos) => {
+      const tx = new bsv.Transaction();
+      for (const u of utxos) {
+        tx.from({ txId: u.tx_hash, outputIndex: u.tx_pos, script: bsv.Script.buildPublicKeyHashOut(address).toHex(), satoshis: u.value });
+      }
+      tx.to(to, amount);
+      const change = utxos.reduce((s, u) => s + u.value, 0) - amount - fee;
+      if (change > 546) tx.to(address, change);
+      return { tx: tx.sign(privateKey) };
+    };
+  }
+
+  it('spends only the coins it needs and reserves them until broadcast', async () => {
+    const client = walletWith([40000, 15000, 5000]);
+    const first = await client.sized(payment(client, 10000), { amount: 10000, strategy: 'largest-first' });
+    assert.deepEqual(first.coins.map(u => u.value), [40000]);
+    // A concurrent spend can't pick the same coin
+    const second = await client.sized(payment(client, 10000), { amount: 10000, strategy: 'largest-first' });
+    assert.deepEqual(second.coins.map(u => u.value), [15000]);
+    assert.deepEqual((await client.utxos()).map(u => !!u.reserved), [true, true, false]);
+
+    await client.broadcastFunded(first.built.tx.uncheckedSerialize(), first.coins);
+    await assert.rejects(client.broadcastFunded('00', second.coins));
+    const utxos = await client.utxos();
+    assert.deepEqual(utxos.map(u => u.value), [first.change, 15000, 5000]);
+    assert.equal(utxos.some(u => u.reserved), false);
+  });
+
+  it('refuses to burn dust change unless told to', async () => {
+    const client = walletWith([40000]);
+    // 40000 less a ~113-sat fee leaves ~400 sats of change
+    await assert.rejects(client.sized(payment(client, 39500), { amount: 39500 }), (err) => {
+      assert.ok(err instanceof DustChangeError);
+      assert.equal(err.code, 'DUST_CHANGE');
+      assert.ok(err.change > 0 && err.change <= 546);
+      return true;
+    });
+    const burnt = await client.sized(payment(client, 39500), { amount: 39500, burnDust: true });
+    assert.equal(burnt.change, 0);
+    assert.equal(burnt.built.tx.outputs.length, 1);
+  });
+
+  it('consolidates the unreserved coins into one', async () => {
+    const client = walletWith([3000, 2000, 1000]);
+    const result = await client.consolidate();
+    assert.equal(result.inputs, 3);
+    assert.equal(result.amount + result.fee, 6000);
+    assert.deepEqual((await client.utxos()).map(u => [u.tx_hash, u.value]), [[result.txid, result.amount]]);
+    await assert.rejects(client.consolidate(), /Nothing to consolidate/);
+    await assert.rejects(client.sized(payment(client, 1000000), { amount: 1000000 }), InsufficientFundsError);
+  });
+});
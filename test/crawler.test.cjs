@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { bsv } = require('scrypt-ts');
+const {
+  encodeCrawlerPayload,
+  decodeCrawlerPayload,
+  validateCrawlerPayload,
+  txDigest,
+  nextTarget,
+} = require('../lib/types/crawler.cjs');
+
+const targetTxid = 'ab'.repeat(32);
+
+describe('Type 3 chain crawler payload', () => {
+  it('round-trips target TXID and digest', () => {
+    const hex = encodeCrawlerPayload({ targetTxid, digest: 'CD'.repeat(32) });
+    assert.equal(hex, targetTxid + 'cd'.repeat(32));
+    assert.deepEqual(decodeCrawlerPayload(hex), { targetTxid, digest: 'cd'.repeat(32) });
+  });
+
+  it('needs a full target TXID and a digest', () => {
+    assert.throws(() => encodeCrawlerPayload({ targetTxid: 'ab', digest: 'cd' }), /32 bytes/);
+    assert.throws(() => encodeCrawlerPayload({ targetTxid, digest: '' }), /non-empty/);
+    assert.equal(decodeCrawlerPayload(targetTxid), null);
+    assert.throws(() => validateCrawlerPayload(targetTxid), /followed by a digest/);
+    assert.doesNotThrow(() => validateCrawlerPayload(targetTxid + '00'));
+  });
+
+  it('digests the raw tx and steps to the funder of its first input', () => {
+    const address = bsv.PrivateKey.fromRandom().toAddress();
+    const tx = new bsv.Transaction();
+    tx.addInput(new bsv.Transaction.Input({
+      prevTxId: targetTxid, outputIndex: 3, script: bsv.Script.empty(),
+    }), bsv.Script.buildPublicKeyHashOut(address), 1000);
+    tx.addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildPublicKeyHashOut(address), satoshis: 900 }));
+
+    const raw = tx.uncheckedSerialize();
+    assert.equal(txDigest(raw), crypto.createHash('sha256').update(Buffer.from(raw, 'hex')).digest('hex'));
+    assert.equal(nextTarget(tx), targetTxid);
+
+    const coinbase = new bsv.Transaction();
+    coinbase.addInput(new bsv.Transaction.Input({
+      prevTxId: '00'.repeat(32), outputIndex: 0xffffffff, script: bsv.Script.empty(),
+    }), bsv.Script.empty(), 0);
+    assert.equal(nextTarget(coinbase), null);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_FEE_RATE, feeForSize, feeRateOf, claimTxSize, checkGenerationFee, feeRateFromArgs,
+} = require('../lib/fees.cjs');
+const { OrganismClient } = require('../lib/client.cjs');
+
+describe('fee rates', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-fees-'));
+    fs.writeFileSync(path.join(dir, 'organism.config.json'), JSON.stringify({ feeRate: 250 }));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('prices a tx by its size in sats per kB', () => {
+    assert.equal(feeForSize(1000, 500), 500);
+    assert.equal(feeForSize(1001, 500), 501);
+    assert.equal(feeForSize(10, 1), 1);
+    assert.equal(feeRateOf(3000, 6000), 500);
+    assert.equal(feeRateOf(3000, 0), null);
+  });
+
+  it('sizes a claim around two copies of the locking script', () => {
+    assert.equal(claimTxSize(2000), 4360);
+    assert.equal(claimTxSize(2000, 100), 4560);
+  });
+
+  it('warns when the per-generation fee is far from what a claim needs', () => {
+    const size = claimTxSize(2820);  // 6000 bytes
+    assert.deepEqual(checkGenerationFee(3000, size, 500), { claimSize: 6000, needed: 3000, feeRate: 500, warning: null });
+    assert.match(checkGenerationFee(1000, size, 500).warning, /below the 500 sats\/kB rate \(3000 sats\)/);
+    assert.equal(checkGenerationFee(9000, size, 500).warning, null);
+    assert.match(checkGenerationFee(9001, size, 500).warning, /overpays/);
+  });
+
+  it('takes the rate from args, environment or config file', () => {
+    const config = path.join(dir, 'organism.config.json');
+    assert.equal(feeRateFromArgs({ 'fee-rate': '100', config }, { ORG_FEE_RATE: '200' }), 100);
+    assert.equal(feeRateFromArgs({ config }, { ORG_FEE_RATE: '200' }), 200);
+    assert.equal(feeRateFromArgs({ config }, {}), 250);
+    assert.equal(feeRateFromArgs({}, {}), null);
+    assert.throws(() => feeRateFromArgs({ 'fee-rate': 'cheap' }, {}), /positive number/);
+  });
+
+  it('asks the provider for a rate when none is set', async () => {
+    const quoted = new OrganismClient({ network: 'regtest', chain: { getFeeRate: async () => 50 } });
+    assert.equal(await quoted.feeRate(), 50);
+    const failing = new OrganismClient({ network: 'regtest', chain: { getFeeRate: async () => { throw new Error('down'); } } });
+    assert.equal(await failing.feeRate(), DEFAULT_FEE_RATE);
+    assert.equal(await new OrganismClient({ network: 'regtest', chain: {} }).feeRate(), DEFAULT_FEE_RATE);
+    assert.equal(await new OrganismClient({ network: 'regtest', chain: {}, feeRate: 120 }).feeRate(), 120);
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeHandshakeRequest, readHandshakeRequest } = require('../lib/types/handshake.cjs');
+
+describe('handshake request files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org1-handshake-'));
+  const file = path.join(dir, 'request.json');
+
+  it('round-trips a request', () => {
+    writeHandshakeRequest(file, {
+      network: 'regtest',
+      organismTxid: 'aa'.repeat(32),
+      claimer: 'mclaimer',
+      cosigner: 'mcosigner',
+      attestation: 'beef',
+      tx: '0100',
+    });
+    const request = readHandshakeRequest(file);
+    assert.equal(request.organismTxid, 'aa'.repeat(32));
+    assert.equal(request.attestation, 'beef');
+  });
+
+  it('rejects files that are not handshake requests', () => {
+    fs.writeFileSync(file, JSON.stringify({ type: 1, tx: '0100' }));
+    assert.throws(() => readHandshakeRequest(file), /not a handshake request/);
+    fs.writeFileSync(file, JSON.stringify({ type: 2, network: 'main' }));
+    assert.throws(() => readHandshakeRequest(file), /missing organismTxid/);
+    assert.throws(() => readHandshakeRequest(path.join(dir, 'nope.json')), /not found/);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bsv } = require('scrypt-ts');
+const { getNetwork } = require('../lib/network.cjs');
+const { FixtureProvider } = require('../lib/providers/fixture.cjs');
+const { org1Script } = require('../lib/org1.cjs');
+const { Catalogue, indexChain, readBlockFile, indexBlockFiles } = require('../lib/indexer.cjs');
+const { LineageStore } = require('../lib/store.cjs');
+const { OrganismClient } = require('../lib/client.cjs');
+
+const net = getNetwork('regtest');
+const ZEROS = '0'.repeat(64);
+const covenant = bsv.Script.buildPublicKeyHashOut(bsv.PrivateKey.fromRandom(net.bsv).toAddress(net.bsv));
+let nonce = 0;
+
+// A tx spending `inputs` ([txid, vout]) whose output 0 holds `balance` sats of
+// organism (none for a final generation) and then the ORG1 `records`
+function generation(inputs, balance, records) {
+  const tx = new bsv.Transaction();
+  for (const [txid, vout] of inputs) {
+    tx.uncheckedAddInput(new bsv.Transaction.Input({ prevTxId: txid, outputIndex: vout, script: bsv.Script.empty() }));
+  }
+  if (inputs.length === 0) {
+    // Stand-in for the funding input, unique per tx
+    tx.uncheckedAddInput(new bsv.Transaction.Input({
+      prevTxId: (++nonce).toString(16).padStart(64, 'f'), outputIndex: 0, script: bsv.Script.empty(),
+    }));
+  }
+  if (balance !== null) tx.addOutput(new bsv.Transaction.Output({ script: covenant, satoshis: balance }));
+  for (const record of records) tx.addOutput(new bsv.Transaction.Output({ script: org1Script(record), satoshis: 0 }));
+  return tx;
+}
+
+function seed(chain, tx, blockheight) {
+  return chain.addTx(tx.uncheckedSerialize(), { blockheight, blocktime: 1700000000 + blockheight });
+}
+
+describe('ORG1 indexer', () => {
+  let dir, chain, spawn, claim, fund, final, prey, predator, hunt, legacy;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-index-'));
+    chain = new FixtureProvider({ network: net.bsv });
+
+    // A Type 1 lineage: spawn, claim, feed in the same block, last claim
+    spawn = generation([], 5000, [{ type: 1, generation: 0, spawnTxid: ZEROS }]);
+    seed(chain, spawn, 1);
+    claim = generation([[spawn.id, 0]], 3000, [{ type: 1, generation: 1, spawnTxid: spawn.id }]);
+    seed(chain, claim, 2);
+    fund = generation([[claim.id, 0], ['ee'.repeat(32), 1]], 4000, [{ type: 1, generation: 1, spawnTxid: spawn.id }]);
+    seed(chain, fund, 2);
+    final = generation([[fund.id, 0]], null, [{ type: 1, generation: 2, spawnTxid: spawn.id }]);
+    seed(chain, final, 3);
+
+    // A hunt: the predator's input 0 and the prey's input 1
+    const predatorPayload = '01' + '00'.repeat(8);
+    predator = generation([], 2000, [{ type: 6, generation: 0, spawnTxid: ZEROS, payload: predatorPayload }]);
+    prey = generation([], 1500, [{ type: 6, generation: 0, spawnTxid: ZEROS, payload: '00' + '00'.repeat(8) }]);
+    seed(chain, predator, 3);
+    seed(chain, prey, 3);
+    hunt = generation([[predator.id, 0], [prey.id, 0]], 3400, [
+      { type: 6, generation: 1, spawnTxid: predator.id, payload: predatorPayload },
+      { type: 6, generation: 0, spawnTxid: prey.id, payload: '00' + '00'.repeat(8) },
+    ]);
+    seed(chain, hunt, 4);
+
+    // A legacy lineage of unbound records, spawned before indexing starts
+    const legacySpawn = generation([], 9000, [{ type: 0, generation: 0, spawnTxid: ZEROS }]);
+    seed(chain, legacySpawn, 1);
+    const legacyGen1 = generation([[legacySpawn.id, 0]], 8000, [{ type: 0, generation: 1, spawnTxid: ZEROS }]);
+    seed(chain, legacyGen1, 1);
+    legacy = { spawn: legacySpawn, gen2: generation([[legacyGen1.id, 0]], 7000, [{ type: 0, generation: 2, spawnTxid: ZEROS }]) };
+    seed(chain, legacy.gen2, 5);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('follows spawns, claims, feeds, deaths and hunts block by block', async () => {
+    const store = new LineageStore(path.join(dir, 'lineage.db'));
+    const catalogue = new Catalogue(store);
+    await assert.rejects(indexChain(chain, catalogue), /give the height to start from/);
+
+    const seen = [];
+    const result = await indexChain(chain, catalogue, { from: 2, to: 4, onBlock: ({ height }) => seen.push(height) });
+    assert.deepEqual(seen, [2, 3, 4]);
+    assert.equal(result.blocks, 3);
+    assert.equal(catalogue.height, 4);
+
+    // Block 1 wasn't indexed: the lineage joins at Gen 1
+    const task = catalogue.organism(spawn.id);
+    assert.equal(task.status, 'dead');
+    assert.equal(task.generation, 2);
+    assert.equal(task.since, 1);
+    assert.equal(task.spawnHeight, null);
+    assert.deepEqual([task.claims, task.funds, task.balance, task.tip], [1, 1, 0, final.id]);
+
+    assert.equal(catalogue.organism(prey.id).status, 'eaten');
+    assert.equal(catalogue.organism(prey.id).eatenBy, predator.id);
+    const hunter = catalogue.organism(predator.id);
+    assert.deepEqual([hunter.status, hunter.generation, hunter.balance, hunter.spawnHeight], ['alive', 1, 3400, 3]);
+
+    // Picks up after the last indexed block, walking a legacy lineage back to its spawn
+    store.close();
+    const reopened = new LineageStore(path.join(dir, 'lineage.db'));
+    const more = await indexChain(chain, new Catalogue(reopened));
+    assert.equal(more.from, 5);
+    const found = reopened.organism(legacy.spawn.id);
+    assert.deepEqual([found.type, found.generation, found.balance, found.since], [0, 2, 7000, 2]);
+
+    assert.deepEqual(reopened.query({ status: 'alive' }).map(o => o.spawnTxid), [legacy.spawn.id, predator.id]);
+    assert.deepEqual(reopened.query({ type: 1 }).map(o => o.spawnTxid), [spawn.id]);
+    assert.deepEqual(reopened.summary(), { organisms: 4, alive: 2, dead: 1, eaten: 1 });
+    reopened.close();
+  });
+
+  it('ingests raw block files and the client lists what it found', async () => {
+    // Height 7 in the coinbase, as BIP34 puts it
+    const coinbase = new bsv.Transaction();
+    coinbase.uncheckedAddInput(new bsv.Transaction.Input({
+      prevTxId: ZEROS, outputIndex: 0xffffffff, script: bsv.Script.fromASM('07 00'),
+    }));
+    coinbase.addOutput(new bsv.Transaction.Output({ script: covenant, satoshis: 0 }));
+    const spawned = generation([], 6000, [{ type: 7, generation: 0, spawnTxid: ZEROS }]);
+    const block = new bsv.Block({
+      header: { version: 1, prevHash: Buffer.alloc(32), merkleRoot: Buffer.alloc(32), time: 1700000007, bits: 0x207fffff, nonce: 0 },
+      transactions: [coinbase, spawned],
+    });
+    const raw = block.toBuffer();
+    const size = Buffer.alloc(4);
+    size.writeUInt32LE(raw.length);
+    const blk = path.join(dir, 'blk00000.dat');
+    fs.writeFileSync(blk, Buffer.concat([Buffer.from('dab5bffa', 'hex'), size, raw, Buffer.alloc(64)]));
+    fs.writeFileSync(path.join(dir, 'block.hex'), raw.toString('hex') + '\n');
+
+    assert.deepEqual(readBlockFile(blk).map(b => [b.height, b.time, b.txs.length]), [[7, 1700000007, 2]]);
+    assert.equal(readBlockFile(path.join(dir, 'block.hex'))[0].hash, block.hash);
+
+    const client = new OrganismClient({
+      network: 'regtest', chain, privateKey: bsv.PrivateKey.fromRandom(net.bsv),
+      dirs: { organisms: path.join(dir, 'organisms'), lineage: path.join(dir, 'client') },
+    });
+    const { blocks, changed, height } = await client.index({ files: [blk] });
+    assert.deepEqual([blocks, changed.length, height], [1, 1, 7]);
+    assert.deepEqual(client.organisms({ type: 7 }).map(o => [o.spawnTxid, o.spawnHeight, o.time]),
+      [[spawned.id, 7, '2023-11-14T22:13:27.000Z']]);
+
+    // The same block twice changes nothing
+    await indexBlockFiles([path.join(dir, 'block.hex')], new Catalogue(client.lineageStore()));
+    assert.deepEqual(client.lineageStore().summary(), { organisms: 1, alive: 1, dead: 0, eaten: 0 });
+  });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeMutexPayload, decodeMutexPayload, mutexOp, NOBODY } = require('../lib/types/mutex.cjs');
+
+const alice = 'aa'.repeat(20);
+const bob = 'bb'.repeat(20);
+
+describe('Type 5 mutex payload', () => {
+  it('round-trips holder and lock height', () => {
+    const hex = encodeMutexPayload({ holderPkh: alice, lockHeight: 840000 });
+    assert.equal(hex.length, 24 * 2);
+    assert.deepEqual(decodeMutexPayload(hex), { holderPkh: alice, lockHeight: 840000 });
+  });
+
+  it('decodes a zero PKH as a free lock', () => {
+    const hex = encodeMutexPayload({ holderPkh: NOBODY, lockHeight: 7 });
+    assert.deepEqual(decodeMutexPayload(hex), { holderPkh: null, lockHeight: 7 });
+    assert.equal(decodeMutexPayload(alice), null);
+  });
+
+  it('names the operation between two states', () => {
+    const free = { holderPkh: null, lockHeight: 1 };
+    const heldByAlice = { holderPkh: alice, lockHeight: 2 };
+    assert.equal(mutexOp(free, heldByAlice), 'acquire');
+    assert.equal(mutexOp(heldByAlice, { holderPkh: null, lockHeight: 3 }), 'release');
+    assert.equal(mutexOp(heldByAlice, { holderPkh: bob, lockHeight: 9 }), 'steal');
+    assert.equal(mutexOp(heldByAlice, heldByAlice), null);
+    assert.equal(mutexOp(null, heldByAlice), null);
+  });
+});
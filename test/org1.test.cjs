@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { org1Script, decodeORG1Script, decodeORG1, decodeAllORG1 } = require('../lib/org1.cjs');
+const { txToJson } = require('../lib/providers/tx-json.cjs');
+const { bsv } = require('scrypt-ts');
+
+const spawnTxid = '11'.repeat(32);
+
+describe('ORG1 codec', () => {
+  it('round-trips the common fields without a payload', () => {
+    const hex = org1Script({ type: 7, generation: 258, spawnTxid }).toHex();
+    assert.deepEqual(decodeORG1Script(hex), { type: 7, generation: 258, spawnTxid, payload: '' });
+  });
+
+  for (const size of [1, 75, 76, 200, 300]) {
+    it(`round-trips a ${size}-byte payload`, () => {
+      const payload = 'ab'.repeat(size);
+      const hex = org1Script({ type: 1, generation: 3, spawnTxid, payload }).toHex();
+      assert.equal(decodeORG1Script(hex).payload, payload);
+    });
+  }
+
+  it('ignores scripts that are not ORG1', () => {
+    assert.equal(decodeORG1Script('006a0441424344'), null);
+    assert.equal(decodeORG1Script('76a914' + '00'.repeat(20) + '88ac'), null);
+    assert.equal(decodeORG1Script(undefined), null);
+  });
+
+  it('rejects truncated ORG1 data', () => {
+    const hex = org1Script({ type: 0, generation: 1, spawnTxid }).toHex();
+    assert.equal(decodeORG1Script(hex.slice(0, -2)), null);
+  });
+
+  it('finds the ORG1 output in a transaction', () => {
+    const tx = new bsv.Transaction();
+    tx.addOutput(new bsv.Transaction.Output({
+      script: bsv.Script.buildPublicKeyHashOut(bsv.PrivateKey.fromRandom().toAddress()),
+      satoshis: 1000,
+    }));
+    tx.addOutput(new bsv.Transaction.Output({
+      script: org1Script({ type: 0, generation: 9, spawnTxid, payload: 'cafe' }),
+      satoshis: 0,
+    }));
+    assert.equal(decodeORG1(txToJson(tx)).generation, 9);
+  });
+
+  it('lists every ORG1 output of a hunt in order', () => {
+    const tx = new bsv.Transaction();
+    for (const [generation, id] of [[4, spawnTxid], [2, '22'.repeat(32)]]) {
+      tx.addOutput(new bsv.Transaction.Output({
+        script: org1Script({ type: 6, generation, spawnTxid: id }),
+        satoshis: 0,
+      }));
+    }
+    const records = decodeAllORG1(txToJson(tx));
+    assert.deepEqual(records.map(r => [r.generation, r.spawnTxid]), [[4, spawnTxid], [2, '22'.repeat(32)]]);
+    assert.equal(decodeORG1(txToJson(tx)).generation, 4);
+  });
+});
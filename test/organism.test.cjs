@@ -0,0 +1,647 @@
+// End-to-end organism lifecycle against the in-process simulator.
+// Needs the compiled contracts: run `npm run compile` first. Without them the
+// suite is skipped with a message saying so; CI compiles before it tests.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bsv, PubKeyHash, toByteString } = require('scrypt-ts');
+const { SimulatorProvider } = require('../lib/providers/simulator.cjs');
+const { getNetwork } = require('../lib/network.cjs');
+const { OrganismClient } = require('../lib/client.cjs');
+const {
+  artifactPath,
+  organismType,
+  buildSpawnTx,
+  loadFromChain,
+  lineageSpawnTxid,
+  claimPlan,
+  buildClaimTx,
+  cosignClaimTx,
+  buildMutexTx,
+  buildHuntTx,
+  buildFireTx,
+  followToTip,
+  signOrganismInput,
+  buildFundTx,
+  p2pkhInput,
+} = require('../lib/organism.cjs');
+const { org1Script, decodeORG1Script } = require('../lib/org1.cjs');
+const { TASK_TYPE, encodeTaskPayload, decodeTaskPayload } = require('../lib/types/task.cjs');
+
+const { HANDSHAKE_TYPE } = require('../lib/types/handshake.cjs');
+const { MUTEX_TYPE, decodeMutexPayload } = require('../lib/types/mutex.cjs');
+const { REPUTATION_TYPE, decodeReputationPayload } = require('../lib/types/reputation.cjs');
+const { PREDATOR_TYPE, encodePredatorPayload, decodePredatorPayload } = require('../lib/types/predator.cjs');
+const { RELAY_TYPE, decodeRelayPayload } = require('../lib/types/relay.cjs');
+const { CRAWLER_TYPE, encodeCrawlerPayload, decodeCrawlerPayload } = require('../lib/types/crawler.cjs');
+const { SWARM_TYPE, encodeSwarmPayload, decodeSwarmPayload } = require('../lib/types/swarm.cjs');
+
+const TYPES = [0, TASK_TYPE, HANDSHAKE_TYPE, MUTEX_TYPE, PREDATOR_TYPE, REPUTATION_TYPE, RELAY_TYPE];
+const compiled = TYPES.every(type => fs.existsSync(artifactPath(type))) &&
+  [
+    'organism', 'taskOrganism', 'handshakeOrganism', 'mutexOrganism', 'predatorPreyOrganism', 'reputationOrganism',
+    'signalRelayOrganism',
+  ].every(source =>
+    fs.existsSync(path.join(__dirname, '..', `dist/src/contracts/${source}.js`)));
+
+const net = getNetwork('regtest');
+const funder = bsv.PrivateKey.fromRandom(net.bsv);
+const funderAddress = funder.toAddress(net.bsv);
+const claimer = bsv.PrivateKey.fromRandom(net.bsv).toAddress(net.bsv);
+
+function decodeOrg1(tx, index) {
+  return decodeORG1Script(tx.outputs[index].script.toHex());
+}
+
+async function spawn(sim, {
+  type = 0, budget, reward, fee, tag, maxPayload, cosigner, timeout, subject, species, watch, window,
+}) {
+  const utxos = await sim.listUnspent(funderAddress.toString());
+  const { tx } = buildSpawnTx({
+    type, budget, reward, fee, tag, maxPayload, cosigner, timeout, subject, species, watch, window,
+    utxos, address: funderAddress, spawnFee: 500,
+  });
+  return sim.broadcast(tx.sign(funder).serialize());
+}
+
+async function claim(sim, txid, options) {
+  const organism = await loadFromChain(sim, txid, net);
+  const result = await buildClaimTx(organism, claimer, options);
+  return { ...result, txid: await sim.broadcast(result.tx.uncheckedSerialize()) };
+}
+
+// Claim with deliberately wrong outputs. The unlocking script is built for the
+// malformed tx itself, so only the covenant's own checks can reject it.
+async function claimMalformed(sim, txid, {
+  reward, generation, spawnTxid: forgedSpawnTxid, tag, payload = '', omitOpReturn = false,
+}) {
+  const organism = await loadFromChain(sim, txid, net);
+  const plan = claimPlan(organism);
+  const spawnTxid = lineageSpawnTxid(organism);
+  const next = organism.next();
+  next.generation = organism.generation + 1n;
+  next.spawnTxid = toByteString(spawnTxid);
+  if (organismType(organism) === REPUTATION_TYPE) next.lastInteraction = toByteString(payload);
+
+  organism.bindTxBuilder('claim', (current) => {
+    const tx = new bsv.Transaction();
+    tx.addInput(current.buildContractInput());
+    tx.addOutput(new bsv.Transaction.Output({ script: next.lockingScript, satoshis: plan.nextBalance }));
+    if (!omitOpReturn) {
+      tx.addOutput(new bsv.Transaction.Output({
+        script: org1Script({
+          type: organismType(organism),
+          generation: generation ?? plan.generation + 1,
+          spawnTxid: forgedSpawnTxid ?? spawnTxid,
+          payload: (tag ?? organism.tag ?? '') + payload,
+        }),
+        satoshis: 0,
+      }));
+    }
+    tx.addOutput(new bsv.Transaction.Output({
+      script: bsv.Script.buildPublicKeyHashOut(claimer),
+      satoshis: reward ?? plan.reward,
+    }));
+    return Promise.resolve({ tx, atInputIndex: 0, nexts: [] });
+  });
+
+  const { tx } = await organism.methods.claim(
+    PubKeyHash(toByteString(claimer.hashBuffer.toString('hex'))),
+    toByteString(payload),
+    { autoPayFee: false, partiallySigned: true, estimateFee: false }
+  );
+  return sim.broadcast(tx.uncheckedSerialize());
+}
+
+describe('organism lifecycle', { skip: !compiled && 'contracts not compiled: run `npm run compile` first' }, () => {
+  let sim;
+
+  beforeEach(() => {
+    sim = new SimulatorProvider({ network: net.bsv });
+    sim.faucet(funderAddress, 1000000);
+  });
+
+  it('spawns with an ORG1 gen 0 marker', async () => {
+    const txid = await spawn(sim, { budget: 10000, reward: 1000, fee: 1500 });
+    const tx = new bsv.Transaction(await sim.getRawTx(txid));
+
+    assert.equal(tx.outputs[0].satoshis, 10000);
+    assert.deepEqual(decodeOrg1(tx, 1), {
+      type: 0, generation: 0, spawnTxid: '00'.repeat(32), payload: '',
+    });
+  });
+
+  it('hands back the coins a spawn reserved when its tx fails to build', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-spawn-'));
+    try {
+      const client = new OrganismClient({
+        network: 'regtest', chain: sim, privateKey: funder,
+        dirs: { organisms: dir, lineage: dir, reservations: path.join(dir, 'reservations.json') },
+      });
+      // A spawn fee this far above the tx's size fails the serialize checks
+      await assert.rejects(client.spawn({ budget: 10000, reward: 1000, fee: 1500, spawnFee: 900000, save: false }));
+      assert.equal((await client.utxos()).some(u => u.reserved), false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('writes the tag and claim payload into every generation', async () => {
+    const spawnTxid = await spawn(sim, { budget: 10000, reward: 1000, fee: 1500, tag: 'cafe', maxPayload: 200 });
+    const gen1 = await claim(sim, spawnTxid, { payload: 'ab'.repeat(150) });
+    const gen2 = await claim(sim, gen1.txid);
+
+    const tx1 = new bsv.Transaction(await sim.getRawTx(gen1.txid));
+    const tx2 = new bsv.Transaction(await sim.getRawTx(gen2.txid));
+    assert.equal(decodeOrg1(tx1, 1).payload, 'cafe' + 'ab'.repeat(150));
+    assert.equal(decodeOrg1(tx2, 1).payload, 'cafe');
+  });
+
+  it('refuses payloads above maxPayload before building', async () => {
+    const spawnTxid = await spawn(sim, { budget: 10000, reward: 1000, fee: 1500, maxPayload: 4 });
+    const organism = await loadFromChain(sim, spawnTxid, net);
+    await assert.rejects(buildClaimTx(organism, claimer, { payload: '0011223344' }), /at most 4/);
+  });
+
+  it('binds the spawn txid on the first reproduction and keeps it', async () => {
+    const spawnTxid = await spawn(sim, { budget: 10000, reward: 1000, fee: 1500 });
+    const gen1 = await claim(sim, spawnTxid);
+    const gen2 = await claim(sim, gen1.txid);
+
+    for (const txid of [gen1.txid, gen2.txid]) {
+      const tx = new bsv.Transaction(await sim.getRawTx(txid));
+      assert.equal(decodeOrg1(tx, 1).spawnTxid, spawnTxid);
+    }
+    assert.equal((await loadFromChain(sim, gen2.txid, net)).spawnTxid, spawnTxid);
+  });
+
+  it('reproduces until the balance runs out, then dies', async () => {
+    let tip = await spawn(sim, { budget: 10000, reward: 1000, fee: 1500 });
+    const balances = [];
+
+    for (let gen = 1; ; gen++) {
+      const result = await claim(sim, tip);
+      const tx = new bsv.Transaction(await sim.getRawTx(result.txid));
+      const org1Index = result.alive ? 1 : 0;
+
+      assert.equal(decodeOrg1(tx, org1Index).generation, gen);
+      assert.equal(tx.outputs[org1Index + 1].satoshis, 1000);
+      assert.equal(tx.outputs[org1Index + 1].script.toAddress(net.bsv).toString(), claimer.toString());
+
+      if (!result.alive) break;
+      balances.push(tx.outputs[0].satoshis);
+      tip = result.txid;
+    }
+
+    assert.deepEqual(balances, [7500, 5000, 2500]);
+  });
+
+  it('can be fed mid-life without advancing the generation', async () => {
+    const spawnTxid = await spawn(sim, { budget: 10000, reward: 1000, fee: 1500 });
+    const gen1 = await claim(sim, spawnTxid);
+
+    const organism = await loadFromChain(sim, gen1.txid, net);
+    const { tx } = await buildFundTx(organism, {
+      amount: 5000,
+      fee: 500,
+      utxos: await sim.listUnspent(funderAddress.toString()),
+      privateKey: funder,
+      address: funderAddress,
+    });
+    const fedTxid = await sim.broadcast(tx.uncheckedSerialize());
+    const fed = new bsv.Transaction(await sim.getRawTx(fedTxid));
+
+    assert.equal(fed.outputs[0].satoshis, 12500);
+    assert.equal(decodeOrg1(fed, 1).generation, 1);
+
+    const gen2 = await claim(sim, fedTxid);
+    assert.equal(gen2.nextBalance, 10000);
+  });
+
+  describe('rejects malformed reproductions', () => {
+    let tip;
+
+    beforeEach(async () => {
+      tip = await spawn(sim, { budget: 10000, reward: 1000, fee: 1500, tag: 'cafe', maxPayload: 4 });
+    });
+
+    const cases = {
+      'wrong reward': { reward: 2000 },
+      'wrong generation': { generation: 5 },
+      'missing OP_RETURN': { omitOpReturn: true },
+      'wrong spawn txid': { spawnTxid: 'ff'.repeat(32) },
+      'dropped tag': { tag: '' },
+      'payload above maxPayload': { payload: '0011223344' },
+    };
+
+    for (const [name, tweak] of Object.entries(cases)) {
+      it(name, async () => {
+        await assert.rejects(claimMalformed(sim, tip, tweak));
+        assert.equal(await sim.getSpent(tip, 0), null);
+      });
+    }
+  });
+
+  describe('task organism', () => {
+    const taskHash = '11'.repeat(32);
+    const resultHash = '22'.repeat(32);
+    const claimerPkh = claimer.hashBuffer.toString('hex');
+    let tip;
+
+    beforeEach(async () => {
+      tip = await spawn(sim, { type: TASK_TYPE, budget: 10000, reward: 1000, fee: 1500 });
+    });
+
+    it('records task, result and claimer in each generation', async () => {
+      const payload = encodeTaskPayload({ taskHash, resultHash, claimerPkh });
+      const gen1 = await claim(sim, tip, { payload });
+      const tx = new bsv.Transaction(await sim.getRawTx(gen1.txid));
+      const org1 = decodeOrg1(tx, 1);
+
+      assert.equal(org1.type, TASK_TYPE);
+      assert.deepEqual(decodeTaskPayload(org1.payload), { taskHash, resultHash, claimerPkh });
+      assert.equal(organismType(await loadFromChain(sim, gen1.txid, net)), TASK_TYPE);
+    });
+
+    it('refuses a payload naming someone other than the claimer before building', async () => {
+      const organism = await loadFromChain(sim, tip, net);
+      const payload = encodeTaskPayload({ taskHash, resultHash, claimerPkh: 'ff'.repeat(20) });
+      await assert.rejects(buildClaimTx(organism, claimer, { payload }), /does not match/);
+    });
+
+    const cases = {
+      'short payload': { payload: taskHash + resultHash },
+      'PKH not the reward address': { payload: taskHash + resultHash + 'ff'.repeat(20) },
+    };
+
+    for (const [name, tweak] of Object.entries(cases)) {
+      it(`rejects ${name}`, async () => {
+        await assert.rejects(claimMalformed(sim, tip, tweak));
+        assert.equal(await sim.getSpent(tip, 0), null);
+      });
+    }
+  });
+
+  describe('handshake organism', () => {
+    const cosigner = bsv.PrivateKey.fromRandom(net.bsv);
+    const cosignerPkh = cosigner.toAddress(net.bsv).hashBuffer.toString('hex');
+    let tip;
+
+    beforeEach(async () => {
+      tip = await spawn(sim, {
+        type: HANDSHAKE_TYPE, budget: 10000, reward: 1000, fee: 1500, cosigner: cosigner.toAddress(net.bsv),
+      });
+    });
+
+    it('reproduces once the co-signer signs, recording PKH and attestation', async () => {
+      const { tx: request } = await buildClaimTx(await loadFromChain(sim, tip, net), claimer, { payload: 'beef' });
+      const { tx } = await cosignClaimTx(sim, tip, net, claimer, {
+        payload: 'beef', privateKey: cosigner, expectTx: request.uncheckedSerialize(),
+      });
+      const txid = await sim.broadcast(tx.uncheckedSerialize());
+      const gen1 = new bsv.Transaction(await sim.getRawTx(txid));
+
+      assert.equal(decodeOrg1(gen1, 1).payload, cosignerPkh + 'beef');
+      assert.equal(gen1.outputs[2].script.toAddress(net.bsv).toString(), claimer.toString());
+    });
+
+    it('cannot be claimed without the co-signature', async () => {
+      const { tx } = await buildClaimTx(await loadFromChain(sim, tip, net), claimer);
+      await assert.rejects(sim.broadcast(tx.uncheckedSerialize()), /mandatory-script-verify-flag-failed/);
+    });
+
+    it('rejects a signature from any other key', async () => {
+      const stranger = bsv.PrivateKey.fromRandom(net.bsv);
+      await assert.rejects(
+        cosignClaimTx(sim, tip, net, claimer, { privateKey: stranger }),
+        { code: 'INVALID_ARGUMENT', message: /not the organism's co-signer/ }
+      );
+
+      // Even when forced into the unlocking script, the covenant refuses it
+      const { tx: unsigned } = await buildClaimTx(await loadFromChain(sim, tip, net), claimer);
+      const organism = await loadFromChain(sim, tip, net);
+      const { tx } = await buildClaimTx(organism, claimer, {
+        cosignerSig: signOrganismInput(unsigned, organism, stranger),
+        cosignerPubKey: stranger.toPublicKey().toHex(),
+      });
+      await assert.rejects(sim.broadcast(tx.uncheckedSerialize()));
+      assert.equal(await sim.getSpent(tip, 0), null);
+    });
+
+    it('refuses a request that no longer matches the organism', async () => {
+      const { tx: request } = await buildClaimTx(await loadFromChain(sim, tip, net), claimer, { payload: 'beef' });
+      await assert.rejects(
+        cosignClaimTx(sim, tip, net, claimer, {
+          payload: 'dead', privateKey: cosigner, expectTx: request.uncheckedSerialize(),
+        }),
+        { code: 'INVALID_ARGUMENT', message: /does not match/ }
+      );
+    });
+  });
+
+  describe('mutex organism', () => {
+    const alice = bsv.PrivateKey.fromRandom(net.bsv);
+    const bob = bsv.PrivateKey.fromRandom(net.bsv);
+    const pkh = (key) => key.toAddress(net.bsv).hashBuffer.toString('hex');
+    let tip;
+
+    async function op(name, key, lockHeight = sim.height) {
+      const organism = await loadFromChain(sim, tip, net);
+      const { tx } = await buildMutexTx(organism, name, { privateKey: key, lockHeight });
+      tip = await sim.broadcast(tx.uncheckedSerialize());
+      return decodeMutexPayload(decodeOrg1(new bsv.Transaction(await sim.getRawTx(tip)), 1).payload);
+    }
+
+    beforeEach(async () => {
+      tip = await spawn(sim, { type: MUTEX_TYPE, budget: 20000, reward: 1000, fee: 1500, timeout: 5 });
+    });
+
+    it('starts free, then records acquire and release', async () => {
+      const gen0 = decodeMutexPayload(decodeOrg1(new bsv.Transaction(await sim.getRawTx(tip)), 1).payload);
+      assert.deepEqual(gen0, { holderPkh: null, lockHeight: 0 });
+
+      assert.deepEqual(await op('acquire', alice), { holderPkh: pkh(alice), lockHeight: sim.height });
+      sim.mine();
+      assert.deepEqual(await op('release', alice), { holderPkh: null, lockHeight: sim.height });
+      assert.equal((await op('acquire', bob)).holderPkh, pkh(bob));
+    });
+
+    it('refuses acquire while held and release by anyone but the holder', async () => {
+      await op('acquire', alice);
+      await assert.rejects(op('acquire', bob), { code: 'INVALID_ARGUMENT', message: /Lock is held/ });
+      await assert.rejects(op('release', bob), { code: 'INVALID_ARGUMENT', message: /Only the holder/ });
+      await assert.rejects(op('borrow', bob), { code: 'INVALID_ARGUMENT', message: /Unknown mutex operation/ });
+    });
+
+    it('can only be stolen once the timeout has passed', async () => {
+      await op('acquire', alice);
+      const heldSince = sim.height;
+
+      await assert.rejects(op('steal', bob), { code: 'INVALID_ARGUMENT', message: /stolen from block/ });
+      // Stamped with the timeout height, the steal is not final until then
+      await assert.rejects(op('steal', bob, heldSince + 5), /non-final/);
+
+      for (let i = 0; i < 5; i++) sim.mine();
+      assert.deepEqual(await op('steal', bob), { holderPkh: pkh(bob), lockHeight: heldSince + 5 });
+    });
+  });
+
+  describe('reputation organism', () => {
+    const subject = bsv.PrivateKey.fromRandom(net.bsv).toAddress(net.bsv);
+    const subjectPkh = subject.hashBuffer.toString('hex');
+    let tip;
+
+    async function record(txid) {
+      const tx = new bsv.Transaction(await sim.getRawTx(txid));
+      return decodeReputationPayload(decodeOrg1(tx, 1).payload);
+    }
+
+    beforeEach(async () => {
+      tip = await spawn(sim, { type: REPUTATION_TYPE, budget: 20000, reward: 1000, fee: 1500, subject });
+    });
+
+    it('counts interactions up by one for the same subject', async () => {
+      assert.deepEqual(await record(tip), { subjectPkh, count: 0, interactionHash: null });
+
+      const gen1 = await claim(sim, tip, { payload: 'a1'.repeat(32) });
+      const gen2 = await claim(sim, gen1.txid, { payload: 'b2'.repeat(32) });
+
+      assert.deepEqual(await record(gen1.txid), { subjectPkh, count: 1, interactionHash: 'a1'.repeat(32) });
+      assert.deepEqual(await record(gen2.txid), { subjectPkh, count: 2, interactionHash: 'b2'.repeat(32) });
+    });
+
+    it('refuses to record the same interaction twice in a row', async () => {
+      const gen1 = await claim(sim, tip, { payload: 'a1'.repeat(32) });
+      const organism = await loadFromChain(sim, gen1.txid, net);
+      await assert.rejects(buildClaimTx(organism, claimer, { payload: 'a1'.repeat(32) }), /already the latest/);
+      await assert.rejects(buildClaimTx(organism, claimer, { payload: 'c3' }), /32 bytes/);
+    });
+
+    const cases = {
+      'another subject': { tag: 'ff'.repeat(20) + '01000000' },
+      'a skipped count': { tag: subjectPkh + '02000000' },
+    };
+
+    for (const [name, tweak] of Object.entries(cases)) {
+      it(`rejects a record with ${name}`, async () => {
+        await assert.rejects(claimMalformed(sim, tip, { ...tweak, payload: 'a1'.repeat(32) }));
+        assert.equal(await sim.getSpent(tip, 0), null);
+      });
+    }
+  });
+
+  describe('predator/prey organism', () => {
+    const PREY = 0;
+    const PREDATOR = 1;
+    let predatorTip;
+    let preyTip;
+
+    function records(tx) {
+      return tx.outputs
+        .map(out => decodeORG1Script(out.script.toHex()))
+        .filter(Boolean)
+        .map(org1 => ({ generation: org1.generation, spawnTxid: org1.spawnTxid, ...decodePredatorPayload(org1.payload) }));
+    }
+
+    async function hunt(predatorTxid, preyTxid) {
+      const predator = await loadFromChain(sim, predatorTxid, net);
+      const prey = await loadFromChain(sim, preyTxid, net);
+      const result = await buildHuntTx(predator, prey, claimer);
+      return { ...result, txid: await sim.broadcast(result.tx.uncheckedSerialize()) };
+    }
+
+    beforeEach(async () => {
+      predatorTip = await spawn(sim, { type: PREDATOR_TYPE, species: PREDATOR, budget: 20000, reward: 1000, fee: 1500 });
+      preyTip = await spawn(sim, { type: PREDATOR_TYPE, species: PREY, budget: 8000, reward: 1000, fee: 1500 });
+    });
+
+    it('reproduces either species without changing its record', async () => {
+      const gen1 = await claim(sim, preyTip);
+      const tx = new bsv.Transaction(await sim.getRawTx(gen1.txid));
+      assert.deepEqual(records(tx), [{ generation: 1, spawnTxid: preyTip, species: 'prey', energy: 0 }]);
+      await assert.rejects(claim(sim, gen1.txid, { payload: 'beef' }), /don't take a payload/);
+    });
+
+    it('eats the prey: its balance becomes predator balance and energy', async () => {
+      const preyGen1 = await claim(sim, preyTip);
+      const result = await hunt(predatorTip, preyGen1.txid);
+      const tx = new bsv.Transaction(await sim.getRawTx(result.txid));
+
+      assert.equal(result.preyBalance, 5500);
+      assert.equal(tx.outputs[0].satoshis, 20000 + 5500 - 1000 - 1500);
+      assert.deepEqual(records(tx), [
+        { generation: 1, spawnTxid: predatorTip, species: 'predator', energy: 5500 },
+        { generation: 2, spawnTxid: preyTip, species: 'prey', energy: 0 },
+      ]);
+      assert.equal(tx.outputs[3].script.toAddress(net.bsv).toString(), claimer.toString());
+
+      const predator = await loadFromChain(sim, result.txid, net);
+      assert.equal(predator.energy, 5500n);
+      assert.equal(predator.generation, 1n);
+    });
+
+    it('ends the prey lineage at the hunt', async () => {
+      const { txid } = await hunt(predatorTip, preyTip);
+      assert.deepEqual(await sim.getSpent(preyTip, 0), { txid, vin: 1 });
+      await assert.rejects(followToTip(sim, preyTip), /eaten by a predator/);
+      assert.equal(await followToTip(sim, predatorTip), txid);
+    });
+
+    it('refuses prey hunting, predators as prey and other ecosystems', async () => {
+      const otherPredator = await spawn(sim, { type: PREDATOR_TYPE, species: PREDATOR, budget: 20000, reward: 1000, fee: 1500 });
+      const stranger = await spawn(sim, { type: PREDATOR_TYPE, species: PREY, budget: 8000, reward: 2000, fee: 1500 });
+
+      await assert.rejects(hunt(preyTip, predatorTip), { code: 'WRONG_TYPE', message: /Only predators hunt/ });
+      await assert.rejects(hunt(predatorTip, otherPredator), { code: 'WRONG_TYPE', message: /only eat prey/ });
+      await assert.rejects(hunt(predatorTip, stranger), { code: 'INVALID_ARGUMENT', message: /another ecosystem/ });
+    });
+
+    it('can only be eaten by a predator spent as input 0', async () => {
+      // A plain P2PKH coin as input 0, claiming to be a predator with made-up
+      // state, would otherwise write out a predator of its choosing
+      const coin = sim.faucet(funderAddress, 20000);
+      const coinTx = await sim.getRawTx(coin.tx_hash);
+      const prey = await loadFromChain(sim, preyTip, net);
+      const forged = { spawnTxid: 'f0'.repeat(32), generation: 99n, energy: 1000000n };
+      const preyBalance = Number(prey.balance);
+      const nextBalance = coin.value + preyBalance - 1000 - 1500;
+
+      const next = prey.next();
+      next.species = BigInt(PREDATOR);
+      next.energy = forged.energy + BigInt(preyBalance);
+      next.generation = forged.generation + 1n;
+      next.spawnTxid = toByteString(forged.spawnTxid);
+      prey.bindTxBuilder('eaten', (current) => {
+        const tx = new bsv.Transaction();
+        tx.from(p2pkhInput(coin, funderAddress));
+        tx.addInput(current.buildContractInput());
+        tx.addOutput(new bsv.Transaction.Output({ script: next.lockingScript, satoshis: nextBalance }));
+        tx.addOutput(new bsv.Transaction.Output({
+          script: org1Script({ type: PREDATOR_TYPE, generation: 100, spawnTxid: forged.spawnTxid, payload: encodePredatorPayload({ species: PREDATOR, energy: next.energy }) }),
+          satoshis: 0,
+        }));
+        tx.addOutput(new bsv.Transaction.Output({
+          script: org1Script({ type: PREDATOR_TYPE, generation: 1, spawnTxid: preyTip, payload: encodePredatorPayload({ species: PREY, energy: 0 }) }),
+          satoshis: 0,
+        }));
+        tx.addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildPublicKeyHashOut(claimer), satoshis: 1000 }));
+        return Promise.resolve({ tx, atInputIndex: 1, nexts: [] });
+      });
+
+      const { tx } = await prey.methods.eaten(
+        PubKeyHash(toByteString(claimer.hashBuffer.toString('hex'))),
+        toByteString(forged.spawnTxid),
+        forged.generation,
+        forged.energy,
+        BigInt(coin.value),
+        toByteString(coinTx),
+        { autoPayFee: false, partiallySigned: true, estimateFee: false }
+      );
+      tx.sign(funder);
+      await assert.rejects(sim.broadcast(tx.uncheckedSerialize()), /mandatory-script-verify-flag-failed/);
+      assert.equal(await sim.getSpent(preyTip, 0), null);
+    });
+  });
+
+  describe('signal relay organism', () => {
+    const firer = bsv.PrivateKey.fromRandom(net.bsv);
+    const firerAddress = firer.toAddress(net.bsv);
+    let watched;
+    let relayTip;
+
+    async function fire(spenderTx, options = {}) {
+      const relay = await loadFromChain(sim, relayTip, net);
+      const { tx } = await buildFireTx(relay, {
+        spenderTx, height: sim.height, privateKey: firer, address: firerAddress, ...options,
+      });
+      return sim.broadcast(tx.uncheckedSerialize());
+    }
+
+    // Claim an organism, paying `to`; the claim spends its output 0 as input 0
+    async function claimOn(txid, to) {
+      const { tx } = await buildClaimTx(await loadFromChain(sim, txid, net), to);
+      return new bsv.Transaction(await sim.getRawTx(await sim.broadcast(tx.uncheckedSerialize())));
+    }
+
+    beforeEach(async () => {
+      watched = await spawn(sim, { budget: 10000, reward: 1000, fee: 1500 });
+      relayTip = await spawn(sim, {
+        type: RELAY_TYPE, budget: 20000, reward: 1000, fee: 1500, watch: watched, window: 6,
+      });
+    });
+
+    it('fires on the watched spend, flips the flag, then reproduces', async () => {
+      await assert.rejects(claim(sim, relayTip), { code: 'INVALID_ARGUMENT', message: /has not fired/ });
+
+      const spend = await claimOn(watched, firerAddress);
+      const txid = await fire(spend);
+      const tx = new bsv.Transaction(await sim.getRawTx(txid));
+
+      assert.deepEqual(decodeRelayPayload(decodeOrg1(tx, 1).payload), { watchedTxid: watched, window: 6, triggered: true });
+      // The proof output (the watched claim's reward) comes back with the relay's reward
+      assert.equal(tx.outputs[2].satoshis, 1000 + 1000);
+
+      relayTip = txid;
+      await assert.rejects(fire(spend), { code: 'INVALID_ARGUMENT', message: /already fired/ });
+      assert.equal((await claim(sim, txid)).generation, 1);
+    });
+
+    it('refuses the spend of any other outpoint', async () => {
+      const other = await spawn(sim, { budget: 10000, reward: 1000, fee: 1500 });
+      await assert.rejects(fire(await claimOn(other, firerAddress)), { code: 'INVALID_ARGUMENT', message: /does not spend/ });
+    });
+
+    it('refuses a spend outside the block window', async () => {
+      const spend = await claimOn(watched, firerAddress);
+      await assert.rejects(fire(spend, { spendHeight: sim.height, height: sim.height + 7 }), { code: 'INVALID_ARGUMENT', message: /window closed/ });
+    });
+
+    it('refuses a fire far outside the window', async () => {
+      const spend = await claimOn(watched, firerAddress);
+      sim.mine();
+      const spendHeight = sim.height;
+      for (let i = 0; i < 100; i++) sim.mine();
+      await assert.rejects(fire(spend, { spendHeight }), { code: 'INVALID_ARGUMENT', message: /window closed/ });
+      assert.equal(await sim.getSpent(relayTip, 0), null);
+    });
+
+    it('needs a real spending tx with an output for the firer', async () => {
+      await assert.rejects(fire(await claimOn(watched, claimer)), { code: 'INVALID_ARGUMENT', message: /No output/ });
+
+      // A made-up spend has nothing on chain for input 1 to spend
+      const forged = new bsv.Transaction();
+      forged.addInput(new bsv.Transaction.Input({
+        prevTxId: watched, outputIndex: 0, script: bsv.Script.empty(),
+      }), bsv.Script.buildPublicKeyHashOut(firerAddress), 10000);
+      forged.addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildPublicKeyHashOut(firerAddress), satoshis: 9000 }));
+      await assert.rejects(fire(forged));
+      assert.equal(await sim.getSpent(relayTip, 0), null);
+    });
+  });
+
+  describe('typed payloads', () => {
+    it('records crawler and swarm payloads on the base covenant', async () => {
+      const crawler = await spawn(sim, { type: CRAWLER_TYPE, budget: 10000, reward: 1000, fee: 1500 });
+      const step = encodeCrawlerPayload({ targetTxid: crawler, digest: 'ee'.repeat(32) });
+      const crawled = new bsv.Transaction(await sim.getRawTx((await claim(sim, crawler, { payload: step })).txid));
+      assert.deepEqual(decodeCrawlerPayload(decodeOrg1(crawled, 1).payload), { targetTxid: crawler, digest: 'ee'.repeat(32) });
+
+      const particle = await spawn(sim, { type: SWARM_TYPE, budget: 10000, reward: 1000, fee: 1500 });
+      const state = { position: [1.5, -2], velocity: [0, 0], personalBest: [1.5, -2] };
+      const moved = new bsv.Transaction(await sim.getRawTx(
+        (await claim(sim, particle, { payload: encodeSwarmPayload(state) })).txid
+      ));
+      assert.deepEqual(decodeSwarmPayload(decodeOrg1(moved, 1).payload), { dims: 2, ...state, globalBestRef: null });
+    });
+
+    it('refuses malformed payloads and tags before building', async () => {
+      const crawler = await spawn(sim, { type: CRAWLER_TYPE, budget: 10000, reward: 1000, fee: 1500 });
+      const organism = await loadFromChain(sim, crawler, net);
+      await assert.rejects(buildClaimTx(organism, claimer, { payload: 'ab'.repeat(32) }), /target TXID/);
+      await assert.rejects(spawn(sim, { type: SWARM_TYPE, budget: 10000, reward: 1000, fee: 1500, tag: 'cafe' }), /don't take a tag/);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPlugins, pluginPaths } = require('../lib/plugins.cjs');
+const { codecFor, decodePayload, validatePayload, formatPayload } = require('../lib/types/index.cjs');
+
+// A 2-byte temperature reading in tenths of a degree, refusing impossible values
+const WEATHER = `
+module.exports = {
+  type: 42,
+  name: 'Weather Station',
+  encode: ({ celsius }) => {
+    const buf = Buffer.alloc(2);
+    buf.writeInt16LE(Math.round(celsius * 10));
+    return buf.toString('hex');
+  },
+  decode: (hex) => hex.length === 4 ? { celsius: Buffer.from(hex, 'hex').readInt16LE(0) / 10 } : null,
+  format: (f) => f.celsius + ' °C',
+  validate: (hex, f) => {
+    if (f && f.celsius < -273.1) throw new Error('Colder than absolute zero');
+  },
+};
+`;
+
+describe('payload codec plugins', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-plugins-'));
+    fs.writeFileSync(path.join(dir, 'weather.cjs'), WEATHER);
+    fs.writeFileSync(path.join(dir, 'pair.cjs'), `module.exports = [
+      { type: 43, name: 'Raw', decode: (hex) => hex ? { hex } : null },
+      { type: 44, name: 'Other', decode: () => ({}) },
+    ];`);
+    fs.writeFileSync(path.join(dir, 'builtin.cjs'), `module.exports = { type: 3, name: 'Crawler 2', decode: () => ({}) };`);
+    fs.writeFileSync(path.join(dir, 'nameless.cjs'), `module.exports = { type: 45, decode: () => ({}) };`);
+    fs.writeFileSync(path.join(dir, 'organism.config.json'), JSON.stringify({ plugins: ['./pair.cjs'] }));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('collects plugins from --plugin, the environment and the config file', () => {
+    const paths = pluginPaths(
+      { plugin: `${dir}/weather.cjs, ${dir}/a.cjs`, config: path.join(dir, 'organism.config.json') },
+      { ORG_PLUGINS: `${dir}/b.cjs` }
+    );
+    assert.deepEqual(paths, ['weather.cjs', 'a.cjs', 'b.cjs', 'pair.cjs'].map(f => path.join(dir, f)));
+    assert.throws(() => pluginPaths({ config: path.join(dir, 'missing.json') }, {}), /not found/);
+  });
+
+  it('registers encode, decode, format and validation by type byte', () => {
+    const codecs = loadPlugins({ plugin: path.join(dir, 'weather.cjs'), config: path.join(dir, 'organism.config.json') }, {});
+    assert.deepEqual(codecs.map(c => c.type), [42, 43, 44]);
+
+    const hex = codecFor(42).encode({ celsius: -12.5 });
+    assert.deepEqual(decodePayload(42, hex), { celsius: -12.5 });
+    assert.equal(formatPayload(42, hex), '-12.5 °C');
+    assert.doesNotThrow(() => validatePayload(42, hex));
+    assert.throws(() => validatePayload(42, codecFor(42).encode({ celsius: -300 })), /absolute zero/);
+    assert.throws(() => validatePayload(42, 'ff'), /Not a valid Type 42 \(Weather Station\) payload/);
+
+    // Without a format, the decoded fields print as JSON
+    assert.equal(formatPayload(43, 'abcd'), '{"hex":"abcd"}');
+  });
+
+  it('refuses taken type bytes and incomplete codecs', () => {
+    assert.throws(() => loadPlugins({ plugin: path.join(dir, 'builtin.cjs') }, {}), /Type 3 already has a codec \(Chain Crawler\)/);
+    assert.throws(() => loadPlugins({ plugin: path.join(dir, 'weather.cjs') }, {}), /Type 42 already has a codec/);
+    assert.throws(() => loadPlugins({ plugin: path.join(dir, 'nameless.cjs') }, {}), /needs a name/);
+    assert.throws(() => loadPlugins({ plugin: path.join(dir, 'missing.cjs') }, {}), /Could not load plugin/);
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  encodePredatorPayload,
+  decodePredatorPayload,
+  speciesArg,
+  countPopulation,
+} = require('../lib/types/predator.cjs');
+
+describe('Type 6 predator/prey payload', () => {
+  it('round-trips species and energy', () => {
+    const hex = encodePredatorPayload({ species: 1, energy: 123456789012n });
+    assert.equal(hex, '01141a99be1c000000');
+    assert.deepEqual(decodePredatorPayload(hex), { species: 'predator', energy: 123456789012 });
+    assert.deepEqual(decodePredatorPayload(encodePredatorPayload({ species: 0, energy: 0 })), {
+      species: 'prey', energy: 0,
+    });
+  });
+
+  it('rejects the wrong size and unknown species', () => {
+    assert.equal(decodePredatorPayload('01'), null);
+    assert.equal(decodePredatorPayload('02' + '00'.repeat(8)), null);
+    assert.equal(decodePredatorPayload(''), null);
+  });
+
+  it('parses --species by name', () => {
+    assert.equal(speciesArg('prey'), 0);
+    assert.equal(speciesArg('predator'), 1);
+    assert.throws(() => speciesArg('wolf'), /prey, predator/);
+  });
+
+  it('counts living, eaten and starved lineages per species', () => {
+    const prey = { species: 'prey', energy: 0 };
+    const predator = { species: 'predator', energy: 5000 };
+    const population = countPopulation([
+      { alive: true, predator: prey },
+      { alive: false, eatenBy: 'aa'.repeat(32), predator: prey },
+      { alive: false, predator: prey },
+      { alive: true, predator },
+      { alive: true },
+    ]);
+    assert.deepEqual(population, {
+      prey: { alive: 1, eaten: 1, starved: 1 },
+      predator: { alive: 1, eaten: 0, starved: 0 },
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { bsv } = require('scrypt-ts');
+const { NodeProvider } = require('../lib/providers/node.cjs');
+const { org1Script } = require('../lib/org1.cjs');
+const { followToTip } = require('../lib/organism.cjs');
+
+describe('node provider', () => {
+  let server, node;
+  const txs = new Map();   // txid -> raw hex
+  const utxos = new Set(); // "txid:vout" still unspent
+
+  function addTx(outputs) {
+    const tx = new bsv.Transaction();
+    tx.uncheckedAddInput(new bsv.Transaction.Input({ prevTxId: '11'.repeat(32), outputIndex: txs.size, script: bsv.Script.empty() }));
+    for (const [script, satoshis] of outputs) tx.addOutput(new bsv.Transaction.Output({ script, satoshis }));
+    txs.set(tx.id, tx.uncheckedSerialize());
+    return tx.id;
+  }
+
+  before(async () => {
+    // Just enough bitcoind JSON-RPC for getSpent
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        const { id, method, params } = JSON.parse(body);
+        let result = null;
+        let error = null;
+        if (method === 'gettxout') result = utxos.has(`${params[0]}:${params[1]}`) ? { value: 0.0001 } : null;
+        if (method === 'getrawtransaction') {
+          result = txs.get(params[0]) || null;
+          if (!result) error = { code: -5, message: 'No such mempool or blockchain transaction' };
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id, result, error }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    node = new NodeProvider({ rpcUrl: `http://127.0.0.1:${server.address().port}`, network: 'regtest' });
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('reports a spent output with no spender, and data outputs and unknown txs as unspent', async () => {
+    const holder = bsv.Script.buildPublicKeyHashOut(bsv.PrivateKey.fromRandom('regtest').toAddress('regtest'));
+    const spent = addTx([[holder, 5000]]);
+    const live = addTx([[holder, 5000]]);
+    utxos.add(`${live}:0`);
+    const dead = addTx([[org1Script({ type: 0, generation: 2, spawnTxid: spent }), 0], [holder, 4000]]);
+
+    assert.deepEqual(await node.getSpent(spent, 0), { txid: null, vin: null });
+    assert.equal(await node.getSpent(live, 0), null);
+    assert.equal(await node.getSpent(dead, 0), null);
+    assert.equal(await node.getSpent('ee'.repeat(32), 0), null);
+
+    // A dead tip is where the walk ends; loadTip then reports the death
+    assert.equal(await followToTip(node, dead), dead);
+    await assert.rejects(followToTip(node, spent), { code: 'UNKNOWN_SPENDER' });
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bsv } = require('scrypt-ts');
+const { getNetwork } = require('../lib/network.cjs');
+const { OrganismDeadError, InvalidArgumentError } = require('../lib/errors.cjs');
+const { watchList, Reaper } = require('../lib/reaper.cjs');
+
+const net = getNetwork('regtest');
+const address = bsv.PrivateKey.fromRandom(net.bsv).toAddress(net.bsv);
+const txid = (n) => n.toString(16).padStart(64, '0');
+
+// Stand-in for OrganismClient: the lineage's tips are txid(1), txid(2), ...
+// and each claim moves it one on; `race` rivals claim first
+function fakeClient({ reward = 1000, lives = 3, race = 0, fail = null } = {}) {
+  let height = 1;
+  let rivals = race;
+  const client = {
+    net,
+    claims: [],
+    address: (a) => bsv.Address.fromString(a.toString(), net.bsv),
+    async estimate() {
+      if (height > lives) throw new OrganismDeadError('The organism died');
+      return { txid: txid(height), reward };
+    },
+    async race(tip, { address: claimer, retries }) {
+      if (fail) throw fail;
+      for (let attempt = 1; ; attempt++) {
+        if (height > lives) return { outcome: 'died', txid: null, lostTo: txid(height), reason: 'The organism died', attempts: attempt };
+        if (rivals === 0) break;
+        rivals--;
+        height++;
+        if (attempt > retries) return { outcome: 'lost', txid: null, lostTo: txid(height), attempts: attempt };
+      }
+      client.claims.push({ tip: txid(height), claimer: claimer.toString() });
+      height++;
+      return {
+        outcome: 'won', txid: txid(height), generation: height - 1, reward,
+        balance: (lives - height + 1) * 2000, alive: height <= lives, attempts: race - rivals + 1,
+      };
+    },
+  };
+  return client;
+}
+
+describe('reaper', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-reaper-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('watches the given lineages, or every organism spawned here', () => {
+    const states = [{ spawnTxid: txid(1), currentTxid: txid(2) }, { spawnTxid: txid(3) }];
+    assert.deepEqual(watchList({ states }), [
+      { spawnTxid: txid(1), tip: txid(2) },
+      { spawnTxid: txid(3), tip: txid(3) },
+    ]);
+    assert.deepEqual(watchList({ lineages: [txid(5)], states }), [{ spawnTxid: txid(5), tip: txid(5) }]);
+    assert.deepEqual(watchList({ txids: [txid(6).toUpperCase(), txid(6)], lineages: [txid(5)], states }), [{ spawnTxid: txid(6), tip: txid(6) }]);
+    assert.throws(() => watchList({ txids: ['abc'], states }), /Not a TXID/);
+  });
+
+  it('claims each round until the lineage dies, logging every reward', async () => {
+    const log = path.join(dir, 'reaper.log');
+    const client = fakeClient({ lives: 2 });
+    const reaper = new Reaper(client, { address: address.toString(), log });
+    reaper.watch(txid(1));
+
+    const [first] = await reaper.round();
+    assert.equal(first.status, 'claimed');
+    assert.equal(first.txid, txid(2));
+    assert.equal(first.alive, true);
+    const [second] = await reaper.round();
+    assert.equal(second.alive, false);
+    assert.equal(reaper.lineages.size, 0);
+    assert.deepEqual(reaper.totals, { claims: 2, rewards: 2000 });
+    assert.deepEqual(client.claims.map(c => c.claimer), [address.toString(), address.toString()]);
+
+    const lines = fs.readFileSync(log, 'utf-8').trim().split('\n').map(JSON.parse);
+    assert.deepEqual(lines.map(l => [l.txid, l.generation, l.reward]), [[txid(2), 1, 1000], [txid(3), 2, 1000]]);
+  });
+
+  it('retries on the new tip after losing a race, up to the limit', async () => {
+    const reaper = new Reaper(fakeClient({ lives: 5, race: 2 }), { address, retries: 2 });
+    reaper.watch(txid(1));
+    const [outcome] = await reaper.round();
+    assert.equal(outcome.status, 'claimed');
+    assert.equal(outcome.attempts, 3);
+    assert.equal(outcome.generation, 3);
+
+    const outrun = new Reaper(fakeClient({ lives: 5, race: 2 }), { address, retries: 1 });
+    outrun.watch(txid(1));
+    assert.deepEqual(await outrun.round(), [{ spawnTxid: txid(1), status: 'lost', lostTo: txid(3), attempts: 2 }]);
+    assert.equal(outrun.lineages.get(txid(1)).tip, txid(3));
+
+    const last = new Reaper(fakeClient({ lives: 1, race: 1 }), { address });
+    last.watch(txid(1));
+    const [died] = await last.round();
+    assert.equal(died.status, 'dead');
+    assert.equal(died.lostTo, txid(2));
+  });
+
+  it('passes over unprofitable, scheduled and unclaimable lineages', async () => {
+    const cheap = new Reaper(fakeClient({ reward: 500 }), { address, minReward: 600 });
+    cheap.watch(txid(1));
+    assert.equal((await cheap.round())[0].status, 'unprofitable');
+
+    let clock = 0;
+    const scheduled = new Reaper(fakeClient({ lives: 5 }), { address, every: 60, now: () => clock });
+    scheduled.watch(txid(1));
+    clock = 100000;
+    assert.equal((await scheduled.round())[0].status, 'claimed');
+    clock += 30000;
+    assert.equal((await scheduled.round())[0].status, 'scheduled');
+    clock += 30000;
+    assert.equal((await scheduled.round())[0].status, 'claimed');
+
+    const needsWork = new Reaper(fakeClient({ fail: new InvalidArgumentError('Task organisms need a work record') }), { address });
+    needsWork.watch(txid(1));
+    assert.deepEqual(await needsWork.round(), [{ spawnTxid: txid(1), status: 'skipped', tip: txid(1), reason: 'Task organisms need a work record' }]);
+    assert.equal(needsWork.lineages.size, 1);
+  });
+
+  it('drops lineages found dead', async () => {
+    const reaper = new Reaper(fakeClient({ lives: 0 }), { address });
+    reaper.watch(txid(1));
+    assert.equal((await reaper.round())[0].status, 'dead');
+    assert.equal(reaper.lineages.size, 0);
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { bsv } = require('scrypt-ts');
+const {
+  encodeRelayPayload,
+  decodeRelayPayload,
+  validateSpend,
+  withinWindow,
+} = require('../lib/types/relay.cjs');
+
+const watchedTxid = 'ab'.repeat(32);
+const address = bsv.PrivateKey.fromRandom().toAddress();
+
+function spender(inputs) {
+  const tx = new bsv.Transaction();
+  for (const [txid, vout] of inputs) {
+    tx.addInput(new bsv.Transaction.Input({
+      prevTxId: txid, outputIndex: vout, script: bsv.Script.empty(),
+    }), bsv.Script.buildPublicKeyHashOut(address), 1000);
+  }
+  tx.addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildPublicKeyHashOut(address), satoshis: 900 }));
+  return tx;
+}
+
+describe('Type 8 signal relay payload', () => {
+  it('round-trips watched TXID, window and triggered flag', () => {
+    const hex = encodeRelayPayload({ watchedTxid, window: 144, triggered: false });
+    assert.equal(hex, watchedTxid + '90000000' + '00');
+    assert.deepEqual(decodeRelayPayload(hex), { watchedTxid, window: 144, triggered: false });
+    assert.equal(decodeRelayPayload(encodeRelayPayload({ watchedTxid, window: 1, triggered: true })).triggered, true);
+    assert.equal(decodeRelayPayload(watchedTxid), null);
+  });
+
+  it('accepts a spend only with the watched outpoint as its first input', () => {
+    assert.doesNotThrow(() => validateSpend(spender([[watchedTxid, 0], ['cd'.repeat(32), 1]]), watchedTxid));
+    assert.throws(() => validateSpend(spender([['cd'.repeat(32), 1], [watchedTxid, 0]]), watchedTxid), /first input/);
+    assert.throws(() => validateSpend(spender([[watchedTxid, 1]]), watchedTxid), /first input/);
+    const crowded = spender([[watchedTxid, 0], ...Array.from({ length: 6 }, (_, i) => ['cd'.repeat(32), i])]);
+    assert.throws(() => validateSpend(crowded, watchedTxid), /more than 6 inputs/);
+  });
+
+  it('fires within the window of a confirmed spend, or any time from the mempool', () => {
+    assert.equal(withinWindow({ spendHeight: 100, window: 6, height: 106 }), true);
+    assert.equal(withinWindow({ spendHeight: 100, window: 6, height: 107 }), false);
+    assert.equal(withinWindow({ spendHeight: null, window: 6, height: 500 }), true);
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  encodeReputationPayload,
+  decodeReputationPayload,
+  interactionHashArg,
+  validateInteraction,
+  NO_INTERACTION,
+} = require('../lib/types/reputation.cjs');
+
+const subjectPkh = 'aa'.repeat(20);
+const interactionHash = 'bb'.repeat(32);
+
+describe('Type 7 reputation payload', () => {
+  it('round-trips subject, count and interaction hash', () => {
+    const hex = encodeReputationPayload({ subjectPkh, count: 12, interactionHash });
+    assert.equal(hex.length, 56 * 2);
+    assert.deepEqual(decodeReputationPayload(hex), { subjectPkh, count: 12, interactionHash });
+  });
+
+  it('decodes the zero hash of gen 0 as no interaction', () => {
+    const hex = encodeReputationPayload({ subjectPkh, count: 0, interactionHash: NO_INTERACTION });
+    assert.equal(decodeReputationPayload(hex).interactionHash, null);
+    assert.equal(decodeReputationPayload(subjectPkh), null);
+  });
+
+  it('takes an interaction as a hash or a file to hash', () => {
+    assert.equal(interactionHashArg(interactionHash.toUpperCase()), interactionHash);
+    assert.throws(() => interactionHashArg('abcd'), /32-byte hex/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org1-rep-'));
+    const file = path.join(dir, 'review.txt');
+    fs.writeFileSync(file, 'abc');
+    assert.equal(interactionHashArg(file), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('requires a fresh 32-byte hash', () => {
+    assert.doesNotThrow(() => validateInteraction(interactionHash, NO_INTERACTION));
+    assert.throws(() => validateInteraction(interactionHash, interactionHash), /already/);
+    assert.throws(() => validateInteraction('bb', NO_INTERACTION), /32 bytes/);
+  });
+});
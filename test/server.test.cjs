@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { bsv } = require('scrypt-ts');
+const { FixtureProvider } = require('../lib/providers/fixture.cjs');
+const { getNetwork } = require('../lib/network.cjs');
+const { org1Script } = require('../lib/org1.cjs');
+const { request } = require('../lib/http.cjs');
+const { OrganismClient } = require('../lib/client.cjs');
+const { lifespan } = require('../lib/lineage.cjs');
+const { ApiServer } = require('../lib/server.cjs');
+
+const net = getNetwork('regtest');
+const claimer = bsv.PrivateKey.fromRandom(net.bsv).toAddress(net.bsv);
+const holder = bsv.Script.buildPublicKeyHashOut(bsv.PrivateKey.fromRandom(net.bsv).toAddress(net.bsv));
+
+// A claim-shaped tx spending output 0 of `prev` (random if omitted)
+function spend(prev, outputs) {
+  const tx = new bsv.Transaction();
+  tx.uncheckedAddInput(new bsv.Transaction.Input({
+    prevTxId: prev || crypto.randomBytes(32).toString('hex'), outputIndex: 0, script: bsv.Script.empty(),
+  }));
+  for (const [script, satoshis] of outputs) tx.addOutput(new bsv.Transaction.Output({ script, satoshis }));
+  return tx.uncheckedSerialize();
+}
+
+describe('API server', () => {
+  let dir, chain, client, server, base, spawnTxid, gen1Txid;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-server-'));
+    chain = new FixtureProvider({ network: net.bsv });
+    spawnTxid = chain.addTx(spend(null, [[holder, 10000], [org1Script({ type: 0, generation: 0, spawnTxid: '00'.repeat(32) }), 0]]));
+    gen1Txid = chain.addTx(spend(spawnTxid, [
+      [holder, 8500], [org1Script({ type: 0, generation: 1, spawnTxid }), 0], [bsv.Script.buildPublicKeyHashOut(claimer), 1000],
+    ]), { blockheight: 5, blocktime: 1700000005 });
+    client = new OrganismClient({ network: 'regtest', chain, dirs: { organisms: dir, lineage: dir } });
+    await client.trace(spawnTxid);
+
+    server = new ApiServer(client, { interval: 0 });
+    const { port } = await server.listen(0);
+    base = `http://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function get(route) {
+    const res = await request(base + route);
+    return { status: res.status, body: route === '/' ? res.body : JSON.parse(res.body) };
+  }
+
+  it('serves organisms, their generations and claimers as JSON', async () => {
+    const { body: list } = await get('/organisms?status=alive');
+    assert.deepEqual(list.organisms.map(o => [o.spawnTxid, o.generation, o.balance]), [[spawnTxid, 1, 8500]]);
+    assert.deepEqual(list.organisms[0].lifespan, { generations: 5, reward: 1000, fee: 500 });
+    assert.deepEqual(list.summary, { organisms: 1, alive: 1, dead: 0, eaten: 0 });
+
+    const { body: one } = await get(`/organisms/${spawnTxid}`);
+    assert.equal(one.tip, gen1Txid);
+    assert.equal(one.summary.rewards, 1000);
+    const { body: { generations } } = await get(`/organisms/${spawnTxid}/generations`);
+    assert.deepEqual(generations.map(g => [g.kind, g.txid]), [['spawn', spawnTxid], ['claim', gen1Txid]]);
+
+    const { body: claims } = await get(`/claimers/${claimer}`);
+    assert.deepEqual([claims.rewards, claims.organisms, claims.claims[0].txid], [1000, 1, gen1Txid]);
+
+    assert.match((await get('/')).body, /<title>UTXO Organisms<\/title>/);
+  });
+
+  it('answers bad requests with JSON errors', async () => {
+    const missing = await get(`/organisms/${'ee'.repeat(32)}`);
+    assert.deepEqual([missing.status, missing.body.code], [404, 'NOT_FOUND']);
+    assert.equal((await get('/organisms/nope')).status, 400);
+    assert.equal((await get('/organisms?status=asleep')).status, 400);
+    assert.equal((await get('/claimers/nope')).status, 400);
+    assert.equal((await get('/elsewhere')).status, 404);
+    // A bad percent-escape is a bad request, and the server keeps answering
+    const malformed = await get('/claimers/%E0%A4%A');
+    assert.deepEqual([malformed.status, malformed.body.code], [400, 'INVALID_ARGUMENT']);
+    assert.equal((await get('/organisms')).status, 200);
+    const res = await request(`${base}/organisms`, { method: 'POST', body: '{}' });
+    assert.equal(res.status, 405);
+    assert.match(JSON.parse(res.body).error, /read-only/);
+  });
+
+  it('pushes each new generation to /events', async () => {
+    const received = new Promise((resolve, reject) => {
+      http.get(`${base}/events`, (res) => {
+        assert.equal(res.headers['content-type'], 'text/event-stream');
+        let text = '';
+        res.on('data', (chunk) => {
+          text += chunk;
+          const match = text.match(/event: generation\ndata: (.*)\n\n/);
+          if (match) {
+            res.destroy();
+            resolve(JSON.parse(match[1]));
+          }
+        });
+      }).on('error', reject);
+    });
+    // Let the stream open before anything is sent
+    while (server.clients.size === 0) await new Promise(r => setTimeout(r, 10));
+
+    const gen2Txid = chain.addTx(spend(gen1Txid, [
+      [holder, 7000], [org1Script({ type: 0, generation: 2, spawnTxid }), 0], [bsv.Script.buildPublicKeyHashOut(claimer), 1000],
+    ]));
+    const found = await server.poll();
+    assert.deepEqual(found.map(e => e.txid), [gen2Txid]);
+    const event = await received;
+    assert.deepEqual([event.spawnTxid, event.txid, event.kind, event.generation], [spawnTxid, gen2Txid, 'claim', 2]);
+    assert.deepEqual(await server.poll(), []);
+  });
+
+  it('keeps tracing after a failed round, and reports it under /status', async () => {
+    const flaky = new ApiServer(client, { interval: 0.01 });
+    let rounds = 0;
+    flaky.poll = async () => {
+      rounds++;
+      throw new Error('provider down');
+    };
+    const { port } = await flaky.listen(0);
+    try {
+      while (rounds < 2) await new Promise(r => setTimeout(r, 10));
+      const res = await request(`http://127.0.0.1:${port}/status`);
+      const status = JSON.parse(res.body);
+      assert.equal(status.interval, 0.01);
+      assert.equal(status.lastPoll.error, 'provider down');
+    } finally {
+      await flaky.close();
+    }
+    assert.deepEqual((await get('/status')).body, { interval: 0, lastPoll: null });
+  });
+
+  it('estimates the claims an organism has left', () => {
+    const org = { status: 'alive', balance: 5546, state: { reward: 1000, fee: 500, dustLimit: 546 } };
+    assert.deepEqual(lifespan(org, []), { generations: 3, reward: 1000, fee: 500 });
+    assert.equal(lifespan({ ...org, state: null }, []), null);
+    assert.equal(lifespan({ ...org, status: 'dead' }, []).generations, 0);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bsv } = require('scrypt-ts');
+const { SimulatorProvider } = require('../lib/providers/simulator.cjs');
+
+const key = bsv.PrivateKey.fromRandom('testnet');
+const address = key.toAddress();
+const other = bsv.PrivateKey.fromRandom('testnet').toAddress();
+
+function spend(utxo, outputs, signer = key, lockHeight = null) {
+  const tx = new bsv.Transaction().from({
+    txId: utxo.tx_hash,
+    outputIndex: utxo.tx_pos,
+    script: bsv.Script.buildPublicKeyHashOut(address).toHex(),
+    satoshis: utxo.value,
+  });
+  for (const [to, satoshis] of outputs) tx.to(to, satoshis);
+  if (lockHeight !== null) tx.lockUntilBlockHeight(lockHeight);
+  return tx.sign(signer).uncheckedSerialize();
+}
+
+describe('SimulatorProvider', () => {
+  let sim;
+  let coin;
+
+  beforeEach(() => {
+    sim = new SimulatorProvider({ network: 'testnet' });
+    coin = sim.faucet(address, 100000);
+  });
+
+  it('lists faucet outputs as confirmed UTXOs', async () => {
+    const utxos = await sim.listUnspent(address.toString());
+    assert.equal(utxos.length, 1);
+    assert.equal(utxos[0].value, 100000);
+    assert.ok(utxos[0].height > 0);
+  });
+
+  it('accepts a correctly signed spend and tracks it', async () => {
+    const txid = await sim.broadcast(spend(coin, [[other, 60000], [address, 39000]]));
+
+    assert.deepEqual(await sim.getSpent(coin.tx_hash, 0), { txid, vin: 0 });
+    assert.equal((await sim.listUnspent(address.toString()))[0].value, 39000);
+
+    const tx = await sim.getTx(txid);
+    assert.equal(tx.vout[0].value, 0.0006);
+    assert.deepEqual(tx.vout[0].scriptPubKey.addresses, [other.toString()]);
+    assert.equal(tx.blockheight, null);
+  });
+
+  it('rejects a spend signed by the wrong key', async () => {
+    const wrongKey = bsv.PrivateKey.fromRandom('testnet');
+    await assert.rejects(sim.broadcast(spend(coin, [[other, 90000]], wrongKey)), /script-verify/);
+    assert.equal(await sim.getSpent(coin.tx_hash, 0), null);
+  });
+
+  it('rejects double spends', async () => {
+    await sim.broadcast(spend(coin, [[other, 90000]]));
+    await assert.rejects(sim.broadcast(spend(coin, [[other, 80000]])), /txn-mempool-conflict/);
+  });
+
+  it('rejects unknown inputs', async () => {
+    const ghost = { tx_hash: 'ab'.repeat(32), tx_pos: 0, value: 1000 };
+    await assert.rejects(sim.broadcast(spend(ghost, [[other, 500]])), /Missing inputs/);
+  });
+
+  it('rejects outputs worth more than the inputs', async () => {
+    await assert.rejects(sim.broadcast(spend(coin, [[other, 100001]])), /bad-txns-in-belowout/);
+  });
+
+  it('confirms mempool transactions when mining', async () => {
+    const txid = await sim.broadcast(spend(coin, [[other, 90000]]));
+    assert.equal(sim.mine(), 1);
+    assert.equal((await sim.getTx(txid)).blockheight, sim.height);
+  });
+
+  it('holds back time-locked spends until their height', async () => {
+    const locked = spend(coin, [[other, 90000]], key, sim.height + 2);
+    await assert.rejects(sim.broadcast(locked), /non-final/);
+    sim.mine();
+    sim.mine();
+    assert.equal(await sim.getBlockHeight(), sim.height);
+    assert.ok(await sim.broadcast(locked));
+  });
+
+  it('persists to and reloads from a fixture file', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'org-sim-')), 'chain.json');
+    const persisted = new SimulatorProvider({ path: file, network: 'testnet' });
+    const funded = persisted.faucet(address, 5000);
+    const txid = await persisted.broadcast(spend(funded, [[other, 4000]]));
+
+    const reloaded = new SimulatorProvider({ path: file, network: 'testnet' });
+    assert.equal(await reloaded.getRawTx(txid), await persisted.getRawTx(txid));
+    assert.deepEqual(await reloaded.getSpent(funded.tx_hash, 0), { txid, vin: 0 });
+    assert.equal(reloaded.height, persisted.height);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LineageStore, openStore } = require('../lib/store.cjs');
+const { InvalidArgumentError } = require('../lib/errors.cjs');
+
+const txid = (prefix, n) => prefix + n.toString(16).padStart(64 - prefix.length, '0');
+
+// A traced generation of a Type `type` lineage at ORG1 generation `org1Gen`
+function entry(generation, id, balance, { type = 1, org1Gen = generation, claimer = null, reward = 0, height = 100 + generation } = {}) {
+  return {
+    generation, txid: id, balance, claimer, reward, blockHeight: height, blockTime: null,
+    alive: true, spentBy: null, org1: { type, generation: org1Gen },
+  };
+}
+
+describe('lineage store', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-store-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('imports JSON state once, keeping lineages whose names share a prefix apart', () => {
+    const organisms = path.join(dir, 'organisms');
+    const lineage = path.join(dir, 'lineage');
+    fs.mkdirSync(organisms);
+    fs.mkdirSync(lineage);
+    // Two spawns whose txids agree on their first 16 characters
+    const a = txid('aaaaaaaaaaaaaaaa', 1);
+    const b = txid('aaaaaaaaaaaaaaaa', 2);
+    fs.writeFileSync(path.join(organisms, 'aaaaaaaaaaaaaaaa.json'), JSON.stringify({ spawnTxid: a, name: 'alpha', type: 1, budget: 9000 }));
+    fs.writeFileSync(path.join(lineage, 'a.json'), JSON.stringify([
+      entry(0, a, 9000), entry(1, txid('c', 1), 8000, { claimer: 'claimer1', reward: 1000 }),
+    ]));
+    fs.writeFileSync(path.join(lineage, 'b.json'), JSON.stringify([entry(0, b, 5000, { type: 2 })]));
+    // Written when every spend counted as a generation, the fund included
+    const c = txid('d', 1);
+    fs.writeFileSync(path.join(lineage, 'c.json'), JSON.stringify([
+      entry(0, c, 5000), entry(1, txid('d', 2), 4000, { claimer: 'claimer1', reward: 1000 }),
+      entry(2, txid('d', 3), 7000, { org1Gen: 1 }), entry(3, txid('d', 4), 6000, { org1Gen: 2, claimer: 'claimer1', reward: 1000 }),
+    ]));
+    fs.writeFileSync(path.join(lineage, 'broken.json'), '{');
+
+    const store = openStore({ store: path.join(lineage, 'lineage.db'), organisms, lineage });
+    assert.deepEqual(store.states().map(s => [s.file, s.name]), [['aaaaaaaaaaaaaaaa', 'alpha']]);
+    assert.equal(store.lineage(a).length, 2);
+    assert.equal(store.lineage(b).length, 1);
+    assert.deepEqual(store.lineage(c).map(e => e.generation), [0, 1, 1, 2]);
+    assert.deepEqual([store.organism(c).generation, store.organism(c).claims, store.organism(c).funds], [2, 2, 1]);
+    assert.deepEqual(store.organism(a).state.budget, 9000);
+    assert.deepEqual([store.organism(a).generation, store.organism(a).claims], [1, 1]);
+    assert.deepEqual(store.migrate({ organisms, lineage }), { states: 0, lineages: 0 });
+    store.close();
+  });
+
+  it('records claims and feeds as generations are saved, and queries them', () => {
+    const store = new LineageStore(path.join(dir, 'query.db'));
+    const spawn = txid('1', 1);
+    const lineage = [
+      entry(0, spawn, 5000),
+      entry(1, txid('1', 2), 4000, { claimer: 'alice', reward: 1000 }),
+      entry(2, txid('1', 3), 6500, { org1Gen: 1 }),
+      entry(3, txid('1', 4), 5500, { org1Gen: 2, claimer: 'bob', reward: 1000 }),
+    ];
+    lineage.forEach((e, i) => store.saveGeneration(spawn, e, lineage[i - 1] || null));
+    // Saving a generation again replaces it
+    store.saveGeneration(spawn, lineage[3], lineage[2]);
+
+    const org = store.organism(spawn);
+    assert.deepEqual([org.type, org.generation, org.balance, org.status, org.tip, org.claims, org.funds, org.spawnHeight],
+      [1, 2, 5500, 'alive', txid('1', 4), 2, 1, 100]);
+    assert.deepEqual(store.claims('alice'), [{ spawnTxid: spawn, generation: 1, txid: txid('1', 2), reward: 1000, blockHeight: 101 }]);
+    assert.deepEqual(store.db.prepare('SELECT amount, balance FROM fund_events').all(), [{ amount: 2500, balance: 6500 }]);
+
+    const other = txid('2', 1);
+    store.saveGeneration(other, { ...entry(0, other, 3000, { type: 4 }), alive: false });
+    assert.deepEqual(store.query({ claimer: 'bob' }).map(o => o.spawnTxid), [spawn]);
+    assert.deepEqual(store.query({ type: 4, status: 'dead' }).map(o => o.spawnTxid), [other]);
+    assert.deepEqual(store.query({ status: 'alive' }).map(o => o.spawnTxid), [spawn]);
+    assert.deepEqual(store.summary(), { organisms: 2, alive: 1, dead: 1, eaten: 0 });
+    assert.throws(() => store.query({ status: 'asleep' }), InvalidArgumentError);
+    store.close();
+  });
+});
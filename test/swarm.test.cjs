@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  FIXED_ONE,
+  OBJECTIVES,
+  encodeSwarmPayload,
+  decodeSwarmPayload,
+  validateSwarmPayload,
+  objectiveArg,
+  globalBest,
+  swarmStep,
+} = require('../lib/types/swarm.cjs');
+
+const ref = 'ab'.repeat(32);
+const half = () => 0.5;
+
+describe('Type 4 particle swarm payload', () => {
+  it('round-trips Q16.16 vectors and the global best ref', () => {
+    const particle = { position: [1.5, -0.25], velocity: [0, 2], personalBest: [-3, 4.75] };
+    const hex = encodeSwarmPayload({ ...particle, globalBestRef: ref });
+    assert.equal(hex.length / 2, 1 + 3 * 2 * 4 + 32);
+    assert.equal(hex.slice(2, 10), Buffer.from([0x00, 0x80, 0x01, 0x00]).toString('hex'));
+    assert.deepEqual(decodeSwarmPayload(hex), { dims: 2, ...particle, globalBestRef: ref });
+    assert.equal(decodeSwarmPayload(encodeSwarmPayload(particle)).globalBestRef, null);
+  });
+
+  it('rounds to the nearest 1/65536', () => {
+    const { position } = decodeSwarmPayload(encodeSwarmPayload({ position: [0.1], velocity: [0], personalBest: [0] }));
+    assert.equal(position[0], Math.round(0.1 * FIXED_ONE) / FIXED_ONE);
+  });
+
+  it('rejects mismatched dimensions and truncated payloads', () => {
+    assert.throws(() => encodeSwarmPayload({ position: [1, 2], velocity: [1], personalBest: [1, 2] }), /same dimensions/);
+    assert.throws(() => encodeSwarmPayload({ position: [], velocity: [], personalBest: [] }), /dimensions/);
+    assert.throws(() => encodeSwarmPayload({ position: [40000], velocity: [0], personalBest: [0] }), /Q16\.16/);
+    const hex = encodeSwarmPayload({ position: [1], velocity: [1], personalBest: [1] });
+    assert.equal(decodeSwarmPayload(hex.slice(0, -2)), null);
+    assert.throws(() => validateSwarmPayload(hex.slice(0, -2)), /dimension count/);
+    assert.throws(() => objectiveArg('ackley'), /sphere, rastrigin/);
+  });
+});
+
+describe('particle swarm step', () => {
+  const sphere = OBJECTIVES.sphere;
+
+  it('picks the best personal best in the swarm', () => {
+    const members = [
+      { txid: 'aa'.repeat(32), particle: { personalBest: [3, 3] } },
+      { txid: 'bb'.repeat(32), particle: null },
+      { txid: 'cc'.repeat(32), particle: { personalBest: [1, -1] } },
+    ];
+    const best = globalBest(members, sphere);
+    assert.equal(best.txid, 'cc'.repeat(32));
+    assert.equal(best.score, 2);
+    assert.equal(globalBest([], sphere), null);
+  });
+
+  it('places a new particle at rest inside the bounds', () => {
+    const first = swarmStep(null, { best: null, objective: sphere, dims: 3, random: () => 1 });
+    assert.deepEqual(first.position, [5, 5, 5]);
+    assert.deepEqual(first.velocity, [0, 0, 0]);
+    assert.deepEqual(first.personalBest, first.position);
+    assert.equal(first.globalBestRef, '00'.repeat(32));
+  });
+
+  it('moves toward the global best and keeps the better personal best', () => {
+    const particle = { position: [4, 0], velocity: [0, 0], personalBest: [4, 0] };
+    const best = { txid: ref, particle: { personalBest: [0, 0] } };
+    const next = swarmStep(particle, { best, objective: sphere, random: half });
+
+    // v = 0.7*0 + 1.5*0.5*(4-4) + 1.5*0.5*(0-4) = -3
+    assert.deepEqual(next.velocity, [-3, 0]);
+    assert.deepEqual(next.position, [1, 0]);
+    assert.deepEqual(next.personalBest, [1, 0]);
+    assert.equal(next.globalBestRef, ref);
+    assert.doesNotThrow(() => encodeSwarmPayload(next));
+
+    const worse = swarmStep({ position: [1, 0], velocity: [-3, 0], personalBest: [1, 0] }, { best: null, objective: sphere, random: () => 0 });
+    assert.deepEqual(worse.position, [-1.1, 0].map(v => Math.round(v * FIXED_ONE) / FIXED_ONE));
+    assert.deepEqual(worse.personalBest, [1, 0]);
+  });
+});
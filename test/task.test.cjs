@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  sha256File,
+  encodeTaskPayload,
+  decodeTaskPayload,
+  validateTaskPayload,
+} = require('../lib/types/task.cjs');
+
+const taskHash = 'aa'.repeat(32);
+const resultHash = 'bb'.repeat(32);
+const claimerPkh = 'cc'.repeat(20);
+
+describe('Type 1 task payload', () => {
+  it('round-trips task hash, result hash and claimer PKH', () => {
+    const hex = encodeTaskPayload({ taskHash, resultHash, claimerPkh });
+    assert.equal(hex.length, 84 * 2);
+    assert.deepEqual(decodeTaskPayload(hex), { taskHash, resultHash, claimerPkh });
+  });
+
+  it('rejects fields of the wrong size', () => {
+    assert.throws(() => encodeTaskPayload({ taskHash: 'aa', resultHash, claimerPkh }), /Task hash/);
+    assert.throws(() => encodeTaskPayload({ taskHash, resultHash, claimerPkh: 'cc' }), /Claimer PKH/);
+    assert.equal(decodeTaskPayload(taskHash + resultHash), null);
+  });
+
+  it('validates the PKH against the claimer', () => {
+    const hex = encodeTaskPayload({ taskHash, resultHash, claimerPkh });
+    assert.deepEqual(validateTaskPayload(hex, claimerPkh).taskHash, taskHash);
+    assert.throws(() => validateTaskPayload(hex, 'dd'.repeat(20)), /does not match/);
+    assert.throws(() => validateTaskPayload('', claimerPkh), /84 bytes/);
+  });
+
+  it('hashes files with SHA-256', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'org1-task-')), 'task.txt');
+    fs.writeFileSync(file, 'abc');
+    assert.equal(sha256File(file), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+});
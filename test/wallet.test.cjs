@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bsv } = require('scrypt-ts');
+const { getNetwork } = require('../lib/network.cjs');
+const { SimulatorProvider } = require('../lib/providers/simulator.cjs');
+const { CHAINS, Wallet, readWallet, loadWallet, scanAddresses } = require('../lib/wallet.cjs');
+const { OrganismClient } = require('../lib/client.cjs');
+
+const net = getNetwork('regtest');
+// A cheap scrypt for tests; wallet.cjs uses the default cost
+const kdf = { N: 1024, r: 8, p: 1 };
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+describe('wallet', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-hd-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('keeps the mnemonic encrypted and derives addresses from the xpub', () => {
+    const file = path.join(dir, 'hd.json');
+    Wallet.create(net, 'correct horse', { mnemonic: MNEMONIC, kdf }).save(file);
+    const text = fs.readFileSync(file, 'utf-8');
+    assert.equal(text.includes('abandon'), false);
+
+    const wallet = readWallet(file, net);
+    assert.equal(wallet.hd, true);
+    assert.equal(wallet.locked, true);
+    assert.equal(wallet.data.path, "m/44'/1'/0'");
+    assert.throws(() => wallet.keyFor(wallet.address), /encrypted/);
+    assert.throws(() => wallet.unlock('wrong'), { code: 'INVALID_ARGUMENT', message: 'Wrong wallet passphrase' });
+
+    wallet.unlock('correct horse');
+    assert.equal(wallet.secret(), MNEMONIC);
+    const root = new bsv.Mnemonic(MNEMONIC).toHDPrivateKey('', net.bsv);
+    assert.equal(wallet.address.toString(), root.deriveChild("m/44'/1'/0'/0/0").privateKey.toAddress(net.bsv).toString());
+    const change = wallet.freshAddress('change');
+    assert.equal(change.toString(), root.deriveChild("m/44'/1'/0'/1/0").privateKey.toAddress(net.bsv).toString());
+    assert.equal(wallet.keyFor(change).toAddress(net.bsv).toString(), change.toString());
+
+    // Handed-out addresses are saved, and scanned for funds from then on
+    const again = readWallet(file, net);
+    assert.deepEqual(again.data.next, { receive: 1, change: 1 });
+    assert.deepEqual(again.addresses().map(String), [wallet.address.toString(), change.toString()]);
+    assert.equal(again.freshAddress('receive').toString(), root.deriveChild("m/44'/1'/0'/0/1").privateKey.toAddress(net.bsv).toString());
+  });
+
+  it('loads plaintext wallets, and encrypted ones with the passphrase', () => {
+    const key = bsv.PrivateKey.fromRandom(net.bsv);
+    const plain = path.join(dir, 'plain.json');
+    fs.writeFileSync(plain, JSON.stringify({ network: 'regtest', wif: key.toWIF(), address: key.toAddress(net.bsv).toString() }));
+    assert.equal(loadWallet(plain, net).privateKey.toWIF(), key.toWIF());
+
+    const sealed = path.join(dir, 'sealed.json');
+    Wallet.create(net, 'pw', { wif: key.toWIF(), kdf }).save(sealed);
+    assert.equal(fs.readFileSync(sealed, 'utf-8').includes(key.toWIF()), false);
+    assert.throws(() => loadWallet(sealed, net, { passphrase: undefined }), /ORG_WALLET_PASSPHRASE/);
+    const { privateKey, address, keys } = loadWallet(sealed, net, { passphrase: 'pw' });
+    assert.equal(privateKey.toWIF(), key.toWIF());
+    assert.equal(address.toString(), key.toAddress(net.bsv).toString());
+    assert.equal(keys.freshAddress('change').toString(), address.toString());
+
+    assert.throws(() => Wallet.create(net, 'pw', { mnemonic: 'not a mnemonic', kdf }), /BIP39/);
+    assert.throws(() => Wallet.create(net, 'pw', { wif: bsv.PrivateKey.fromRandom('mainnet').toWIF(), kdf }), /not regtest/);
+    assert.throws(() => Wallet.create(net, '', { wif: key.toWIF(), kdf }), /must not be empty/);
+  });
+
+  it('finds the funded addresses of an imported mnemonic', async () => {
+    const sim = new SimulatorProvider({ network: net.bsv });
+    const wallet = Wallet.create(net, 'pw', { mnemonic: MNEMONIC, kdf });
+    sim.faucet(wallet.derive(CHAINS.receive, 3), 1000);
+    sim.faucet(wallet.derive(CHAINS.change, 1), 1000);
+    assert.deepEqual(await scanAddresses(wallet, sim, { gap: 5 }), { receive: 1, change: 1 });
+    assert.deepEqual(wallet.data.next, { receive: 4, change: 2 });
+  });
+
+  it('funds, signs and takes change across the HD wallet\'s addresses', async () => {
+    const sim = new SimulatorProvider({ network: net.bsv });
+    const file = path.join(dir, 'client.json');
+    const wallet = Wallet.create(net, 'pw', { mnemonic: bsv.Mnemonic.fromRandom().toString(), kdf });
+    wallet.save(file);
+    const client = new OrganismClient({
+      network: 'regtest', chain: sim, wallet: file, passphrase: async () => 'pw', feeRate: 500,
+      dirs: { organisms: dir, lineage: dir, reservations: path.join(dir, 'reservations.json') },
+    });
+
+    // Addresses and rewards need no passphrase. A reward address is only
+    // handed out once a claim paying it is broadcast.
+    sim.faucet(wallet.address, 3000);
+    const reward = client.rewardAddress();
+    assert.notEqual(reward.toString(), wallet.address.toString());
+    assert.equal(client.rewardAddress().toString(), reward.toString());
+    assert.deepEqual(readWallet(file, net).data.next, { receive: 1, change: 0 });
+    sim.faucet(reward, 2000);
+    client.useAddress('receive', reward);
+    client.useAddress('receive', reward);
+    assert.equal(client.keystore().locked, true);
+    assert.equal((await client.utxos()).length, 2);
+    assert.throws(() => client.signer(), /await unlock/);
+
+    await client.unlock();
+    // A spend that fails takes no change address
+    await assert.rejects(client.spawn({ budget: 1000000 }), { code: 'INSUFFICIENT_FUNDS' });
+    assert.deepEqual(readWallet(file, net).data.next, { receive: 2, change: 0 });
+    const result = await client.consolidate();
+    assert.equal(result.inputs, 2);
+    assert.equal(result.address, wallet.derive(CHAINS.change, 0).toString());
+    assert.deepEqual((await client.utxos()).map(u => [u.address, u.value]), [[result.address, result.amount]]);
+    assert.deepEqual(readWallet(file, net).data.next, { receive: 2, change: 1 });
+  });
+
+  it('spaces the lookups of its addresses by the provider rate limit', async () => {
+    const sim = new SimulatorProvider({ network: net.bsv });
+    const file = path.join(dir, 'spaced.json');
+    const wallet = Wallet.create(net, 'pw', { mnemonic: bsv.Mnemonic.fromRandom().toString(), kdf });
+    wallet.useAddress('receive', wallet.nextAddress('receive'));
+    wallet.save(file);
+    const client = new OrganismClient({ network: 'regtest', chain: sim, wallet: file, dirs: { organisms: dir, lineage: dir } });
+
+    const calls = [];
+    const listUnspent = sim.listUnspent.bind(sim);
+    sim.listUnspent = (address) => {
+      calls.push(Date.now());
+      return listUnspent(address);
+    };
+    sim.rateLimitMs = 50;
+    await client.walletUtxos();
+    assert.equal(calls.length, 2);
+    assert.ok(calls[1] - calls[0] >= 40);
+  });
+});
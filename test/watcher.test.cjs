@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { bsv } = require('scrypt-ts');
+const { FixtureProvider } = require('../lib/providers/fixture.cjs');
+const { getNetwork } = require('../lib/network.cjs');
+const { org1Script } = require('../lib/org1.cjs');
+const { OrganismClient } = require('../lib/client.cjs');
+const { nextRound, Watcher } = require('../lib/watcher.cjs');
+
+const net = getNetwork('regtest');
+const claimer = bsv.PrivateKey.fromRandom(net.bsv).toAddress(net.bsv);
+const holder = bsv.Script.buildPublicKeyHashOut(bsv.PrivateKey.fromRandom(net.bsv).toAddress(net.bsv));
+const record = (generation, spawnTxid = '00'.repeat(32)) => org1Script({ type: 0, generation, spawnTxid });
+
+describe('event watcher', () => {
+  let dir, chain, client, hook, hookUrl, spawnTxid, tip;
+  const received = [];
+
+  // A spend of output 0 of `prev` (random if omitted) calling method `method`
+  function spend(prev, method, outputs) {
+    const tx = new bsv.Transaction();
+    tx.uncheckedAddInput(new bsv.Transaction.Input({
+      prevTxId: prev || crypto.randomBytes(32).toString('hex'), outputIndex: 0,
+      script: method ? bsv.Script.fromASM(method) : bsv.Script.empty(),
+    }));
+    for (const [script, satoshis] of outputs) tx.addOutput(new bsv.Transaction.Output({ script, satoshis }));
+    return chain.addTx(tx.uncheckedSerialize());
+  }
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-watcher-'));
+    chain = new FixtureProvider({ network: net.bsv });
+    client = new OrganismClient({ network: 'regtest', chain, dirs: { organisms: dir, lineage: dir } });
+    spawnTxid = spend(null, null, [[holder, 10000], [record(0), 0]]);
+    tip = spend(spawnTxid, 'OP_0', [[holder, 8500], [record(1, spawnTxid), 0], [bsv.Script.buildPublicKeyHashOut(claimer), 1000]]);
+    await client.trace(spawnTxid);
+
+    hook = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        received.push({ header: req.headers['x-organism-event'], body: JSON.parse(body) });
+        if (req.url === '/silent') return;
+        res.writeHead(req.url === '/broken' ? 500 : 204);
+        res.end();
+      });
+    });
+    await new Promise(resolve => hook.listen(0, '127.0.0.1', resolve));
+    hookUrl = `http://127.0.0.1:${hook.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => hook.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('sends each new spend as a typed event to webhooks and the log', async () => {
+    const log = path.join(dir, 'events.log');
+    const errors = [];
+    const watcher = new Watcher(client, {
+      threshold: 5, webhooks: [`${hookUrl}/events`, `${hookUrl}/broken`], log,
+      onError: (err) => errors.push(err.message), now: () => Date.UTC(2024, 0, 1),
+    });
+    assert.deepEqual(await watcher.round(), []);
+    assert.deepEqual([...watcher.lineages.keys()], [spawnTxid]);
+
+    const fed = spend(tip, 'OP_1', [[holder, 9500], [record(1, spawnTxid), 0]]);
+    const claimed = spend(fed, 'OP_0', [[holder, 8000], [record(2, spawnTxid), 0], [bsv.Script.buildPublicKeyHashOut(claimer), 1000]]);
+    const events = await watcher.round();
+    assert.deepEqual(events.map(e => [e.event, e.txid, e.generation]), [
+      ['fed', fed, 1], ['reproduced', claimed, 2], ['low-balance', claimed, 2],
+    ]);
+    assert.deepEqual([events[0].amount, events[1].claimer, events[1].reward], [1000, claimer.toString(), 1000]);
+    assert.deepEqual([events[2].generationsLeft, events[2].threshold], [4, 5]);
+    assert.deepEqual([events[0].time, events[0].network, events[0].spawnTxid], ['2024-01-01T00:00:00.000Z', 'regtest', spawnTxid]);
+
+    // low-balance is sent once per drop below the threshold
+    assert.deepEqual(await watcher.round(), []);
+
+    const died = spend(claimed, 'OP_0', [[record(3, spawnTxid), 0], [bsv.Script.buildPublicKeyHashOut(claimer), 7500]]);
+    const [death] = await watcher.round();
+    assert.deepEqual([death.event, death.txid, death.cause, death.reward], ['died', died, 'exhausted', 7500]);
+    assert.equal(watcher.lineages.size, 0);
+
+    const sent = received.filter(r => r.body.spawnTxid === spawnTxid);
+    assert.deepEqual(sent.map(r => r.header), ['fed', 'fed', 'reproduced', 'reproduced', 'low-balance', 'low-balance', 'died', 'died']);
+    assert.deepEqual(sent[0].body, events[0]);
+    assert.equal(errors.length, 4);
+    assert.match(errors[0], /broken answered 500/);
+    const lines = fs.readFileSync(log, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(l => l.event), ['fed', 'reproduced', 'low-balance', 'died']);
+  });
+
+  it('reports spawns, catches up quietly and filters events', async () => {
+    const watcher = new Watcher(client, { events: ['spawned', 'died'] });
+    const first = spend(null, null, [[holder, 5000], [record(0), 0]]);
+    client.lineageStore().saveState({ spawnTxid: first, name: 'egg', type: 0, budget: 5000 });
+    watcher.watch(first);
+    const [spawned] = await watcher.round();
+    assert.deepEqual([spawned.event, spawned.txid, spawned.type, spawned.name, spawned.balance], ['spawned', first, 0, 'egg', 5000]);
+
+    // A claim is traced and stored but not among the events asked for
+    spend(first, 'OP_0', [[holder, 3500], [record(1, first), 0], [bsv.Script.buildPublicKeyHashOut(claimer), 1000]]);
+    assert.deepEqual(await watcher.round(), []);
+    assert.equal(client.lineageStore().lineage(first).length, 2);
+
+    const second = spend(null, null, [[holder, 5000], [record(0), 0]]);
+    const quiet = new Watcher(client);
+    quiet.watch(second);
+    assert.deepEqual(await quiet.round({ history: false }), []);
+    assert.deepEqual(await quiet.round(), []);
+
+    assert.throws(() => new Watcher(client, { events: ['hatched'] }), /Unknown event hatched/);
+    assert.throws(() => watcher.watch('nope'), /Not a TXID/);
+  });
+
+  it('gives up on a webhook that never answers and delivers to the rest', async () => {
+    const errors = [];
+    const watcher = new Watcher(client, {
+      webhooks: [`${hookUrl}/silent`, `${hookUrl}/events`], timeout: 200, onError: (err) => errors.push(err.message),
+    });
+    const spawned = spend(null, null, [[holder, 5000], [record(0), 0]]);
+    watcher.watch(spawned);
+    const started = Date.now();
+    assert.deepEqual((await watcher.round()).map(e => e.event), ['spawned']);
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /silent timed out after 200 ms/);
+    assert.equal(received.filter(r => r.body.spawnTxid === spawned).length, 2);
+  });
+
+  it('starts the next round early when the provider reports a new tx', async () => {
+    const started = Date.now();
+    const waiting = nextRound(chain, 60000);
+    spend(null, null, [[holder, 1000]]);
+    await waiting;
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(chain.listeners.size, 0);
+    await nextRound({}, 1);
+  });
+});
@@ -1,61 +1,193 @@
 #!/usr/bin/env node
-// Wallet management — create, show address, check balance
+// Wallet management — create, import and export, show addresses, check
+// balance, list and consolidate UTXOs
+//
+// Wallets are HD (BIP39 mnemonic, BIP32/44 addresses) with the secret
+// encrypted under a passphrase: ORG_WALLET_PASSPHRASE, or asked for on the
+// terminal. See lib/wallet.cjs for the file format.
 const fs = require('fs');
-const path = require('path');
 const { bsv } = require('scrypt-ts');
+const { parseArgs } = require('./lib/args.cjs');
+const { providerFromArgs, sumBalance, PROVIDER_USAGE } = require('./lib/providers/index.cjs');
+const { networkFromArgs, defaultWalletPath, explorerTxUrl } = require('./lib/network.cjs');
+const { CHAINS, Wallet, readWallet, readHidden, askPassphrase, scanAddresses } = require('./lib/wallet.cjs');
+const { OrganismClient } = require('./lib/client.cjs');
+const { feeRateFromArgs, FEE_USAGE } = require('./lib/fees.cjs');
 
-const WALLET_PATH = process.env.WALLET_PATH || path.join(__dirname, 'wallet.json');
+const args = parseArgs();
+const cmd = args._[0];
 
-const cmd = process.argv[2];
+let NETWORK;
+try {
+  NETWORK = networkFromArgs(args);
+} catch (err) {
+  console.error('❌', err.message);
+  process.exit(1);
+}
+
+const WALLET_PATH = process.env.WALLET_PATH || defaultWalletPath(NETWORK);
+
+function client() {
+  return new OrganismClient({
+    network: NETWORK.name,
+    chain: providerFromArgs(args),
+    wallet: WALLET_PATH,
+    passphrase: () => askPassphrase(),
+    feeRate: feeRateFromArgs(args),
+  });
+}
 
-if (cmd === 'create') {
+function checkNew() {
   if (fs.existsSync(WALLET_PATH)) {
-    console.error(`Wallet already exists: ${WALLET_PATH}`);
-    console.error('Delete it first if you want a new one.');
-    process.exit(1);
+    throw new Error(`Wallet already exists: ${WALLET_PATH}\n   Delete it first if you want a new one.`);
   }
-  const key = bsv.PrivateKey.fromRandom('mainnet');
-  const wallet = {
-    wif: key.toWIF(),
-    address: key.toAddress().toString(),
-    createdAt: new Date().toISOString(),
-  };
-  fs.writeFileSync(WALLET_PATH, JSON.stringify(wallet, null, 2));
-  console.log(`✅ Wallet created: ${WALLET_PATH}`);
-  console.log(`   Address: ${wallet.address}`);
-  console.log(`\nSend BSV to this address to fund organism spawns.`);
-
-} else if (cmd === 'address') {
-  if (!fs.existsSync(WALLET_PATH)) {
-    console.error('No wallet found. Run: node wallet.cjs create');
-    process.exit(1);
+}
+
+function saved(wallet) {
+  wallet.save(WALLET_PATH);
+  console.log(`✅ Wallet ${cmd === 'create' ? 'created' : 'imported'}: ${WALLET_PATH} (${NETWORK.name}, ${wallet.hd ? 'HD' : 'single key'}, encrypted)`);
+  console.log(`   Address: ${wallet.address.toString()}`);
+}
+
+async function create() {
+  checkNew();
+  const passphrase = await askPassphrase('New wallet passphrase: ', { confirm: true });
+  const mnemonic = bsv.Mnemonic.fromRandom().toString();
+  saved(Wallet.create(NETWORK, passphrase, { mnemonic }));
+  console.log('');
+  console.log('Recovery phrase — write it down and keep it offline; it restores every address:');
+  console.log(`   ${mnemonic}`);
+  console.log('');
+  console.log('Send BSV to the address to fund organism spawns.');
+}
+
+// The secret to import: a mnemonic, a WIF, or a plaintext wallet file from
+// before encryption ({ "wif": ... })
+async function importSource() {
+  let text;
+  if (typeof args.file === 'string') text = fs.readFileSync(args.file, 'utf-8');
+  else if (process.stdin.isTTY) text = await readHidden('Mnemonic or WIF: ');
+  else text = fs.readFileSync(0, 'utf-8');
+  text = text.trim();
+  if (text.startsWith('{')) {
+    const legacy = JSON.parse(text);
+    if (!legacy.wif) throw new Error(`${args.file} is not a plaintext wallet file`);
+    if ((legacy.network || 'main') !== NETWORK.name) throw new Error(`${args.file} is for ${legacy.network || 'main'}, not ${NETWORK.name}`);
+    return { wif: legacy.wif };
   }
-  const wallet = JSON.parse(fs.readFileSync(WALLET_PATH, 'utf-8'));
-  console.log(wallet.address);
+  return text.split(/\s+/).length > 1 ? { mnemonic: text } : { wif: text };
+}
 
-} else if (cmd === 'balance') {
-  if (!fs.existsSync(WALLET_PATH)) {
-    console.error('No wallet found. Run: node wallet.cjs create');
-    process.exit(1);
+async function importWallet() {
+  const source = await importSource();
+  // A plaintext wallet may be encrypted in place
+  const inPlace = typeof args.file === 'string' && fs.existsSync(WALLET_PATH) &&
+    fs.realpathSync(args.file) === fs.realpathSync(WALLET_PATH);
+  if (!inPlace) checkNew();
+  const passphrase = await askPassphrase('New wallet passphrase: ', { confirm: true });
+  const wallet = Wallet.create(NETWORK, passphrase, source);
+  if (wallet.hd && args.scan) {
+    const found = await scanAddresses(wallet, providerFromArgs(args));
+    console.log(`   Found funds on ${found.receive} receive and ${found.change} change address${found.change === 1 ? '' : 'es'}`);
   }
-  const wallet = JSON.parse(fs.readFileSync(WALLET_PATH, 'utf-8'));
-  const https = require('https');
-  https.get(`https://api.whatsonchain.com/v1/bsv/main/address/${wallet.address}/balance`, res => {
-    let d = '';
-    res.on('data', c => d += c);
-    res.on('end', () => {
-      const bal = JSON.parse(d);
-      const confirmed = bal.confirmed || 0;
-      const unconfirmed = bal.unconfirmed || 0;
-      console.log(`Address:     ${wallet.address}`);
-      console.log(`Confirmed:   ${confirmed} sats`);
-      console.log(`Unconfirmed: ${unconfirmed} sats`);
-      console.log(`Total:       ${confirmed + unconfirmed} sats`);
-    });
-  });
+  saved(wallet);
+}
 
+async function exportWallet() {
+  const wallet = readWallet(WALLET_PATH, NETWORK);
+  if (args.xpub) {
+    if (!wallet.hd) throw new Error(`${WALLET_PATH} is not an HD wallet`);
+    console.log(wallet.data.xpub);
+    return;
+  }
+  if (wallet.locked) wallet.unlock(await askPassphrase());
+  console.error(`⚠️  Anyone with this ${wallet.hd ? 'recovery phrase' : 'key'} can spend the wallet's funds.`);
+  console.log(wallet.secret());
+}
+
+async function address() {
+  const wallet = readWallet(WALLET_PATH, NETWORK);
+  if (args.fresh) {
+    console.log(wallet.freshAddress('receive').toString());
+  } else if (args.all) {
+    for (const a of wallet.addresses()) {
+      const where = wallet.paths.get(a.toString());
+      console.log(where ? `${a}  ${Object.keys(CHAINS)[where[0]]}/${where[1]}` : a.toString());
+    }
+  } else {
+    console.log(wallet.address.toString());
+  }
+}
+
+async function balance() {
+  const utxos = await client().utxos();
+  const { confirmed, unconfirmed } = sumBalance(utxos);
+  console.log(`Address:     ${readWallet(WALLET_PATH, NETWORK).address.toString()}`);
+  console.log(`Confirmed:   ${confirmed} sats`);
+  console.log(`Unconfirmed: ${unconfirmed} sats`);
+  console.log(`Total:       ${confirmed + unconfirmed} sats`);
+}
+
+async function listUtxos() {
+  const utxos = await client().utxos();
+  console.log(`Wallet: ${WALLET_PATH}`);
+  for (const u of utxos) {
+    const status = u.height > 0 ? `height ${u.height}` : 'unconfirmed';
+    const reserved = u.reserved ? `  reserved until ${u.reserved}` : '';
+    console.log(`  ${u.tx_hash}:${u.tx_pos}  ${String(u.value).padStart(12)} sats  ${u.address}  ${status}${reserved}`);
+  }
+  const total = utxos.reduce((s, u) => s + u.value, 0);
+  const reserved = utxos.filter(u => u.reserved);
+  console.log(`Total:  ${total} sats in ${utxos.length} UTXO${utxos.length === 1 ? '' : 's'}` +
+    (reserved.length ? ` (${reserved.length} reserved, ${reserved.reduce((s, u) => s + u.value, 0)} sats)` : ''));
+}
+
+async function consolidate() {
+  const wallet = client();
+  await wallet.unlock();
+  const fee = args.fee === undefined ? null : parseInt(args.fee);
+  const { txid, inputs, address: to, amount, fee: paid, feeRate, size } = await wallet.consolidate({ fee });
+  console.log(`✅ Consolidated ${inputs} UTXOs into ${amount} sats at ${to}`);
+  console.log(`   TXID:    ${txid}`);
+  console.log(`   TX size: ${size} bytes, fee ${paid} sats (${feeRate} sats/kB)`);
+  const link = explorerTxUrl(NETWORK, txid);
+  if (link) console.log(`   ${link}`);
+}
+
+const COMMANDS = {
+  create,
+  import: importWallet,
+  export: exportWallet,
+  address,
+  balance,
+  utxos: listUtxos,
+  consolidate,
+};
+
+if (COMMANDS[cmd]) {
+  COMMANDS[cmd]().catch(err => {
+    console.error('❌', err.message);
+    process.exit(1);
+  });
 } else {
-  console.log('Usage: node wallet.cjs <create|address|balance>');
+  console.log('Usage: node wallet.cjs <command> [--network main|test|regtest]');
+  console.log('');
+  console.log('Commands:');
+  console.log('  create       New HD wallet: prints its recovery phrase once');
+  console.log('  import       Wallet from a mnemonic or WIF (--file <path>, else asked for or read from stdin);');
+  console.log('               --file <plaintext wallet.json> encrypts an old wallet, in place if it is this one;');
+  console.log('               --scan looks for funds past the first address of an HD wallet');
+  console.log('  export       Print the recovery phrase or WIF; --xpub prints the account xpub');
+  console.log('  address      The wallet address; --fresh hands out a new receive address, --all lists them');
+  console.log('  balance      Confirmed and unconfirmed sats over all the wallet\'s addresses');
+  console.log('  utxos        List the UTXOs, marking those reserved by spawns and feeds in flight');
+  console.log('  consolidate  Merge the unreserved UTXOs into one (--fee <sats>, or sized at --fee-rate)');
+  console.log('');
+  console.log('Set WALLET_PATH env var to use a custom wallet location');
+  console.log('(default: ./wallet.json on main, ./wallet.<network>.json otherwise),');
+  console.log('and ORG_WALLET_PASSPHRASE to unlock it without being asked.');
   console.log('');
-  console.log('Set WALLET_PATH env var to use a custom wallet location.');
+  console.log('Options:');
+  console.log(PROVIDER_USAGE);
+  console.log(FEE_USAGE);
 }
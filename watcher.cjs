@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// Lifecycle event watcher: tell webhooks, a log or stdout what organisms do
+//
+// Usage:
+//   node watcher.cjs [--txid <spawn-txid,...>] [--interval <seconds>]
+//                    [--webhook <url,...>] [--log <file>] [--json]
+//                    [--threshold <n>] [--events <name,...>] [--history] [--once]
+//
+// Watches --txid, or the "lineages" of the config file's "watcher" section,
+// or every living organism traced or spawned here (new spawns are picked up
+// as they appear). Each round every lineage is traced and each new spawn,
+// claim, feed and death is sent as an event (see lib/watcher.cjs), as is
+// low-balance once a lineage has fewer than --threshold claims left.
+// The first round only catches up on what happened before the watcher
+// started, unless --history sends that too.
+//
+// The config file's "watcher" section takes the same settings:
+//   { "watcher": { "lineages": ["<txid>"], "interval": 30, "webhooks": ["https://..."],
+//                  "log": "events.log", "threshold": 3, "events": ["died", "low-balance"] } }
+
+const { parseArgs } = require('./lib/args.cjs');
+const { PROVIDER_USAGE } = require('./lib/providers/index.cjs');
+const { readConfig } = require('./lib/config.cjs');
+const { PLUGIN_USAGE } = require('./lib/plugins.cjs');
+const { OrganismClient } = require('./lib/client.cjs');
+const { EVENTS, nextRound, Watcher } = require('./lib/watcher.cjs');
+
+const args = parseArgs();
+const settings = readConfig(args).config.watcher || {};
+
+function setting(flag, key, fallback) {
+  const value = args[flag] !== undefined ? args[flag] : settings[key];
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`--${flag} must be a whole number`);
+  return n;
+}
+
+function list(flag, key) {
+  if (typeof args[flag] === 'string') return args[flag].split(',').map(s => s.trim()).filter(Boolean);
+  return settings[key] || [];
+}
+
+if (args.help) {
+  console.log('Usage: node watcher.cjs [--network main|test|regtest]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --txid <txid,...>     Lineages to watch (default: config "watcher.lineages", or the living ones known here)');
+  console.log('  --interval <seconds>  Time between rounds, cut short when the provider reports a new tx (default: 30)');
+  console.log('  --webhook <url,...>   POST each event as JSON to these URLs');
+  console.log('  --log <file>          Append each event to this file as a JSON line');
+  console.log('  --json                Print each event to stdout as a JSON line instead of a summary');
+  console.log('  --threshold <n>       Send low-balance when a lineage has fewer than n claims left (default: 0, never)');
+  console.log(`  --events <name,...>   Events to send (default: all of ${EVENTS.join(', ')})`);
+  console.log('  --history             Also send what happened before the watcher started');
+  console.log('  --once                Run one round and exit');
+  console.log(PROVIDER_USAGE);
+  console.log(PLUGIN_USAGE);
+  process.exit(0);
+}
+
+const ICONS = { spawned: '🥚', reproduced: '⚡', fed: '🍽️', died: '💀', 'low-balance': '🪫' };
+
+function printEvent(event) {
+  const id = `${event.spawnTxid.slice(0, 16)}...`;
+  const details = {
+    spawned: () => `type ${event.type ?? '?'}${event.name ? ` "${event.name}"` : ''}, ${event.balance} sats`,
+    reproduced: () => `gen ${event.generation}: ${event.reward} sats to ${event.claimer}`,
+    fed: () => `gen ${event.generation}: +${event.amount} sats from ${event.funder || 'unknown'}`,
+    died: () => event.cause === 'eaten' ? `eaten by ${event.eatenBy.slice(0, 16)}...` : `gen ${event.generation}: last claim`,
+    'low-balance': () => `${event.generationsLeft} claim(s) left at ${event.balance} sats`,
+  };
+  console.log(`   ${ICONS[event.event]} ${event.event.padEnd(11)} ${id} ${details[event.event]()}`);
+}
+
+async function watch() {
+  const client = OrganismClient.fromArgs(args);
+  const json = !!args.json;
+  const watcher = new Watcher(client, {
+    threshold: setting('threshold', 'threshold', 0),
+    webhooks: list('webhook', 'webhooks'),
+    log: typeof args.log === 'string' ? args.log : settings.log || null,
+    stdout: json,
+    events: list('events', 'events').length ? list('events', 'events') : EVENTS,
+    onError: (err, event) => console.error(`⚠️  ${event.event} ${event.spawnTxid.slice(0, 16)}...: ${err.message}`),
+  });
+  const interval = setting('interval', 'interval', 30);
+  for (const txid of list('txid', 'lineages')) watcher.watch(txid);
+
+  // Progress goes to stderr with --json so stdout carries only events
+  const say = json ? (...line) => console.error(...line) : (...line) => console.log(...line);
+  say('📡 UTXO Organism — Watcher');
+  say(`   Watching:  ${watcher.listed ? `${watcher.lineages.size} lineage${watcher.lineages.size === 1 ? '' : 's'}` : 'every living organism known here'}`);
+  if (watcher.webhooks.length) say(`   Webhooks:  ${watcher.webhooks.join(', ')}`);
+  if (watcher.log) say(`   Log:       ${watcher.log}`);
+  if (watcher.threshold) say(`   Threshold: fewer than ${watcher.threshold} claims left`);
+  say(`   Rounds:    every ${interval}s${args.once ? ' (once)' : ''}`);
+
+  let history = !!args.history;
+  for (;;) {
+    const events = await watcher.round({ history });
+    history = true;
+    if (!json) events.forEach(printEvent);
+    if (args.once) return;
+    if (watcher.listed && watcher.lineages.size === 0) {
+      say('   No living lineages left to watch.');
+      return;
+    }
+    await nextRound(client.chain, interval * 1000);
+  }
+}
+
+watch().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});